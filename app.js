@@ -32,6 +32,8 @@ const webhookRoutes = require("./routes/webhookRoutes");
 const categoryRoutes = require("./routes/categoryRoutes");
 const reviewRoutes = require("./routes/reviewRoutes");
 const couponRoutes = require("./routes/couponRoutes");
+const couponBatchRoutes = require("./routes/couponBatchRoutes");
+const returnRoutes = require("./routes/returnRoutes");
 const settingsRoutes = require("./routes/settingsRoutes");
 const reportRoutes = require("./routes/reportRoutes");
 const contactRoutes = require("./routes/contactRoutes");
@@ -45,6 +47,8 @@ const billDeskRoutes = require("./routes/billDeskRoutes");
 const billDeskLogsRoutes = require("./routes/billDeskLogs");
 const testRoutes = require("./routes/testRoutes");
 const paymentRoutes = require('./routes/paymentRoutes');
+const settlementRoutes = require('./routes/settlementRoutes');
+const codRoutes = require('./routes/codRoutes');
 const influencerRoutes = require('./routes/influencerRoutes');
 const influencerUserRoutes = require('./routes/influencerUserRoutes');
 
@@ -125,7 +129,13 @@ app.use(
 );
 
 // Body Parsing Middleware with size limits
-app.use(json({ limit: '10mb' })); // Prevent large payload DoS
+// Keep the raw JSON body: payment gateways sign webhooks over the exact bytes
+app.use(json({
+  limit: '10mb', // Prevent large payload DoS
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  },
+}));
 app.use(urlencoded({ extended: true, limit: '10mb' }));
 
 // Data Sanitization against NoSQL query injection
@@ -254,6 +264,8 @@ app.use("/api/blogs", blogRoutes);
 app.use("/api/faqs", faqRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/coupons", couponRoutes);
+app.use("/api/coupon-batches", couponBatchRoutes);
+app.use("/api/returns", returnRoutes);
 app.use("/api/settings", settingsRoutes);
 app.use("/api/webhooks", webhookRoutes);
 app.use("/api/categories", categoryRoutes);
@@ -265,6 +277,8 @@ app.use("/api/chatbot", chatbotRoutes);
 app.use("/api/tags", tagRoutes);
 app.use("/api/payments", paymentRoutes);
 app.use("/api/payments/billdesk", billDeskRoutes);
+app.use("/api/settlements", settlementRoutes);
+app.use("/api/cod", codRoutes);
 app.use("/api/billdesk-logs", billDeskLogsRoutes); // BillDesk debugging logs (admin only)
 app.use("/api/test", testRoutes);
 app.use("/api/influencers", influencerRoutes);
@@ -0,0 +1,145 @@
+// config/billDeskProfiles.js
+
+/**
+ * BillDesk gateway environment profiles. BILLDESK_PROFILE picks one (uat by
+ * default). Each profile supplies its API and SDK URLs; credentials come from
+ * BILLDESK_<PROFILE>_* variables, falling back to the unprefixed BILLDESK_*
+ * ones, e.g. BILLDESK_PRODUCTION_MERCHANT_ID, then BILLDESK_MERCHANT_ID.
+ * URLs are overridden only by the prefixed variables (e.g.
+ * BILLDESK_UAT_PAYMENT_URL), so a leftover UAT URL cannot follow a switch
+ * to production. The unprefixed URL variables from before profiles existed
+ * (BILLDESK_PAYMENT_URL and friends) are rejected rather than ignored, so a
+ * deployment still relying on them fails to start instead of quietly
+ * talking to UAT.
+ *
+ * Key rotation: the current key (SECURITY_ID, SIGNING_PASSWORD,
+ * ENCRYPTION_PASSWORD) signs everything we send. While BillDesk moves over,
+ * the previous key (PREVIOUS_SECURITY_ID, PREVIOUS_SIGNING_PASSWORD,
+ * PREVIOUS_ENCRYPTION_PASSWORD) is still accepted on what BillDesk sends us.
+ */
+const PROFILES = {
+  uat: {
+    label: 'UAT',
+    apiBaseUrl: 'https://uat1.billdesk.com/u2/payments/ve1_2',
+    sdkUrl: 'https://uat1.billdesk.com/u2/web/v1_2/embeddedsdk',
+  },
+  production: {
+    label: 'Production',
+    apiBaseUrl: 'https://api.billdesk.com/payments/ve1_2',
+    sdkUrl: 'https://pay.billdesk.com/web/v1_2/embeddedsdk',
+  },
+  // The local BillDesk simulator; works without real credentials
+  mock: {
+    label: 'Local mock',
+    apiBaseUrl: `${process.env.BILLDESK_MOCK_URL || 'http://localhost:5055'}/payments/ve1_2`,
+    sdkUrl: `${process.env.BILLDESK_MOCK_URL || 'http://localhost:5055'}/web/v1_2/embeddedsdk`,
+    defaults: {
+      MERCHANT_ID: 'BDMOCKUAT',
+      CLIENT_ID: 'bdmockclient',
+      CLIENT_SECRET: 'bdmocksecret',
+      SECURITY_ID: 'MOCKKEY1',
+      SIGNING_PASSWORD: 'mock-signing-key-for-local-tests',
+      ENCRYPTION_PASSWORD: 'mock-encryption-key-32-bytes-000', // A256GCM needs 32 bytes
+    },
+  },
+};
+
+// Credentials every profile needs
+const REQUIRED_FIELDS = [
+  'MERCHANT_ID',
+  'CLIENT_ID',
+  'CLIENT_SECRET',
+  'SECURITY_ID',
+  'SIGNING_PASSWORD',
+  'ENCRYPTION_PASSWORD',
+];
+
+// URL variables read before there were profiles
+const LEGACY_URL_VARIABLES = [
+  'BILLDESK_PAYMENT_URL',
+  'BILLDESK_RETRIEVE_URL',
+  'BILLDESK_REFUND_URL',
+  'BILLDESK_REFUND_STATUS_URL',
+  'BILLDESK_SDK_URL',
+];
+
+/**
+ * Read a BillDesk setting for a profile.
+ * @param {Object} env
+ * @param {string} profileName
+ * @param {string} field - e.g. 'MERCHANT_ID'
+ * @returns {string|undefined}
+ */
+const readField = (env, profileName, field) => {
+  const profile = PROFILES[profileName];
+  return env[`BILLDESK_${profileName.toUpperCase()}_${field}`] ||
+    env[`BILLDESK_${field}`] ||
+    (profile.defaults && profile.defaults[field]);
+};
+
+/**
+ * Resolve the live BillDesk profile into the settings billDeskService uses.
+ * @param {Object} [env=process.env]
+ * @returns {Object} - { name, label, merchantId, clientId, clientSecret,
+ *   keys: [{ keyId, signingKey, encryptionKey, current }], paymentUrl,
+ *   retrieveUrl, refundUrl, refundStatusUrl, sdkUrl, missing }
+ * @throws {Error} - For an unknown profile or a legacy URL variable
+ */
+const resolveBillDeskProfile = (env = process.env) => {
+  const legacy = LEGACY_URL_VARIABLES.filter((key) => env[key]);
+  if (legacy.length > 0) {
+    throw new Error(
+      `${legacy.join(', ')} ${legacy.length > 1 ? 'are' : 'is'} no longer read. ` +
+      'Set BILLDESK_PROFILE (uat, production or mock) to pick the BillDesk endpoints, and use ' +
+      'BILLDESK_<PROFILE>_* to override one, e.g. BILLDESK_PRODUCTION_PAYMENT_URL.'
+    );
+  }
+
+  const name = (env.BILLDESK_PROFILE || 'uat').toLowerCase();
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown BILLDESK_PROFILE '${name}'. Use one of: ${Object.keys(PROFILES).join(', ')}`);
+  }
+
+  const field = (key) => readField(env, name, key);
+  const url = (key, path) => env[`BILLDESK_${name.toUpperCase()}_${key}`] || `${profile.apiBaseUrl}/${path}`;
+  const keys = [{
+    keyId: field('SECURITY_ID'),
+    signingKey: field('SIGNING_PASSWORD'),
+    encryptionKey: field('ENCRYPTION_PASSWORD'),
+    current: true,
+  }];
+  if (field('PREVIOUS_SECURITY_ID')) {
+    keys.push({
+      keyId: field('PREVIOUS_SECURITY_ID'),
+      signingKey: field('PREVIOUS_SIGNING_PASSWORD'),
+      encryptionKey: field('PREVIOUS_ENCRYPTION_PASSWORD'),
+      current: false,
+    });
+  }
+
+  const missing = REQUIRED_FIELDS.filter((key) => !field(key));
+  if (keys[1] && (!keys[1].signingKey || !keys[1].encryptionKey)) {
+    missing.push('PREVIOUS_SIGNING_PASSWORD/PREVIOUS_ENCRYPTION_PASSWORD');
+  }
+
+  return {
+    name,
+    label: profile.label,
+    merchantId: field('MERCHANT_ID'),
+    clientId: field('CLIENT_ID'),
+    clientSecret: field('CLIENT_SECRET'),
+    keys,
+    paymentUrl: url('PAYMENT_URL', 'orders/create'),
+    retrieveUrl: url('RETRIEVE_URL', 'transactions/get'),
+    refundUrl: url('REFUND_URL', 'refunds/create'),
+    refundStatusUrl: url('REFUND_STATUS_URL', 'refunds/get'),
+    sdkUrl: env[`BILLDESK_${name.toUpperCase()}_SDK_URL`] || profile.sdkUrl,
+    missing: missing.map((key) => `BILLDESK_${key}`),
+  };
+};
+
+module.exports = {
+  PROFILES,
+  resolveBillDeskProfile,
+};
@@ -0,0 +1,6 @@
+// constants/packagingTypes.js
+
+// Packaging a product or one of its variants can be sold in
+const PACKAGING_TYPES = ['Bottle', 'Box', 'Canister'];
+
+module.exports = PACKAGING_TYPES;
@@ -0,0 +1,12 @@
+// constants/productStatus.js
+
+// Where a product is in its publishing workflow. Only PUBLISHED products are
+// on the storefront; Product.isActive follows the status so existing
+// storefront queries keep working. ARCHIVED is what deleting a product does.
+const PRODUCT_STATUS = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  ARCHIVED: 'archived',
+};
+
+module.exports = PRODUCT_STATUS;
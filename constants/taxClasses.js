@@ -0,0 +1,13 @@
+// constants/taxClasses.js
+
+// Product tax classes. Each region can set its own rate per class in
+// LocalizationSettings.taxClassRates; classes without an override use the
+// region's taxRate, and EXEMPT is never taxed.
+const TAX_CLASSES = {
+  STANDARD: 'standard',
+  BEVERAGE: 'beverage',
+  HEALTH_SUPPLEMENT: 'health_supplement',
+  EXEMPT: 'exempt',
+};
+
+module.exports = TAX_CLASSES;
@@ -3,6 +3,33 @@
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { validationResult } = require('express-validator');
+const { buildQuote } = require('../services/pricingService');
+
+// Attaches a price quote to the cart so the storefront shows the same totals
+// checkout will charge. A cart that cannot be priced (e.g. a product was
+// removed) is still returned, with quote set to null.
+const withQuote = async (cart) => {
+  const data = cart.toJSON();
+  if (!cart.items.length) {
+    return { ...data, quote: null };
+  }
+  try {
+    data.quote = await buildQuote({ items: cart.items, customerId: cart.user });
+  } catch (error) {
+    console.error('Error pricing cart:', error.message);
+    data.quote = null;
+  }
+  return data;
+};
+
+// Whether a cart line is the one a request names: by variantId when the
+// request has one (and packaging, for a variant sold in several), otherwise
+// by size and packaging
+const matchesLine = (item, { productId, variantId, variant, packaging }) =>
+  item.product.toString() === productId &&
+  (variantId
+    ? String(item.variantId) === variantId && (!packaging || item.packaging === packaging)
+    : item.variant === variant && item.packaging === packaging);
 
 // Adds an item to the user's cart
 exports.addItemToCart = async (req, res) => {
@@ -14,7 +41,7 @@ exports.addItemToCart = async (req, res) => {
   }
 
   const userId = req.user.id;
-  const { productId, variant, packaging, quantity } = req.body;
+  const { productId, variantId, variant, quantity } = req.body;
 
   console.log('Add to Cart Request Body:', req.body);
 
@@ -27,13 +54,14 @@ exports.addItemToCart = async (req, res) => {
     }
 
     // Validate variant
-    const selectedVariant = product.variants.find(v => v.size === variant);
+    const selectedVariant = product.findVariant({ variantId, variant, packaging: req.body.packaging });
     if (!selectedVariant) {
-      console.log(`Variant not found: ${variant} for product: ${productId}`);
+      console.log(`Variant not found: ${variantId || variant} for product: ${productId}`);
       return res.status(400).json({ message: 'Variant not found for the selected product' });
     }
 
-    // Validate packaging
+    // Validate packaging; a variant with its own packaging always ships in it
+    const packaging = selectedVariant.packaging || req.body.packaging;
     if (!product.packaging.includes(packaging)) {
       console.log(`Invalid packaging option: ${packaging} for product: ${productId}`);
       return res.status(400).json({ message: 'Invalid packaging option selected' });
@@ -48,27 +76,29 @@ exports.addItemToCart = async (req, res) => {
 
     // Check if item already exists in cart
     const existingItem = cart.items.find(item =>
-      item.product.toString() === productId &&
-      item.variant === variant &&
-      item.packaging === packaging
+      matchesLine(item, { productId, variantId: String(selectedVariant._id), packaging }) ||
+      (!item.variantId && matchesLine(item, { productId, variant: selectedVariant.size, packaging }))
     );
 
     if (existingItem) {
       // Update quantity
       existingItem.quantity += quantity;
+      existingItem.variantId = selectedVariant._id;
       console.log(`Updated quantity for item: ${existingItem._id}, new quantity: ${existingItem.quantity}`);
     } else {
       // Add new item
       cart.items.push({
         product: productId,
         title: product.title,
-        variant,
+        variantId: selectedVariant._id,
+        variant: selectedVariant.size,
+        sku: selectedVariant.sku,
         packaging,
         quantity,
         price: selectedVariant.price, // Use the variant price
-        thumbnail: product.thumbnail,
+        thumbnail: selectedVariant.images[0] || product.thumbnail,
       });
-      console.log(`Added new item to cart: productId=${productId}, variant=${variant}, packaging=${packaging}`);
+      console.log(`Added new item to cart: productId=${productId}, variant=${selectedVariant._id}, packaging=${packaging}`);
     }
 
     // Save cart
@@ -79,7 +109,7 @@ exports.addItemToCart = async (req, res) => {
 
     console.log('Cart updated successfully:', cart);
 
-    res.status(200).json(cart);
+    res.status(200).json(await withQuote(cart));
   } catch (error) {
     console.error('Error adding item to cart:', error);
     res.status(500).json({ message: 'Server error' });
@@ -96,7 +126,7 @@ exports.updateCartItemQuantity = async (req, res) => {
   }
 
   const userId = req.user.id;
-  const { productId, variant, packaging, quantity } = req.body;
+  const { productId, variantId, variant, packaging, quantity } = req.body;
 
   console.log('Update Cart Item Request Body:', req.body);
 
@@ -110,20 +140,17 @@ exports.updateCartItemQuantity = async (req, res) => {
     // Log current cart items
     console.log('Current Cart Items:', cart.items.map(item => ({
       productId: item.product.toString(),
+      variantId: item.variantId,
       variant: item.variant,
       packaging: item.packaging,
       quantity: item.quantity,
     })));
 
     // Find item
-    const item = cart.items.find(item =>
-      item.product.toString() === productId &&
-      item.variant === variant &&
-      item.packaging === packaging
-    );
+    const item = cart.items.find(item => matchesLine(item, { productId, variantId, variant, packaging }));
 
     if (!item) {
-      console.log(`Item not found in cart: productId=${productId}, variant=${variant}, packaging=${packaging}`);
+      console.log(`Item not found in cart: productId=${productId}, variant=${variantId || variant}, packaging=${packaging}`);
       return res.status(404).json({ message: 'Item not found in cart' });
     }
 
@@ -139,7 +166,7 @@ exports.updateCartItemQuantity = async (req, res) => {
 
     console.log('Cart updated successfully:', cart);
 
-    res.status(200).json(cart);
+    res.status(200).json(await withQuote(cart));
   } catch (error) {
     console.error('Error updating cart item quantity:', error);
     res.status(500).json({ message: 'Server error' });
@@ -156,7 +183,7 @@ exports.removeItemFromCart = async (req, res) => {
   }
 
   const userId = req.user.id;
-  const { productId, variant, packaging } = req.body;
+  const { productId, variantId, variant, packaging } = req.body;
 
   console.log('Remove Item from Cart Request Body:', req.body);
 
@@ -170,23 +197,17 @@ exports.removeItemFromCart = async (req, res) => {
     // Log current cart items
     console.log('Current Cart Items:', cart.items.map(item => ({
       productId: item.product.toString(),
+      variantId: item.variantId,
       variant: item.variant,
       packaging: item.packaging,
       quantity: item.quantity,
     })));
 
     const initialLength = cart.items.length;
-    cart.items = cart.items.filter(
-      item =>
-        !(
-          item.product.toString() === productId &&
-          item.variant === variant &&
-          item.packaging === packaging
-        )
-    );
+    cart.items = cart.items.filter(item => !matchesLine(item, { productId, variantId, variant, packaging }));
 
     if (cart.items.length === initialLength) {
-      console.log(`Item not found to remove: productId=${productId}, variant=${variant}, packaging=${packaging}`);
+      console.log(`Item not found to remove: productId=${productId}, variant=${variantId || variant}, packaging=${packaging}`);
       return res.status(404).json({ message: 'Item not found in cart' });
     }
 
@@ -196,9 +217,9 @@ exports.removeItemFromCart = async (req, res) => {
     // Populate the product field before sending the response
     await cart.populate('items.product');
 
-    console.log(`Removed item from cart: productId=${productId}, variant=${variant}, packaging=${packaging}`);
+    console.log(`Removed item from cart: productId=${productId}, variant=${variantId || variant}, packaging=${packaging}`);
 
-    res.status(200).json(cart);
+    res.status(200).json(await withQuote(cart));
   } catch (error) {
     console.error('Error removing item from cart:', error);
     res.status(500).json({ message: 'Server error' });
@@ -218,7 +239,7 @@ exports.getCart = async (req, res) => {
     console.log(`Fetched cart for user: ${userId}`);
     // Log the populated cart for debugging
     console.log('Populated Cart:', JSON.stringify(cart, null, 2));
-    res.status(200).json(cart);
+    res.status(200).json(await withQuote(cart));
   } catch (error) {
     console.error('Error fetching cart:', error);
     res.status(500).json({ message: 'Server error' });
@@ -239,6 +260,7 @@ exports.clearCart = async (req, res) => {
     // Log cart items before clearing
     console.log('Clearing Cart Items:', cart.items.map(item => ({
       productId: item.product.toString(),
+      variantId: item.variantId,
       variant: item.variant,
       packaging: item.packaging,
       quantity: item.quantity,
@@ -255,4 +277,37 @@ exports.clearCart = async (req, res) => {
     console.error('Error clearing cart:', error);
     res.status(500).json({ message: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+// Prices the cart (or the items supplied) exactly as checkout will
+exports.getQuote = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('Validation Errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const userId = req.user.id;
+  const { items, couponCode, shippingAddress } = req.body;
+
+  try {
+    let quoteItems = items;
+    if (!quoteItems || quoteItems.length === 0) {
+      const cart = await Cart.findOne({ user: userId });
+      if (!cart || cart.items.length === 0) {
+        return res.status(404).json({ message: 'Cart is empty' });
+      }
+      quoteItems = cart.items;
+    }
+
+    const quote = await buildQuote({ items: quoteItems, couponCode, customerId: userId, shippingAddress });
+    res.status(200).json({ success: true, data: quote });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error building cart quote:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,9 +1,29 @@
 // controllers/billDeskController.js
 
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Transaction = require('../models/Transaction');
+const CheckoutSession = require('../models/CheckoutSession');
+const USER_ROLES = require('../constants/userRoles');
 const logger = require('../utils/logger');
-const billDeskService = require('../services/billDeskService');
+const billDeskLogger = require('../utils/billDeskLogger');
+const paymentService = require('../services/paymentService');
+const checkoutSessionService = require('../services/checkoutSessionService');
+const { receiveWebhook } = require('../services/webhookInboxService');
+
+// Roles that may open or inspect a checkout session for any order
+const SESSION_ADMINS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER, USER_ROLES.FINANCE_MANAGER];
+
+/**
+ * Client IP sent to BillDesk with the payment request
+ * @param {Object} req - Express request object
+ * @returns {string}
+ */
+const clientIpOf = (req) =>
+  (req.headers['x-forwarded-for'] && req.headers['x-forwarded-for'].split(',')[0].trim()) ||
+  req.headers['x-real-ip'] ||
+  req.ip ||
+  '127.0.0.1';
 
 /**
  * Initialize BillDesk payment
@@ -45,22 +65,10 @@ const initializePayment = async (req, res) => {
     // Log that we're bypassing the ownership check for testing
     logger.info(`Bypassing ownership check for order ${orderId} - Testing mode enabled`);
     
-    // Update order status to payment_pending
-    order.paymentStatus = 'pending';
-    await order.save();
-    logger.info(`Order ${orderId} status updated to payment_pending`);
-    
-    // Create BillDesk order using the service with client IP
+    // Create the BillDesk order through the gateway adapter, with the client IP
     try {
-      const billDeskOrder = await billDeskService.createPaymentRequest(order, clientIp);
-      // Log the complete response structure for debugging
+      const { transaction, clientData } = await paymentService.processPayment(order, { paymentMethod: 'billdesk', clientIp });
       logger.info(`BillDesk order created successfully for order ${orderId}`);
-      logger.info('BillDesk response structure:', JSON.stringify(billDeskOrder, null, 2));
-      
-      // Check if we got bdOrderId from BillDesk response
-      if (!billDeskOrder.bdOrderId && !billDeskOrder.formHtml) {
-        throw new Error('BillDesk did not return payment details. Likely authentication issue.');
-      }
       
       // Return BillDesk payment data
       res.status(200).json({
@@ -68,32 +76,14 @@ const initializePayment = async (req, res) => {
         data: {
           orderId: order._id,
           orderNumber: order.orderNumber,
-          transactionId: billDeskOrder.transactionId,
-          paymentData: {
-            paymentUrl: billDeskOrder.paymentUrl,
-            bdOrderId: billDeskOrder.bdOrderId,
-            merchantId: billDeskOrder.merchantId,
-            rdata: billDeskOrder.rdata,
-            // For API v1.2 flow
-            isRedirect: billDeskOrder.isRedirect || false,
-            formHtml: billDeskOrder.formHtml || null,
-            // DEBUG INFO FOR FRONTEND CONSOLE
-            debugInfo: billDeskOrder.debugInfo || null
-          }
+          transactionId: transaction ? transaction._id : null,
+          paymentData: clientData
         }
       });
     } catch (billDeskError) {
       logger.error(`BillDesk service error: ${billDeskError.message}`);
       
-      // Log error details to console for debugging
-      console.error('\n' + '='.repeat(80));
-      console.error('❌ BILLDESK API ERROR');
-      console.error('='.repeat(80));
-      console.error('Error Message:', billDeskError.message);
-      console.error('Stack:', billDeskError.stack);
-      console.error('='.repeat(80) + '\n');
-      
-      res.status(500).json({ 
+      res.status(billDeskError.statusCode || 500).json({ 
         success: false, 
         message: billDeskError.message,
         // Include error details for frontend debugging
@@ -128,58 +118,25 @@ const handlePaymentReturn = async (req, res) => {
     
     // Process the return data using the service with JWS verification
     try {
-      // Pass the raw response to processResponse which will verify the JWS signature
-      const result = await billDeskService.processResponse(req.body);
-      
-      // Find the order associated with this transaction
-      const transaction = await Transaction.findById(result.transactionId);
-      if (!transaction) {
-        logger.error(`Transaction not found: ${result.transactionId}`);
-        return res.redirect(`${FRONTEND_URL}/payment/failed?message=Transaction not found`);
-      }
-      
-      const order = await Order.findOne({ orderNumber: result.orderNumber });
-      if (!order) {
-        logger.error(`Order not found for transaction: ${result.transactionId}`);
+      // The adapter verifies the JWS signature and rejects unsigned bodies;
+      // the shared handler updates the order
+      const applied = await paymentService.verifyPayment('billdesk', req.body);
+      if (!applied) {
+        logger.error('Order not found for BillDesk payment return');
         return res.redirect(`${FRONTEND_URL}/payment/failed?message=Order not found`);
       }
       
-      // Update order status based on transaction status
-      if (result.status === 'success') {
-        order.paymentStatus = 'paid';
-        order.status = 'processing';
-        await order.save();
-        
-        // Clear the user's cart after successful payment
-        try {
-          const Cart = require('../models/Cart');
-          const cart = await Cart.findOne({ user: order.customer });
-          if (cart) {
-            cart.items = [];
-            await cart.save();
-            logger.info(`Cart cleared for user ${order.customer} after successful payment`);
-          }
-        } catch (cartError) {
-          logger.error(`Failed to clear cart after payment: ${cartError.message}`);
-          // Continue even if cart clearing fails - payment was successful
-        }
-        
+      const { order, status } = applied;
+      if (status === 'completed') {
         logger.info(`Payment successful for order: ${order._id}`);
         return res.redirect(`${FRONTEND_URL}/thank-you?orderId=${order._id}`);
-      } else if (result.status === 'failed') {
-        order.paymentStatus = 'failed';
-        await order.save();
-        
+      } else if (status === 'failed') {
         logger.info(`Payment failed for order: ${order._id}`);
         return res.redirect(`${FRONTEND_URL}/payment/failed?orderId=${order._id}`);
-      } else {
-        // For pending or other statuses
-        order.paymentStatus = 'pending';
-        await order.save();
-        
-        logger.info(`Payment pending for order: ${order._id}`);
-        return res.redirect(`${FRONTEND_URL}/payment/pending?orderId=${order._id}`);
       }
+      
+      logger.info(`Payment pending for order: ${order._id}`);
+      return res.redirect(`${FRONTEND_URL}/payment/pending?orderId=${order._id}`);
     } catch (innerError) {
       logger.error(`Error processing payment return: ${innerError.message}`);
       return res.redirect(`${FRONTEND_URL}/payment/failed?message=${encodeURIComponent(innerError.message)}`);
@@ -207,35 +164,15 @@ const handleWebhook = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Empty webhook payload' });
     }
     
-    // Process the webhook data using the service with JWS verification
+    // Verify and store the notification; the webhook inbox applies it to the order
     try {
-      // Pass the raw response to processResponse which will verify the JWS signature
-      const result = await billDeskService.processResponse(req.body);
-      
-      // Find the order associated with this transaction
-      const order = await Order.findOne({ orderNumber: result.orderNumber });
-      if (order) {
-        // Update order status based on transaction status
-        if (result.status === 'success') {
-          order.paymentStatus = 'paid';
-          order.status = 'processing';
-        } else if (result.status === 'failed') {
-          order.paymentStatus = 'failed';
-        } else {
-          order.paymentStatus = 'pending';
-        }
-        
-        await order.save();
-        logger.info(`Order ${order._id} updated with payment status: ${order.paymentStatus}`);
-      } else {
-        logger.error(`Order not found for transaction: ${result.transactionId}`);
-      }
+      const { duplicate } = await receiveWebhook('billdesk', req);
       
       // Acknowledge receipt to BillDesk
-      return res.status(200).json({ success: true });
+      return res.status(200).json({ success: true, duplicate });
     } catch (innerError) {
       logger.error(`Error processing webhook: ${innerError.message}`);
-      return res.status(500).json({ success: false, message: innerError.message });
+      return res.status(innerError.statusCode === 400 ? 400 : 500).json({ success: false, message: innerError.message });
     }
   } catch (error) {
     logger.error(`BillDesk webhook handling failed: ${error.message}`);
@@ -268,7 +205,7 @@ const checkPaymentStatus = async (req, res) => {
     }
     
     // Find the transaction for this order
-    const transaction = await Transaction.findOne({ order: order._id }).sort({ createdAt: -1 });
+    let transaction = await Transaction.findOne({ order: order._id }).sort({ createdAt: -1 });
     
     // Check if the order has a pending payment status and was last updated more than 60 minutes ago
     if (order.paymentStatus === 'pending' && transaction) {
@@ -281,26 +218,10 @@ const checkPaymentStatus = async (req, res) => {
         logger.info(`Order ${orderId} has pending payment status for more than 60 minutes, retrieving status from BillDesk`);
         
         try {
-          // Retrieve transaction status from BillDesk
-          const transactionStatus = await billDeskService.retrieveTransaction(order.orderNumber);
-          
-          if (transactionStatus.success) {
-            // Update order status based on the retrieved transaction status
-            const { status } = transactionStatus.data;
-            
-            if (status && status.toUpperCase() === 'SUCCESS') {
-              order.paymentStatus = 'success';
-              transaction.status = 'success';
-              await Promise.all([order.save(), transaction.save()]);
-              logger.info(`Updated order ${orderId} status to success based on BillDesk transaction status`);
-            } else if (status && status.toUpperCase() === 'FAILED') {
-              order.paymentStatus = 'failed';
-              transaction.status = 'failed';
-              await Promise.all([order.save(), transaction.save()]);
-              logger.info(`Updated order ${orderId} status to failed based on BillDesk transaction status`);
-            }
-          } else {
-            logger.error(`Failed to retrieve transaction status from BillDesk for order ${orderId}: ${transactionStatus.message}`);
+          const applied = await paymentService.refreshPaymentStatus(order);
+          if (applied) {
+            transaction = applied.transaction || transaction;
+            logger.info(`Order ${orderId} payment status is ${applied.order.paymentStatus} after checking BillDesk`);
           }
         } catch (txnError) {
           logger.error(`Error retrieving transaction status from BillDesk: ${txnError.message}`);
@@ -317,8 +238,8 @@ const checkPaymentStatus = async (req, res) => {
           paymentMethod: 'billdesk',
           amount: transaction.amount,
           transactionId: transaction._id,
-          billDeskTxnId: transaction.metadata?.billDeskTxnId || null,
-          bankTxnId: transaction.metadata?.bankTxnId || null,
+          billDeskTxnId: transaction.metadata.get('billDeskTxnId') || null,
+          bankTxnId: transaction.metadata.get('bankTxnId') || null,
           createdAt: transaction.createdAt,
           updatedAt: transaction.updatedAt
         }
@@ -345,123 +266,134 @@ const checkPaymentStatus = async (req, res) => {
 };
 
 /**
- * Proxy the payment request to BillDesk API
- * This avoids CORS issues by having our server make the request
+ * Load an order for a checkout session request, replying 400/403/404 when
+ * the signed-in user cannot use it.
+ * @returns {Promise<Object|null>} - The order, or null once a response has been sent
+ */
+const findSessionOrder = async (req, res, orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    res.status(400).json({ success: false, message: 'Invalid order ID' });
+    return null;
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    res.status(404).json({ success: false, message: 'Order not found' });
+    return null;
+  }
+
+  if (!SESSION_ADMINS.includes(req.user.role) && String(order.customer) !== String(req.user._id)) {
+    logger.error(`User ${req.user._id} attempted to open a checkout session for order ${orderId}`);
+    res.status(403).json({ success: false, message: 'Unauthorized' });
+    return null;
+  }
+  return order;
+};
+
+/**
+ * Open a BillDesk checkout session for an order. The BillDesk request is
+ * built and signed on the server from the order; only the SDK launch
+ * parameters are returned.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
  */
-async function proxyPaymentRequest(req, res) {
+const createCheckoutSession = async (req, res) => {
   try {
-    const { paymentUrl, payload, headers } = req.body;
-    
-    if (!paymentUrl || !payload || !headers) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required parameters: paymentUrl, payload, or headers'
-      });
+    const order = await findSessionOrder(req, res, req.body.orderId);
+    if (!order) {
+      return;
     }
-    
-    logger.info('Proxying payment request to BillDesk API', {
-      url: paymentUrl,
-      payloadLength: payload.length,
-      headers: Object.keys(headers)
-    });
-    
-    // Use node-fetch to make the request
-    const fetch = require('node-fetch');
-    
-    logger.info('Making request to BillDesk API with the following details:', {
-      url: paymentUrl,
-      method: 'POST',
-      headerKeys: Object.keys(headers),
-      contentType: headers['Content-Type'],
-      payloadLength: payload.length,
-      payloadPrefix: payload.substring(0, 50) + '...'
+
+    const session = await checkoutSessionService.createCheckoutSession(order, { clientIp: clientIpOf(req) });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        ...checkoutSessionService.launchParams(session),
+      },
     });
-    
-    try {
-      const response = await fetch(paymentUrl, {
-        method: 'POST',
-        headers: headers,
-        body: payload
-      });
-      
-      logger.info('BillDesk API response received:', {
-        status: response.status,
-        statusText: response.statusText,
-        headers: Object.fromEntries([...response.headers.entries()]),
-        redirected: response.redirected,
-        redirectUrl: response.redirected ? response.url : null
-      });
-      
-      // Get response data
-      const responseData = await response.text();
-      const contentType = response.headers.get('content-type');
-      
-      logger.info('BillDesk API response received', {
-        status: response.status,
-        contentType,
-        responseLength: responseData.length
-      });
-      
-      // Check if we got a redirect
-      if (response.redirected) {
-        return res.json({
-          success: true,
-          redirectUrl: response.url
-        });
-      }
-      
-      // Check if we got HTML
-      if (contentType && contentType.includes('text/html')) {
-        return res.json({
-          success: true,
-          html: responseData
-        });
-      }
-      
-      // Check if we got JSON or JOSE
-      if (contentType && (contentType.includes('application/json') || contentType.includes('application/jose'))) {
-        // Log the response data for debugging
-        try {
-          const jsonData = JSON.parse(responseData);
-          logger.info('BillDesk API JSON response:', jsonData);
-        } catch (e) {
-          logger.info('BillDesk API response (not JSON):', responseData);
-        }
-        
-        // For JOSE responses, we'll just pass them through
-        return res.json({
-          success: response.ok,
-          data: responseData,
-          status: response.status
-        });
-      }
-      
-      // Default response
-      return res.json({
-        success: response.ok,
-        status: response.status,
-        data: responseData
-      });
-    } catch (fetchError) {
-      logger.error('Error making request to BillDesk API:', fetchError);
-      return res.status(500).json({
-        success: false,
-        message: `Error making request to BillDesk API: ${fetchError.message}`
-      });
+  } catch (error) {
+    logger.error(`BillDesk checkout session failed: ${error.message}`);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Get a checkout session's launch parameters and status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getCheckoutSession = async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.sessionId)
+      ? await CheckoutSession.findById(req.params.sessionId)
+      : null;
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Checkout session not found' });
+    }
+
+    const order = await findSessionOrder(req, res, session.order);
+    if (!order) {
+      return;
     }
+
+    await checkoutSessionService.syncSessionStatus(session);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        paymentStatus: order.paymentStatus,
+        ...checkoutSessionService.launchParams(session),
+      },
+    });
   } catch (error) {
-    logger.error('Error proxying payment request:', error);
-    return res.status(500).json({
-      success: false,
-      message: `Error proxying payment request: ${error.message}`
+    logger.error(`Fetching checkout session failed: ${error.message}`);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Get a checkout session with its BillDesk trace log entries (admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getCheckoutSessionTrace = async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.sessionId)
+      ? await CheckoutSession.findById(req.params.sessionId).populate('order', 'orderNumber paymentStatus')
+      : null;
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Checkout session not found' });
+    }
+
+    const logs = session.traceId ? await billDeskLogger.getLogsByTraceId(session.traceId) : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        session,
+        logs,
+      },
     });
+  } catch (error) {
+    logger.error(`Fetching checkout session trace failed: ${error.message}`);
+    res.status(500).json({ success: false, message: error.message });
   }
-}
+};
 
 module.exports = {
   initializePayment,
   handlePaymentReturn,
   handleWebhook,
   checkPaymentStatus,
-  proxyPaymentRequest
+  createCheckoutSession,
+  getCheckoutSession,
+  getCheckoutSessionTrace
 };
@@ -2,6 +2,8 @@
 
 const Category = require('../models/Category');
 const BlogPost = require('../models/BlogPost'); // Ensure this model exists and is correctly defined
+const Product = require('../models/Product');
+const categoryService = require('../services/categoryService');
 const asyncHandler = require('express-async-handler');
 const logger = require('../utils/logger'); // Ensure you have a logger utility
 const ERROR_CODES = require('../constants/errorCodes'); // Define your error codes
@@ -25,6 +27,14 @@ exports.createCategory = asyncHandler(async (req, res, next) => {
     // Convert empty string to null for 'parent' field
     const parentId = parent && parent.trim() !== "" ? parent : null;
 
+    // A subcategory sits under an existing category of the same type
+    if (parentId && !(await Category.exists({ _id: parentId, type }))) {
+      return res.status(400).json({
+        success: false,
+        message: `Parent must be an existing ${type} category`,
+      });
+    }
+
     const category = new Category({ name, type, description, parent: parentId });
     await category.save();
 
@@ -39,7 +49,7 @@ exports.createCategory = asyncHandler(async (req, res, next) => {
   }
 });
 
-// @desc    Get all categories with pagination and search
+// @desc    Get all categories with pagination and search; product categories include productCount
 // @route   GET /api/categories
 // @access  Public
 exports.getAllCategories = asyncHandler(async (req, res, next) => {
@@ -71,10 +81,19 @@ exports.getAllCategories = asyncHandler(async (req, res, next) => {
       .skip(Number(skip))
       .limit(Number(limit));
 
+    // Product categories carry the number of active products in them or
+    // any of their subcategories
+    const counts = await categoryService.countProducts(
+      categories.filter((category) => category.type === 'product').map((category) => category._id)
+    );
+    const data = categories.map((category) => (counts.has(String(category._id))
+      ? { ...category.toJSON(), productCount: counts.get(String(category._id)) }
+      : category));
+
     res.status(200).json({
       success: true,
       count: categories.length,
-      data: categories,
+      data,
       totalPages,
       currentPage: Number(page),
       message: 'Categories fetched successfully',
@@ -85,7 +104,7 @@ exports.getAllCategories = asyncHandler(async (req, res, next) => {
   }
 });
 
-// @desc    Get category by ID
+// @desc    Get category by ID, with its breadcrumbs (and productCount for product categories)
 // @route   GET /api/categories/:id
 // @access  Public
 exports.getCategoryById = asyncHandler(async (req, res, next) => {
@@ -98,9 +117,15 @@ exports.getCategoryById = asyncHandler(async (req, res, next) => {
       return res.status(404).json({ success: false, message: 'Category not found' });
     }
 
+    const [breadcrumbs] = await categoryService.getBreadcrumbs([category._id]);
+    const data = { ...category.toJSON(), breadcrumbs };
+    if (category.type === 'product') {
+      data.productCount = (await categoryService.countProducts([category._id])).get(String(category._id));
+    }
+
     res.status(200).json({
       success: true,
-      data: category,
+      data,
       message: 'Category fetched successfully',
     });
   } catch (error) {
@@ -133,9 +158,39 @@ exports.updateCategory = asyncHandler(async (req, res, next) => {
       category.name = updates.name.trim();
     }
 
+    // Products and subcategories only hang off categories of their own type
+    if (updates.type && updates.type !== category.type) {
+      const [hasProducts, hasSubcategories] = await Promise.all([
+        Product.exists({ categories: category._id }),
+        Category.exists({ parent: category._id }),
+      ]);
+      if (hasProducts || hasSubcategories) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the type of a category that has products or subcategories',
+        });
+      }
+    }
+
     // Handle 'parent' field: convert empty string to null
     if (updates.parent !== undefined) {
-      category.parent = updates.parent && updates.parent.trim() !== "" ? updates.parent : null;
+      const parentId = updates.parent && updates.parent.trim() !== "" ? updates.parent : null;
+      if (parentId) {
+        const type = updates.type || category.type;
+        if (!(await Category.exists({ _id: parentId, type }))) {
+          return res.status(400).json({
+            success: false,
+            message: `Parent must be an existing ${type} category`,
+          });
+        }
+        if (await categoryService.wouldCreateCycle(category._id, parentId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'A category cannot be placed under itself or one of its subcategories',
+          });
+        }
+      }
+      category.parent = parentId;
     }
 
     // Update other fields
@@ -183,6 +238,15 @@ exports.deleteCategory = asyncHandler(async (req, res, next) => {
       });
     }
 
+    // Check if any products are filed under this category
+    const associatedProducts = await Product.countDocuments({ categories: categoryId });
+    if (associatedProducts > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete category because it is associated with products',
+      });
+    }
+
     // Check for subcategories
     const subcategories = await Category.find({ parent: categoryId });
     if (subcategories.length > 0) {
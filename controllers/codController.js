@@ -0,0 +1,325 @@
+// controllers/codController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const CodRemittance = require('../models/CodRemittance');
+const USER_ROLES = require('../constants/userRoles');
+const ORDER_STATUS = require('../constants/orderStatus');
+const { GATEWAYS, getEnabledGateways } = require('../services/gateways');
+const {
+  checkCodEligibility,
+  sendCodOtp,
+  verifyCodOtp,
+  confirmCodByPhone,
+  sendConversionLink,
+  findOrderByConversionToken,
+  startConversion,
+  recordRemittance,
+} = require('../services/codService');
+
+// Roles that may act on any cash on delivery order
+const COD_ADMINS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER, USER_ROLES.FINANCE_MANAGER];
+
+/**
+ * Client IP for gateways that want it with the payment request.
+ * @param {Object} req
+ * @returns {string}
+ */
+const clientIpOf = (req) =>
+  (req.headers['x-forwarded-for'] && req.headers['x-forwarded-for'].split(',')[0].trim()) ||
+  req.headers['x-real-ip'] ||
+  req.ip ||
+  '127.0.0.1';
+
+/**
+ * Load an order by ID for the signed-in customer (or a COD admin), with the
+ * customer's name and email, replying 400/403/404 when it cannot be used.
+ * @returns {Promise<Object|null>} - The order, or null once a response has been sent
+ */
+const findOwnOrder = async (req, res) => {
+  const { orderId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    res.status(400).json({ success: false, message: 'Invalid order ID.' });
+    return null;
+  }
+
+  const order = await Order.findById(orderId).populate('customer', 'name email');
+  if (!order) {
+    res.status(404).json({ success: false, message: 'Order not found.' });
+    return null;
+  }
+
+  if (!COD_ADMINS.includes(req.user.role) && String(order.customer._id) !== String(req.user._id)) {
+    res.status(403).json({ success: false, message: 'You are not authorized to access this order.' });
+    return null;
+  }
+  return order;
+};
+
+/**
+ * Cash on delivery fields safe to show the customer.
+ * @param {Object} order
+ * @returns {Object}
+ */
+const codSummary = (order) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  status: order.status,
+  paymentMethod: order.paymentMethod,
+  paymentStatus: order.paymentStatus,
+  amount: order.finalAmount,
+  verification: order.codDetails
+    ? {
+      status: order.codDetails.verification.status,
+      method: order.codDetails.verification.method,
+      verifiedAt: order.codDetails.verification.verifiedAt,
+    }
+    : null,
+});
+
+/**
+ * @desc    Check whether cash on delivery is offered for an order value and pincode
+ * @route   GET /api/cod/eligibility?amount=1499&zip=560001
+ * @access  Private
+ */
+exports.getEligibility = asyncHandler(async (req, res, next) => {
+  const { eligible, reasons, rules } = await checkCodEligibility({
+    customerId: req.user._id,
+    amount: req.query.amount,
+    shippingAddress: { zip: req.query.zip },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      eligible,
+      reasons,
+      minOrderValue: rules.minOrderValue,
+      maxOrderValue: rules.maxOrderValue,
+    },
+  });
+});
+
+/**
+ * @desc    Send (or resend) the code that confirms a cash on delivery order
+ * @route   POST /api/cod/orders/:orderId/otp
+ * @access  Private/Customer
+ */
+exports.sendOtp = asyncHandler(async (req, res, next) => {
+  const order = await findOwnOrder(req, res);
+  if (!order) return;
+
+  const { expiresAt } = await sendCodOtp(order);
+
+  res.status(200).json({
+    success: true,
+    data: { expiresAt },
+    message: 'A confirmation code has been sent to the phone number on the order.',
+  });
+});
+
+/**
+ * @desc    Confirm a cash on delivery order with the code the customer received
+ * @route   POST /api/cod/orders/:orderId/verify
+ * @access  Private/Customer
+ */
+exports.verifyOtp = asyncHandler(async (req, res, next) => {
+  const order = await findOwnOrder(req, res);
+  if (!order) return;
+
+  const updated = await verifyCodOtp(order, req.body.otp);
+
+  res.status(200).json({
+    success: true,
+    data: codSummary(updated),
+    message: 'Your order has been confirmed.',
+  });
+});
+
+/**
+ * @desc    Record that the customer confirmed a cash on delivery order on a call
+ * @route   POST /api/cod/orders/:orderId/confirm
+ * @access  Private/Admin/Order Manager
+ */
+exports.confirmByPhone = asyncHandler(async (req, res, next) => {
+  const order = await findOwnOrder(req, res);
+  if (!order) return;
+
+  const updated = await confirmCodByPhone(order, req.user, req.body.note);
+
+  res.status(200).json({
+    success: true,
+    data: codSummary(updated),
+    message: `Order ${order.orderNumber} confirmed by phone.`,
+  });
+});
+
+/**
+ * @desc    Send the customer a link to pay online instead of cash on delivery
+ * @route   POST /api/cod/orders/:orderId/conversion-link
+ * @access  Private/Customer/Admin
+ */
+exports.createConversionLink = asyncHandler(async (req, res, next) => {
+  const order = await findOwnOrder(req, res);
+  if (!order) return;
+
+  const { url, expiresAt } = await sendConversionLink(order);
+
+  res.status(201).json({
+    success: true,
+    data: { url, expiresAt },
+    message: 'A link to pay online has been sent to the customer.',
+  });
+});
+
+/**
+ * @desc    Show the order behind a pay-online link and the methods it can be paid with
+ * @route   GET /api/cod/convert/:token
+ * @access  Public
+ */
+exports.getConversion = asyncHandler(async (req, res, next) => {
+  const order = await findOrderByConversionToken(req.params.token);
+  const names = await getEnabledGateways(order.shippingAddress && order.shippingAddress.country);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orderNumber: order.orderNumber,
+      amount: order.finalAmount,
+      items: order.items.map((item) => ({ variant: item.variant, packaging: item.packaging, quantity: item.quantity })),
+      expiresAt: order.codDetails.conversion.expiresAt,
+      gateways: names.filter((name) => GATEWAYS[name].online),
+    },
+  });
+});
+
+/**
+ * @desc    Start an online payment for a cash on delivery order from its link
+ * @route   POST /api/cod/convert/:token
+ * @access  Public
+ */
+exports.startConversion = asyncHandler(async (req, res, next) => {
+  const { gateway, transaction, clientData } = await startConversion(req.params.token, {
+    paymentMethod: req.body.paymentMethod,
+    clientIp: clientIpOf(req),
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      gateway,
+      transactionId: transaction ? transaction._id : null,
+      clientData,
+    },
+    message: 'Payment started.',
+  });
+});
+
+/**
+ * @desc    Record a courier's cash on delivery remittance
+ * @route   POST /api/cod/remittances
+ * @access  Private/Admin/Finance Manager
+ */
+exports.createRemittance = asyncHandler(async (req, res, next) => {
+  const remittance = await recordRemittance(req.body, req.user);
+  const exceptions = remittance.totals.short + remittance.totals.unmatched + remittance.totals.duplicate;
+
+  res.status(201).json({
+    success: true,
+    data: remittance,
+    message: exceptions
+      ? `Remittance recorded with ${exceptions} exception(s).`
+      : 'Remittance recorded in full.',
+  });
+});
+
+/**
+ * @desc    List courier remittances
+ * @route   GET /api/cod/remittances
+ * @access  Private/Admin/Finance Manager
+ */
+exports.listRemittances = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.courier) filter.courier = req.query.courier;
+
+  const [remittances, total] = await Promise.all([
+    CodRemittance.find(filter)
+      .select('-lines')
+      .populate('recordedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    CodRemittance.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: remittances,
+    pagination: {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      itemsPerPage: limit,
+    },
+  });
+});
+
+/**
+ * @desc    Get a courier remittance with its lines
+ * @route   GET /api/cod/remittances/:id
+ * @access  Private/Admin/Finance Manager
+ */
+exports.getRemittance = asyncHandler(async (req, res, next) => {
+  const remittance = await CodRemittance.findById(req.params.id).populate('recordedBy', 'name email');
+  if (!remittance) {
+    return res.status(404).json({ success: false, message: 'Remittance not found.' });
+  }
+
+  res.status(200).json({ success: true, data: remittance });
+});
+
+/**
+ * @desc    List delivered cash on delivery orders whose cash has not been remitted in full
+ * @route   GET /api/cod/outstanding
+ * @access  Private/Admin/Finance Manager
+ */
+exports.listOutstanding = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {
+    paymentMethod: 'cod',
+    status: ORDER_STATUS.DELIVERED,
+    'codDetails.cashCollection.status': { $ne: 'collected' },
+  };
+
+  const [orders, total] = await Promise.all([
+    Order.find(filter)
+      .select('orderNumber customer finalAmount deliveryDate codDetails.cashCollection')
+      .populate('customer', 'name email')
+      .sort({ deliveryDate: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Order.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: orders,
+    pagination: {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      itemsPerPage: limit,
+    },
+  });
+});
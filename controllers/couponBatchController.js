@@ -0,0 +1,223 @@
+// controllers/couponBatchController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const { Parser } = require('json2csv');
+const Coupon = require('../models/Coupon');
+const CouponBatch = require('../models/CouponBatch');
+const CouponRedemption = require('../models/CouponRedemption');
+const { generateBatchCodes, getBatchReport } = require('../services/couponService');
+const MESSAGES = require('../messages/en');
+
+/**
+ * Load a batch by ID, replying 400/404 when it cannot be found.
+ * @returns {Promise<Object|null>} - The batch, or null once a response has been sent
+ */
+const findBatch = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: MESSAGES.COUPON_BATCH.INVALID_ID });
+    return null;
+  }
+
+  const batch = await CouponBatch.findById(id);
+  if (!batch) {
+    res.status(404).json({ success: false, message: MESSAGES.COUPON_BATCH.BATCH_NOT_FOUND });
+    return null;
+  }
+  return batch;
+};
+
+/**
+ * @desc    Generate a batch of single-use coupon codes
+ * @route   POST /api/coupon-batches
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.generateBatch = asyncHandler(async (req, res, next) => {
+  const {
+    name,
+    campaign,
+    prefix,
+    codeLength,
+    quantity,
+    discount,
+    discountType,
+    expirationDate,
+    applicableProducts,
+    applicableCategories,
+    minOrderValue,
+    firstOrderOnly,
+  } = req.body;
+
+  const batch = await CouponBatch.create({
+    name,
+    campaign,
+    prefix,
+    codeLength,
+    quantity,
+    discount,
+    discountType,
+    expirationDate,
+    applicableProducts,
+    applicableCategories,
+    minOrderValue,
+    firstOrderOnly,
+    createdBy: req.user._id,
+  });
+
+  await generateBatchCodes(batch);
+
+  res.status(201).json({
+    success: true,
+    data: batch,
+    message: MESSAGES.COUPON_BATCH.CREATE_SUCCESS,
+  });
+});
+
+/**
+ * @desc    List coupon batches
+ * @route   GET /api/coupon-batches
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.listBatches = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10, campaign, status } = req.query;
+
+  const query = {};
+  if (campaign) {
+    query.campaign = campaign;
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  const batches = await CouponBatch.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10));
+
+  const count = await CouponBatch.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: batches,
+    count,
+    message: MESSAGES.COUPON_BATCH.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Get a single coupon batch
+ * @route   GET /api/coupon-batches/:id
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.getBatch = asyncHandler(async (req, res, next) => {
+  const batch = await findBatch(req, res);
+  if (!batch) return;
+
+  await batch.populate('createdBy', 'name email');
+
+  res.status(200).json({
+    success: true,
+    data: batch,
+    message: MESSAGES.COUPON_BATCH.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Export a batch's codes as CSV
+ * @route   GET /api/coupon-batches/:id/export
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.exportBatch = asyncHandler(async (req, res, next) => {
+  const batch = await findBatch(req, res);
+  if (!batch) return;
+
+  const coupons = await Coupon.find({ batch: batch._id })
+    .select('code isActive usedCount expirationDate')
+    .sort({ code: 1 })
+    .lean();
+
+  // Attach the order that used each code, if any
+  const redemptions = await CouponRedemption.find({
+    coupon: { $in: coupons.map((c) => c._id) },
+    status: { $in: ['pending', 'redeemed'] },
+  })
+    .select('coupon orderNumber status')
+    .lean();
+  const redemptionByCoupon = new Map(redemptions.map((r) => [String(r.coupon), r]));
+
+  const rows = coupons.map((coupon) => {
+    const redemption = redemptionByCoupon.get(String(coupon._id));
+    return {
+      code: coupon.code,
+      isActive: coupon.isActive,
+      usedCount: coupon.usedCount,
+      expirationDate: coupon.expirationDate.toISOString(),
+      redemptionStatus: redemption ? redemption.status : '',
+      orderNumber: redemption ? redemption.orderNumber : '',
+    };
+  });
+
+  const fields = ['code', 'isActive', 'usedCount', 'expirationDate', 'redemptionStatus', 'orderNumber'];
+  const csv = new Parser({ fields }).parse(rows);
+
+  const fileName = `coupon-batch-${batch.prefix || batch._id}-${Date.now()}.csv`;
+  res.header('Content-Type', 'text/csv');
+  res.attachment(fileName);
+  return res.send(csv);
+});
+
+/**
+ * @desc    Deactivate every code in a batch
+ * @route   POST /api/coupon-batches/:id/deactivate
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.deactivateBatch = asyncHandler(async (req, res, next) => {
+  const batch = await findBatch(req, res);
+  if (!batch) return;
+
+  if (batch.status === 'deactivated') {
+    return res.status(400).json({ success: false, message: MESSAGES.COUPON_BATCH.ALREADY_INACTIVE });
+  }
+
+  const result = await Coupon.updateMany({ batch: batch._id, isActive: true }, { $set: { isActive: false } });
+
+  batch.status = 'deactivated';
+  batch.deactivatedAt = new Date();
+  await batch.save();
+
+  res.status(200).json({
+    success: true,
+    data: { batch, deactivatedCodes: result.modifiedCount },
+    message: MESSAGES.COUPON_BATCH.DEACTIVATE_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Redemption report for a batch, built from orders
+ * @route   GET /api/coupon-batches/:id/report
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.getBatchReport = asyncHandler(async (req, res, next) => {
+  const batch = await findBatch(req, res);
+  if (!batch) return;
+
+  const report = await getBatchReport(batch);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      batch: {
+        _id: batch._id,
+        name: batch.name,
+        campaign: batch.campaign,
+        status: batch.status,
+        quantity: batch.quantity,
+      },
+      ...report,
+    },
+    message: MESSAGES.COUPON_BATCH.REPORT_SUCCESS,
+  });
+});
@@ -3,6 +3,9 @@
 const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const Coupon = require('../models/Coupon');
+const Cart = require('../models/Cart');
+const CouponRedemption = require('../models/CouponRedemption');
+const { buildQuote } = require('../services/pricingService');
 const MESSAGES = require('../messages/en');
 
 /**
@@ -90,7 +93,19 @@ exports.getCouponById = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin/Marketing Manager
  */
 exports.createCoupon = asyncHandler(async (req, res, next) => {
-  const { code, discount, discountType, expirationDate, maxUses, isActive } = req.body;
+  const {
+    code,
+    discount,
+    discountType,
+    expirationDate,
+    maxUses,
+    isActive,
+    applicableProducts,
+    applicableCategories,
+    minOrderValue,
+    maxUsesPerCustomer,
+    firstOrderOnly,
+  } = req.body;
 
   try {
     const coupon = await Coupon.create({
@@ -100,6 +115,11 @@ exports.createCoupon = asyncHandler(async (req, res, next) => {
       expirationDate,
       maxUses,
       isActive,
+      applicableProducts,
+      applicableCategories,
+      minOrderValue,
+      maxUsesPerCustomer,
+      firstOrderOnly,
     });
 
     res.status(201).json({
@@ -122,7 +142,19 @@ exports.createCoupon = asyncHandler(async (req, res, next) => {
  */
 exports.updateCoupon = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const { code, discount, discountType, expirationDate, maxUses, isActive } = req.body;
+  const {
+    code,
+    discount,
+    discountType,
+    expirationDate,
+    maxUses,
+    isActive,
+    applicableProducts,
+    applicableCategories,
+    minOrderValue,
+    maxUsesPerCustomer,
+    firstOrderOnly,
+  } = req.body;
 
   // Validate ObjectId
   if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -143,6 +175,11 @@ exports.updateCoupon = asyncHandler(async (req, res, next) => {
     if (expirationDate !== undefined) coupon.expirationDate = expirationDate;
     if (maxUses !== undefined) coupon.maxUses = maxUses;
     if (isActive !== undefined) coupon.isActive = isActive;
+    if (applicableProducts !== undefined) coupon.applicableProducts = applicableProducts;
+    if (applicableCategories !== undefined) coupon.applicableCategories = applicableCategories;
+    if (minOrderValue !== undefined) coupon.minOrderValue = minOrderValue;
+    if (maxUsesPerCustomer !== undefined) coupon.maxUsesPerCustomer = maxUsesPerCustomer;
+    if (firstOrderOnly !== undefined) coupon.firstOrderOnly = firstOrderOnly;
 
     await coupon.save();
 
@@ -252,12 +289,12 @@ exports.activateCoupon = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Apply a coupon to an order
+ * @desc    Preview a coupon against the cart (or the items supplied)
  * @route   POST /api/coupons/apply
- * @access  Public
+ * @access  Private
  */
 exports.applyCoupon = asyncHandler(async (req, res, next) => {
-  const { code, orderTotal } = req.body;
+  const { code, items, shippingAddress } = req.body;
 
   // Find the coupon
   const coupon = await Coupon.findOne({ code: code.toUpperCase() });
@@ -279,23 +316,81 @@ exports.applyCoupon = asyncHandler(async (req, res, next) => {
     return res.status(400).json({ success: false, message: MESSAGES.Coupon.APPLY_FAILED });
   }
 
-  // Calculate discount
-  let discountAmount = 0;
-  if (coupon.discountType === 'percentage') {
-    discountAmount = (coupon.discount / 100) * orderTotal;
-  } else if (coupon.discountType === 'fixed') {
-    discountAmount = coupon.discount;
+  // Price with the shared engine so the preview matches what checkout charges.
+  // Usage is only counted when an order is placed, not on preview.
+  let quoteItems = items;
+  if (!quoteItems || quoteItems.length === 0) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    quoteItems = cart ? cart.items : [];
   }
 
-  discountAmount = Math.min(discountAmount, orderTotal); // Ensure discount does not exceed order total
+  if (quoteItems.length === 0) {
+    return res.status(400).json({ success: false, message: 'Add items to your cart before applying a coupon.' });
+  }
 
-  // Increment usedCount
-  coupon.usedCount += 1;
-  await coupon.save();
+  let quote;
+  try {
+    quote = await buildQuote({ items: quoteItems, couponCode: coupon.code, customerId: req.user._id, shippingAddress });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  }
 
   res.status(200).json({
     success: true,
-    discount: discountAmount,
+    discount: quote.totals.couponDiscountINR,
+    data: quote,
     message: MESSAGES.Coupon.APPLY_SUCCESS,
   });
 });
+
+/**
+ * @desc    Get the redemption ledger for a coupon
+ * @route   GET /api/coupons/:id/redemptions
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.getCouponRedemptions = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { status, page = 1, limit = 20 } = req.query;
+
+  // Validate ObjectId
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: MESSAGES.Coupon.INVALID_ID });
+  }
+
+  const coupon = await Coupon.findById(id);
+  if (!coupon) {
+    return res.status(404).json({ success: false, message: MESSAGES.Coupon.Coupon_NOT_FOUND });
+  }
+
+  const filter = { coupon: coupon._id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+  const [redemptions, total, summary] = await Promise.all([
+    CouponRedemption.find(filter)
+      .populate('customer', 'name email')
+      .populate('order', 'orderNumber status paymentStatus finalAmount')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit, 10)),
+    CouponRedemption.countDocuments(filter),
+    CouponRedemption.aggregate([
+      { $match: { coupon: coupon._id } },
+      { $group: { _id: '$status', count: { $sum: 1 }, discountINR: { $sum: '$discountINR' } } },
+    ]),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: redemptions,
+    summary,
+    pagination: {
+      total,
+      page: parseInt(page, 10),
+      pages: Math.ceil(total / parseInt(limit, 10)),
+    },
+    message: MESSAGES.Coupon.FETCH_SUCCESS,
+  });
+});
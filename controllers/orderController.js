@@ -3,20 +3,30 @@
 const mongoose = require('mongoose'); // Added for ObjectId validation
 const Order = require('../models/Order');
 const Product = require('../models/Product');
-const Coupon = require('../models/Coupon');
 const Transaction = require('../models/Transaction');
 const logger = require('../utils/logger');
+const ErrorResponse = require('../utils/errorResponse');
 const MESSAGES = require('../messages/en'); // Ensure this path is correct
 const ERROR_CODES = require('../constants/errorCodes');
 const asyncHandler = require('express-async-handler');
 const { processPayment } = require('../services/paymentService');
+const { assertGatewayEnabled } = require('../services/gateways');
 const { setCache, getCache, deleteCache } = require('../services/redisService');
 const crypto = require('crypto');
 const { sendEmail } = require('../services/emailService'); // Correctly destructure the sendEmail function
 const Joi = require('joi'); // **Added Import for Joi**
-const currencyUtils = require('../utils/currencyUtils'); // Update imports to include currency utilities
+const { orderRate } = require('../services/fxRateService');
 const Refund = require('../models/Refund');
 const ReturnRequest = require('../models/ReturnRequest');
+const { reserveStock, hasReservations, releaseReservations } = require('../services/inventoryService');
+const { buildQuote, toOrderItems } = require('../services/pricingService');
+const { recordRedemption, releaseRedemption } = require('../services/couponService');
+const { issueInvoice, renderInvoice, invoiceFileName } = require('../services/invoiceService');
+const { hasBeenPaid, createRefund, getRefundSummary, settleRefund, refreshRefund } = require('../services/refundService');
+const { openReturn } = require('../services/returnService');
+const Invoice = require('../models/Invoice');
+const { actorFromUser, assertTransition, getAllowedTransitions, transitionOrder, changeOrderStatus } = require('../services/orderLifecycleService');
+const { assertCodEligible, sendCodOtp } = require('../services/codService');
 
 // Encryption key for sensitive data
 const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'defaultEncryptionKey123456'; // Replace with a secure key in production
@@ -52,108 +62,112 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     return res.status(400).json({ success: false, message: 'No items provided for the order.' });
   }
 
-  // Constants
-  const USD_TO_INR_RATE = 83;
-  const SHIPPING_FEE = 100;
-
-  // Create order items and calculate USD total
-  const orderItems = [];
-  let totalUSD = 0;
-
-  for (const item of items) {
-    const product = await Product.findById(item.product);
-    if (!product) {
-      continue;
-    }
-    
-    const variant = product.variants.find(
-      (v) => v.size.toLowerCase() === item.variant.toLowerCase()
-    );
-    
-    if (!variant) {
-      continue;
-    }
-
-    // Store the USD price
-    const priceUSD = variant.price;
-    totalUSD += priceUSD * item.quantity;
-    
-    orderItems.push({
-      product: item.product,
-      quantity: item.quantity,
-      price: priceUSD,
-      variant: item.variant,
-      packaging: item.packaging,
-    });
+  // Price the order with the shared engine so the customer is charged exactly
+  // what the cart quote showed
+  let quote;
+  try {
+    quote = await buildQuote({ items, couponCode, customerId: req.user._id, shippingAddress });
+  } catch (quoteError) {
+    logger.warn(`Order pricing failed: ${quoteError.message}`);
+    return res.status(quoteError.statusCode || 500).json({ success: false, message: quoteError.message });
   }
 
-  // Convert USD total to INR
-  let totalINR = totalUSD * USD_TO_INR_RATE;
-  let discountUSD = 0;
-  let discountINR = 0;
-  let finalAmount = totalINR;
+  const orderItems = toOrderItems(quote);
+  const USD_TO_INR_RATE = quote.exchangeRate.rate;
 
-  // Apply coupon if provided
-  if (couponCode) {
-    const coupon = await Coupon.findOne({ code: couponCode, isActive: true });
+  // Create order number
+  const orderNumber = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+  const orderId = new mongoose.Types.ObjectId();
 
-    if (!coupon) {
-      logger.warn(`Invalid or inactive coupon code: ${couponCode}`);
-      return res.status(400).json({ success: false, message: 'Invalid or inactive coupon code.' });
-    }
+  // Only gateways offered for the delivery region can be used
+  const gateway = await assertGatewayEnabled(
+    paymentMethod.toLowerCase() === 'cash_on_delivery' ? 'cod' : paymentMethod,
+    shippingAddress && shippingAddress.country
+  );
+  const awaitsOnlinePayment = gateway.online;
 
-    // Validate coupon usage
-    const couponValidation = await Coupon.canApplyCoupon(coupon);
-    if (!couponValidation.success) {
-      logger.warn(`Coupon validation failed: ${couponValidation.message}`);
-      return res.status(400).json({ success: false, message: couponValidation.message });
+  // Cash on delivery is limited by order value, pincode and open COD orders
+  if (gateway.name === 'cod') {
+    try {
+      await assertCodEligible({ customerId: req.user._id, amount: quote.totals.totalINR, shippingAddress });
+    } catch (codError) {
+      return res.status(codError.statusCode || 500).json({ success: false, message: codError.message });
     }
+  }
 
-    // Calculate discount in USD
-    discountUSD = coupon.discountType === 'percentage'
-      ? (totalUSD * (coupon.discount / 100))
-      : coupon.discount;
+  // Reserve stock before the order exists. Online payments get a time-limited
+  // hold that lapses if the customer never completes checkout.
+  try {
+    await reserveStock({ _id: orderId, orderNumber }, orderItems, { expires: awaitsOnlinePayment });
+  } catch (stockError) {
+    logger.warn(`Stock reservation failed for order ${orderNumber}: ${stockError.message}`);
+    return res.status(stockError.statusCode || 500).json({ success: false, message: stockError.message });
+  }
 
-    // Convert discount to INR
-    discountINR = discountUSD * USD_TO_INR_RATE;
+  // The coupon use is held against the order and only counts once it is paid.
+  // Claiming it can fail if another checkout took the last use meanwhile.
+  if (quote.coupon) {
+    try {
+      await recordRedemption({ _id: orderId, orderNumber, customer: req.user._id }, quote.coupon, quote.totals);
+    } catch (couponError) {
+      await releaseReservations(orderId, 'Coupon could not be claimed');
+      logger.warn(`Coupon claim failed for order ${orderNumber}: ${couponError.message}`);
+      return res.status(couponError.statusCode || 500).json({ success: false, message: couponError.message });
+    }
+  }
 
-    // Apply discount to total
-    finalAmount = totalINR - discountINR;
+  // Create the order
+  let order;
+  try {
+    order = await Order.create({
+      _id: orderId,
+      orderNumber,
+      customer: req.user._id,
+      phone: phone || shippingAddress.phone,
+      items: orderItems,
+      totalAmountUSD: quote.totals.subtotalUSD,
+      totalAmountINR: quote.totals.subtotalINR,
+      exchangeRate: quote.exchangeRate,
+      discountUSD: quote.totals.discountUSD,
+      discountINR: quote.totals.discountINR,
+      shippingFee: quote.totals.shippingINR,
+      taxAmount: quote.totals.taxINR,
+      taxScheme: quote.tax.scheme,
+      taxBreakdown: quote.tax.breakdown,
+      finalAmount: quote.totals.totalINR,
+      paymentMethod: gateway.name,
+      shippingAddress,
+      billingAddress,
+      status: 'pending',
+      statusHistory: [{ from: null, to: 'pending', actor: actorFromUser(req.user), reason: 'Order placed' }],
+      paymentStatus: 'pending',
+      couponCode: quote.coupon ? quote.coupon.code : null,
+      ...(gateway.name === 'cod' && { codDetails: {} }),
+    });
+  } catch (createError) {
+    await releaseReservations(orderId, 'Order creation failed');
+    await releaseRedemption(orderId, 'Order creation failed');
+    throw createError;
+  }
 
-    // Update coupon usage
-    coupon.usedCount += 1;
-    if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
-      coupon.isActive = false;
+  // Cash on delivery has nothing to collect online; record the pending payment
+  if (!awaitsOnlinePayment) {
+    try {
+      await processPayment(order);
+    } catch (paymentError) {
+      logger.error(`Failed to record ${gateway.name} payment for order ${order.orderNumber}: ${paymentError.message}`);
     }
-    await coupon.save();
   }
 
-  // Add shipping fee
-  finalAmount += SHIPPING_FEE;
+  // The customer confirms a cash on delivery order with a code sent to their phone
+  if (gateway.name === 'cod') {
+    try {
+      await sendCodOtp(order);
+    } catch (otpError) {
+      logger.error(`Failed to send COD code for order ${order.orderNumber}: ${otpError.message}`);
+    }
+  }
 
-  // Create order number
-  const orderNumber = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-  
-  // Create the order
-  const order = await Order.create({
-    orderNumber,
-    customer: req.user._id,
-    phone: phone || shippingAddress.phone,
-    items: orderItems,
-    totalAmountUSD: totalUSD,
-    totalAmountINR: totalINR,
-    discountUSD: discountUSD,
-    discountINR: discountINR,
-    shippingFee: SHIPPING_FEE,
-    finalAmount: finalAmount,
-    paymentMethod,
-    shippingAddress,
-    billingAddress,
-    status: 'pending',
-    paymentStatus: ['cod', 'cash_on_delivery'].includes(paymentMethod.toLowerCase()) ? 'pending' : 'paid',
-    couponCode: couponCode || null,
-  });
-  
   // Populate product details for the email
   const populatedItems = [];
   for (const item of order.items) {
@@ -164,33 +178,6 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     });
   }
   
-  // Reduce stock for each product variant
-  try {
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      
-      // Find the variant and reduce its stock
-      const variantIndex = product.variants.findIndex(
-        (v) => v.size.toLowerCase() === item.variant.toLowerCase()
-      );
-      
-      if (variantIndex !== -1) {
-        // Reduce the stock by the ordered quantity
-        product.variants[variantIndex].stock -= item.quantity;
-        
-        // Log stock reduction
-        logger.info(`Stock reduced for product ${product.title}, variant ${item.variant} by ${item.quantity} units. New stock: ${product.variants[variantIndex].stock}`);
-        
-        // Save the updated product
-        await product.save();
-      }
-    }
-  } catch (error) {
-    logger.error(`Error reducing stock: ${error.message}`);
-    // Note: We don't want to fail the order creation if stock reduction fails
-    // In a production environment, you might want to implement a retry mechanism or queue
-  }
-
   // Send Order Confirmation Email
   try {
     const emailHtml = `
@@ -354,6 +341,18 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
               <span>₹${(order.totalAmountINR - order.discountINR).toFixed(2)}</span>
             </div>
             ` : ''}
+            ${order.taxBreakdown.map(tax => `
+            <div class="price-item">
+              <span>${tax.name} @ ${tax.rate}%:</span>
+              <span>₹${tax.amountINR.toFixed(2)}</span>
+            </div>
+            `).join('')}
+            ${order.taxAmount > 0 ? `
+            <div class="price-item">
+              <span>Total Tax:</span>
+              <span>₹${order.taxAmount.toFixed(2)}</span>
+            </div>
+            ` : ''}
             <div class="price-item">
               <span>Shipping Fee:</span>
               <span>₹${order.shippingFee.toFixed(2)}</span>
@@ -375,6 +374,7 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     </html>
     `;
 
+    // Online payments are invoiced once the gateway confirms them
     await sendEmail({
       email: req.user.email,
       subject: 'Your Order Confirmation - 10X Formulas',
@@ -388,11 +388,9 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     // Continue without failing the order creation
   }
 
-  // For 'cod' payments, no immediate stock deduction or processing is done
-  // Payment status remains 'pending' until the admin accepts the order
-
-  // For online payments, payment is still 'paid' if not 'cod' or 'cash_on_delivery'
-  // You might want to integrate payment verification based on your payment gateway
+  // For 'cod' payments the stock stays held until the admin accepts the order.
+  // For online gateways the hold is committed once the gateway confirms
+  // payment, and released if the payment fails or the hold expires.
 
   // Invalidate cache if necessary
   await deleteCache(`orders_${req.user._id}`);
@@ -434,53 +432,9 @@ exports.acceptOrder = asyncHandler(async (req, res, next) => {
     });
   }
 
-  if (order.status !== 'pending') {
-    logger.warn(`Attempted to accept order ${order._id} with status ${order.status}.`);
-    return res.status(400).json({
-      success: false,
-      message: `Only orders with 'pending' status can be accepted.`,
-    });
-  }
-
-  // Update status to 'processing'
-  order.status = 'processing';
-  order.updatedAt = Date.now();
-
-  // Deduct stock
-  try {
-    await Promise.all(
-      order.items.map(async (item) => {
-        const product = await Product.findById(item.product._id);
-        if (!product) {
-          throw new Error(`Product with ID ${item.product._id} not found.`);
-        }
-
-        if (!product.variants || !Array.isArray(product.variants)) {
-          throw new Error(`Product ${product.title} has invalid variants.`);
-        }
-
-        const variant = product.variants.find(v => v.size.toLowerCase() === item.variant.toLowerCase());
-        if (!variant) {
-          throw new Error(`Variant ${item.variant} not found for product ${product.title}.`);
-        }
-
-        if (variant.stock < item.quantity) {
-          throw new Error(`Insufficient stock for product ${product.title}, variant ${item.variant}.`);
-        }
-
-        variant.stock -= item.quantity;
-        await product.save();
-      })
-    );
-  } catch (stockError) {
-    logger.error(`Stock Deduction Error for Order ID ${order._id}: ${stockError.message}`);
-    return res.status(400).json({
-      success: false,
-      message: stockError.message || 'Error deducting stock.',
-    });
-  }
-
-  await order.save();
+  // Move to 'processing' and commit the order's stock; rejects anything
+  // that is not pending or whose stock has gone
+  await changeOrderStatus(order, 'processing', { actor: actorFromUser(req.user), reason: 'Order accepted' });
 
   // Invalidate cache
   await deleteCache(`orders_${order.customer._id}`);
@@ -707,7 +661,7 @@ exports.acceptOrder = asyncHandler(async (req, res, next) => {
  */
 exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, reason } = req.body;
 
   // Validate the order ID
   if (!isValidObjectId(id)) {
@@ -731,40 +685,23 @@ exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
     });
   }
 
-  if (order.status !== 'pending') {
-    logger.warn(`Attempted to accept order ${order._id} with status ${order.status}.`);
+  // Cancelling and refunding also release stock and move money, so they
+  // have their own endpoints
+  if (['cancelled', 'refunded'].includes(status)) {
     return res.status(400).json({
       success: false,
-      message: `Only orders with 'pending' status can be accepted.`,
+      message: `Use the ${status === 'cancelled' ? 'cancel' : 'refund'} endpoint to mark an order as ${status}.`,
     });
   }
 
-  // Define allowed status transitions (Extended to include additional transitions)
-  const allowedTransitions = {
-    pending: ['processing', 'shipped', 'delivered', 'cancelled'],
-    processing: ['shipped', 'delivered', 'cancelled'],
-    shipped: ['delivered', 'refunded'],
-    delivered: ['refunded'],
-    cancelled: [],
-    refunded: [],
-  };
-
-  if (!allowedTransitions[order.status].includes(status)) {
-    logger.warn(`Invalid status transition from ${order.status} to ${status} for Order ID ${id}.`);
-    return res.status(400).json({ success: false, message: 'Invalid status transition.' });
-  }
-
-  // Update the order status
-  order.status = status;
+  // Update the order status with its stock, date and coupon changes;
+  // illegal transitions are rejected here
+  await changeOrderStatus(order, status, { actor: actorFromUser(req.user), reason });
 
   // Handle specific status changes
   if (status === 'shipped') {
-    // Set shipping date
-    order.shippingDate = Date.now();
     logger.info(`Order ID ${order._id} marked as shipped.`);
   } else if (status === 'delivered') {
-    // Set delivery date
-    order.deliveryDate = Date.now();
     logger.info(`Order ID ${order._id} marked as delivered.`);
 
     // Send Order Delivered Email
@@ -975,8 +912,6 @@ exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
     }
   }
 
-  await order.save();
-
   // Invalidate cache
   await deleteCache(`orders_${order.customer._id}`);
   await deleteCache('all_orders');
@@ -1018,15 +953,14 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
     });
   }
 
-  if (order.status === 'cancelled' || order.status === 'refunded') {
-    return res.status(400).json({
-      success: false,
-      message: 'Order is already cancelled or refunded.',
-    });
-  }
+  // Check the order may be cancelled before touching stock
+  assertTransition(order, 'cancelled', actorFromUser(req.user));
 
-  // If the order is in 'processing' or beyond, restore stock
-  if (['processing', 'shipped', 'delivered'].includes(order.status)) {
+  // Return reserved stock to the shelf. Orders placed before reservations
+  // existed only had stock deducted once they reached 'processing'.
+  if (await hasReservations(order._id)) {
+    await releaseReservations(order._id, `Order cancelled: ${reason || 'No reason provided.'}`);
+  } else if (['processing', 'shipped', 'delivered'].includes(order.status)) {
     try {
       await Promise.all(
         order.items.map(async (item) => {
@@ -1039,7 +973,7 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
             throw new Error(`Product ${product.title} has invalid variants.`);
           }
 
-          const variant = product.variants.find(v => v.size.toLowerCase() === item.variant.toLowerCase());
+          const variant = product.findVariant(item);
           if (!variant) {
             throw new Error(`Variant ${item.variant} not found for product ${product.title}.`);
           }
@@ -1061,13 +995,25 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
     }
   }
 
-  order.status = 'cancelled';
-  order.paymentStatus = 'refunded'; // Assuming full refund
+  transitionOrder(order, 'cancelled', { actor: actorFromUser(req.user), reason: reason || 'No reason provided.' });
   order.cancellationReason = reason || 'No reason provided.';
   order.updatedAt = Date.now();
 
   await order.save();
 
+  // A cancelled order no longer uses up the coupon
+  await releaseRedemption(order._id, 'Order cancelled');
+
+  // Give the money back for orders already paid online. Manual payouts need
+  // the customer's bank or UPI details, so those are raised separately.
+  if (hasBeenPaid(order)) {
+    try {
+      await createRefund(order, { reason: `Order cancelled: ${order.cancellationReason}`, actor: actorFromUser(req.user) });
+    } catch (refundError) {
+      logger.error(`Failed to refund cancelled order ${order.orderNumber}: ${refundError.message}`);
+    }
+  }
+
   // Invalidate cache
   await deleteCache(`orders_${order.customer._id}`);
   await deleteCache('all_orders');
@@ -1258,16 +1204,17 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin/Order Manager/Analytics Viewer
  */
 exports.getAllOrders = asyncHandler(async (req, res, next) => {
-  const { status, dateFrom, dateTo, customer, page = 1, limit = 10 } = req.query;
+  const { status, dateFrom, dateTo, customer, needsReview, page = 1, limit = 10 } = req.query;
   let filter = {};
 
-  // USD to INR conversion rate
-  const USD_TO_INR_RATE = 83;
-
   if (status) {
     filter.status = status;
   }
 
+  if (needsReview === 'true') {
+    filter.paymentReviewReason = { $ne: null };
+  }
+
   if (customer) {
     if (isValidObjectId(customer)) {
       filter.customer = customer;
@@ -1299,9 +1246,10 @@ exports.getAllOrders = asyncHandler(async (req, res, next) => {
       const orderObj = order.toObject({ virtuals: true });
       
       // Calculate total from items and convert to INR
+      const rate = orderRate(order);
       const itemsTotal = order.items.reduce((sum, item) => {
-        // Convert each item's price from USD to INR
-        const priceInINR = Number(item.price) * USD_TO_INR_RATE;
+        // Convert each item's price from USD to INR at the order's own rate
+        const priceInINR = Number(item.price) * rate;
         return sum + (priceInINR * Number(item.quantity));
       }, 0);
       
@@ -1416,6 +1364,9 @@ exports.getOrderById = asyncHandler(async (req, res, next) => {
   // Calculate final amount after discount and shipping
   orderObj.finalAmount = order.finalAmount || (order.totalAmountINR - (order.discountINR || 0) + (order.shippingFee || 0));
 
+  // Statuses the requesting user may move this order to
+  orderObj.allowedTransitions = getAllowedTransitions(order, actorFromUser(req.user));
+
   res.status(200).json({
     success: true,
     data: orderObj,
@@ -1423,6 +1374,97 @@ exports.getOrderById = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * Load an order the current user may see, replying 404/403 otherwise.
+ * @returns {Promise<Object|null>} - The order, or null once a response has been sent
+ */
+const findAccessibleOrder = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404).json({ success: false, message: MESSAGES.ORDER.ORDER_NOT_FOUND || 'Order not found.' });
+    return null;
+  }
+
+  if (req.user.role === 'user' && order.customer.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: MESSAGES.GENERAL.UNAUTHORIZED || 'You are not authorized to access this order.',
+    });
+    return null;
+  }
+  return order;
+};
+
+/**
+ * @desc    Download the tax invoice for an order as a PDF
+ * @route   GET /api/orders/:id/invoice
+ * @access  Private (owner or admin)
+ */
+exports.getOrderInvoice = asyncHandler(async (req, res, next) => {
+  const order = await findAccessibleOrder(req, res);
+  if (!order) return;
+
+  // Issued on demand for paid orders that have not been invoiced yet
+  let invoice;
+  try {
+    invoice = await issueInvoice(order);
+  } catch (invoiceError) {
+    return res.status(invoiceError.statusCode || 500).json({ success: false, message: invoiceError.message });
+  }
+
+  const pdf = await renderInvoice(invoice);
+
+  res.header('Content-Type', 'application/pdf');
+  res.attachment(invoiceFileName(invoice));
+  return res.send(pdf);
+});
+
+/**
+ * @desc    List the credit notes issued against an order
+ * @route   GET /api/orders/:id/credit-notes
+ * @access  Private (owner or admin)
+ */
+exports.getOrderCreditNotes = asyncHandler(async (req, res, next) => {
+  const order = await findAccessibleOrder(req, res);
+  if (!order) return;
+
+  const creditNotes = await Invoice.find({ order: order._id, type: 'credit_note' })
+    .select('number issuedAt reason taxableINR taxINR totalINR refund')
+    .sort({ sequence: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: creditNotes,
+    message: 'Credit notes fetched successfully.',
+  });
+});
+
+/**
+ * @desc    Download a credit note as a PDF
+ * @route   GET /api/orders/:id/credit-notes/:creditNoteId
+ * @access  Private (owner or admin)
+ */
+exports.getOrderCreditNote = asyncHandler(async (req, res, next) => {
+  const order = await findAccessibleOrder(req, res);
+  if (!order) return;
+
+  const creditNote = await Invoice.findOne({
+    _id: req.params.creditNoteId,
+    order: order._id,
+    type: 'credit_note',
+  });
+  if (!creditNote) {
+    return res.status(404).json({ success: false, message: 'Credit note not found.' });
+  }
+
+  const pdf = await renderInvoice(creditNote);
+
+  res.header('Content-Type', 'application/pdf');
+  res.attachment(invoiceFileName(creditNote));
+  return res.send(pdf);
+});
+
 // src/controllers/orderController.js
 
 /**
@@ -1990,20 +2032,31 @@ exports.updateTracking = asyncHandler(async (req, res, next) => {
  */
 exports.returnOrder = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const { items, reason } = req.body;
+  const { items, returnMethod, pickupAddress, notes } = req.body;
 
   // Validate input using Joi
   const schema = Joi.object({
     items: Joi.array().items(
       Joi.object({
         productId: Joi.string().required(),
-        quantity: Joi.number().positive().required(),
+        variant: Joi.string().optional(),
+        quantity: Joi.number().integer().positive().required(),
+        reason: Joi.string().max(500).required(),
+        condition: Joi.string().valid('unopened', 'opened', 'damaged', 'defective').required(),
       })
     ).min(1).required(),
-    reason: Joi.string().max(500).optional(),
+    returnMethod: Joi.string().valid('pickup', 'dropoff').required(),
+    pickupAddress: Joi.object({
+      street: Joi.string().required(),
+      city: Joi.string().required(),
+      state: Joi.string().required(),
+      zipCode: Joi.string().required(),
+      country: Joi.string().required(),
+    }).optional(),
+    notes: Joi.string().max(1000).optional(),
   });
 
-  const { error } = schema.validate({ items, reason });
+  const { error } = schema.validate({ items, returnMethod, pickupAddress, notes });
   if (error) {
     return res.status(400).json({ success: false, message: error.details[0].message });
   }
@@ -2014,94 +2067,20 @@ exports.returnOrder = asyncHandler(async (req, res, next) => {
     return res.status(400).json({ success: false, message: 'Invalid order ID.' });
   }
 
-  const order = await Order.findById(id)
-    .populate('customer', 'name email')
-    .populate('items.product', 'title price');
+  const order = await Order.findById(id).populate('customer', 'name email');
 
   if (!order) {
     logger.warn(`Order with ID ${id} not found for return.`);
     return res.status(404).json({ success: false, message: 'Order not found.' });
   }
 
-  // Check if the order is eligible for return
-  if (!['delivered'].includes(order.status)) {
-    return res.status(400).json({ success: false, message: 'Only delivered orders can be returned.' });
-  }
-
-  // Check if the return request is within the return window (e.g., 30 days)
-  const returnWindowDays = 30;
-  const orderDate = new Date(order.createdAt);
-  const currentDate = new Date();
-  const diffTime = Math.abs(currentDate - orderDate);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  if (diffDays > returnWindowDays) {
-    return res.status(400).json({ success: false, message: `Return window of ${returnWindowDays} days has expired.` });
-  }
-
-  // Validate that the items being returned are part of the order
-  for (const returnItem of items) {
-    const orderedItem = order.items.find(
-      (item) => String(item.product._id) === String(returnItem.productId)
-    );
-    if (!orderedItem) {
-      return res.status(400).json({ success: false, message: `Product with ID ${returnItem.productId} is not part of this order.` });
-    }
-    if (returnItem.quantity > orderedItem.quantity - (orderedItem.returned || 0)) {
-      return res.status(400).json({ success: false, message: `Return quantity for product ${orderedItem.product.title} exceeds the purchased quantity.` });
-    }
-  }
-
-  // Create a return request (Assuming you have a Return model)
-  const returnRequest = await ReturnRequest.create({
-    order: order._id,
-    customer: order.customer._id,
+  const returnRequest = await openReturn(order, req.user, {
     items,
-    reason: reason || 'No reason provided.',
-    status: 'pending',
-    requestedAt: new Date(),
+    returnMethod,
+    pickupAddress,
+    customerNotes: notes,
   });
 
-  // Notify Admins about the return request (Assuming you have a way to get admin emails)
-  try {
-    const adminEmails = await getAdminEmails(); // Implement this function based on your admin setup
-
-    const emailHtml = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <title>Return Request</title>
-      <style>
-        /* Add your email styles here */
-      </style>
-    </head>
-    <body>
-      <p>Hi Admin,</p>
-      <p>A customer has requested a return for order <strong>${order.orderNumber}</strong>.</p>
-      <p><strong>Customer:</strong> ${order.customer.name} (${order.customer.email})</p>
-      <p><strong>Items to Return:</strong></p>
-      <ul>
-        ${items.map(item => `<li>Product ID: ${item.productId}, Quantity: ${item.quantity}</li>`).join('')}
-      </ul>
-      <p><strong>Reason:</strong> ${reason || 'No reason provided.'}</p>
-      <p>Please review the return request.</p>
-    </body>
-    </html>
-    `;
-
-    await sendEmail({
-      email: adminEmails,
-      subject: 'New Return Request - 10X Formulas',
-      message: `A new return request has been submitted for order ${order.orderNumber}.`,
-      html: emailHtml,
-    });
-
-    logger.info(`Return request email sent to admins for Order ID ${order._id}`);
-  } catch (emailError) {
-    logger.error(`Failed to send return request email for Order ID ${order._id}: ${emailError.message}`);
-    // Proceed without failing the return request creation
-  }
-
   res.status(201).json({
     success: true,
     data: returnRequest,
@@ -2110,21 +2089,36 @@ exports.returnOrder = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Process a partial/full refund for a delivered order
+ * @desc    Refund all or part of a paid order, optionally by item
  * @route   POST /api/orders/:id/refund
  * @access  Private/Admin/Order Manager
  */
 exports.refundOrder = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const { amount, reason } = req.body;
+  const { amount, items, reason, restock, payout, notes } = req.body;
 
   // Validate input using Joi
   const schema = Joi.object({
-    amount: Joi.number().positive().required(),
+    amount: Joi.number().positive().precision(2).optional(),
+    items: Joi.array().items(Joi.object({
+      product: Joi.string().required(),
+      variant: Joi.string().optional(),
+      packaging: Joi.string().optional(),
+      quantity: Joi.number().integer().min(1).required(),
+    })).min(1).optional(),
     reason: Joi.string().max(500).optional(),
+    restock: Joi.boolean().optional(),
+    payout: Joi.object({
+      method: Joi.string().valid('bank_transfer', 'upi').required(),
+      accountHolder: Joi.string().max(100).optional(),
+      accountNumber: Joi.string().pattern(/^\d{9,18}$/).optional(),
+      ifsc: Joi.string().pattern(/^[A-Za-z]{4}0[A-Za-z0-9]{6}$/).optional(),
+      upiId: Joi.string().pattern(/^[\w.-]{2,256}@[A-Za-z]{2,64}$/).optional(),
+    }).optional(),
+    notes: Joi.string().max(1000).optional(),
   });
 
-  const { error } = schema.validate({ amount, reason });
+  const { error } = schema.validate({ amount, items, reason, restock, payout, notes });
   if (error) {
     return res.status(400).json({ success: false, message: error.details[0].message });
   }
@@ -2135,107 +2129,128 @@ exports.refundOrder = asyncHandler(async (req, res, next) => {
     return res.status(400).json({ success: false, message: 'Invalid order ID.' });
   }
 
-  const order = await Order.findById(id)
-    .populate('customer', 'name email')
-    .populate('items.product', 'title price');
+  const order = await Order.findById(id).populate('customer', 'name email');
 
   if (!order) {
     logger.warn(`Order with ID ${id} not found for refund.`);
     return res.status(404).json({ success: false, message: 'Order not found.' });
   }
 
-  // Check if the order is eligible for refund
-  if (!['delivered', 'returned'].includes(order.status)) {
-    return res.status(400).json({ success: false, message: 'Only delivered or returned orders can be refunded.' });
-  }
+  const refund = await createRefund(order, {
+    amount,
+    items,
+    reason,
+    restock,
+    payout,
+    notes,
+    actor: actorFromUser(req.user),
+  });
+
+  // Invalidate cache
+  await deleteCache(`orders_${order.customer._id}`);
+  await deleteCache('all_orders');
 
-  // Calculate the refundable amount
-  const refundableAmount = order.totalAmount - order.totalRefunded;
-  if (amount > refundableAmount) {
-    return res.status(400).json({ success: false, message: `Refund amount exceeds refundable limit of ₹${refundableAmount.toFixed(2)}.` });
+  if (refund.status === 'failed') {
+    logger.error(`Refund processing failed for Order ID ${id}: ${refund.failureReason}`);
+    return res.status(502).json({
+      success: false,
+      data: refund,
+      message: `Refund failed: ${refund.failureReason}`,
+    });
   }
 
-  // Process the refund via payment gateway
-  const refundResponse = await processPaymentRefund(order.paymentTransactionId, amount);
+  res.status(201).json({
+    success: true,
+    data: refund,
+    message: refund.status === 'processed'
+      ? 'Refund processed successfully.'
+      : 'Refund initiated and awaiting settlement.',
+  });
+});
+
+/**
+ * @desc    List an order's refunds with its refundable balance
+ * @route   GET /api/orders/:id/refunds
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+exports.getOrderRefunds = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
 
-  if (!refundResponse.success) {
-    logger.error(`Refund processing failed for Order ID ${id}: ${refundResponse.message}`);
-    return res.status(500).json({ success: false, message: 'Refund processing failed.' });
+  if (!isValidObjectId(id)) {
+    return res.status(400).json({ success: false, message: 'Invalid order ID.' });
   }
 
-  // Update the order's refunded amount
-  order.totalRefunded += amount;
-  if (order.totalRefunded >= order.totalAmount) {
-    order.paymentStatus = 'refunded';
-    order.status = 'refunded';
+  const order = await Order.findById(id);
+  if (!order) {
+    return res.status(404).json({ success: false, message: 'Order not found.' });
   }
-  await order.save();
 
-  // Create a refund record
-  const refund = await Refund.create({
-    order: order._id,
-    amount,
-    reason: reason || 'No reason provided.',
-    refundedAt: new Date(),
-    transactionId: refundResponse.data.id, // Assuming the refund ID from the gateway
-  });
+  const { refunds, paidINR, refundedINR, pendingINR, refundableINR } = await getRefundSummary(order);
 
-  // Send Refund Confirmation Email
-  try {
-    const emailHtml = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <title>Refund Processed</title>
-      <style>
-        /* Add your email styles here */
-      </style>
-    </head>
-    <body>
-      <p>Hi ${order.customer.name},</p>
-      <p>Your refund for order <strong>${order.orderNumber}</strong> has been processed.</p>
-      <p><strong>Amount Refunded:</strong> ₹${amount.toFixed(2)}</p>
-      <p><strong>Reason:</strong> ${reason || 'No reason provided.'}</p>
-      <p>Thank you for shopping with us.</p>
-    </body>
-    </html>
-    `;
+  res.status(200).json({
+    success: true,
+    data: {
+      orderNumber: order.orderNumber,
+      paymentStatus: order.paymentStatus,
+      paidINR,
+      refundedINR,
+      pendingINR,
+      refundableINR,
+      refunds,
+    },
+    message: 'Refunds fetched successfully.',
+  });
+});
 
-    await sendEmail({
-      email: order.customer.email,
-      subject: 'Your Refund Has Been Processed - 10X Formulas',
-      message: `Hi ${order.customer.name}, your refund has been processed.`,
-      html: emailHtml,
-    });
+/**
+ * Load a refund that belongs to the order in the URL.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Refund
+ */
+const findOrderRefund = async (req) => {
+  const { id, refundId } = req.params;
+  if (!isValidObjectId(id) || !isValidObjectId(refundId)) {
+    throw new ErrorResponse('Invalid order or refund ID.', 400);
+  }
 
-    logger.info(`Refund confirmation email sent to ${order.customer.email}`);
-  } catch (emailError) {
-    logger.error(`Failed to send refund confirmation email to ${order.customer.email}: ${emailError.message}`);
-    // Proceed without failing the refund process
+  const refund = await Refund.findOne({ _id: refundId, orderId: id });
+  if (!refund) {
+    throw new ErrorResponse('Refund not found.', 404);
   }
+  return refund;
+};
+
+/**
+ * @desc    Settle a manual (bank/UPI) refund once it has been paid out
+ * @route   PUT /api/orders/:id/refunds/:refundId
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+exports.settleOrderRefund = asyncHandler(async (req, res, next) => {
+  const { status, reference, notes } = req.body;
+
+  const refund = await settleRefund(await findOrderRefund(req), { status, reference, notes });
 
   res.status(200).json({
     success: true,
     data: refund,
-    message: 'Refund processed successfully.',
+    message: `Refund marked as ${refund.status}.`,
   });
 });
 
-// Helper function to process refunds via payment gateway (Stripe example)
-async function processPaymentRefund(transactionId, amount) {
-  try {
-    // Replace with your payment gateway's refund logic
-    const refund = await stripe.refunds.create({
-      charge: transactionId,
-      amount: Math.round(amount * 100), // amount in cents
-    });
-    return { success: true, data: refund };
-  } catch (error) {
-    return { success: false, message: error.message };
-  }
-}
+/**
+ * @desc    Fetch the latest state of a pending gateway refund
+ * @route   POST /api/orders/:id/refunds/:refundId/refresh
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+exports.refreshOrderRefund = asyncHandler(async (req, res, next) => {
+  const refund = await refreshRefund(await findOrderRefund(req));
 
+  res.status(200).json({
+    success: true,
+    data: refund,
+    message: `Refund is ${refund.status}.`,
+  });
+});
 
 /**
  * @desc    Allow bulk status updates for orders
@@ -2262,42 +2277,37 @@ exports.bulkUpdateOrders = asyncHandler(async (req, res, next) => {
     return res.status(400).json({ success: false, message: `Invalid order IDs: ${invalidIds.join(', ')}` });
   }
 
-  // Define allowed status transitions
-  const allowedTransitions = {
-    pending: ['processing', 'shipped', 'delivered', 'cancelled'],
-    processing: ['shipped', 'delivered', 'cancelled'],
-    shipped: ['delivered', 'refunded'],
-    delivered: ['refunded'],
-    cancelled: [],
-    refunded: [],
-  };
+  // Cancelling and refunding have their own endpoints (see updateOrderStatus)
+  if (['cancelled', 'refunded'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Orders cannot be bulk updated to ${status}; use the ${status === 'cancelled' ? 'cancel' : 'refund'} endpoint.`,
+    });
+  }
 
   // Fetch all orders to be updated
   const orders = await Order.find({ _id: { $in: orderIds } })
     .populate('customer', 'name email')
     .populate('items.product', 'title price');
 
-  // Check allowed transitions
-  const invalidTransitions = orders.filter(order => !allowedTransitions[order.status].includes(status));
+  // Check every transition before changing any order
+  const actor = actorFromUser(req.user);
+  const invalidTransitions = [];
+  orders.forEach((order) => {
+    try {
+      assertTransition(order, status, actor);
+    } catch (transitionError) {
+      invalidTransitions.push(transitionError.message);
+    }
+  });
   if (invalidTransitions.length > 0) {
-    const invalidOrderNumbers = invalidTransitions.map(order => order.orderNumber).join(', ');
-    return res.status(400).json({ success: false, message: `Invalid status transition for orders: ${invalidOrderNumbers}` });
+    return res.status(400).json({ success: false, message: invalidTransitions.join(' ') });
   }
 
   // Update each order
   const updatedOrders = [];
   for (const order of orders) {
-    order.status = status;
-
-    // Handle specific status updates if needed
-    if (status === 'shipped') {
-      order.shippingDate = new Date();
-      // Optionally, set tracking details if provided
-    } else if (status === 'delivered') {
-      order.deliveryDate = new Date();
-    }
-
-    await order.save();
+    await changeOrderStatus(order, status, { actor, reason: 'Bulk status update' });
     updatedOrders.push(order);
 
     // Send notification emails as necessary
@@ -2548,9 +2558,15 @@ module.exports = {
   getAllOrders: exports.getAllOrders,
   getMyOrders: exports.getMyOrders,
   getOrderById: exports.getOrderById,
+  getOrderInvoice: exports.getOrderInvoice,
+  getOrderCreditNotes: exports.getOrderCreditNotes,
+  getOrderCreditNote: exports.getOrderCreditNote,
   updateTracking: exports.updateTracking,
   returnOrder: exports.returnOrder,
   refundOrder: exports.refundOrder,
+  getOrderRefunds: exports.getOrderRefunds,
+  settleOrderRefund: exports.settleOrderRefund,
+  refreshOrderRefund: exports.refreshOrderRefund,
   bulkUpdateOrders: exports.bulkUpdateOrders,
   getOrderMetrics: exports.getOrderMetrics,
   getMetricsCache: exports.getMetricsCache,
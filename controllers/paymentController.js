@@ -1,580 +1,398 @@
+// controllers/paymentController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
-const Coupon = require('../models/Coupon');
 const Transaction = require('../models/Transaction');
+const USER_ROLES = require('../constants/userRoles');
 const logger = require('../utils/logger');
-const MESSAGES = require('../messages/en');
-const ERROR_CODES = require('../constants/errorCodes');
-const asyncHandler = require('express-async-handler');
-const { processPayment, verifyStripeWebhook, handleStripeEvent, verifyPayPalWebhook, handlePayPalEvent } = require('../services/paymentService');
-const { setCache, getCache, deleteCache } = require('../services/redisService');
-const crypto = require('crypto');
-
-// Encryption key for sensitive data
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'defaultEncryptionKey123456'; // Replace with a secure key in production
-const IV_LENGTH = 16;
-
-// Helper function to encrypt sensitive fields
-const encrypt = (text) => {
-  const iv = crypto.randomBytes(IV_LENGTH);
-  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(ENCRYPTION_KEY), iv);
-  let encrypted = cipher.update(text);
-  encrypted = Buffer.concat([encrypted, cipher.final()]);
-  return iv.toString('hex') + ':' + encrypted.toString('hex');
-};
+const { GATEWAYS, getGateway, getEnabledGateways } = require('../services/gateways');
+const {
+  processPayment,
+  verifyPayment,
+  refreshPaymentStatus,
+} = require('../services/paymentService');
+const { receiveWebhook } = require('../services/webhookInboxService');
+const { reconcilePendingPayments, buildDiscrepancyReport } = require('../services/reconciliationService');
+const {
+  sendRetryLink,
+  findOrderByRetryToken,
+  startRetry,
+  getRetryStats,
+} = require('../services/paymentRetryService');
+const ReconciliationReport = require('../models/ReconciliationReport');
+
+// Roles that may look at any order's payment
+const PAYMENT_ADMINS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER, USER_ROLES.FINANCE_MANAGER];
 
 /**
- * @desc    Create a new order
- * @route   POST /api/orders
- * @access  Private/Customer
+ * Client IP for gateways that want it with the payment request.
+ * @param {Object} req
+ * @returns {string}
  */
-exports.createOrder = asyncHandler(async (req, res, next) => {
-  const { items, shippingAddress, billingAddress, paymentMethod, couponCode } = req.body;
+const clientIpOf = (req) =>
+  (req.headers['x-forwarded-for'] && req.headers['x-forwarded-for'].split(',')[0].trim()) ||
+  req.headers['x-real-ip'] ||
+  req.ip ||
+  '127.0.0.1';
 
-  if (!items || items.length === 0) {
-    return res.status(400).json({ success: false, message: 'No items provided for the order.' });
-  }
-
-  let totalAmount = 0;
-  const populatedItems = [];
-
-  // Validate and calculate total amount
-  for (const item of items) {
-    const product = await Product.findById(item.product);
-
-    if (!product || !product.isActive) {
-      return res.status(400).json({ success: false, message: `Product with ID ${item.product} is invalid.` });
-    }
-
-    if (product.stock < item.quantity) {
-      return res.status(400).json({ success: false, message: `Insufficient stock for product ${product.name}.` });
-    }
-
-    const itemTotal = product.price * item.quantity;
-    totalAmount += itemTotal;
+/**
+ * Load an order by ID for the signed-in customer (or a payment admin),
+ * replying 400/403/404 when it cannot be used.
+ * @returns {Promise<Object|null>} - The order, or null once a response has been sent
+ */
+const findOwnOrder = async (req, res) => {
+  const { orderId } = req.params;
 
-    populatedItems.push({
-      product: product._id,
-      quantity: item.quantity,
-      price: product.price,
-    });
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    res.status(400).json({ success: false, message: 'Invalid order ID.' });
+    return null;
   }
 
-  // Apply coupon if provided
-  let discount = 0;
-  if (couponCode) {
-    const coupon = await Coupon.findOne({ code: couponCode, isActive: true });
-
-    if (!coupon) {
-      return res.status(400).json({ success: false, message: 'Invalid or inactive coupon code.' });
-    }
-
-    // Validate coupon usage
-    const couponValidation = Coupon.canApplyCoupon(coupon);
-    if (!couponValidation.success) {
-      return res.status(400).json({ success: false, message: couponValidation.message });
-    }
-
-    // Apply coupon
-    discount = coupon.discountType === 'percentage' ? (totalAmount * (coupon.discount / 100)) : coupon.discount;
-    totalAmount -= discount;
-
-    // Increment used count
-    coupon.usedCount += 1;
-    if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
-      coupon.isActive = false;
-    }
-    await coupon.save();
+  const order = await Order.findById(orderId);
+  if (!order) {
+    res.status(404).json({ success: false, message: 'Order not found.' });
+    return null;
   }
 
-  // Create order number
-  const orderNumber = `ORD${Date.now()}`;
-
-  const order = await Order.create({
-    orderNumber,
-    customer: req.user._id,
-    items: populatedItems,
-    totalAmount,
-    paymentMethod,
-    shippingAddress,
-    billingAddress,
-    status: 'pending',
-    paymentStatus: 'pending',
-    discount,
-    couponCode: couponCode || null,
-  });
+  if (!PAYMENT_ADMINS.includes(req.user.role) && String(order.customer) !== String(req.user._id)) {
+    res.status(403).json({ success: false, message: 'You are not authorized to access this order.' });
+    return null;
+  }
+  return order;
+};
 
-  // Process payment
-  try {
-    const paymentIntent = await processPayment(order, { paymentMethod });
-
-    if (paymentIntent.status === 'succeeded') {
-      // Update order status
-      order.paymentStatus = 'paid';
-      order.status = 'processing';
-      order.paymentDetails = {
-        transactionId: encrypt(paymentIntent.id),
-        fee: paymentIntent.charges.data[0].balance_transaction, // Example
-      };
-      await order.save();
-
-      // Create transaction record
-      await Transaction.create({
-        order: order._id,
-        paymentMethod: order.paymentMethod,
-        amount: order.finalAmount,
-        status: 'completed',
-        transactionId: encrypt(paymentIntent.id),
-        metadata: paymentIntent,
-      });
-
-      // Deduct stock
-      await Promise.all(
-        populatedItems.map(async (item) => {
-          await Product.findByIdAndUpdate(item.product, { $inc: { stock: -item.quantity } });
-        })
-      );
-
-      // Invalidate cache
-      await deleteCache(`orders_${req.user._id}`);
-      await deleteCache('all_orders');
-
-      res.status(201).json({
-        success: true,
-        data: order,
-        message: MESSAGES.ORDER.CREATE_SUCCESS,
-      });
-    } else {
-      // Payment failed
-      await Order.findByIdAndRemove(order._id);
-
-      res.status(500).json({ success: false, message: MESSAGES.ORDER.PAYMENT_FAILED });
+/**
+ * Payment fields safe to show the customer.
+ * @param {Object} order
+ * @param {Object|null} transaction
+ * @returns {Object}
+ */
+const paymentSummary = (order, transaction) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  paymentMethod: order.paymentMethod,
+  paymentStatus: order.paymentStatus,
+  amount: order.finalAmount,
+  transaction: transaction
+    ? {
+      id: transaction._id,
+      gateway: transaction.paymentMethod,
+      status: transaction.status,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      createdAt: transaction.createdAt,
+      updatedAt: transaction.updatedAt,
     }
-  } catch (error) {
-    logger.error('Payment Processing Error:', error);
-    await Order.findByIdAndRemove(order._id);
-
-    res.status(500).json({ success: false, message: MESSAGES.ORDER.PAYMENT_FAILED });
-  }
+    : null,
 });
 
-// @desc    Get all orders with optional filters
-// @route   GET /api/orders
-// @access  Private/Admin/Order Manager/Analytics Viewer
-exports.getAllOrders = asyncHandler(async (req, res, next) => {
-  const { status, dateFrom, dateTo, customer, page = 1, limit = 10 } = req.query;
-  let filter = {};
-
-  if (status) {
-    filter.status = status;
-  }
-
-  if (customer) {
-    filter.customer = customer;
-  }
-
-  if (dateFrom || dateTo) {
-    filter.createdAt = {};
-    if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
-    if (dateTo) filter.createdAt.$lte = new Date(dateTo);
-  }
-
-  const skip = (page - 1) * limit;
-
-  const orders = await Order.find(filter)
-    .populate('customer', 'name email')
-    .populate('items.product', 'name price')
-    .sort({ createdAt: -1 })
-    .skip(parseInt(skip))
-    .limit(parseInt(limit));
-
-  const total = await Order.countDocuments(filter);
+/**
+ * @desc    List the payment gateways offered for a region
+ * @route   GET /api/payments/gateways?country=IN
+ * @access  Public
+ */
+exports.getGateways = asyncHandler(async (req, res, next) => {
+  const names = await getEnabledGateways(req.query.country);
 
   res.status(200).json({
     success: true,
-    count: orders.length,
-    total,
-    data: orders,
-    message: MESSAGES.ORDER.FETCH_SUCCESS,
+    data: names.map((name) => ({ name, online: GATEWAYS[name].online })),
+    message: 'Payment gateways fetched successfully.',
   });
 });
 
-// @desc    Get a single order by ID
-// @route   GET /api/orders/:id
-// @access  Private/Admin/Order Manager/Customer
-exports.getOrderById = asyncHandler(async (req, res, next) => {
-  const order = await Order.findById(req.params.id)
-    .populate('customer', 'name email')
-    .populate('items.product', 'name price');
-
+/**
+ * @desc    Start a payment for an order with its gateway, or switch gateway
+ * @route   POST /api/payments/:orderId/intent
+ * @access  Private/Customer
+ */
+exports.createPaymentIntent = asyncHandler(async (req, res, next) => {
+  const order = await findOwnOrder(req, res);
   if (!order) {
-    return res.status(404).json({ success: false, message: MESSAGES.ORDER.ORDER_NOT_FOUND });
+    return;
   }
 
-  // If the user is a customer, ensure they own the order
-  if (req.user.role === 'user' && String(order.customer._id) !== String(req.user._id)) {
-    return res.status(403).json({ success: false, message: MESSAGES.GENERAL.FORBIDDEN });
-  }
+  const { gateway, transaction, clientData } = await processPayment(order, {
+    paymentMethod: req.body.paymentMethod,
+    clientIp: clientIpOf(req),
+  });
 
-  res.status(200).json({
+  res.status(201).json({
     success: true,
-    data: order,
-    message: MESSAGES.ORDER.FETCH_SUCCESS,
+    data: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      gateway,
+      transactionId: transaction ? transaction._id : null,
+      clientData,
+    },
+    message: 'Payment started.',
   });
 });
 
-// @desc    Update order status
-// @route   PUT /api/orders/:id/status
-// @access  Private/Admin/Order Manager
-exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
-  const { status } = req.body;
-
-  const order = await Order.findById(req.params.id);
-
-  if (!order) {
-    return res.status(404).json({ success: false, message: MESSAGES.ORDER.ORDER_NOT_FOUND });
-  }
-
-  // Define allowed status transitions
-  const allowedTransitions = {
-    pending: ['processing', 'cancelled'],
-    processing: ['shipped', 'cancelled'],
-    shipped: ['delivered', 'refunded'],
-    delivered: ['refunded'],
-    cancelled: [],
-    refunded: [],
-  };
-
-  if (!allowedTransitions[order.status].includes(status)) {
-    return res.status(400).json({ success: false, message: 'Invalid status transition.' });
-  }
-
-  order.status = status;
-
-  // Handle specific status changes
-  if (status === 'shipped') {
-    // Additional logic for shipping
-  } else if (status === 'delivered') {
-    // Additional logic for delivery
-  } else if (status === 'cancelled') {
-    // Restock products
-    await Promise.all(
-      order.items.map(async (item) => {
-        await Product.findByIdAndUpdate(item.product, { $inc: { stock: item.quantity } });
-      })
-    );
+/**
+ * @desc    Verify a payment the customer completed on a gateway
+ * @route   POST /api/payments/verify-:gateway
+ * @access  Private/Customer
+ */
+exports.verifyPayment = asyncHandler(async (req, res, next) => {
+  // Ownership is checked before the result is applied to the order
+  const applied = await verifyPayment(req.params.gateway, req.body, {
+    canAccess: (order) => PAYMENT_ADMINS.includes(req.user.role) || String(order.customer) === String(req.user._id),
+  });
+  if (!applied) {
+    return res.status(404).json({ success: false, message: 'Order not found for this payment.' });
   }
 
-  await order.save();
-
-  // Invalidate cache
-  await deleteCache(`orders_${req.user._id}`);
-  await deleteCache('all_orders');
+  const { order, transaction, status } = applied;
 
-  res.status(200).json({
-    success: true,
-    data: order,
-    message: MESSAGES.ORDER.UPDATE_SUCCESS,
+  res.status(status === 'failed' ? 402 : 200).json({
+    success: status !== 'failed',
+    data: paymentSummary(order, transaction),
+    message: status === 'completed'
+      ? 'Payment verified successfully.'
+      : status === 'failed' ? 'Payment failed.' : 'Payment is still being processed.',
   });
 });
 
-// @desc    Cancel an order
-// @route   POST /api/orders/:id/cancel
-// @access  Private/Admin/Order Manager
-exports.cancelOrder = asyncHandler(async (req, res, next) => {
-  const { reason } = req.body;
-
-  const order = await Order.findById(req.params.id);
+/**
+ * @desc    Receive a gateway webhook
+ * @route   POST /api/payments/webhook/:gateway
+ * @access  Public (signature checked by the gateway adapter)
+ */
+exports.handleWebhook = asyncHandler(async (req, res, next) => {
+  try {
+    // The event is stored and acknowledged here and applied to the order in
+    // the background, so slow order updates never make the gateway retry
+    const { event, duplicate } = await receiveWebhook(req.params.gateway, req);
+    return res.status(200).json({ success: true, eventId: event.eventId, duplicate });
+  } catch (error) {
+    logger.error(`${req.params.gateway} webhook error: ${error.message}`);
+    // Bad signatures are rejected for good; anything else is retried by the gateway
+    const statusCode = error.statusCode && error.statusCode < 500 ? error.statusCode : 500;
+    return res.status(statusCode).json({ success: false, message: 'Webhook processing failed' });
+  }
+});
 
+/**
+ * @desc    Get an order's payment status, checking with the gateway while it is pending
+ * @route   GET /api/payments/:orderId/status
+ * @access  Private (owner or Admin/Order Manager/Finance Manager)
+ */
+exports.getPaymentStatus = asyncHandler(async (req, res, next) => {
+  let order = await findOwnOrder(req, res);
   if (!order) {
-    return res.status(404).json({ success: false, message: MESSAGES.ORDER.ORDER_NOT_FOUND });
+    return;
   }
 
-  if (order.status === 'cancelled' || order.status === 'refunded') {
-    return res.status(400).json({ success: false, message: 'Order is already cancelled or refunded.' });
+  let transaction = null;
+  if (order.paymentStatus === 'pending' && GATEWAYS[order.paymentMethod] && getGateway(order.paymentMethod).online) {
+    try {
+      const applied = await refreshPaymentStatus(order);
+      if (applied) {
+        ({ order, transaction } = applied);
+      }
+    } catch (error) {
+      logger.error(`Could not refresh payment status for order ${order.orderNumber}: ${error.message}`);
+    }
   }
 
-  order.status = 'cancelled';
-  order.paymentStatus = 'refunded'; // Assuming full refund
-
-  await order.save();
+  if (!transaction) {
+    transaction = await Transaction.findOne({ order: order._id }).sort({ createdAt: -1 });
+  }
 
-  // Restock products
-  await Promise.all(
-    order.items.map(async (item) => {
-      await Product.findByIdAndUpdate(item.product, { $inc: { stock: item.quantity } });
-    })
-  );
+  res.status(200).json({
+    success: true,
+    data: paymentSummary(order, transaction),
+    message: 'Payment status fetched successfully.',
+  });
+});
 
-  // Invalidate cache
-  await deleteCache(`orders_${req.user._id}`);
-  await deleteCache('all_orders');
+/**
+ * @desc    Check unsettled payments with their gateways now
+ * @route   POST /api/payments/reconciliation/run
+ * @access  Private (Admin/Finance Manager)
+ */
+exports.runReconciliation = asyncHandler(async (req, res, next) => {
+  const summary = await reconcilePendingPayments({
+    graceMinutes: req.body.graceMinutes,
+    lookbackHours: req.body.lookbackHours,
+  });
 
   res.status(200).json({
     success: true,
-    message: MESSAGES.ORDER.CANCEL_SUCCESS,
+    data: summary,
+    message: `Checked ${summary.checked} order(s): ${summary.paid} paid, ${summary.failed} failed.`,
   });
 });
 
 /**
- * @desc    Verify Razorpay payment
- * @route   POST /api/payments/verify-razorpay
- * @access  Private
+ * @desc    Build (or rebuild) the discrepancy report for a day
+ * @route   POST /api/payments/reconciliation/reports
+ * @access  Private (Admin/Finance Manager)
  */
-exports.verifyRazorpayPayment = asyncHandler(async (req, res) => {
-  const { orderId, paymentId, signature } = req.body;
+exports.generateReconciliationReport = asyncHandler(async (req, res, next) => {
+  const report = await buildDiscrepancyReport({
+    date: req.body.date,
+    actor: req.user,
+    email: req.body.email === true,
+  });
 
-  try {
-    // Find the order
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({ success: false, message: 'Order not found' });
-    }
+  res.status(201).json({
+    success: true,
+    data: report,
+    message: `Reconciliation report for ${report.date} generated.`,
+  });
+});
 
-    // Verify the payment signature
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_SECRET)
-      .update(`${paymentId}|${orderId}`)
-      .digest('hex');
+/**
+ * @desc    List discrepancy reports, newest first
+ * @route   GET /api/payments/reconciliation/reports
+ * @access  Private (Admin/Finance Manager)
+ */
+exports.listReconciliationReports = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 30;
+  const skip = (page - 1) * limit;
 
-    if (generatedSignature !== signature) {
-      return res.status(400).json({ success: false, message: 'Invalid payment signature' });
-    }
+  const [reports, total] = await Promise.all([
+    ReconciliationReport.find()
+      .select('-discrepancies')
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    ReconciliationReport.countDocuments(),
+  ]);
 
-    // Update order status
-    order.paymentStatus = 'paid';
-    order.status = 'processing';
-    await order.save();
-
-    // Create transaction record
-    await Transaction.create({
-      order: order._id,
-      paymentMethod: 'razorpay',
-      amount: order.totalAmount,
-      status: 'success',
-      transactionId: paymentId
-    });
-
-    return res.status(200).json({
-      success: true,
-      message: 'Payment verified successfully',
-      data: { orderId: order._id }
-    });
-  } catch (error) {
-    logger.error(`Razorpay payment verification error: ${error.message}`);
-    return res.status(500).json({ success: false, message: 'Payment verification failed' });
-  }
+  res.status(200).json({
+    success: true,
+    data: reports,
+    pagination: {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      itemsPerPage: limit,
+    },
+  });
 });
 
 /**
- * @desc    Handle Razorpay webhook
- * @route   POST /api/payments/webhook/razorpay
- * @access  Public
+ * @desc    Get the discrepancy report for a day
+ * @route   GET /api/payments/reconciliation/reports/:date
+ * @access  Private (Admin/Finance Manager)
  */
-exports.handleRazorpayWebhook = asyncHandler(async (req, res) => {
-  try {
-    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    const signature = req.headers['x-razorpay-signature'];
-    
-    // Verify webhook signature
-    const shasum = crypto.createHmac('sha256', webhookSecret);
-    shasum.update(JSON.stringify(req.body));
-    const digest = shasum.digest('hex');
-    
-    if (digest !== signature) {
-      logger.error('Razorpay webhook - Invalid signature');
-      return res.status(400).json({ success: false, message: 'Invalid signature' });
-    }
-    
-    const event = req.body;
-    
-    // Handle different event types
-    if (event.event === 'payment.authorized') {
-      const paymentId = event.payload.payment.entity.id;
-      const orderId = event.payload.payment.entity.notes.orderId;
-      
-      // Find the order
-      const order = await Order.findById(orderId);
-      if (!order) {
-        logger.error(`Razorpay webhook - Order not found: ${orderId}`);
-        return res.status(200).end(); // Return 200 to acknowledge receipt
-      }
-      
-      // Update order status
-      order.paymentStatus = 'paid';
-      order.status = 'processing';
-      await order.save();
-      
-      // Create transaction record if not exists
-      const transaction = await Transaction.findOne({ 
-        order: order._id, 
-        transactionId: paymentId 
-      });
-      
-      if (!transaction) {
-        await Transaction.create({
-          order: order._id,
-          paymentMethod: 'razorpay',
-          amount: order.totalAmount,
-          status: 'success',
-          transactionId: paymentId
-        });
-      }
-    }
-    
-    // Always return a 200 OK to acknowledge receipt
-    return res.status(200).json({ success: true });
-  } catch (error) {
-    logger.error(`Razorpay webhook error: ${error.message}`);
-    return res.status(500).json({ success: false, message: 'Webhook processing failed' });
+exports.getReconciliationReport = asyncHandler(async (req, res, next) => {
+  const report = await ReconciliationReport.findOne({ date: req.params.date })
+    .populate('generatedBy', 'name email');
+  if (!report) {
+    return res.status(404).json({ success: false, message: `No reconciliation report for ${req.params.date}.` });
   }
+
+  res.status(200).json({ success: true, data: report });
 });
 
 /**
- * @desc    Verify Stripe payment
- * @route   POST /api/payments/verify-stripe
- * @access  Private
+ * @desc    Email the customer a "complete your payment" link now
+ * @route   POST /api/payments/:orderId/retry-link
+ * @access  Private (Admin/Order Manager/Finance Manager)
  */
-exports.verifyStripePayment = asyncHandler(async (req, res) => {
-  const { paymentIntentId, orderId } = req.body;
-
-  try {
-    // Find the order
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({ success: false, message: 'Order not found' });
-    }
-
-    // Verify the payment with Stripe
-    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+exports.sendPaymentRetryLink = asyncHandler(async (req, res, next) => {
+  const order = await findOwnOrder(req, res);
+  if (!order) {
+    return;
+  }
 
-    if (paymentIntent.status !== 'succeeded') {
-      return res.status(400).json({ success: false, message: 'Payment not successful' });
-    }
+  await order.populate('customer', 'name email');
+  const { url, expiresAt } = await sendRetryLink(order);
 
-    // Update order status
-    order.paymentStatus = 'paid';
-    order.status = 'processing';
-    await order.save();
-
-    // Create transaction record
-    await Transaction.create({
-      order: order._id,
-      paymentMethod: 'stripe',
-      amount: order.totalAmount,
-      status: 'success',
-      transactionId: paymentIntentId
-    });
-
-    return res.status(200).json({
-      success: true,
-      message: 'Payment verified successfully',
-      data: { orderId: order._id }
-    });
-  } catch (error) {
-    logger.error(`Stripe payment verification error: ${error.message}`);
-    return res.status(500).json({ success: false, message: 'Payment verification failed' });
-  }
+  res.status(201).json({
+    success: true,
+    data: { url, expiresAt },
+    message: `Payment link sent to ${order.customer.email}.`,
+  });
 });
 
 /**
- * @desc    Handle Stripe webhook
- * @route   POST /api/payments/webhook/stripe
+ * @desc    Show the order behind a "complete your payment" link
+ * @route   GET /api/payments/retry/:token
  * @access  Public
  */
-exports.handleStripeWebhook = asyncHandler(async (req, res) => {
-  try {
-    // Verify the webhook signature
-    const event = await verifyStripeWebhook(req);
-    
-    // Process the webhook event
-    await handleStripeEvent(event);
-    
-    // Return a 200 OK response
-    return res.status(200).json({ success: true });
-  } catch (error) {
-    logger.error(`Stripe webhook error: ${error.message}`);
-    return res.status(400).json({ success: false, message: 'Webhook verification failed' });
-  }
+exports.getPaymentRetry = asyncHandler(async (req, res, next) => {
+  const order = await findOrderByRetryToken(req.params.token);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orderNumber: order.orderNumber,
+      amount: order.finalAmount,
+      paymentMethod: order.paymentMethod,
+      paymentStatus: order.paymentStatus,
+      expiresAt: order.paymentRetry ? order.paymentRetry.linkExpiresAt : null,
+    },
+  });
 });
 
 /**
- * @desc    Verify PayPal payment
- * @route   POST /api/payments/verify-paypal
- * @access  Private
+ * @desc    Start a fresh gateway payment from a "complete your payment" link
+ * @route   POST /api/payments/retry/:token
+ * @access  Public
  */
-exports.verifyPayPalPayment = asyncHandler(async (req, res) => {
-  const { paymentId, orderId } = req.body;
+exports.startPaymentRetry = asyncHandler(async (req, res, next) => {
+  const { gateway, transaction, clientData } = await startRetry(req.params.token, { clientIp: clientIpOf(req) });
 
-  try {
-    // Find the order
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({ success: false, message: 'Order not found' });
-    }
-
-    // Verify the payment with PayPal
-    const paypal = require('paypal-rest-sdk');
-    paypal.configure({
-      mode: process.env.PAYPAL_MODE || 'sandbox',
-      client_id: process.env.PAYPAL_CLIENT_ID,
-      client_secret: process.env.PAYPAL_CLIENT_SECRET
-    });
-
-    paypal.payment.get(paymentId, async (error, payment) => {
-      if (error) {
-        logger.error(`PayPal payment verification error: ${error.message}`);
-        return res.status(400).json({ success: false, message: 'Payment verification failed' });
-      }
-      
-      if (payment.state !== 'approved') {
-        return res.status(400).json({ success: false, message: 'Payment not approved' });
-      }
-      
-      // Update order status
-      order.paymentStatus = 'paid';
-      order.status = 'processing';
-      await order.save();
-
-      // Create transaction record
-      await Transaction.create({
-        order: order._id,
-        paymentMethod: 'paypal',
-        amount: order.totalAmount,
-        status: 'success',
-        transactionId: paymentId
-      });
-
-      return res.status(200).json({
-        success: true,
-        message: 'Payment verified successfully',
-        data: { orderId: order._id }
-      });
-    });
-  } catch (error) {
-    logger.error(`PayPal payment verification error: ${error.message}`);
-    return res.status(500).json({ success: false, message: 'Payment verification failed' });
-  }
+  res.status(201).json({
+    success: true,
+    data: {
+      gateway,
+      transactionId: transaction ? transaction._id : null,
+      clientData,
+    },
+    message: 'Payment started.',
+  });
 });
 
 /**
- * @desc    Handle PayPal webhook
- * @route   POST /api/payments/webhook/paypal
- * @access  Public
+ * @desc    List orders sent retry links, with how many were recovered
+ * @route   GET /api/payments/retry-links?from=2024-01-01&to=2024-02-01&status=recovered
+ * @access  Private (Admin/Order Manager/Finance Manager)
  */
-exports.handlePayPalWebhook = asyncHandler(async (req, res) => {
-  try {
-    // Verify the webhook
-    const event = await verifyPayPalWebhook(req);
-    
-    // Process the webhook event
-    await handlePayPalEvent(event);
-    
-    // Return a 200 OK response
-    return res.status(200).json({ success: true });
-  } catch (error) {
-    logger.error(`PayPal webhook error: ${error.message}`);
-    return res.status(400).json({ success: false, message: 'Webhook verification failed' });
-  }
+exports.listPaymentRetries = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+  const from = req.query.from ? new Date(req.query.from) : undefined;
+  const to = req.query.to ? new Date(req.query.to) : undefined;
+
+  const filter = { 'paymentRetry.firstSentAt': { $ne: null } };
+  if (from) filter['paymentRetry.firstSentAt'].$gte = from;
+  if (to) filter['paymentRetry.firstSentAt'].$lt = to;
+  if (req.query.status === 'recovered') filter['paymentRetry.recoveredAt'] = { $ne: null };
+  if (req.query.status === 'open') Object.assign(filter, { 'paymentRetry.recoveredAt': null, status: 'pending' });
+  if (req.query.status === 'lost') Object.assign(filter, { 'paymentRetry.recoveredAt': null, status: { $ne: 'pending' } });
+
+  const [orders, total, summary] = await Promise.all([
+    Order.find(filter)
+      .select('orderNumber customer status paymentMethod paymentStatus finalAmount createdAt paymentRetry')
+      .populate('customer', 'name email')
+      .sort({ 'paymentRetry.firstSentAt': -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Order.countDocuments(filter),
+    getRetryStats({ from, to }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: orders,
+    summary,
+    pagination: {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      itemsPerPage: limit,
+    },
+  });
 });
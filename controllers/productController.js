@@ -3,6 +3,10 @@
 const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Tag = require('../models/Tag'); // Assuming you have a Tag model
+const productSearchService = require('../services/productSearchService');
+const categoryService = require('../services/categoryService');
+const productPublishingService = require('../services/productPublishingService');
+const PRODUCT_STATUS = require('../constants/productStatus');
 const { uploadImage } = require('../services/s3Service');
 const { compressProductImage } = require('../utils/imageCompressor');
 const logger = require('../utils/logger');
@@ -21,7 +25,9 @@ exports.createProduct = async (req, res) => {
       price,
       stock,
       description,
-      category,
+      categories, // Expected to be an array of Category IDs
+      taxClass,
+      hsnCode,
       tags, // Expected to be an array of Tag IDs
       discountPercentage,
       brand,
@@ -29,6 +35,9 @@ exports.createProduct = async (req, res) => {
       productBG, // URL to the product background image
       thumbnail, // URL to the thumbnail image
       variants, // Array of variant objects
+      status, // 'draft' keeps the product off the storefront
+      publishAt,
+      unpublishAt,
     } = req.body;
 
     // Validate required fields
@@ -73,7 +82,9 @@ exports.createProduct = async (req, res) => {
       price,
       stock,
       description,
-      category,
+      categories,
+      taxClass,
+      hsnCode,
       tags: tagIds, // Use the array of ObjectIds
       discountPercentage,
       brand,
@@ -82,10 +93,13 @@ exports.createProduct = async (req, res) => {
       thumbnail,
       images: [], // Initialize as empty; can be updated later
       variants, // Ensure variants array has at least one variant
+      status,
+      publishAt,
+      unpublishAt,
     });
 
-    // Save the product to the database
-    await product.save();
+    // Save the product to the database as its first revision
+    await productPublishingService.changeProduct(product, { userId: req.user._id }, () => {});
 
     // Optional: Log the creation in AuditLog
     // await AuditLog.create({
@@ -175,20 +189,24 @@ exports.uploadProductImage = async (req, res) => {
 
 /**
  * @desc    Get a single product by ID
- * @route   GET /api/products/:id
+ * @route   GET /api/products/:id?preview=
  * @access  Public/Admin
  */
 exports.getProductById = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).populate('tags'); // Populating 'tags' as it's defined in the schema
+    const product = await Product.findById(req.params.id).populate('tags').populate('categories', 'name slug parent'); // Populating 'tags' as it's defined in the schema
 
-    if (!product) {
+    // Unpublished products only show through a preview link
+    if (!product || !productPublishingService.canView(product, req.query.preview)) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
+    // One path per category, top-level category first
+    const breadcrumbs = await categoryService.getBreadcrumbs(product.categories.map((category) => category._id));
+
     res.status(200).json({
       success: true,
-      data: product,
+      data: { ...product.toJSON(), breadcrumbs },
     });
   } catch (error) {
     logger.error('Get Product By ID Error:', error);
@@ -198,20 +216,24 @@ exports.getProductById = async (req, res) => {
 
 /**
  * @desc    Get a single product by Slug
- * @route   GET /api/products/slug/:slug
+ * @route   GET /api/products/slug/:slug?preview=
  * @access  Public
  */
 exports.getProductBySlug = async (req, res) => {
   try {
-    const product = await Product.findOne({ slug: req.params.slug }).populate('tags'); // Populating 'tags'
+    const product = await Product.findOne({ slug: req.params.slug }).populate('tags').populate('categories', 'name slug parent'); // Populating 'tags'
 
-    if (!product) {
+    // Unpublished products only show through a preview link
+    if (!product || !productPublishingService.canView(product, req.query.preview)) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
+    // One path per category, top-level category first
+    const breadcrumbs = await categoryService.getBreadcrumbs(product.categories.map((category) => category._id));
+
     res.status(200).json({
       success: true,
-      data: product,
+      data: { ...product.toJSON(), breadcrumbs },
     });
   } catch (error) {
     logger.error('Get Product By Slug Error:', error);
@@ -220,28 +242,73 @@ exports.getProductBySlug = async (req, res) => {
 };
 
 /**
- * @desc    Search products by query
- * @route   GET /api/products/search
+ * @desc    Get the product and variant with a SKU
+ * @route   GET /api/products/sku/:sku
  * @access  Public
  */
-exports.searchProducts = async (req, res) => {
+exports.getProductBySku = async (req, res) => {
   try {
-    const { query } = req.query;
+    const sku = req.params.sku.toUpperCase();
+    const product = await Product.findOne({ 'variants.sku': sku, isActive: true }).populate('tags');
 
-    if (!query) {
-      return res.status(400).json({ success: false, message: 'Search query is required.' });
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
-    // Perform case-insensitive search on product titles
-    const regex = new RegExp(query, 'i');
+    res.status(200).json({
+      success: true,
+      data: {
+        product,
+        variant: product.variants.find((variant) => variant.sku === sku),
+      },
+    });
+  } catch (error) {
+    logger.error('Get Product By SKU Error:', error);
+    res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
+  }
+};
 
-    const products = await Product.find({ title: regex, isActive: true })
-      .limit(10)
-      .populate('tags');
+// Comma-separated query value as a list
+const listParam = (value) => (value ? String(value).split(',').map((item) => item.trim()).filter(Boolean) : undefined);
+
+/**
+ * @desc    Search products with relevance ranking, typo tolerance and facet
+ *          counts for the filter sidebar; without q, filters the catalogue
+ * @route   GET /api/products/search?q=&category=&packaging=&sizes=&tags=&priceMin=&priceMax=&priceBand=&inStock=&sort=&page=&limit=
+ * @access  Public
+ */
+exports.searchProducts = async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const { products, total, facets, didYouMean } = await productSearchService.searchProducts({
+      // 'query' is the parameter name older storefront builds send
+      q: req.query.q || req.query.query,
+      category: listParam(req.query.category),
+      packaging: listParam(req.query.packaging),
+      sizes: listParam(req.query.sizes),
+      tags: listParam(req.query.tags),
+      priceMin: req.query.priceMin,
+      priceMax: req.query.priceMax,
+      priceBand: req.query.priceBand,
+      inStock: req.query.inStock,
+      sort: req.query.sort,
+      page,
+      limit,
+    });
 
     res.status(200).json({
       success: true,
       products,
+      facets,
+      didYouMean,
+      pagination: {
+        totalItems: total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        itemsPerPage: limit,
+      },
     });
   } catch (error) {
     logger.error('Search Products Error:', error);
@@ -249,6 +316,25 @@ exports.searchProducts = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Suggest product titles and search words for a partly typed query
+ * @route   GET /api/products/autocomplete?q=&limit=
+ * @access  Public
+ */
+exports.autocompleteProducts = async (req, res) => {
+  try {
+    const { products, suggestions } = await productSearchService.autocomplete(req.query.q, req.query.limit || 8);
+
+    res.status(200).json({
+      success: true,
+      data: { products, suggestions },
+    });
+  } catch (error) {
+    logger.error('Autocomplete Products Error:', error);
+    res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
+  }
+};
+
 /**
  * @desc    Get all products with advanced filters, sorting, and pagination
  * @desc    Get all products with filters and pagination
@@ -264,9 +350,8 @@ exports.getAllProducts = async (req, res) => {
     const {
       category,
       tags,
-      priceMin = 0,
-      priceMax = 1000000,
-      inStock,
+      priceMin,
+      priceMax,
       variants,
       packaging,
       page = 1,
@@ -282,9 +367,10 @@ exports.getAllProducts = async (req, res) => {
     const parsedPage = parseInt(page) || 1;
     const parsedLimit = parseInt(limit) || 10;
     
-    // Filter by category if provided and not 'All'
+    // Filter by category if provided and not 'All'; IDs or slugs, and a
+    // category includes its subcategories
     if (category && category !== 'All') {
-      query.category = category;
+      query.categories = { $in: await categoryService.expandCategoryFilter(listParam(category)) };
     }
 
     // Filter by tags if provided
@@ -304,24 +390,25 @@ exports.getAllProducts = async (req, res) => {
       query.packaging = packaging;
     }
 
-    // Filter by price range if provided
-    if (priceMin || priceMax) {
-      query.price = {};
-      if (priceMin) query.price.$gte = Number(priceMin);
-      if (priceMax) query.price.$lte = Number(priceMax);
+    // Filter by price range if provided; prices live on the variants, and a
+    // product is in range when any of its variants is
+    if (priceMin !== undefined || priceMax !== undefined) {
+      const price = {};
+      if (priceMin !== undefined) price.$gte = Number(priceMin);
+      if (priceMax !== undefined) price.$lte = Number(priceMax);
+      query.variants = { $elemMatch: { price } };
     }
 
     // Filter by stock status if provided
-    if (inStock !== undefined) {
-      if (typeof inStock === 'string') {
-        inStock = inStock.toLowerCase() === 'true';
-      }
-      query.stock = inStock ? { $gt: 0 } : { $eq: 0 };
+    if (req.query.inStock !== undefined) {
+      const inStock = String(req.query.inStock).toLowerCase() === 'true';
+      query['variants.stock'] = inStock ? { $gt: 0 } : { $not: { $gt: 0 } };
     }
 
-    // Ensure valid sortBy field
+    // Ensure valid sortBy field; price and stock sort on the variants
     const validSortFields = ['title', 'price', 'createdAt', 'stock', 'totalSold'];
-    const finalSortBy = validSortFields.includes(sortBy) ? sortBy : 'createdAt';
+    const variantSortFields = { price: 'variants.price', stock: 'variants.stock' };
+    const finalSortBy = validSortFields.includes(sortBy) ? (variantSortFields[sortBy] || sortBy) : 'createdAt';
     
     // Ensure valid sortOrder
     const finalSortOrder = sortOrder === 'asc' ? 1 : -1;
@@ -361,6 +448,7 @@ exports.getAllProducts = async (req, res) => {
       
       const products = await Product.find(query)
         .populate('tags')
+        .populate('categories', 'name slug')
         .sort(sort)
         .skip((parsedPage - 1) * parsedLimit)
         .limit(Number(parsedLimit));
@@ -399,6 +487,19 @@ exports.getAllProducts = async (req, res) => {
   }
 };
 
+// Carts and orders point at variant IDs, so a variant sent back without its
+// _id keeps the ID of the existing variant with the same size and packaging
+const keepVariantIds = (existing, incoming) => incoming.map((variant) => {
+  if (variant._id) {
+    return variant;
+  }
+  const match = existing.find((current) =>
+    current.size.toLowerCase() === String(variant.size || '').toLowerCase() &&
+    (current.packaging || null) === (variant.packaging || null)
+  );
+  return match ? { ...variant, _id: match._id } : variant;
+});
+
 /**
  * @desc    Update a product by ID
  * @route   PUT /api/products/:id
@@ -436,18 +537,26 @@ exports.updateProduct = async (req, res) => {
           message: 'At least one variant is required.',
         });
       }
+      updates.variants = keepVariantIds(product.variants, updates.variants);
     }
 
-    // Update each field if provided
-    Object.keys(updates).forEach((key) => {
-      if (key === 'accordion' && typeof updates[key] === 'object') {
-        product.accordion = { ...product.accordion, ...updates[key] };
-      } else {
-        product[key] = updates[key];
-      }
-    });
+    const note = updates.revisionNote;
+    delete updates.revisionNote;
 
-    await product.save();
+    // Kept by the publishing workflow
+    delete updates.revision;
+    delete updates.publishedAt;
+
+    // Update each field if provided, saving the result as a new revision
+    await productPublishingService.changeProduct(product, { userId: req.user._id, note }, (doc) => {
+      Object.keys(updates).forEach((key) => {
+        if (key === 'accordion' && typeof updates[key] === 'object') {
+          doc.accordion = { ...doc.accordion, ...updates[key] };
+        } else {
+          doc[key] = updates[key];
+        }
+      });
+    });
 
     // Optional: Log the update in AuditLog
     // await AuditLog.create({
@@ -483,7 +592,7 @@ exports.updateProduct = async (req, res) => {
 };
 
 /**
- * @desc    Delete (deactivate) a product by ID
+ * @desc    Delete (archive) a product by ID
  * @route   DELETE /api/products/:id
  * @access  Private/Admin/Product Manager
  */
@@ -497,8 +606,8 @@ exports.deleteProduct = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
-    product.isActive = false; // Soft delete
-    await product.save();
+    // Soft delete; an archived product can be published again
+    await productPublishingService.archiveProduct(product, { userId: req.user._id });
 
     // Optional: Log the deletion in AuditLog
     // await AuditLog.create({
@@ -511,7 +620,7 @@ exports.deleteProduct = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Product deactivated successfully',
+      message: 'Product archived successfully',
     });
   } catch (error) {
     logger.error('Delete Product Error:', error);
@@ -520,13 +629,13 @@ exports.deleteProduct = async (req, res) => {
 };
 
 /**
- * @desc    Update product stock level
+ * @desc    Update a variant's stock level
  * @route   PUT /api/products/:id/stock
  * @access  Private/Admin/Product Manager
  */
 exports.updateProductStock = async (req, res) => {
   try {
-    const { stock } = req.body;
+    const { variantId, stock } = req.body;
     const productId = req.params.id;
 
     let product = await Product.findById(productId);
@@ -535,7 +644,12 @@ exports.updateProductStock = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
-    product.stock = stock;
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+      return res.status(404).json({ success: false, message: 'Variant not found' });
+    }
+
+    variant.stock = stock;
     await product.save();
 
     // Optional: Log the stock update in AuditLog
@@ -544,7 +658,7 @@ exports.updateProductStock = async (req, res) => {
     //   entityId: product._id,
     //   entity: 'Product',
     //   action: 'UPDATE',
-    //   details: `Updated stock for product with title: ${product.title} to ${stock}`,
+    //   details: `Updated stock for ${product.title} (${variant.sku || variant.size}) to ${stock}`,
     // });
 
     res.status(200).json({
@@ -599,6 +713,17 @@ exports.bulkUpdateProducts = async (req, res) => {
         fields.tags = foundTags.map(tag => tag._id);
       }
 
+      // $set skips schema validation, so check categories here
+      if (fields.categories !== undefined) {
+        if (!Array.isArray(fields.categories) || fields.categories.length === 0
+          || !(await categoryService.areProductCategories(fields.categories))) {
+          return res.status(400).json({
+            success: false,
+            message: `One or more categories are invalid for product ID: ${id}`,
+          });
+        }
+      }
+
       // If variants are being updated, ensure there's at least one variant
       if (fields.variants) {
         if (!Array.isArray(fields.variants) || fields.variants.length === 0) {
@@ -607,6 +732,10 @@ exports.bulkUpdateProducts = async (req, res) => {
             message: `At least one variant is required for product ID: ${id}`,
           });
         }
+        const current = await Product.findById(id).select('variants');
+        if (current) {
+          fields.variants = keepVariantIds(current.variants, fields.variants);
+        }
       }
       
       // Handle special case for stock updates to all variants
@@ -655,6 +784,15 @@ exports.bulkUpdateProducts = async (req, res) => {
         }
       }
 
+      // $set skips the schema hooks, so keep isActive and status in step here
+      delete fields.revision;
+      delete fields.publishedAt;
+      if (fields.status !== undefined) {
+        fields.isActive = fields.status === PRODUCT_STATUS.PUBLISHED;
+      } else if (fields.isActive !== undefined) {
+        fields.status = fields.isActive ? PRODUCT_STATUS.PUBLISHED : PRODUCT_STATUS.DRAFT;
+      }
+
       bulkOps.push({
         updateOne: {
           filter: { _id: id },
@@ -663,9 +801,19 @@ exports.bulkUpdateProducts = async (req, res) => {
       });
     }
 
+    // Products without revisions get a baseline of how they stood before
+    const productIds = updates.map(({ id }) => id);
+    for (const id of productIds) {
+      await productPublishingService.ensureBaseline(id);
+    }
+
     // Execute bulk operations
     const result = await Product.bulkWrite(bulkOps);
 
+    for (const product of await Product.find({ _id: { $in: productIds } })) {
+      await productPublishingService.recordRevision(product, { action: 'update', userId: req.user._id });
+    }
+
     // Optional: Log the bulk update in AuditLog
     // await AuditLog.create({
     //   performedBy: req.user._id,
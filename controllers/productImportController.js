@@ -0,0 +1,139 @@
+// controllers/productImportController.js
+
+const asyncHandler = require('express-async-handler');
+const { Parser } = require('json2csv');
+const ProductImport = require('../models/ProductImport');
+const {
+  COLUMNS,
+  queueImport,
+  applyDryRun,
+  exportRows,
+  exportWorkbook,
+} = require('../services/productImportService');
+
+/**
+ * Load a product import by ID, replying 404 when it does not exist.
+ * @returns {Promise<Object|null>} - The import, or null once a response has been sent
+ */
+const findImport = async (req, res) => {
+  const job = await ProductImport.findById(req.params.id).populate('uploadedBy', 'name email');
+  if (!job) {
+    res.status(404).json({ success: false, message: 'Product import not found.' });
+    return null;
+  }
+  return job;
+};
+
+/**
+ * @desc    Upload a product spreadsheet to import, or only validate with dryRun
+ * @route   POST /api/products/import
+ * @access  Private/Admin/Product Manager
+ */
+exports.importProducts = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'Please upload a product spreadsheet.' });
+  }
+
+  const job = await queueImport({
+    buffer: req.file.buffer,
+    fileName: req.file.originalname,
+    dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+    actor: req.user,
+  });
+
+  res.status(202).json({
+    success: true,
+    data: job,
+    message: job.dryRun
+      ? 'Dry run queued. Check the import for its validation report.'
+      : 'Import queued. Check the import for its progress.',
+  });
+});
+
+/**
+ * @desc    List product imports, newest first
+ * @route   GET /api/products/imports
+ * @access  Private/Admin/Product Manager
+ */
+exports.listImports = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+
+  const [imports, total] = await Promise.all([
+    ProductImport.find(filter)
+      .select('-rowErrors -results')
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    ProductImport.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: imports,
+    pagination: {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      itemsPerPage: limit,
+    },
+  });
+});
+
+/**
+ * @desc    Get a product import with its row errors and per-product results
+ * @route   GET /api/products/imports/:id
+ * @access  Private/Admin/Product Manager
+ */
+exports.getImport = asyncHandler(async (req, res, next) => {
+  const job = await findImport(req, res);
+  if (!job) return;
+
+  res.status(200).json({ success: true, data: job });
+});
+
+/**
+ * @desc    Import for real the file a completed dry run validated
+ * @route   POST /api/products/imports/:id/apply
+ * @access  Private/Admin/Product Manager
+ */
+exports.applyImport = asyncHandler(async (req, res, next) => {
+  const dryRun = await findImport(req, res);
+  if (!dryRun) return;
+
+  const job = await applyDryRun(dryRun, req.user);
+
+  res.status(202).json({
+    success: true,
+    data: job,
+    message: 'Import queued. Check the import for its progress.',
+  });
+});
+
+/**
+ * @desc    Export products as CSV or Excel, in the format the import accepts
+ * @route   GET /api/products/export?format=csv|xlsx&includeInactive=true
+ * @access  Private/Admin/Product Manager
+ */
+exports.exportProducts = asyncHandler(async (req, res, next) => {
+  const rows = await exportRows({ includeInactive: req.query.includeInactive === 'true' });
+  const baseName = `products-${new Date().toISOString().slice(0, 10)}`;
+
+  if (req.query.format === 'xlsx') {
+    const buffer = await exportWorkbook(rows);
+    res.header('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.attachment(`${baseName}.xlsx`);
+    return res.send(Buffer.from(buffer));
+  }
+
+  const csv = new Parser({ fields: COLUMNS }).parse(rows);
+  res.header('Content-Type', 'text/csv');
+  res.attachment(`${baseName}.csv`);
+  return res.send(csv);
+});
@@ -0,0 +1,196 @@
+// controllers/productPublishingController.js
+
+const asyncHandler = require('express-async-handler');
+const Product = require('../models/Product');
+const ProductRevision = require('../models/ProductRevision');
+const {
+  publishProduct,
+  unpublishProduct,
+  scheduleProduct,
+  restoreRevision,
+  createPreviewLink,
+} = require('../services/productPublishingService');
+
+/**
+ * Load a product by ID, replying 404 when it does not exist.
+ * @returns {Promise<Object|null>} - The product, or null once a response has been sent
+ */
+const findProduct = async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    res.status(404).json({ success: false, message: 'Product not found' });
+    return null;
+  }
+  return product;
+};
+
+/**
+ * Reply 400 for a change the product schema rejected, e.g. restoring a slug
+ * or SKU another product has taken since.
+ * @returns {boolean} - Whether a response was sent
+ */
+const rejectInvalid = (error, res) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      success: false,
+      message: 'Validation Error',
+      errors: Object.values(error.errors).map((err) => ({ field: err.path, message: err.message })),
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(400).json({ success: false, message: 'Another product already uses this slug or SKU.' });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * @desc    Publish a product now
+ * @route   POST /api/products/:id/publish
+ * @access  Private/Admin/Product Manager
+ */
+exports.publishProduct = asyncHandler(async (req, res, next) => {
+  const product = await findProduct(req, res);
+  if (!product) return;
+
+  const revision = await publishProduct(product, { userId: req.user._id, note: req.body.note });
+
+  res.status(200).json({
+    success: true,
+    data: { product, revision },
+    message: `${product.title} is now published.`,
+  });
+});
+
+/**
+ * @desc    Unpublish a product now, back to draft
+ * @route   POST /api/products/:id/unpublish
+ * @access  Private/Admin/Product Manager
+ */
+exports.unpublishProduct = asyncHandler(async (req, res, next) => {
+  const product = await findProduct(req, res);
+  if (!product) return;
+
+  const revision = await unpublishProduct(product, { userId: req.user._id, note: req.body.note });
+
+  res.status(200).json({
+    success: true,
+    data: { product, revision },
+    message: `${product.title} is now a draft.`,
+  });
+});
+
+/**
+ * @desc    Set or clear a product's scheduled publish and unpublish times
+ *          (null clears a time, leaving it out keeps it)
+ * @route   PUT /api/products/:id/schedule
+ * @access  Private/Admin/Product Manager
+ */
+exports.scheduleProduct = asyncHandler(async (req, res, next) => {
+  const product = await findProduct(req, res);
+  if (!product) return;
+
+  const toDate = (value) => (value === undefined || value === null ? value : new Date(value));
+
+  try {
+    const revision = await scheduleProduct(
+      product,
+      { publishAt: toDate(req.body.publishAt), unpublishAt: toDate(req.body.unpublishAt) },
+      { userId: req.user._id, note: req.body.note }
+    );
+
+    res.status(200).json({ success: true, data: { product, revision } });
+  } catch (error) {
+    if (!rejectInvalid(error, res)) throw error;
+  }
+});
+
+/**
+ * @desc    List a product's revisions, newest first, without their snapshots
+ * @route   GET /api/products/:id/revisions
+ * @access  Private/Admin/Product Manager
+ */
+exports.listRevisions = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = { product: req.params.id };
+  const [revisions, total] = await Promise.all([
+    ProductRevision.find(filter)
+      .select('-snapshot')
+      .populate('createdBy', 'name email')
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    ProductRevision.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: revisions,
+    pagination: {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      itemsPerPage: limit,
+    },
+  });
+});
+
+/**
+ * @desc    Get one revision of a product with its snapshot and changes
+ * @route   GET /api/products/:id/revisions/:revision
+ * @access  Private/Admin/Product Manager
+ */
+exports.getRevision = asyncHandler(async (req, res, next) => {
+  const revision = await ProductRevision.findOne({ product: req.params.id, revision: req.params.revision })
+    .populate('createdBy', 'name email');
+
+  if (!revision) {
+    return res.status(404).json({ success: false, message: 'Revision not found' });
+  }
+
+  res.status(200).json({ success: true, data: revision });
+});
+
+/**
+ * @desc    Put a product's content back as it was at a revision
+ * @route   POST /api/products/:id/revisions/:revision/restore
+ * @access  Private/Admin/Product Manager
+ */
+exports.restoreRevision = asyncHandler(async (req, res, next) => {
+  const product = await findProduct(req, res);
+  if (!product) return;
+
+  try {
+    const revision = await restoreRevision(product, Number(req.params.revision), {
+      userId: req.user._id,
+      note: req.body.note,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { product, revision },
+      message: `Restored revision ${req.params.revision} as revision ${revision.revision}.`,
+    });
+  } catch (error) {
+    if (!rejectInvalid(error, res)) throw error;
+  }
+});
+
+/**
+ * @desc    Create a link that shows an unpublished product on the storefront
+ * @route   POST /api/products/:id/preview-link
+ * @access  Private/Admin/Product Manager
+ */
+exports.createPreviewLink = asyncHandler(async (req, res, next) => {
+  const product = await findProduct(req, res);
+  if (!product) return;
+
+  const link = createPreviewLink(product, req.body.expiresInHours);
+
+  res.status(201).json({ success: true, data: link });
+});
@@ -2,6 +2,8 @@
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const Refund = require('../models/Refund');
+const { PAID_STATUSES } = require('../services/paymentService');
 const logger = require('../utils/logger');
 const ERROR_CODES = require('../constants/errorCodes');
 const { Parser } = require('json2csv');
@@ -123,10 +125,10 @@ exports.exportSalesReport = async (req, res, next) => {
     const salesData = await Order.find({ status: { $in: ['delivered', 'shipped'] } })
       .populate('items.product', 'name price')
       .populate('customer', 'name email')
-      .select('orderNumber customer items totalAmount createdAt');
+      .select('orderNumber customer items totalAmount taxAmount taxBreakdown createdAt');
 
     if (type === 'csv') {
-      const fields = ['orderNumber', 'customer.name', 'customer.email', 'items', 'totalAmount', 'createdAt'];
+      const fields = ['orderNumber', 'customer.name', 'customer.email', 'items', 'totalAmount', 'taxAmount', 'taxBreakdown', 'createdAt'];
       const opts = { fields };
       const parser = new Parser(opts);
       const csv = parser.parse(salesData.map(order => ({
@@ -135,6 +137,8 @@ exports.exportSalesReport = async (req, res, next) => {
         'customer.email': order.customer.email,
         items: order.items.map(item => `${item.product.name} x${item.quantity}`).join('; '),
         totalAmount: order.totalAmount,
+        taxAmount: order.taxAmount,
+        taxBreakdown: order.taxBreakdown.map(tax => `${tax.name} ${tax.rate}%: ${tax.amountINR.toFixed(2)}`).join('; '),
         createdAt: order.createdAt,
       })));
 
@@ -149,3 +153,147 @@ exports.exportSalesReport = async (req, res, next) => {
     res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
   }
 };
+
+// @desc    Get tax collected, broken down by component, state and tax class
+// @route   GET /api/reports/tax
+// @access  Private/Admin/Finance Manager/Analytics Viewer
+exports.getTaxReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, format } = req.query;
+
+    // Tax is owed once an order is invoiced: when it is paid, or when a cash
+    // on delivery order is delivered, whether or not the cash is remitted yet
+    const match = {
+      $or: [
+        { paymentStatus: { $in: PAID_STATUSES } },
+        { paymentMethod: 'cod', status: 'delivered' },
+      ],
+    };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    // Processed refunds credit tax back in proportion to the order total, as
+    // their credit notes do, so each order's figures are scaled by `retained`
+    const taxableOrders = [
+      { $match: match },
+      {
+        $lookup: {
+          from: Refund.collection.name,
+          let: { orderId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$orderId', '$$orderId'] }, status: 'processed' } },
+            { $group: { _id: null, amount: { $sum: '$amount' } } },
+          ],
+          as: 'refunds',
+        },
+      },
+      { $addFields: { refundedINR: { $ifNull: [{ $arrayElemAt: ['$refunds.amount', 0] }, 0] } } },
+      {
+        $addFields: {
+          retained: {
+            $cond: [
+              { $gt: ['$finalAmount', 0] },
+              { $max: [0, { $subtract: [1, { $divide: ['$refundedINR', '$finalAmount'] }] }] },
+              1,
+            ],
+          },
+        },
+      },
+    ];
+    const retainedOf = (field) => ({ $multiply: [field, '$retained'] });
+    const round2 = (field) => ({ $round: [field, 2] });
+
+    const [totals, byComponent, byState, byTaxClass] = await Promise.all([
+      Order.aggregate([
+        ...taxableOrders,
+        {
+          $group: {
+            _id: null,
+            orders: { $sum: 1 },
+            taxINR: { $sum: retainedOf('$taxAmount') },
+            grossINR: { $sum: '$finalAmount' },
+            refundedINR: { $sum: '$refundedINR' },
+          },
+        },
+        { $project: { _id: 0, orders: 1, taxINR: round2('$taxINR'), grossINR: round2('$grossINR'), refundedINR: round2('$refundedINR') } },
+      ]),
+      Order.aggregate([
+        ...taxableOrders,
+        { $unwind: '$taxBreakdown' },
+        {
+          $group: {
+            _id: { name: '$taxBreakdown.name', rate: '$taxBreakdown.rate' },
+            taxableINR: { $sum: retainedOf('$taxBreakdown.taxableINR') },
+            taxINR: { $sum: retainedOf('$taxBreakdown.amountINR') },
+            orders: { $sum: 1 },
+          },
+        },
+        { $project: { _id: 0, name: '$_id.name', rate: '$_id.rate', taxableINR: round2('$taxableINR'), taxINR: round2('$taxINR'), orders: 1 } },
+        { $sort: { name: 1, rate: 1 } },
+      ]),
+      Order.aggregate([
+        ...taxableOrders,
+        { $unwind: '$taxBreakdown' },
+        {
+          $group: {
+            _id: { country: '$shippingAddress.country', state: '$shippingAddress.state', name: '$taxBreakdown.name', rate: '$taxBreakdown.rate' },
+            taxableINR: { $sum: retainedOf('$taxBreakdown.taxableINR') },
+            taxINR: { $sum: retainedOf('$taxBreakdown.amountINR') },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            country: '$_id.country',
+            state: '$_id.state',
+            name: '$_id.name',
+            rate: '$_id.rate',
+            taxableINR: round2('$taxableINR'),
+            taxINR: round2('$taxINR'),
+          },
+        },
+        { $sort: { country: 1, state: 1, name: 1, rate: 1 } },
+      ]),
+      Order.aggregate([
+        ...taxableOrders,
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: { $ifNull: ['$items.taxClass', 'standard'] },
+            taxableINR: { $sum: retainedOf({ $subtract: ['$items.lineTotalINR', '$items.taxINR'] }) },
+            taxINR: { $sum: retainedOf('$items.taxINR') },
+            units: { $sum: '$items.quantity' },
+          },
+        },
+        { $project: { _id: 0, taxClass: '$_id', taxableINR: round2('$taxableINR'), taxINR: round2('$taxINR'), units: 1 } },
+        { $sort: { taxClass: 1 } },
+      ]),
+    ]);
+
+    if (format === 'csv') {
+      const fields = ['country', 'state', 'name', 'rate', 'taxableINR', 'taxINR'];
+      const parser = new Parser({ fields });
+      const csv = parser.parse(byState);
+
+      res.header('Content-Type', 'text/csv');
+      res.attachment('tax_report.csv');
+      return res.send(csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totals: totals[0] || { orders: 0, taxINR: 0, grossINR: 0, refundedINR: 0 },
+        byComponent,
+        byState,
+        byTaxClass,
+      },
+    });
+  } catch (error) {
+    logger.error('Get Tax Report Error:', error);
+    res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
+  }
+};
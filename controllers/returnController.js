@@ -0,0 +1,209 @@
+// controllers/returnController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const ReturnRequest = require('../models/ReturnRequest');
+const USER_ROLES = require('../constants/userRoles');
+const { actorFromUser } = require('../services/orderLifecycleService');
+const {
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  inspectReturn,
+} = require('../services/returnService');
+
+// Roles that manage returns
+const RETURN_ADMINS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER];
+
+/**
+ * Load a return by ID, replying 400/404 when it cannot be found.
+ * @returns {Promise<Object|null>} - The return, or null once a response has been sent
+ */
+const findReturn = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'Invalid return ID.' });
+    return null;
+  }
+
+  const returnRequest = await ReturnRequest.findById(id);
+  if (!returnRequest) {
+    res.status(404).json({ success: false, message: 'Return request not found.' });
+    return null;
+  }
+  return returnRequest;
+};
+
+/**
+ * @desc    List the signed-in customer's returns
+ * @route   GET /api/returns/my
+ * @access  Private/Customer
+ */
+exports.getMyReturns = asyncHandler(async (req, res, next) => {
+  const returns = await ReturnRequest.find({ customer: req.user._id })
+    .populate('orderId', 'orderNumber')
+    .populate('items.productId', 'title thumbnail')
+    .populate('refundId', 'amount status refundedTo processedAt')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: returns,
+    message: 'Return requests fetched successfully.',
+  });
+});
+
+/**
+ * @desc    List returns, optionally by status
+ * @route   GET /api/returns
+ * @access  Private/Admin/Order Manager
+ */
+exports.listReturns = asyncHandler(async (req, res, next) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const filter = {};
+  if (status) {
+    filter.status = status;
+  }
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+  const [returns, total] = await Promise.all([
+    ReturnRequest.find(filter)
+      .populate('orderId', 'orderNumber')
+      .populate('customer', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    ReturnRequest.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: returns,
+    pagination: {
+      totalItems: total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      itemsPerPage: limitNum,
+    },
+    message: 'Return requests fetched successfully.',
+  });
+});
+
+/**
+ * @desc    Get a return request
+ * @route   GET /api/returns/:id
+ * @access  Private (owner or Admin/Order Manager)
+ */
+exports.getReturn = asyncHandler(async (req, res, next) => {
+  const returnRequest = await findReturn(req, res);
+  if (!returnRequest) {
+    return;
+  }
+
+  if (!RETURN_ADMINS.includes(req.user.role) && String(returnRequest.customer) !== String(req.user._id)) {
+    return res.status(403).json({ success: false, message: 'You are not authorized to access this return request.' });
+  }
+
+  await returnRequest.populate([
+    { path: 'orderId', select: 'orderNumber status' },
+    { path: 'items.productId', select: 'title thumbnail' },
+    { path: 'refundId', select: 'amount status refundedTo processedAt' },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: returnRequest,
+    message: 'Return request fetched successfully.',
+  });
+});
+
+/**
+ * @desc    Approve a pending return
+ * @route   PUT /api/returns/:id/approve
+ * @access  Private/Admin/Order Manager
+ */
+exports.approveReturn = asyncHandler(async (req, res, next) => {
+  const returnRequest = await findReturn(req, res);
+  if (!returnRequest) {
+    return;
+  }
+
+  const { returnTrackingNumber, adminNotes } = req.body;
+  await approveReturn(returnRequest, actorFromUser(req.user), { returnTrackingNumber, adminNotes });
+
+  res.status(200).json({
+    success: true,
+    data: returnRequest,
+    message: 'Return request approved.',
+  });
+});
+
+/**
+ * @desc    Reject a return
+ * @route   PUT /api/returns/:id/reject
+ * @access  Private/Admin/Order Manager
+ */
+exports.rejectReturn = asyncHandler(async (req, res, next) => {
+  const returnRequest = await findReturn(req, res);
+  if (!returnRequest) {
+    return;
+  }
+
+  await rejectReturn(returnRequest, actorFromUser(req.user), { reason: req.body.reason });
+
+  res.status(200).json({
+    success: true,
+    data: returnRequest,
+    message: 'Return request rejected.',
+  });
+});
+
+/**
+ * @desc    Mark the returned goods as received
+ * @route   PUT /api/returns/:id/receive
+ * @access  Private/Admin/Order Manager
+ */
+exports.receiveReturn = asyncHandler(async (req, res, next) => {
+  const returnRequest = await findReturn(req, res);
+  if (!returnRequest) {
+    return;
+  }
+
+  await receiveReturn(returnRequest, actorFromUser(req.user), { adminNotes: req.body.adminNotes });
+
+  res.status(200).json({
+    success: true,
+    data: returnRequest,
+    message: 'Returned items marked as received.',
+  });
+});
+
+/**
+ * @desc    Record inspection outcomes, restock and refund
+ * @route   PUT /api/returns/:id/inspect
+ * @access  Private/Admin/Order Manager
+ */
+exports.inspectReturn = asyncHandler(async (req, res, next) => {
+  const returnRequest = await findReturn(req, res);
+  if (!returnRequest) {
+    return;
+  }
+
+  const { items, refundAmount, payout, adminNotes } = req.body;
+  const { refund } = await inspectReturn(returnRequest, actorFromUser(req.user), {
+    items,
+    refundAmount,
+    payout,
+    adminNotes,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { returnRequest, refund },
+    message: 'Return completed and refund created.',
+  });
+});
@@ -2,6 +2,7 @@ const Settings = require('../models/Settings');
 const SEOSettings = require('../models/SEOSettings');
 const NotificationTemplate = require('../models/NotificationTemplate');
 const AuditLog = require('../models/AuditLog');
+const fxRateService = require('../services/fxRateService');
 const { validationResult } = require('express-validator');
 
 // Retrieve all settings with optional categorization and localization
@@ -142,3 +143,53 @@ exports.updateNotificationTemplate = async (req, res) => {
     res.status(500).json({ success: false, message: 'Failed to update notification template', error: error.message });
   }
 };
+
+// Retrieve the current exchange rate and its full schedule
+exports.getFxRates = async (req, res) => {
+  const { base = 'USD', quote = 'INR' } = req.query;
+
+  try {
+    const current = await fxRateService.getRate(base, quote);
+    const history = await fxRateService.getRateHistory(base, quote);
+    res.status(200).json({ success: true, data: { current, history } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to retrieve exchange rates', error: error.message });
+  }
+};
+
+// Set an exchange rate, optionally effective from a future date
+exports.setFxRate = async (req, res) => {
+  const { base = 'USD', quote = 'INR', rate, effectiveFrom } = req.body;
+
+  try {
+    const history = await fxRateService.setRate({ rate, effectiveFrom, source: 'manual' }, req.user._id, base, quote);
+    res.status(200).json({ success: true, data: history, message: 'Exchange rate updated successfully' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: 'Failed to update exchange rate', error: error.message });
+  }
+};
+
+// Import a batch of historical or scheduled exchange rates
+exports.importFxRates = async (req, res) => {
+  const { base = 'USD', quote = 'INR', rates } = req.body;
+
+  try {
+    const entries = rates.map((entry) => ({ ...entry, source: entry.source || 'import' }));
+    const history = await fxRateService.importRates(entries, req.user._id, base, quote);
+    res.status(200).json({ success: true, data: history, message: `${entries.length} exchange rate(s) imported successfully` });
+  } catch (error) {
+    res.status(400).json({ success: false, message: 'Failed to import exchange rates', error: error.message });
+  }
+};
+
+// Fetch the latest rate from the configured provider and record it
+exports.refreshFxRate = async (req, res) => {
+  const { base = 'USD', quote = 'INR' } = req.body;
+
+  try {
+    const entry = await fxRateService.refreshFromProvider(req.user._id, base, quote);
+    res.status(200).json({ success: true, data: entry, message: 'Exchange rate refreshed successfully' });
+  } catch (error) {
+    res.status(502).json({ success: false, message: 'Failed to refresh exchange rate', error: error.message });
+  }
+};
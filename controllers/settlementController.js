@@ -0,0 +1,129 @@
+// controllers/settlementController.js
+
+const asyncHandler = require('express-async-handler');
+const { Parser } = require('json2csv');
+const SettlementBatch = require('../models/SettlementBatch');
+const {
+  EXPORT_FIELDS,
+  importSettlementFile,
+  exportRows,
+  exportWorkbook,
+} = require('../services/settlementService');
+
+/**
+ * Load a settlement batch by ID, replying 404 when it does not exist.
+ * @returns {Promise<Object|null>} - The batch, or null once a response has been sent
+ */
+const findBatch = async (req, res) => {
+  const batch = await SettlementBatch.findById(req.params.id);
+  if (!batch) {
+    res.status(404).json({ success: false, message: 'Settlement batch not found.' });
+    return null;
+  }
+  return batch;
+};
+
+/**
+ * @desc    Upload a gateway settlement file and match it against our payments
+ * @route   POST /api/settlements
+ * @access  Private/Admin/Finance Manager
+ */
+exports.uploadSettlement = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'Please upload a settlement file.' });
+  }
+
+  const batch = await importSettlementFile({
+    gateway: req.body.gateway,
+    buffer: req.file.buffer,
+    fileName: req.file.originalname,
+    actor: req.user,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: batch,
+    message: batch.status === 'reconciled'
+      ? 'Settlement file matched in full.'
+      : `Settlement file imported with ${batch.totals.shortSettled + batch.totals.unmatched + batch.totals.duplicate} exception(s).`,
+  });
+});
+
+/**
+ * @desc    List settlement batches
+ * @route   GET /api/settlements
+ * @access  Private/Admin/Finance Manager
+ */
+exports.listSettlements = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.gateway) filter.gateway = req.query.gateway;
+  if (req.query.status) filter.status = req.query.status;
+
+  const [batches, total] = await Promise.all([
+    SettlementBatch.find(filter)
+      .select('-rows')
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    SettlementBatch.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: batches,
+    pagination: {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      itemsPerPage: limit,
+    },
+  });
+});
+
+/**
+ * @desc    Get a settlement batch with its rows, optionally only some match statuses
+ * @route   GET /api/settlements/:id?matchStatus=unmatched,short_settled
+ * @access  Private/Admin/Finance Manager
+ */
+exports.getSettlement = asyncHandler(async (req, res, next) => {
+  const batch = await findBatch(req, res);
+  if (!batch) return;
+
+  const data = batch.toObject();
+  if (req.query.matchStatus) {
+    const statuses = req.query.matchStatus.split(',');
+    data.rows = data.rows.filter((row) => statuses.includes(row.matchStatus));
+  }
+
+  res.status(200).json({ success: true, data });
+});
+
+/**
+ * @desc    Export a settlement batch as CSV or Excel
+ * @route   GET /api/settlements/:id/export?format=csv|xlsx
+ * @access  Private/Admin/Finance Manager
+ */
+exports.exportSettlement = asyncHandler(async (req, res, next) => {
+  const batch = await findBatch(req, res);
+  if (!batch) return;
+
+  const baseName = `settlement-${batch.gateway}-${batch._id}`;
+
+  if (req.query.format === 'xlsx') {
+    const buffer = await exportWorkbook(batch);
+    res.header('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.attachment(`${baseName}.xlsx`);
+    return res.send(Buffer.from(buffer));
+  }
+
+  const csv = new Parser({ fields: EXPORT_FIELDS }).parse(exportRows(batch));
+  res.header('Content-Type', 'text/csv');
+  res.attachment(`${baseName}.csv`);
+  return res.send(csv);
+});
@@ -1,9 +1,10 @@
 // controllers/webhookController.js
 
-const billDeskService = require('../services/billDeskService');
-const Order = require('../models/Order');
-const Transaction = require('../models/Transaction');
-const Product = require('../models/Product');
+const asyncHandler = require('express-async-handler');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getGateway } = require('../services/gateways');
+const { applyPaymentResult } = require('../services/paymentService');
+const { receiveWebhook, replayEvent } = require('../services/webhookInboxService');
 const logger = require('../utils/logger');
 
 /**
@@ -15,61 +16,22 @@ exports.billDeskWebhook = async (req, res) => {
   try {
     logger.info('BillDesk webhook received');
     
-    // Get the response data from BillDesk
-    const responseData = req.body;
-    
-    // Process and verify the BillDesk response
-    const result = await billDeskService.processResponse(responseData);
-    
-    if (!result.success) {
-      logger.error('BillDesk webhook processing failed:', result.message);
-      return res.status(400).json({ 
-        success: false, 
-        message: result.message 
-      });
-    }
-    
-    // Find the order
-    const order = await Order.findOne({ orderNumber: result.orderNumber });
-    if (!order) {
-      logger.error(`Order not found for orderNumber: ${result.orderNumber}`);
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Order not found' 
-      });
-    }
-    
-    // Update order based on payment status
-    if (result.status === 'success') {
-      order.paymentStatus = 'paid';
-      order.status = 'processing';
-      await order.save();
-      
-      // Deduct stock
-      for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.product, { 
-          $inc: { stock: -item.quantity } 
-        });
-      }
-      
-      logger.info(`Order ${order.orderNumber} payment succeeded via BillDesk`);
-    } else if (result.status === 'failed') {
-      order.paymentStatus = 'failed';
-      order.status = 'failed';
-      await order.save();
-      
-      logger.info(`Order ${order.orderNumber} payment failed via BillDesk`);
-    }
+    // Verify and store the notification; the webhook inbox applies it to the
+    // order, once, however often BillDesk sends it
+    const { event, duplicate } = await receiveWebhook('billdesk', req);
     
     // Return success response to BillDesk
     res.json({ 
       success: true, 
-      message: 'Webhook processed successfully',
-      orderNumber: result.orderNumber
+      message: duplicate ? 'Webhook already received' : 'Webhook received',
+      eventId: event.eventId
     });
     
   } catch (error) {
     logger.error('BillDesk webhook error:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({ 
       success: false, 
       message: 'Internal server error' 
@@ -112,8 +74,12 @@ exports.billDeskReturn = async (req, res) => {
       return res.redirect(`${frontendUrl}/payment-status?status=error&message=no_data`);
     }
     
-    // Process the BillDesk response
-    const result = await billDeskService.processResponse(responseData);
+    // Verify the BillDesk response and settle the order it belongs to
+    const result = await getGateway('billdesk').verifyReturn(responseData);
+    const applied = await applyPaymentResult('billdesk', result);
+    if (applied) {
+      result.status = applied.status;
+    }
     
     // Redirect to frontend with status
     const frontendUrl = process.env.FRONTEND_URL;
@@ -156,3 +122,81 @@ exports.billDeskReturn = async (req, res) => {
     }
   }
 };
+
+/**
+ * @desc    List stored webhook events
+ * @route   GET /api/webhooks/events
+ * @access  Private (Admin/Order Manager/Finance Manager)
+ */
+exports.listWebhookEvents = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  ['gateway', 'status', 'eventType', 'eventId'].forEach((field) => {
+    if (req.query[field]) {
+      filter[field] = req.query[field];
+    }
+  });
+  if (req.query.orderNumber) {
+    filter['result.orderNumber'] = req.query.orderNumber;
+  }
+
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(filter)
+      .select('-payload -rawBody -headers')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    WebhookEvent.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: events,
+    pagination: {
+      totalItems: total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      itemsPerPage: limit,
+    },
+  });
+});
+
+/**
+ * @desc    Get a stored webhook event with its payload
+ * @route   GET /api/webhooks/events/:id
+ * @access  Private (Admin/Order Manager/Finance Manager)
+ */
+exports.getWebhookEvent = asyncHandler(async (req, res, next) => {
+  const event = await WebhookEvent.findById(req.params.id).populate('replays.by', 'name email');
+  if (!event) {
+    return res.status(404).json({ success: false, message: 'Webhook event not found.' });
+  }
+
+  res.status(200).json({ success: true, data: event });
+});
+
+/**
+ * @desc    Process a stored webhook event again
+ * @route   POST /api/webhooks/events/:id/replay
+ * @access  Private (Admin/Order Manager/Finance Manager)
+ */
+exports.replayWebhookEvent = asyncHandler(async (req, res, next) => {
+  const event = await WebhookEvent.findById(req.params.id);
+  if (!event) {
+    return res.status(404).json({ success: false, message: 'Webhook event not found.' });
+  }
+
+  const replayed = await replayEvent(event, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: replayed,
+    message: replayed.status === 'failed'
+      ? `Replay failed: ${replayed.lastError}`
+      : `Webhook event ${replayed.status}.`,
+  });
+});
@@ -0,0 +1,29 @@
+// jobs/index.js
+// Repeating background jobs. server.js starts them in the primary process
+// only, so each runs once however many HTTP workers are forked. Set
+// BACKGROUND_JOBS=off on instances that should serve requests only.
+const logger = require('../utils/logger');
+
+const REPEATING_JOBS = [
+  require('./stockHoldJob'),
+  require('./webhookJob'),
+  require('./reconciliationJob'),
+  require('./paymentJob'),
+  require('./productImportJob'),
+  require('./productScheduleJob'),
+];
+
+/**
+ * Start every repeating job's schedule and worker.
+ */
+const startBackgroundJobs = () => {
+  if (process.env.BACKGROUND_JOBS === 'off') {
+    logger.info('Background jobs are off on this instance');
+    return;
+  }
+
+  REPEATING_JOBS.forEach((job) => job.start());
+  logger.info(`Started background jobs: ${REPEATING_JOBS.map((job) => job.queueName).join(', ')}`);
+};
+
+module.exports = { startBackgroundJobs };
@@ -0,0 +1,17 @@
+// jobs/productImportJob.js
+const repeatingJob = require('./repeatingJob');
+const { processDueImports } = require('../services/productImportService');
+const logger = require('../utils/logger');
+
+// Run product imports that were never started or were left behind, every minute
+module.exports = repeatingJob('productImportQueue', {
+  schedules: {
+    processDueImports: { every: 60 * 1000 },
+  },
+  processor: async () => {
+    const processed = await processDueImports();
+    if (processed.length > 0) {
+      logger.info(`Processed ${processed.length} waiting product import(s)`);
+    }
+  },
+});
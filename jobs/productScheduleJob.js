@@ -0,0 +1,17 @@
+// jobs/productScheduleJob.js
+const repeatingJob = require('./repeatingJob');
+const { applyDueSchedules } = require('../services/productPublishingService');
+const logger = require('../utils/logger');
+
+// Publish and unpublish products at their scheduled times, checked every minute
+module.exports = repeatingJob('productScheduleQueue', {
+  schedules: {
+    applyDueSchedules: { every: 60 * 1000 },
+  },
+  processor: async () => {
+    const { published, unpublished } = await applyDueSchedules();
+    if (published.length > 0 || unpublished.length > 0) {
+      logger.info(`Scheduled publishing: ${published.length} product(s) published, ${unpublished.length} unpublished`);
+    }
+  },
+});
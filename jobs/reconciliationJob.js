@@ -0,0 +1,26 @@
+// jobs/reconciliationJob.js
+const repeatingJob = require('./repeatingJob');
+const { reconcilePendingPayments, buildDiscrepancyReport } = require('../services/reconciliationService');
+const logger = require('../utils/logger');
+
+// Reconcile payments with the gateways: ask about unsettled payments every
+// 15 minutes, and send finance the previous day's discrepancy report at
+// 06:00 IST
+module.exports = repeatingJob('reconciliationQueue', {
+  schedules: {
+    reconcilePendingPayments: { every: 15 * 60 * 1000 },
+    dailyDiscrepancyReport: { pattern: '0 6 * * *', tz: 'Asia/Kolkata' },
+  },
+  processor: async (job) => {
+    if (job.name === 'dailyDiscrepancyReport') {
+      const report = await buildDiscrepancyReport();
+      logger.info(`Reconciliation report ${report.date} sent with ${report.discrepancies.length} discrepancies`);
+      return;
+    }
+
+    const summary = await reconcilePendingPayments();
+    if (summary.paid > 0 || summary.failed > 0) {
+      logger.info(`Reconciled ${summary.checked} order(s): ${summary.paid} paid, ${summary.failed} failed`);
+    }
+  },
+});
@@ -0,0 +1,48 @@
+// jobs/repeatingJob.js
+const { Queue, Worker } = require('bullmq');
+const logger = require('../utils/logger');
+
+const connection = () => ({
+  host: process.env.REDIS_HOST,
+  port: process.env.REDIS_PORT,
+});
+
+/**
+ * A queue that BullMQ feeds on a schedule, and the worker that drains it.
+ * Nothing connects to Redis until start() is called; jobs/index.js starts
+ * every repeating job once per deployment.
+ * @param {string} queueName
+ * @param {Object} options
+ * @param {Object<string, Object>} options.schedules - Job name -> BullMQ repeat
+ *   options, e.g. { every: 60000 } or { pattern: '0 6 * * *', tz: 'Asia/Kolkata' }
+ * @param {Function} options.processor - async (job) => void
+ * @returns {Object} - { queueName, start }
+ */
+const repeatingJob = (queueName, { schedules, processor }) => {
+  let running = null;
+
+  const start = () => {
+    if (running) {
+      return running;
+    }
+
+    const queue = new Queue(queueName, { connection: connection() });
+    Object.entries(schedules).forEach(([name, repeat]) => {
+      queue.add(name, {}, { repeat, removeOnComplete: true, removeOnFail: 100 }).catch((err) => {
+        logger.error(`Could not schedule ${queueName} job ${name}: ${err.message}`);
+      });
+    });
+
+    const worker = new Worker(queueName, processor, { connection: connection() });
+    worker.on('failed', (job, err) => {
+      logger.error(`${queueName} job ${job ? job.name : ''} failed: ${err.message}`);
+    });
+
+    running = { queue, worker };
+    return running;
+  };
+
+  return { queueName, start };
+};
+
+module.exports = repeatingJob;
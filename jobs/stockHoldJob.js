@@ -0,0 +1,17 @@
+// jobs/stockHoldJob.js
+const repeatingJob = require('./repeatingJob');
+const { releaseExpiredHolds } = require('../services/inventoryService');
+const logger = require('../utils/logger');
+
+// Release stock held by abandoned online payments; sweeps every minute
+module.exports = repeatingJob('stockHoldQueue', {
+  schedules: {
+    releaseExpiredHolds: { every: 60 * 1000 },
+  },
+  processor: async () => {
+    const lapsed = await releaseExpiredHolds();
+    if (lapsed.length > 0) {
+      logger.info(`Released expired stock holds for ${lapsed.length} order(s)`);
+    }
+  },
+});
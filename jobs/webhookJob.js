@@ -0,0 +1,17 @@
+// jobs/webhookJob.js
+const repeatingJob = require('./repeatingJob');
+const { processDueEvents } = require('../services/webhookInboxService');
+const logger = require('../utils/logger');
+
+// Drain the webhook inbox: retry failed and missed events every 30 seconds
+module.exports = repeatingJob('webhookQueue', {
+  schedules: {
+    processDueEvents: { every: 30 * 1000 },
+  },
+  processor: async () => {
+    const processed = await processDueEvents();
+    if (processed.length > 0) {
+      logger.info(`Processed ${processed.length} queued webhook event(s)`);
+    }
+  },
+});
@@ -64,6 +64,15 @@ const MESSAGES = {
     ALREADY_ACTIVE: "Coupon is already active.",
     ALREADY_INACTIVE: "Coupon is already inactive.",
   },
+  COUPON_BATCH: {
+    CREATE_SUCCESS: "Coupon batch generated successfully.",
+    FETCH_SUCCESS: "Coupon batches fetched successfully.",
+    REPORT_SUCCESS: "Coupon batch report fetched successfully.",
+    DEACTIVATE_SUCCESS: "Coupon batch deactivated successfully.",
+    BATCH_NOT_FOUND: "Coupon batch not found.",
+    INVALID_ID: "Invalid coupon batch ID.",
+    ALREADY_INACTIVE: "Coupon batch is already deactivated.",
+  },
   REPORT: {
     SALES_SUMMARY_SUCCESS: "Sales summary fetched successfully.",
     TOP_PRODUCTS_SUCCESS: "Top-selling products fetched successfully.",
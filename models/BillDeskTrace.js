@@ -0,0 +1,64 @@
+// models/BillDeskTrace.js
+
+const mongoose = require('mongoose');
+
+// One BillDesk API call, keyed by its BD-Traceid. entries holds the request,
+// response and error records as utils/billDeskLogger.js wrote them (secrets
+// already redacted); the fields above them are copied out for filtering.
+// status is 'sent' until a response arrives, then 'success' for a 2xx answer
+// or 'failed' otherwise, and 'error' once the call has errored. Traces are
+// removed by MongoDB once expiresAt passes.
+const BillDeskTraceSchema = new mongoose.Schema(
+  {
+    traceId: {
+      type: String,
+      required: [true, 'Trace ID is required'],
+      unique: true,
+      trim: true,
+    },
+    orderNumber: {
+      type: String,
+      trim: true,
+    },
+    url: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'success', 'failed', 'error'],
+      default: 'sent',
+    },
+    statusCode: {
+      type: Number,
+    },
+    // BillDesk error_code (or error_type) from a decrypted error response
+    errorCode: {
+      type: String,
+      trim: true,
+    },
+    errorMessage: {
+      type: String,
+    },
+    processingTime: {
+      type: Number,
+    },
+    entries: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+BillDeskTraceSchema.index({ orderNumber: 1, createdAt: -1 });
+BillDeskTraceSchema.index({ status: 1, createdAt: -1 });
+BillDeskTraceSchema.index({ errorCode: 1, createdAt: -1 });
+BillDeskTraceSchema.index({ createdAt: -1 });
+BillDeskTraceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('BillDeskTrace', BillDeskTraceSchema);
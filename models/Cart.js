@@ -14,11 +14,20 @@ const CartItemSchema = new mongoose.Schema(
       required: [true, 'Product title is required'],
       trim: true,
     },
+    // Product variant (SKU); carts from before variants had IDs only have
+    // the size in variant
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
     variant: {
       type: String,
       required: [true, 'Product variant is required'],
       trim: true,
     },
+    sku: {
+      type: String,
+      trim: true,
+    },
     packaging: {
       type: String,
       required: [true, 'Product packaging is required'],
@@ -70,7 +79,9 @@ const CartSchema = new mongoose.Schema(
   }
 );
 
-// Method to calculate total amount
+// Method to calculate total amount: the undiscounted merchandise subtotal in
+// USD. What the customer will actually be charged (product discounts, coupon,
+// tax, shipping) comes from services/pricingService.js.
 CartSchema.methods.calculateTotal = function () {
   this.totalAmount = this.items.reduce(
     (sum, item) => sum + item.price * item.quantity,
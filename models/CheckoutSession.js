@@ -0,0 +1,72 @@
+// models/CheckoutSession.js
+
+const mongoose = require('mongoose');
+
+// A BillDesk checkout started for an order. The server builds and signs the
+// BillDesk order and keeps what the storefront needs to launch the SDK. A
+// session is 'open' until it expires or the payment settles ('completed' or
+// 'failed'); starting a new one for the same order makes the old one
+// 'superseded'. traceId is the BD-Traceid of the create-order call, the key
+// for its entries in the BillDesk debug log.
+const CheckoutSessionSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order is required'],
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    gateway: {
+      type: String,
+      enum: ['billdesk'],
+      default: 'billdesk',
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+    },
+    // BillDesk orderid; differs from the order number on repeat attempts
+    merchantOrderId: {
+      type: String,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Amount cannot be negative'],
+    },
+    traceId: {
+      type: String,
+      trim: true,
+    },
+    launch: {
+      merchantId: { type: String },
+      bdOrderId: { type: String },
+      authToken: { type: String },
+      sdkUrl: { type: String },
+    },
+    status: {
+      type: String,
+      enum: ['open', 'completed', 'failed', 'expired', 'superseded'],
+      default: 'open',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    clientIp: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+CheckoutSessionSchema.index({ order: 1, createdAt: -1 });
+CheckoutSessionSchema.index({ traceId: 1 });
+CheckoutSessionSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('CheckoutSession', CheckoutSessionSchema);
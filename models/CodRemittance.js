@@ -0,0 +1,79 @@
+// models/CodRemittance.js
+
+const mongoose = require('mongoose');
+
+// One order in a courier's remittance and how it was applied
+const remittanceLineSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative'],
+  },
+  expectedAmount: {
+    type: Number,
+  },
+  status: {
+    type: String,
+    enum: [
+      'collected', // the full amount was remitted
+      'short', // less than the order total was remitted
+      'unmatched', // no delivered cash on delivery order with this number
+      'duplicate', // the order's cash was already remitted
+    ],
+    required: true,
+  },
+  note: {
+    type: String,
+  },
+}, { _id: false });
+
+// Cash a courier collected on delivery and paid over to us
+const CodRemittanceSchema = new mongoose.Schema(
+  {
+    courier: {
+      type: String,
+      required: [true, 'Courier is required'],
+      trim: true,
+    },
+    // The courier's own reference for the payout (UTR or remittance ID)
+    reference: {
+      type: String,
+      required: [true, 'Remittance reference is required'],
+      trim: true,
+    },
+    remittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lines: [remittanceLineSchema],
+    totals: {
+      orders: { type: Number, default: 0 },
+      collected: { type: Number, default: 0 },
+      short: { type: Number, default: 0 },
+      unmatched: { type: Number, default: 0 },
+      duplicate: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+      shortfall: { type: Number, default: 0 },
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+CodRemittanceSchema.index({ courier: 1, reference: 1 }, { unique: true });
+CodRemittanceSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CodRemittance', CodRemittanceSchema);
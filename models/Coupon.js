@@ -10,7 +10,7 @@ const CouponSchema = new mongoose.Schema(
       unique: true,
       uppercase: true,
       trim: true,
-      maxlength: [15, 'Coupon code cannot exceed 15 characters'],
+      maxlength: [40, 'Coupon code cannot exceed 40 characters'],
     },
     discount: {
       type: Number,
@@ -42,6 +42,13 @@ const CouponSchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Used count cannot be negative'],
     },
+    // Uses held by orders still awaiting payment; with usedCount, what
+    // maxUses is checked against when a new use is claimed
+    reservedCount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Reserved count cannot be negative'],
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -58,6 +65,27 @@ const CouponSchema = new mongoose.Schema(
         ref: 'Category',
       },
     ],
+    // Minimum merchandise value (INR, after product discounts) to use the coupon
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum order value cannot be negative'],
+    },
+    maxUsesPerCustomer: {
+      type: Number,
+      default: null, // null means unlimited uses per customer
+      min: [1, 'Max uses per customer must be at least 1 if specified'],
+    },
+    firstOrderOnly: {
+      type: Boolean,
+      default: false,
+    },
+    // Set on codes generated as part of a campaign batch
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CouponBatch',
+      default: null,
+    },
   },
   { 
     timestamps: true,
@@ -118,5 +146,6 @@ CouponSchema.index({ code: 1 });
 CouponSchema.index({ isActive: 1, expirationDate: 1 });
 CouponSchema.index({ applicableProducts: 1 });
 CouponSchema.index({ applicableCategories: 1 });
+CouponSchema.index({ batch: 1 });
 
 module.exports = mongoose.model('Coupon', CouponSchema);
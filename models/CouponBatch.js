@@ -0,0 +1,103 @@
+// models/CouponBatch.js
+
+const mongoose = require('mongoose');
+
+// A campaign batch: one shared configuration for many generated single-use
+// coupon codes. The codes themselves are ordinary Coupon documents pointing
+// back here through Coupon.batch.
+const CouponBatchSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a batch name'],
+      trim: true,
+      maxlength: [100, 'Batch name cannot exceed 100 characters'],
+    },
+    campaign: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Campaign cannot exceed 100 characters'],
+    },
+    prefix: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9]{0,12}$/, 'Prefix may only contain letters and digits (max 12)'],
+      default: '',
+    },
+    codeLength: {
+      type: Number,
+      default: 10,
+      min: [6, 'Random part of the code must be at least 6 characters'],
+      max: [20, 'Random part of the code cannot exceed 20 characters'],
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Please specify how many codes to generate'],
+      min: [1, 'Quantity must be at least 1'],
+      max: [50000, 'Quantity cannot exceed 50000 per batch'],
+    },
+    generatedCount: {
+      type: Number,
+      default: 0,
+    },
+    discount: {
+      type: Number,
+      required: [true, 'Please add a discount value'],
+      min: [0, 'Discount cannot be negative'],
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: [true, 'Please specify the discount type'],
+    },
+    expirationDate: {
+      type: Date,
+      required: [true, 'Please add an expiration date'],
+    },
+    applicableProducts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+      },
+    ],
+    applicableCategories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+      },
+    ],
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum order value cannot be negative'],
+    },
+    firstOrderOnly: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['generating', 'active', 'deactivated'],
+      default: 'generating',
+    },
+    deactivatedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+CouponBatchSchema.index({ campaign: 1 });
+CouponBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CouponBatch', CouponBatchSchema);
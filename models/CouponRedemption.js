@@ -0,0 +1,87 @@
+// models/CouponRedemption.js
+
+const mongoose = require('mongoose');
+
+// Ledger of coupon use, one row per order. A row starts 'pending' when the
+// order is placed (counted in Coupon.reservedCount), becomes 'redeemed' once
+// the order is paid (only then does it count towards Coupon.usedCount) and
+// 'released' if the order is cancelled or its payment fails.
+const CouponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: [true, 'Coupon reference is required'],
+    },
+    code: {
+      type: String,
+      required: [true, 'Coupon code is required'],
+      uppercase: true,
+      trim: true,
+    },
+    // The coupon's campaign batch, copied so batch reports read the ledger
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CouponBatch',
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order reference is required'],
+      unique: true,
+    },
+    orderNumber: {
+      type: String,
+      trim: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Customer reference is required'],
+    },
+    discountUSD: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+    },
+    discountINR: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'redeemed', 'released'],
+      default: 'pending',
+    },
+    // Which of the customer's maxUsesPerCustomer uses this is (1-based). Set
+    // while the use is pending or redeemed, so the unique index below stops
+    // two checkouts taking the same use; unset when released.
+    customerSlot: {
+      type: Number,
+      min: 1,
+    },
+    redeemedAt: {
+      type: Date,
+    },
+    releasedAt: {
+      type: Date,
+    },
+    releaseReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+CouponRedemptionSchema.index({ coupon: 1, status: 1 });
+CouponRedemptionSchema.index({ batch: 1 }, { partialFilterExpression: { batch: { $exists: true } } });
+CouponRedemptionSchema.index({ coupon: 1, customer: 1, status: 1 });
+CouponRedemptionSchema.index(
+  { coupon: 1, customer: 1, customerSlot: 1 },
+  { unique: true, partialFilterExpression: { customerSlot: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
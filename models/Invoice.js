@@ -0,0 +1,145 @@
+// models/Invoice.js
+
+const mongoose = require('mongoose');
+
+const TaxComponentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    rate: { type: Number, required: true, min: 0 },
+    taxableINR: { type: Number, min: 0 },
+    amountINR: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const InvoiceLineSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    description: { type: String, required: true },
+    hsnCode: { type: String, default: null },
+    quantity: { type: Number, required: true, min: 0 },
+    unitPriceINR: { type: Number, required: true, min: 0 },
+    discountINR: { type: Number, default: 0, min: 0 },
+    taxableINR: { type: Number, required: true, min: 0 },
+    taxRate: { type: Number, default: 0, min: 0 },
+    taxComponents: { type: [TaxComponentSchema], default: [] },
+    totalINR: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const PartySchema = new mongoose.Schema(
+  {
+    name: { type: String },
+    email: { type: String },
+    gstin: { type: String },
+    street: { type: String },
+    city: { type: String },
+    state: { type: String },
+    zip: { type: String },
+    country: { type: String },
+    phone: { type: String },
+  },
+  { _id: false }
+);
+
+// A tax invoice for a paid order, or a credit note against one.
+// Numbers are sequential within a series (document type + financial year)
+// and are only allocated when the document is saved, so there are no gaps.
+const InvoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['invoice', 'credit_note'],
+      required: true,
+      default: 'invoice',
+    },
+    series: {
+      type: String,
+      required: true, // e.g. 'INV/2025-26'
+    },
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    number: {
+      type: String,
+      required: true,
+      unique: true, // e.g. 'INV/2025-26/000042'
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    orderNumber: {
+      type: String,
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Credit notes only: the invoice being credited and the refund behind it
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null,
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund',
+      default: null,
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    seller: PartySchema,
+    billingAddress: PartySchema,
+    shippingAddress: PartySchema,
+    placeOfSupply: {
+      type: String,
+    },
+    taxScheme: {
+      type: String,
+      enum: ['flat', 'gst'],
+      default: 'flat',
+    },
+    lines: {
+      type: [InvoiceLineSchema],
+      default: [],
+    },
+    taxBreakdown: {
+      type: [TaxComponentSchema],
+      default: [],
+    },
+    shippingINR: { type: Number, default: 0, min: 0 },
+    taxableINR: { type: Number, required: true, min: 0 },
+    taxINR: { type: Number, default: 0, min: 0 },
+    totalINR: { type: Number, required: true, min: 0 },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    emailedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+InvoiceSchema.index({ series: 1, sequence: 1 }, { unique: true });
+InvoiceSchema.index({ order: 1, type: 1 });
+// One tax invoice per order
+InvoiceSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
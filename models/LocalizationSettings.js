@@ -37,6 +37,33 @@ const LocalizationSettingsSchema = new mongoose.Schema(
       max: 100,
       default: 0, // Default tax rate as a percentage
     },
+    // 'flat' charges a single tax line; 'gst' splits tax into CGST + SGST for
+    // deliveries inside originState and IGST for everything else
+    taxScheme: {
+      type: String,
+      enum: ['flat', 'gst'],
+      default: 'flat',
+    },
+    originState: {
+      type: String,
+      trim: true,
+    },
+    // Per tax class overrides of taxRate (e.g. { beverage: 12, health_supplement: 18 })
+    taxClassRates: {
+      type: Map,
+      of: {
+        type: Number,
+        min: 0,
+        max: 100,
+      },
+      default: {},
+    },
+    // Payment gateways offered for deliveries to this region, in display
+    // order; empty falls back to the 'payment_gateways' setting
+    paymentGateways: {
+      type: [String],
+      default: [],
+    },
     customSettings: {
       type: Map,
       of: String, // Flexible key-value pairs for additional custom settings
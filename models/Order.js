@@ -3,6 +3,83 @@
 const mongoose = require('mongoose');
 const ORDER_STATUS = require('../constants/orderStatus'); // Order status constants
 const AddressSchema = require('./Address'); // Import the AddressSchema
+const { orderRate } = require('../services/fxRateService');
+const { summariseLines } = require('../utils/pricingUtils');
+
+// One tax component (e.g. CGST, SGST, IGST) on a line or on the whole order
+const TaxComponentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    rate: { type: Number, required: true, min: 0 },
+    taxableINR: { type: Number, min: 0 }, // order-level breakdown only
+    amountINR: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Cash on delivery bookkeeping, written by services/codService.js
+const CodDetailsSchema = new mongoose.Schema(
+  {
+    // The customer confirms the order by OTP, or ops confirm it by phone,
+    // before it can be accepted for dispatch
+    verification: {
+      status: { type: String, enum: ['unverified', 'verified'], default: 'unverified' },
+      method: { type: String, enum: ['otp', 'phone_call'] },
+      otpHash: { type: String, select: false },
+      otpExpiresAt: { type: Date },
+      otpSentCount: { type: Number, default: 0 },
+      otpLastSentAt: { type: Date },
+      failedAttempts: { type: Number, default: 0 },
+      verifiedAt: { type: Date },
+      verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      note: { type: String },
+    },
+    // Cash the courier collected and paid over to us
+    cashCollection: {
+      status: { type: String, enum: ['pending', 'collected', 'short'], default: 'pending' },
+      amount: { type: Number, min: 0 },
+      remittance: { type: mongoose.Schema.Types.ObjectId, ref: 'CodRemittance' },
+      collectedAt: { type: Date },
+    },
+    // Link that lets the customer pay online instead
+    conversion: {
+      tokenHash: { type: String, select: false },
+      expiresAt: { type: Date },
+      sentAt: { type: Date },
+      convertedAt: { type: Date },
+    },
+  },
+  { _id: false }
+);
+
+// "Complete your payment" links sent after a failed or abandoned online payment
+const PaymentRetrySchema = new mongoose.Schema(
+  {
+    remindersSent: { type: Number, default: 0 },
+    firstSentAt: { type: Date },
+    lastSentAt: { type: Date },
+    linkExpiresAt: { type: Date },
+    lastOpenedAt: { type: Date },
+    recoveredAt: { type: Date }, // paid after at least one link was sent
+  },
+  { _id: false }
+);
+
+// One entry in an order's status history, written by services/orderLifecycleService.js
+const StatusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    actor: {
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      role: { type: String, required: true }, // a USER_ROLES value, or 'system'
+      name: { type: String },
+    },
+    reason: { type: String, default: null },
+  },
+  { _id: false }
+);
 
 // Order Item Schema
 const OrderItemSchema = new mongoose.Schema(
@@ -12,10 +89,17 @@ const OrderItemSchema = new mongoose.Schema(
       ref: 'Product',
       required: [true, 'Please add a product'],
     },
+    // Product variant (SKU); absent on orders placed before variants had IDs
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
     variant: {
       type: String,
       required: [true, 'Please add a variant'],
     },
+    sku: {
+      type: String,
+    },
     packaging: {
       type: String,
       required: [true, 'Please add a packaging'],
@@ -30,6 +114,15 @@ const OrderItemSchema = new mongoose.Schema(
       required: [true, 'Please add price'],
       min: [0, 'Price cannot be negative'],
     },
+    // Line pricing as quoted by services/pricingService.js
+    discountPercentage: { type: Number, default: 0, min: 0, max: 100 },
+    productDiscountUSD: { type: Number, default: 0, min: 0 }, // per unit
+    couponDiscountUSD: { type: Number, default: 0, min: 0 }, // whole line
+    taxClass: { type: String, default: 'standard' },
+    taxRate: { type: Number, default: 0, min: 0 },
+    taxINR: { type: Number, default: 0, min: 0 },
+    taxComponents: { type: [TaxComponentSchema], default: [] },
+    lineTotalINR: { type: Number, min: 0 },
   },
   { _id: false }
 );
@@ -82,31 +175,66 @@ const OrderSchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Discount cannot be negative'],
     },
+    // Exchange rate the order was priced with, kept for reconciliation
+    exchangeRate: {
+      base: { type: String, default: 'USD' },
+      quote: { type: String, default: 'INR' },
+      rate: { type: Number, min: [0, 'Exchange rate cannot be negative'] },
+      effectiveFrom: { type: Date, default: null },
+      source: { type: String, default: null },
+    },
     shippingFee: {
       type: Number,
       default: 100,
       min: [0, 'Shipping fee cannot be negative'],
     },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax cannot be negative'],
+    },
+    // How taxAmount was made up, as quoted by services/taxService.js
+    taxScheme: {
+      type: String,
+      enum: ['flat', 'gst'],
+      default: 'flat',
+    },
+    taxBreakdown: {
+      type: [TaxComponentSchema],
+      default: [],
+    },
     finalAmount: {
       type: Number,
       required: true,
       min: [0, 'Final amount cannot be negative'],
     },
+    // INR held by the order's pending and processed refunds, claimed with a
+    // conditional update so concurrent refunds cannot exceed what was paid.
+    // Unset on orders refunded before it existed; see refundService.holdRefund
+    refundedAmount: {
+      type: Number,
+      min: [0, 'Refunded amount cannot be negative'],
+    },
     status: {
       type: String,
       required: true,
-      enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
-      default: 'pending',
+      enum: Object.values(ORDER_STATUS),
+      default: ORDER_STATUS.PENDING,
+    },
+    statusHistory: {
+      type: [StatusHistorySchema],
+      default: [],
     },
     paymentMethod: {
       type: String,
       required: true,
-      enum: ['cod', 'card', 'upi', 'netbanking', 'billdesk'],
+      // Gateway adapter names (services/gateways), plus legacy card/upi/netbanking
+      enum: ['cod', 'card', 'upi', 'netbanking', 'billdesk', 'razorpay', 'stripe', 'paypal', 'mock'],
     },
     paymentStatus: {
       type: String,
       required: true,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending',
     },
     shippingAddress: {
@@ -133,50 +261,81 @@ const OrderSchema = new mongoose.Schema(
       transactionId: { type: String, default: null, trim: true },
       fee: { type: Number, default: 0, min: [0, 'Fee cannot be negative'] },
     },
+    codDetails: {
+      type: CodDetailsSchema,
+      default: undefined,
+    },
+    paymentRetry: {
+      type: PaymentRetrySchema,
+      default: undefined,
+    },
     cancellationReason: { type: String, default: null },
+    // Why an admin needs to look at the order's money, e.g. a payment on a
+    // cancelled order that could not be refunded automatically
+    paymentReviewReason: { type: String, default: null },
+    shippingDate: { type: Date, default: null },
+    deliveryDate: { type: Date, default: null },
   },
   {
     timestamps: true,
   }
 );
 
-// Method to calculate the total amount before saving
+// Method to calculate the totals from the priced line items
 OrderSchema.methods.calculateTotal = function () {
-  const USD_TO_INR_RATE = 83;
-  const SHIPPING_FEE = 100;
+  const rate = orderRate(this);
 
-  // Calculate USD total
-  const totalUSD = this.items.reduce((acc, item) => {
+  const lines = this.items.map((item) => {
     if (item.price == null || isNaN(item.price)) {
       throw new Error('Invalid price in order item');
     }
-    return acc + (item.price * item.quantity);
-  }, 0);
+    return {
+      unitPriceUSD: item.price,
+      quantity: item.quantity,
+      productDiscountUSD: item.productDiscountUSD,
+      couponDiscountUSD: item.couponDiscountUSD,
+      taxINR: item.taxINR,
+    };
+  });
 
-  // Convert to INR
-  const totalINR = totalUSD * USD_TO_INR_RATE;
+  const totals = summariseLines(lines, { rate, shippingINR: this.shippingFee });
 
-  // Set the amounts
-  this.totalAmountUSD = totalUSD;
-  this.totalAmountINR = totalINR;
-  
-  // Calculate final amount (after discount and shipping)
-  const amountAfterDiscount = totalINR - (this.discountINR || 0);
-  this.finalAmount = amountAfterDiscount + SHIPPING_FEE;
+  this.totalAmountUSD = totals.subtotalUSD;
+  this.totalAmountINR = totals.subtotalINR;
+  this.discountUSD = totals.discountUSD;
+  this.discountINR = totals.discountINR;
+  this.taxAmount = totals.taxINR;
+  this.finalAmount = totals.totalINR;
 };
 
-// Pre-save hook to calculate total amount and assign order number if not provided
+// Pre-save hook to assign an order number and price new orders. Totals are
+// fixed at checkout, so later saves (status changes etc.) leave them alone.
 OrderSchema.pre('save', async function (next) {
   if (!this.orderNumber) {
     this.orderNumber = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
   }
-  this.calculateTotal();
+  if (this.isNew) {
+    this.calculateTotal();
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ from: null, to: this.status, actor: { role: 'system', name: 'System' }, reason: 'Order placed' });
+    }
+  } else if (this.isModified('status') && !this.$locals.statusTransition) {
+    // Status changes must go through orderLifecycleService.transitionOrder so
+    // they are validated and recorded in statusHistory
+    return next(new Error(`Order ${this.orderNumber}: status must be changed through the order lifecycle service`));
+  }
   next();
 });
 
+OrderSchema.post('save', function () {
+  this.$locals.statusTransition = false;
+});
+
 // Indexes for optimized search
 OrderSchema.index({ customer: 1, status: 1 });
 OrderSchema.index({ orderNumber: 1 });
 OrderSchema.index({ createdAt: 1 });
+OrderSchema.index({ 'codDetails.conversion.tokenHash': 1 }, { sparse: true });
+OrderSchema.index({ 'paymentRetry.firstSentAt': -1 }, { sparse: true });
 
 module.exports = mongoose.model('Order', OrderSchema);
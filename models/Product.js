@@ -2,31 +2,83 @@
 
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const TAX_CLASSES = require('../constants/taxClasses');
+const PACKAGING_TYPES = require('../constants/packagingTypes');
+const PRODUCT_STATUS = require('../constants/productStatus');
 
-// Variant Schema
-const VariantSchema = new mongoose.Schema(
+// Dimensions Schema (centimetres)
+const DimensionsSchema = new mongoose.Schema(
   {
-    size: {
-      type: String,
-      required: [true, 'Variant size is required'],
-      trim: true,
-      maxlength: [20, 'Size cannot exceed 20 characters'],
-    },
-    price: {
-      type: Number,
-      required: [true, 'Price is required'],
-      min: [0, 'Price cannot be negative'],
-    },
-    stock: {
-      type: Number,
-      required: true,
-      min: [0, 'Stock cannot be negative'],
-      default: 0,
-    },
+    length: { type: Number, min: [0, 'Length cannot be negative'] },
+    width: { type: Number, min: [0, 'Width cannot be negative'] },
+    height: { type: Number, min: [0, 'Height cannot be negative'] },
   },
   { _id: false }
 );
 
+// Variant Schema: one sellable SKU. Its _id is what carts, orders and stock
+// reservations point at.
+const VariantSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    required: [true, 'Variant size is required'],
+    trim: true,
+    maxlength: [20, 'Size cannot exceed 20 characters'],
+  },
+  // A variant without packaging is sold in any of the product's packaging
+  packaging: {
+    type: String,
+    enum: PACKAGING_TYPES,
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters'],
+  },
+  // EAN/UPC/GTIN
+  barcode: {
+    type: String,
+    trim: true,
+    match: [/^\d{8,14}$/, 'Barcode must be 8 to 14 digits'],
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative'],
+  },
+  // Shown struck through next to price
+  compareAtPrice: {
+    type: Number,
+    min: [0, 'Compare-at price cannot be negative'],
+    validate: {
+      validator: function (value) {
+        return value == null || value >= this.price;
+      },
+      message: 'Compare-at price cannot be below the price',
+    },
+  },
+  stock: {
+    type: Number,
+    required: true,
+    min: [0, 'Stock cannot be negative'],
+    default: 0,
+  },
+  // Grams
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+  },
+  dimensions: DimensionsSchema,
+  images: [
+    {
+      type: String,
+      trim: true,
+      match: [/^https?:\/\/.+\.(jpg|jpeg|png|gif)$/i, 'Please enter a valid variant image URL'],
+    },
+  ],
+});
+
 // Accordion Schema
 const AccordionSchema = new mongoose.Schema(
   {
@@ -104,11 +156,35 @@ const ProductSchema = new mongoose.Schema(
       min: [0, 'Rating cannot be less than 0'],
       max: [5, 'Rating cannot exceed 5'],
     },
-    category: {
+    // Product categories; the first is the one breadcrumbs follow
+    categories: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Category',
+        },
+      ],
+      validate: [
+        { validator: arrayLimit, message: 'At least one category is required' },
+        {
+          validator: async function (ids) {
+            const Category = mongoose.model('Category');
+            const unique = new Set(ids.map(String));
+            return (await Category.countDocuments({ _id: { $in: [...unique] }, type: 'product' })) === unique.size;
+          },
+          message: 'One or more categories are invalid.',
+        },
+      ],
+    },
+    taxClass: {
+      type: String,
+      enum: Object.values(TAX_CLASSES),
+      default: TAX_CLASSES.STANDARD,
+    },
+    hsnCode: {
       type: String,
-      required: [true, 'Product category is required'],
       trim: true,
-      enum: ['Beverages', 'Snacks', 'Health', 'Other'], // Modify categories based on actual needs
+      match: [/^\d{4,8}$/, 'HSN code must be 4 to 8 digits'],
     },
     thumbnail: {
       type: String,
@@ -134,13 +210,33 @@ const ProductSchema = new mongoose.Schema(
     variants: {
       type: [VariantSchema],
       required: [true, 'At least one variant is required'],
-      validate: [arrayLimit, '{PATH} must have at least one variant'],
+      validate: [
+        { validator: arrayLimit, message: '{PATH} must have at least one variant' },
+        {
+          validator: (variants) => new Set(
+            variants.map((v) => `${String(v.size).toLowerCase()}|${v.packaging || ''}`)
+          ).size === variants.length,
+          message: 'Each size and packaging combination can only be listed once',
+        },
+        {
+          validator: async function (variants) {
+            const skus = variants.map((v) => v.sku).filter(Boolean);
+            if (new Set(skus).size !== skus.length) {
+              return false;
+            }
+            return skus.length === 0
+              || !(await mongoose.model('Product').exists({ _id: { $ne: this._id }, 'variants.sku': { $in: skus } }));
+          },
+          message: 'Variant SKUs must be unique',
+        },
+      ],
       default: [], // Ensure variants is always an array
     },
+    // Packaging options offered; includes every variant's packaging
     packaging: {
       type: [String],
       required: [true, 'At least one packaging type is required'],
-      enum: ['Bottle', 'Box', 'Canister'], // Modify based on actual packaging types
+      enum: PACKAGING_TYPES,
       default: [], // Ensure packaging is always an array
     },
     accordion: {
@@ -160,10 +256,41 @@ const ProductSchema = new mongoose.Schema(
         },
       },
     ],
+    // Storefront visibility; kept equal to status === 'published'
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Products saved before there was a status were deactivated by deleting
+    status: {
+      type: String,
+      enum: Object.values(PRODUCT_STATUS),
+      default: function () {
+        return this.isActive === false && !this.isNew ? PRODUCT_STATUS.ARCHIVED : PRODUCT_STATUS.PUBLISHED;
+      },
+    },
+    // Scheduled status changes, applied by jobs/productScheduleJob.js
+    publishAt: {
+      type: Date,
+    },
+    unpublishAt: {
+      type: Date,
+      validate: {
+        validator: function (value) {
+          return !value || !this.publishAt || value > this.publishAt;
+        },
+        message: 'Unpublish time must be after the publish time',
+      },
+    },
+    // When the product last went live
+    publishedAt: {
+      type: Date,
+    },
+    // Number of the latest ProductRevision
+    revision: {
+      type: Number,
+      default: 0,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -185,11 +312,58 @@ ProductSchema.virtual('discountedPrices').get(function () {
   }
 
   return this.variants.map((variant) => ({
+    variantId: variant._id,
     size: variant.size,
+    packaging: variant.packaging,
     discountedPrice: variant.price - (variant.price * this.discountPercentage) / 100,
   }));
 });
 
+/**
+ * Find the variant a cart, order or stock line refers to: by variantId when
+ * the line has one, otherwise by size (any case) and packaging. Lines from
+ * before variants had IDs only carry the size.
+ * @param {Object} line - { variantId?, variant?, packaging? }
+ * @returns {Object|null} - The variant subdocument
+ */
+ProductSchema.methods.findVariant = function ({ variantId, variant, packaging } = {}) {
+  if (variantId) {
+    return this.variants.id(variantId) || null;
+  }
+
+  const sized = this.variants.filter((v) => v.size.toLowerCase() === String(variant || '').toLowerCase());
+  return sized.find((v) => packaging && v.packaging === packaging)
+    || sized.find((v) => !v.packaging || !packaging)
+    || null;
+};
+
+// Offer every packaging a variant ships in
+ProductSchema.pre('validate', function (next) {
+  (this.variants || []).forEach((variant) => {
+    if (variant.packaging && !this.packaging.includes(variant.packaging)) {
+      this.packaging.push(variant.packaging);
+    }
+  });
+  next();
+});
+
+// Keep isActive and status in step. Setting isActive directly (spreadsheet
+// imports, older admin screens) publishes or unpublishes the product.
+ProductSchema.pre('validate', function (next) {
+  if (this.isModified('isActive') && !this.isModified('status')) {
+    if (this.isActive) {
+      this.status = PRODUCT_STATUS.PUBLISHED;
+    } else if (this.status === PRODUCT_STATUS.PUBLISHED) {
+      this.status = PRODUCT_STATUS.DRAFT;
+    }
+  }
+  this.isActive = this.status === PRODUCT_STATUS.PUBLISHED;
+  if (this.isActive && (this.isNew || this.isModified('status'))) {
+    this.publishedAt = new Date();
+  }
+  next();
+});
+
 // Slug generation pre-save
 ProductSchema.pre('save', function (next) {
   if (!this.slug) {
@@ -200,6 +374,13 @@ ProductSchema.pre('save', function (next) {
 
 // Indexes for optimized search
 ProductSchema.index({ title: 'text', description: 'text' });
-ProductSchema.index({ category: 1, isActive: 1 });
+ProductSchema.index({ categories: 1, isActive: 1 });
+ProductSchema.index({ brand: 1 });
+ProductSchema.index({ tags: 1 });
+ProductSchema.index({ isActive: 1, 'variants.price': 1 });
+ProductSchema.index({ 'variants.sku': 1 });
+ProductSchema.index({ 'variants.barcode': 1 });
+ProductSchema.index({ status: 1, publishAt: 1 });
+ProductSchema.index({ status: 1, unpublishAt: 1 });
 
 module.exports = mongoose.model('Product', ProductSchema);
@@ -0,0 +1,96 @@
+// models/ProductImport.js
+
+const mongoose = require('mongoose');
+
+// A problem with one cell (or a whole row, when column is absent)
+const rowErrorSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true,
+  },
+  column: {
+    type: String,
+  },
+  message: {
+    type: String,
+    required: true,
+  },
+}, { _id: false });
+
+// What happened to one product of the file
+const productResultSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'unchanged', 'failed'],
+    required: true,
+  },
+  // Spreadsheet rows (header is row 1) the product was read from
+  rows: [Number],
+}, { _id: false });
+
+// A product spreadsheet upload, processed in the background by
+// services/productImportService.js. A dry run validates every row and
+// reports what would change without saving anything.
+const ProductImportSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      required: [true, 'File name is required'],
+      trim: true,
+    },
+    // The uploaded file, kept until it has been imported (a dry run keeps it
+    // so it can be applied)
+    file: {
+      type: Buffer,
+      select: false,
+    },
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'failed'],
+      default: 'queued',
+    },
+    totals: {
+      rows: { type: Number, default: 0 },
+      products: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      tagsCreated: { type: Number, default: 0 },
+    },
+    rowErrors: [rowErrorSchema],
+    results: [productResultSchema],
+    // Why the whole import failed, e.g. an unreadable file
+    error: {
+      type: String,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+ProductImportSchema.index({ status: 1, createdAt: 1 });
+ProductImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ProductImport', ProductImportSchema);
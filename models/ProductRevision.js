@@ -0,0 +1,67 @@
+// models/ProductRevision.js
+
+const mongoose = require('mongoose');
+
+// One field that differs from the previous revision. Variant fields are
+// keyed by variant ID, e.g. 'variants.<id>.price'.
+const fieldChangeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true,
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, { _id: false });
+
+// A saved state of a product's catalogue content, written by
+// services/productPublishingService.js each time the product changes. Stock
+// levels are not part of a revision.
+const productRevisionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // 1 for the product's first revision
+  revision: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // What produced the revision. 'baseline' records a product as it was
+  // before its first tracked change.
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'publish', 'unpublish', 'schedule', 'archive', 'restore'],
+    required: true,
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  changes: [fieldChangeSchema],
+  // Revision number a restore went back to
+  restoredFrom: {
+    type: Number,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+  },
+  // Unset when a scheduled change was applied by the system
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+productRevisionSchema.index({ product: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('ProductRevision', productRevisionSchema);
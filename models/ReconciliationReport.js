@@ -0,0 +1,95 @@
+// models/ReconciliationReport.js
+
+const mongoose = require('mongoose');
+
+// A payment whose state at the gateway does not match our records
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'paid_not_recorded', // the gateway took the money, the order is not paid
+      'recorded_not_paid', // we recorded a payment the gateway does not have
+      'amount_mismatch', // the gateway took a different amount than was asked
+      'lookup_failed', // the gateway could not be asked
+    ],
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  orderNumber: {
+    type: String,
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  gateway: {
+    type: String,
+  },
+  localStatus: {
+    type: String,
+  },
+  gatewayStatus: {
+    type: String,
+  },
+  localAmount: {
+    type: Number,
+  },
+  gatewayAmount: {
+    type: Number,
+  },
+  gatewayTransactionId: {
+    type: String,
+  },
+  message: {
+    type: String,
+  },
+}, { _id: false });
+
+// Daily comparison of the day's online payments against the gateways
+const ReconciliationReportSchema = new mongoose.Schema(
+  {
+    // Business day covered, YYYY-MM-DD in IST
+    date: {
+      type: String,
+      required: [true, 'Report date is required'],
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Report date must be YYYY-MM-DD'],
+    },
+    from: {
+      type: Date,
+      required: true,
+    },
+    to: {
+      type: Date,
+      required: true,
+    },
+    transactionsChecked: {
+      type: Number,
+      default: 0,
+    },
+    discrepancies: [discrepancySchema],
+    // Count of discrepancies by type
+    summary: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    generatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    emailedTo: [String],
+  },
+  { timestamps: true }
+);
+
+// Indexes
+ReconciliationReportSchema.index({ date: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReconciliationReport', ReconciliationReportSchema);
@@ -1,5 +1,65 @@
 const mongoose = require('mongoose');
 
+// Order lines a refund covers, for per-item refunds
+const refundItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variant: {
+    type: String
+  },
+  packaging: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity cannot be less than 1']
+  },
+  amountINR: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  }
+}, { _id: false });
+
+// Where a manual refund is paid out to (cash on delivery orders)
+const payoutSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['bank_transfer', 'upi']
+  },
+  accountHolder: {
+    type: String,
+    trim: true
+  },
+  accountNumber: {
+    type: String,
+    trim: true
+  },
+  ifsc: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  upiId: {
+    type: String,
+    trim: true
+  },
+  reference: {
+    type: String, // bank/UPI reference once paid out
+    trim: true
+  }
+}, { _id: false });
+
+// One entry in an order's refund ledger. Refunds start 'pending' and end up
+// 'processed' (money returned) or 'failed'; pending and processed refunds
+// both count against the order's refundable balance.
 const refundSchema = new mongoose.Schema({
   orderId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -8,18 +68,35 @@ const refundSchema = new mongoose.Schema({
   },
   amount: {
     type: Number,
-    required: true
+    required: true,
+    min: [0.01, 'Refund amount must be at least 0.01']
   },
   reason: {
     type: String,
     required: true
   },
+  items: {
+    type: [refundItemSchema],
+    default: []
+  },
   status: {
     type: String,
     enum: ['pending', 'processed', 'failed'],
     default: 'pending'
   },
+  // Which adapter handles the refund: the payment gateway or a manual payout
+  channel: {
+    type: String,
+    enum: ['billdesk', 'razorpay', 'stripe', 'paypal', 'mock', 'manual'],
+    required: true
+  },
   transactionId: {
+    type: String // gateway refund ID
+  },
+  gatewayStatus: {
+    type: String
+  },
+  failureReason: {
     type: String
   },
   paymentMethod: {
@@ -29,6 +106,22 @@ const refundSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  payout: {
+    type: payoutSchema,
+    default: undefined
+  },
+  restock: {
+    type: Boolean,
+    default: false
+  },
+  restockedAt: {
+    type: Date
+  },
+  creditNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
   processedAt: {
     type: Date
   },
@@ -37,11 +130,14 @@ const refundSchema = new mongoose.Schema({
   },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   }
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Refund', refundSchema); 
\ No newline at end of file
+// Indexes
+refundSchema.index({ orderId: 1, status: 1 });
+refundSchema.index({ status: 1, channel: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -17,6 +17,9 @@ const returnRequestSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    variantId: mongoose.Schema.Types.ObjectId,
+    variant: String,
+    packaging: String,
     quantity: {
       type: Number,
       required: true,
@@ -30,11 +33,18 @@ const returnRequestSchema = new mongoose.Schema({
       type: String,
       enum: ['unopened', 'opened', 'damaged', 'defective'],
       required: true
-    }
+    },
+    // Set when the returned goods are inspected
+    outcome: {
+      type: String,
+      enum: ['restock', 'write_off']
+    },
+    inspectionNotes: String
   }],
+  // pending -> approved -> received -> completed, or pending/approved -> rejected
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'completed'],
+    enum: ['pending', 'approved', 'rejected', 'received', 'completed'],
     default: 'pending'
   },
   returnMethod: {
@@ -55,6 +65,21 @@ const returnRequestSchema = new mongoose.Schema({
     ref: 'User'
   },
   approvedAt: Date,
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectionReason: String,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  inspectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   completedAt: Date,
   refundId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -71,5 +96,6 @@ const returnRequestSchema = new mongoose.Schema({
 // Add index for faster queries
 returnRequestSchema.index({ orderId: 1, status: 1 });
 returnRequestSchema.index({ customer: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
 
 module.exports = mongoose.model('ReturnRequest', returnRequestSchema); 
\ No newline at end of file
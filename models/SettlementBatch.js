@@ -0,0 +1,106 @@
+// models/SettlementBatch.js
+
+const mongoose = require('mongoose');
+
+// One line of a gateway settlement file and what it matched
+const settlementRowSchema = new mongoose.Schema({
+  rowNumber: {
+    type: Number,
+    required: true,
+  },
+  orderNumber: {
+    type: String,
+    trim: true,
+  },
+  gatewayTransactionId: {
+    type: String,
+    trim: true,
+  },
+  settlementId: {
+    type: String,
+    trim: true,
+  },
+  // Charged amount, gateway fee and tax on the fee, and what reached us
+  grossAmount: {
+    type: Number,
+  },
+  fee: {
+    type: Number,
+    default: 0,
+  },
+  tax: {
+    type: Number,
+    default: 0,
+  },
+  netAmount: {
+    type: Number,
+  },
+  settledAt: {
+    type: Date,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  matchStatus: {
+    type: String,
+    enum: [
+      'matched', // settled in full against a completed payment
+      'short_settled', // settled for less than was charged, after fees
+      'unmatched', // no completed payment found for the row
+      'duplicate', // the payment was already settled in an earlier batch
+      'skipped', // not a payment row (refunds, adjustments)
+    ],
+    required: true,
+  },
+  note: {
+    type: String,
+  },
+}, { _id: false });
+
+// A settlement file uploaded by finance and matched against our transactions
+const SettlementBatchSchema = new mongoose.Schema(
+  {
+    gateway: {
+      type: String,
+      enum: ['billdesk', 'razorpay'],
+      required: [true, 'Gateway is required'],
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['reconciled', 'has_exceptions'],
+      required: true,
+    },
+    rows: [settlementRowSchema],
+    totals: {
+      rows: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      shortSettled: { type: Number, default: 0 },
+      unmatched: { type: Number, default: 0 },
+      duplicate: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      grossAmount: { type: Number, default: 0 },
+      fees: { type: Number, default: 0 },
+      netAmount: { type: Number, default: 0 },
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+SettlementBatchSchema.index({ gateway: 1, createdAt: -1 });
+SettlementBatchSchema.index({ 'rows.transaction': 1 });
+
+module.exports = mongoose.model('SettlementBatch', SettlementBatchSchema);
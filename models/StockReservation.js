@@ -0,0 +1,66 @@
+// models/StockReservation.js
+
+const mongoose = require('mongoose');
+
+// One ledger row per order line. Stock is decremented on the product when the
+// row is created ('held'); 'committed' keeps it decremented for good, while
+// 'released' and 'expired' mean the quantity has been put back.
+const StockReservationSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order reference is required'],
+    },
+    orderNumber: {
+      type: String,
+      trim: true,
+      index: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product reference is required'],
+    },
+    // Absent on reservations made before variants had IDs
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    variant: {
+      type: String,
+      required: [true, 'Variant is required'],
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      min: [1, 'Quantity must be at least 1'],
+    },
+    status: {
+      type: String,
+      enum: ['held', 'committed', 'released', 'expired'],
+      default: 'held',
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    committedAt: {
+      type: Date,
+    },
+    releasedAt: {
+      type: Date,
+    },
+    releaseReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+StockReservationSchema.index({ order: 1, status: 1 });
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', StockReservationSchema);
@@ -43,7 +43,7 @@ const TransactionSchema = new mongoose.Schema(
     },
     paymentMethod: {
       type: String,
-      enum: ['card', 'upi', 'billdesk', 'stripe', 'paypal'], // Updated to include all payment methods
+      enum: ['card', 'upi', 'billdesk', 'razorpay', 'stripe', 'paypal', 'cod', 'mock'], // Gateway adapter names, plus legacy card/upi
       required: [true, 'Payment method is required'],
     },
     amount: {
@@ -93,16 +93,8 @@ const TransactionSchema = new mongoose.Schema(
   }
 );
 
-// Middleware for encrypting sensitive fields on save
-TransactionSchema.pre('save', function (next) {
-  if (this.isModified('transactionId')) {
-    this.transactionId = encrypt(this.transactionId);
-  }
-  if (this.isModified('receiptUrl')) {
-    this.receiptUrl = encrypt(this.receiptUrl);
-  }
-  next();
-});
+// transactionId and receiptUrl are encrypted by their setters; encrypting
+// them again on save left values the getters could not read back
 
 // Static method to fetch transactions by order ID with optional status filter
 TransactionSchema.statics.findByOrder = async function (orderId, status = null) {
@@ -111,6 +103,19 @@ TransactionSchema.statics.findByOrder = async function (orderId, status = null)
   return this.find(query);
 };
 
+// Static method to open a pending transaction for a payment attempt on an order
+TransactionSchema.statics.startForOrder = function (order, paymentMethod, { amount, currency = 'INR', metadata = {} } = {}) {
+  return this.create({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    paymentMethod,
+    amount: amount !== undefined ? amount : order.finalAmount,
+    currency,
+    status: 'pending',
+    metadata,
+  });
+};
+
 // Static method to calculate the total amount refunded
 TransactionSchema.statics.calculateTotalRefunded = async function (orderId) {
   const transactions = await this.find({ order: orderId, status: 'refunded' });
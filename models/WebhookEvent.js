@@ -0,0 +1,95 @@
+// models/WebhookEvent.js
+
+const mongoose = require('mongoose');
+
+// Webhook inbox. Every delivery from a payment gateway is stored here before
+// it is acted on. A verified event is 'received', then 'processing', and ends
+// 'processed' (applied to an order), 'ignored' (an event type we do not act
+// on) or 'failed' (retried until it runs out of attempts). Deliveries whose
+// signature does not verify are kept as 'rejected' for inspection, and are
+// removed by MongoDB once expiresAt passes.
+const WebhookEventSchema = new mongoose.Schema(
+  {
+    gateway: {
+      type: String,
+      required: [true, 'Gateway is required'],
+      trim: true,
+    },
+    // Gateway event ID, or transaction ID and status where the gateway has no
+    // event IDs; repeat deliveries of the same event share it
+    eventId: {
+      type: String,
+      required: [true, 'Event ID is required'],
+      trim: true,
+    },
+    eventType: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['received', 'processing', 'processed', 'ignored', 'failed', 'rejected'],
+      default: 'received',
+    },
+    // Verified, parsed event as the gateway adapter hands it on
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    rawBody: {
+      type: String,
+    },
+    headers: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    deliveries: {
+      type: Number,
+      default: 1,
+    },
+    lastDeliveredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    processingStartedAt: {
+      type: Date,
+    },
+    processedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    // What processing did: { orderNumber, paymentStatus, status }
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Set on rejected deliveries only
+    expiresAt: {
+      type: Date,
+    },
+    replays: [
+      {
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        name: { type: String },
+        _id: false,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Indexes
+WebhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookEventSchema.index({ createdAt: -1 });
+WebhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
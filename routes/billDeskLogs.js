@@ -1,128 +1,184 @@
 // routes/billDeskLogs.js
 /**
- * API endpoints to access BillDesk logs for debugging
- * Protected routes - should only be accessible to admins
+ * API endpoints to access BillDesk traces for debugging
+ * Protected routes - only accessible to super admins and finance managers
  */
 
 const express = require('express');
+const { query, param } = require('express-validator');
 const router = express.Router();
+const protect = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
 const billDeskLogger = require('../utils/billDeskLogger');
 const logger = require('../utils/logger');
 
+// Traces carry customer and merchant details
+router.use(protect, adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.FINANCE_MANAGER]));
+
+/**
+ * List traces, newest first, filtered by status, error code, order and date
+ * GET /api/billdesk-logs/traces?status=error&errorCode=GNDRE0001&orderNumber=ORD123&from=2024-01-01&to=2024-01-31&page=1&limit=20
+ */
+router.get(
+  '/traces',
+  [
+    query('status')
+      .optional()
+      .isIn(['sent', 'success', 'failed', 'error'])
+      .withMessage('Status must be sent, success, failed or error'),
+    query('errorCode').optional().isString().trim(),
+    query('orderNumber').optional().isString().trim(),
+    query('from').optional().isISO8601().withMessage('Invalid date format for from').toDate(),
+    query('to').optional().isISO8601().withMessage('Invalid date format for to').toDate(),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  ],
+  validateMiddleware,
+  async (req, res) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const { traces, total } = await billDeskLogger.findTraces({
+        status: req.query.status,
+        errorCode: req.query.errorCode,
+        orderNumber: req.query.orderNumber,
+        from: req.query.from,
+        to: req.query.to,
+        page,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: traces,
+        pagination: {
+          totalItems: total,
+          totalPages: Math.ceil(total / limit),
+          currentPage: page,
+          itemsPerPage: limit,
+        },
+      });
+    } catch (error) {
+      logger.error('Error fetching BillDesk traces:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch traces'
+      });
+    }
+  }
+);
+
 /**
- * Get recent BillDesk logs
+ * Get the log entries of the most recent traces
  * GET /api/billdesk-logs/recent?count=10
  */
-router.get('/recent', async (req, res) => {
-  try {
-    // TODO: Add authentication middleware here
-    // if (!req.user || !req.user.isAdmin) {
-    //   return res.status(403).json({ error: 'Unauthorized' });
-    // }
+router.get(
+  '/recent',
+  [query('count').optional().isInt({ min: 1, max: 100 }).withMessage('Count must be between 1 and 100').toInt()],
+  validateMiddleware,
+  async (req, res) => {
+    try {
+      const count = req.query.count || 10;
+      const logs = await billDeskLogger.getRecentLogs(count);
 
-    const count = parseInt(req.query.count) || 10;
-    const logs = billDeskLogger.getRecentLogs(count);
-    
-    res.json({
-      success: true,
-      count: logs.length,
-      logs: logs
-    });
-  } catch (error) {
-    logger.error('Error fetching recent BillDesk logs:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch logs'
-    });
+      res.json({
+        success: true,
+        count: logs.length,
+        logs: logs
+      });
+    } catch (error) {
+      logger.error('Error fetching recent BillDesk logs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch logs'
+      });
+    }
   }
-});
+);
 
 /**
  * Get logs by trace ID
  * GET /api/billdesk-logs/trace/:traceId
  */
-router.get('/trace/:traceId', async (req, res) => {
-  try {
-    // TODO: Add authentication middleware here
-    // if (!req.user || !req.user.isAdmin) {
-    //   return res.status(403).json({ error: 'Unauthorized' });
-    // }
+router.get(
+  '/trace/:traceId',
+  [param('traceId').isString().trim().notEmpty().withMessage('Trace ID is required')],
+  validateMiddleware,
+  async (req, res) => {
+    try {
+      const { traceId } = req.params;
+      const logs = await billDeskLogger.getLogsByTraceId(traceId);
+
+      if (logs.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No logs found for this trace ID'
+        });
+      }
 
-    const { traceId } = req.params;
-    const logs = billDeskLogger.getLogsByTraceId(traceId);
-    
-    if (!logs || logs.length === 0) {
-      return res.status(404).json({
+      res.json({
+        success: true,
+        traceId: traceId,
+        count: logs.length,
+        logs: logs
+      });
+    } catch (error) {
+      logger.error('Error fetching logs by trace ID:', error);
+      res.status(500).json({
         success: false,
-        error: 'No logs found for this trace ID'
+        error: 'Failed to fetch logs'
       });
     }
-    
-    res.json({
-      success: true,
-      traceId: traceId,
-      count: logs.length,
-      logs: logs
-    });
-  } catch (error) {
-    logger.error('Error fetching logs by trace ID:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch logs'
-    });
   }
-});
+);
 
 /**
  * Generate support ticket summary
  * GET /api/billdesk-logs/support-ticket/:traceId
  */
-router.get('/support-ticket/:traceId', async (req, res) => {
-  try {
-    // TODO: Add authentication middleware here
-    // if (!req.user || !req.user.isAdmin) {
-    //   return res.status(403).json({ error: 'Unauthorized' });
-    // }
+router.get(
+  '/support-ticket/:traceId',
+  [param('traceId').isString().trim().notEmpty().withMessage('Trace ID is required')],
+  validateMiddleware,
+  async (req, res) => {
+    try {
+      const { traceId } = req.params;
+      const summary = await billDeskLogger.generateSupportTicketSummary(traceId);
+
+      if (summary.error) {
+        return res.status(404).json({
+          success: false,
+          error: summary.error
+        });
+      }
 
-    const { traceId } = req.params;
-    const summary = billDeskLogger.generateSupportTicketSummary(traceId);
-    
-    if (summary.error) {
-      return res.status(404).json({
+      res.json({
+        success: true,
+        summary: summary
+      });
+    } catch (error) {
+      logger.error('Error generating support ticket:', error);
+      res.status(500).json({
         success: false,
-        error: summary.error
+        error: 'Failed to generate support ticket'
       });
     }
-    
-    res.json({
-      success: true,
-      summary: summary
-    });
-  } catch (error) {
-    logger.error('Error generating support ticket:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate support ticket'
-    });
   }
-});
+);
 
 /**
- * Clear old logs (keep last 7 days)
+ * Remove traces past their retention (MongoDB also does this on its own)
  * POST /api/billdesk-logs/cleanup
  */
 router.post('/cleanup', async (req, res) => {
   try {
-    // TODO: Add authentication middleware here
-    // if (!req.user || !req.user.isAdmin) {
-    //   return res.status(403).json({ error: 'Unauthorized' });
-    // }
+    const removed = await billDeskLogger.clearOldLogs();
 
-    billDeskLogger.clearOldLogs();
-    
     res.json({
       success: true,
-      message: 'Old logs cleared successfully'
+      message: `Removed ${removed} expired traces`
     });
   } catch (error) {
     logger.error('Error clearing old logs:', error);
@@ -5,6 +5,8 @@ const router = express.Router();
 
 // Import the auth middleware (default export)
 const protect = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const USER_ROLES = require('../constants/userRoles');
 
 // Import your controller methods
 const {
@@ -12,18 +14,37 @@ const {
   checkPaymentStatus,
   handlePaymentReturn,
   handleWebhook,
-  proxyPaymentRequest
+  createCheckoutSession,
+  getCheckoutSession,
+  getCheckoutSessionTrace
 } = require('../controllers/billDeskController');
 
 // Protected endpoints
 router.post('/initialize/:orderId', protect, initializePayment);
 router.get('/status/:orderId', protect, checkPaymentStatus);
 
+// Server-signed checkout sessions: the storefront gets only the SDK launch parameters
+router.post('/checkout-sessions', protect, createCheckoutSession);
+router.get('/checkout-sessions/:sessionId', protect, getCheckoutSession);
+router.get(
+  '/checkout-sessions/:sessionId/trace',
+  protect,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.FINANCE_MANAGER]),
+  getCheckoutSessionTrace
+);
+
 // Public callbacks from BillDesk
 router.post('/return', handlePaymentReturn);
-router.post('/webhook', handleWebhook);
-
-// Proxy endpoint for frontend to make BillDesk API calls
-router.post('/proxy', proxyPaymentRequest);
+// BillDesk sends its signed response as a JOSE token rather than JSON
+router.post(
+  '/webhook',
+  express.text({
+    type: ['application/jose', 'text/plain'],
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    },
+  }),
+  handleWebhook
+);
 
 module.exports = router;
@@ -12,8 +12,9 @@ router.post(
   authMiddleware,
   [
     body('productId', 'Product ID is required').notEmpty(),
-    body('variant', 'Variant is required').notEmpty(),
-    body('packaging', 'Packaging is required').notEmpty(),
+    body('variantId', 'Invalid variant ID').optional().isMongoId(),
+    body('variant', 'Variant is required').if(body('variantId').not().exists()).notEmpty(),
+    body('packaging', 'Packaging must be a string').optional().isString(),
     body('quantity', 'Quantity must be a positive integer').isInt({ min: 1 }),
   ],
   cartController.addItemToCart
@@ -25,8 +26,9 @@ router.put(
   authMiddleware,
   [
     body('productId', 'Product ID is required').notEmpty(),
-    body('variant', 'Variant is required').notEmpty(),
-    body('packaging', 'Packaging is required').notEmpty(),
+    body('variantId', 'Invalid variant ID').optional().isMongoId(),
+    body('variant', 'Variant is required').if(body('variantId').not().exists()).notEmpty(),
+    body('packaging', 'Packaging is required').if(body('variantId').not().exists()).notEmpty(),
     body('quantity', 'Quantity must be a positive integer').isInt({ min: 1 }),
   ],
   cartController.updateCartItemQuantity
@@ -38,8 +40,9 @@ router.delete(
   authMiddleware,
   [
     body('productId', 'Product ID is required').notEmpty(),
-    body('variant', 'Variant is required').notEmpty(),
-    body('packaging', 'Packaging is required').notEmpty(),
+    body('variantId', 'Invalid variant ID').optional().isMongoId(),
+    body('variant', 'Variant is required').if(body('variantId').not().exists()).notEmpty(),
+    body('packaging', 'Packaging is required').if(body('variantId').not().exists()).notEmpty(),
   ],
   cartController.removeItemFromCart
 );
@@ -50,4 +53,20 @@ router.get('/', authMiddleware, cartController.getCart);
 // Clear cart
 router.delete('/clear', authMiddleware, cartController.clearCart);
 
+// Price quote for the cart, or for the items supplied
+router.post(
+  '/quote',
+  authMiddleware,
+  [
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.product', 'Product ID is required').if(body('items').exists()).notEmpty(),
+    body('items.*.variantId', 'Invalid variant ID').optional().isMongoId(),
+    body('items.*', 'Variant is required').if(body('items').exists()).custom((item) => Boolean(item.variantId || item.variant)),
+    body('items.*.quantity', 'Quantity must be a positive integer').if(body('items').exists()).isInt({ min: 1 }),
+    body('couponCode').optional().isString().withMessage('Coupon code must be a string'),
+    body('shippingAddress').optional().isObject().withMessage('Shipping address must be an object'),
+  ],
+  cartController.getQuote
+);
+
 module.exports = router;
\ No newline at end of file
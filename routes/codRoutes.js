@@ -0,0 +1,155 @@
+// routes/codRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const codController = require('../controllers/codController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+
+const ORDER_ADMINS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER];
+const REMITTANCE_ADMINS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER, USER_ROLES.FINANCE_MANAGER];
+
+// Validation rules for routes that take an order ID
+const orderIdValidation = [
+  param('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+  validateMiddleware,
+];
+
+// Validation rules for routes that take a pay-online token
+const tokenValidation = [
+  param('token')
+    .isHexadecimal()
+    .withMessage('Invalid payment link')
+    .isLength({ min: 48, max: 48 })
+    .withMessage('Invalid payment link'),
+  validateMiddleware,
+];
+
+// Routes
+
+// Check cash on delivery eligibility for an order value and pincode
+router.get(
+  '/eligibility',
+  authMiddleware,
+  [
+    query('amount')
+      .isFloat({ min: 0 })
+      .withMessage('Amount must be a positive number')
+      .toFloat(),
+    query('zip')
+      .optional()
+      .trim(),
+    validateMiddleware,
+  ],
+  codController.getEligibility
+);
+
+// Send the customer a code to confirm their order
+router.post('/orders/:orderId/otp', authMiddleware, orderIdValidation, codController.sendOtp);
+
+// Confirm an order with the code
+router.post(
+  '/orders/:orderId/verify',
+  authMiddleware,
+  [
+    body('otp')
+      .matches(/^\d{6}$/)
+      .withMessage('The code must be 6 digits'),
+  ],
+  orderIdValidation,
+  codController.verifyOtp
+);
+
+// Record a confirmation made on a call with the customer
+router.post(
+  '/orders/:orderId/confirm',
+  authMiddleware,
+  adminMiddleware(ORDER_ADMINS),
+  [
+    body('note')
+      .optional()
+      .isString()
+      .withMessage('Note must be text')
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters'),
+  ],
+  orderIdValidation,
+  codController.confirmByPhone
+);
+
+// Send the customer a link to pay online instead
+router.post('/orders/:orderId/conversion-link', authMiddleware, orderIdValidation, codController.createConversionLink);
+
+// Pay online from the link
+router.get('/convert/:token', tokenValidation, codController.getConversion);
+router.post(
+  '/convert/:token',
+  [
+    body('paymentMethod')
+      .isString()
+      .withMessage('Payment method is required'),
+  ],
+  tokenValidation,
+  codController.startConversion
+);
+
+// Record a courier's remittance
+router.post(
+  '/remittances',
+  authMiddleware,
+  adminMiddleware(REMITTANCE_ADMINS),
+  [
+    body('courier')
+      .trim()
+      .notEmpty()
+      .withMessage('Courier is required'),
+    body('reference')
+      .trim()
+      .notEmpty()
+      .withMessage('Remittance reference is required'),
+    body('remittedAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Remittance date must be a valid date'),
+    body('lines')
+      .isArray({ min: 1 })
+      .withMessage('At least one order is required'),
+    body('lines.*.orderNumber')
+      .trim()
+      .notEmpty()
+      .withMessage('Each line needs an order number'),
+    body('lines.*.amount')
+      .isFloat({ min: 0 })
+      .withMessage('Each line needs a non-negative amount')
+      .toFloat(),
+    validateMiddleware,
+  ],
+  codController.createRemittance
+);
+
+// List courier remittances
+router.get('/remittances', authMiddleware, adminMiddleware(REMITTANCE_ADMINS), codController.listRemittances);
+
+// Get a courier remittance by ID
+router.get(
+  '/remittances/:id',
+  authMiddleware,
+  adminMiddleware(REMITTANCE_ADMINS),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid remittance ID'),
+    validateMiddleware,
+  ],
+  codController.getRemittance
+);
+
+// Delivered orders whose cash has not been remitted in full
+router.get('/outstanding', authMiddleware, adminMiddleware(REMITTANCE_ADMINS), codController.listOutstanding);
+
+module.exports = router;
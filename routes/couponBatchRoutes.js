@@ -0,0 +1,139 @@
+// routes/couponBatchRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const couponBatchController = require('../controllers/couponBatchController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+
+// Validation rules for generating a batch
+const generateBatchValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Batch name is required'),
+  body('campaign')
+    .optional()
+    .isString()
+    .withMessage('Campaign must be a string'),
+  body('prefix')
+    .optional()
+    .matches(/^[A-Za-z0-9]{0,12}$/)
+    .withMessage('Prefix may only contain letters and digits (max 12)'),
+  body('codeLength')
+    .optional()
+    .isInt({ min: 6, max: 20 })
+    .withMessage('codeLength must be between 6 and 20'),
+  body('quantity')
+    .isInt({ min: 1, max: 50000 })
+    .withMessage('Quantity must be between 1 and 50000'),
+  body('discount')
+    .isFloat({ gt: 0 })
+    .withMessage('Discount must be a positive number'),
+  body('discountType')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Invalid discount type'),
+  body('expirationDate')
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid expiration date'),
+  body('applicableProducts')
+    .optional()
+    .isArray()
+    .withMessage('applicableProducts must be an array'),
+  body('applicableProducts.*')
+    .isMongoId()
+    .withMessage('Invalid product ID in applicableProducts'),
+  body('applicableCategories')
+    .optional()
+    .isArray()
+    .withMessage('applicableCategories must be an array'),
+  body('applicableCategories.*')
+    .isMongoId()
+    .withMessage('Invalid category ID in applicableCategories'),
+  body('minOrderValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minOrderValue cannot be negative'),
+  body('firstOrderOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('firstOrderOnly must be a boolean'),
+  validateMiddleware,
+];
+
+// Validation rules for routes that take a batch ID
+const batchIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid coupon batch ID'),
+  validateMiddleware,
+];
+
+// Routes
+
+// Generate a new batch of codes
+router.post(
+  '/',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  generateBatchValidation,
+  couponBatchController.generateBatch
+);
+
+// List batches
+router.get(
+  '/',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  [
+    query('status')
+      .optional()
+      .isIn(['generating', 'active', 'deactivated'])
+      .withMessage('Invalid batch status'),
+    validateMiddleware,
+  ],
+  couponBatchController.listBatches
+);
+
+// Get a batch by ID
+router.get(
+  '/:id',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  batchIdValidation,
+  couponBatchController.getBatch
+);
+
+// Export a batch's codes as CSV
+router.get(
+  '/:id/export',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  batchIdValidation,
+  couponBatchController.exportBatch
+);
+
+// Redemption report for a batch
+router.get(
+  '/:id/report',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  batchIdValidation,
+  couponBatchController.getBatchReport
+);
+
+// Deactivate every code in a batch
+router.post(
+  '/:id/deactivate',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  batchIdValidation,
+  couponBatchController.deactivateBatch
+);
+
+module.exports = router;
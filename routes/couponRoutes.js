@@ -29,6 +29,32 @@ const createCouponValidation = [
     .optional()
     .isInt({ min: 1 })
     .withMessage('maxUses must be at least 1'),
+  body('applicableProducts')
+    .optional()
+    .isArray()
+    .withMessage('applicableProducts must be an array'),
+  body('applicableProducts.*')
+    .isMongoId()
+    .withMessage('Invalid product ID in applicableProducts'),
+  body('applicableCategories')
+    .optional()
+    .isArray()
+    .withMessage('applicableCategories must be an array'),
+  body('applicableCategories.*')
+    .isMongoId()
+    .withMessage('Invalid category ID in applicableCategories'),
+  body('minOrderValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minOrderValue cannot be negative'),
+  body('maxUsesPerCustomer')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('maxUsesPerCustomer must be at least 1'),
+  body('firstOrderOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('firstOrderOnly must be a boolean'),
 ];
 
 // Validation rules for updating a coupon
@@ -54,6 +80,32 @@ const updateCouponValidation = [
     .optional()
     .isBoolean()
     .withMessage('isActive must be a boolean'),
+  body('applicableProducts')
+    .optional()
+    .isArray()
+    .withMessage('applicableProducts must be an array'),
+  body('applicableProducts.*')
+    .isMongoId()
+    .withMessage('Invalid product ID in applicableProducts'),
+  body('applicableCategories')
+    .optional()
+    .isArray()
+    .withMessage('applicableCategories must be an array'),
+  body('applicableCategories.*')
+    .isMongoId()
+    .withMessage('Invalid category ID in applicableCategories'),
+  body('minOrderValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minOrderValue cannot be negative'),
+  body('maxUsesPerCustomer')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('maxUsesPerCustomer must be at least 1'),
+  body('firstOrderOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('firstOrderOnly must be a boolean'),
 ];
 
 // Validation rules for deactivating or activating a coupon
@@ -69,9 +121,14 @@ const applyCouponValidation = [
   body('code')
     .isString()
     .withMessage('Coupon code is required'),
-  body('orderTotal')
-    .isFloat({ gt: 0 })
-    .withMessage('Order total must be a positive number'),
+  body('items')
+    .optional()
+    .isArray()
+    .withMessage('Items must be an array'),
+  body('shippingAddress')
+    .optional()
+    .isObject()
+    .withMessage('Shipping address must be an object'),
   validateMiddleware,
 ];
 
@@ -120,6 +177,24 @@ router.get(
   couponController.getCouponById
 );
 
+// Get the redemption ledger for a coupon
+router.get(
+  '/:id/redemptions',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid coupon ID'),
+    query('status')
+      .optional()
+      .isIn(['pending', 'redeemed', 'released'])
+      .withMessage('Invalid redemption status'),
+    validateMiddleware,
+  ],
+  couponController.getCouponRedemptions
+);
+
 // Update a coupon by ID
 router.put(
   '/:id',
@@ -13,6 +13,10 @@ const localizationValidation = [
   body('currency').optional().isString().withMessage('Currency must be a string'),
   body('language').optional().isString().withMessage('Language must be a string'),
   body('taxRate').optional().isFloat({ min: 0 }).withMessage('Tax rate must be a positive number'),
+  body('taxScheme').optional().isIn(['flat', 'gst']).withMessage('Tax scheme must be flat or gst'),
+  body('originState').optional().isString().withMessage('Origin state must be a string'),
+  body('taxClassRates').optional().isObject().withMessage('Tax class rates must be an object'),
+  body('taxClassRates.*').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax class rates must be between 0 and 100'),
 ];
 
 // Routes
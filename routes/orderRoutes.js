@@ -21,10 +21,20 @@ const createOrderValidation = [
   body('items.*.quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1'),
+  body('items.*.variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  // Lines name their variant by ID, or by size and packaging
+  body('items.*')
+    .custom((item) => Boolean(item.variantId || (item.variant && item.packaging)))
+    .withMessage('Each item needs a variantId, or a variant and packaging'),
   body('items.*.variant')
+    .optional()
     .isString()
     .withMessage('Variant must be a string'),
   body('items.*.packaging')
+    .optional()
     .isString()
     .withMessage('Packaging must be a string'),
   body('shippingAddress.street')
@@ -82,6 +92,11 @@ const updateOrderStatusValidation = [
       'refunded',
     ])
     .withMessage('Invalid order status'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
 ];
 
 // Validation rules for cancelling an order
@@ -122,6 +137,10 @@ const getAllOrdersValidation = [
     .optional()
     .isMongoId()
     .withMessage('Invalid customer ID'),
+  query('needsReview')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('needsReview must be true or false'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -181,12 +200,53 @@ const refundOrderValidation = [
     .isMongoId()
     .withMessage('Invalid order ID'),
   body('amount')
+    .optional()
     .isFloat({ min: 0.01 })
     .withMessage('Refund amount must be at least 0.01'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Invalid product ID in items'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Item quantity must be at least 1'),
   body('reason')
     .optional()
     .isString()
     .withMessage('Reason must be a string'),
+  body('restock')
+    .optional()
+    .isBoolean()
+    .withMessage('Restock must be a boolean'),
+  body('payout.method')
+    .optional()
+    .isIn(['bank_transfer', 'upi'])
+    .withMessage('Payout method must be bank_transfer or upi'),
+  body('payout.accountNumber')
+    .optional()
+    .matches(/^\d{9,18}$/)
+    .withMessage('Account number must be 9 to 18 digits'),
+  body('payout.ifsc')
+    .optional()
+    .matches(/^[A-Za-z]{4}0[A-Za-z0-9]{6}$/)
+    .withMessage('Invalid IFSC code'),
+  body('payout.upiId')
+    .optional()
+    .matches(/^[\w.-]{2,256}@[A-Za-z]{2,64}$/)
+    .withMessage('Invalid UPI ID'),
+];
+
+// Validation rules for routes that take an order and refund ID
+const refundIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+  param('refundId')
+    .isMongoId()
+    .withMessage('Invalid refund ID'),
 ];
 
 // Validation rules for returning an order
@@ -203,10 +263,20 @@ const returnOrderValidation = [
   body('items.*.quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1'),
-  body('reason')
+  body('items.*.reason')
+    .isString()
+    .notEmpty()
+    .withMessage('A reason is required for each item'),
+  body('items.*.condition')
+    .isIn(['unopened', 'opened', 'damaged', 'defective'])
+    .withMessage('Invalid item condition'),
+  body('returnMethod')
+    .isIn(['pickup', 'dropoff'])
+    .withMessage('Return method must be pickup or dropoff'),
+  body('notes')
     .optional()
     .isString()
-    .withMessage('Reason must be a string'),
+    .withMessage('Notes must be a string'),
 ];
 
 // Validation rules for bulk updating orders
@@ -323,6 +393,48 @@ router.get(
   orderController.getOrderById
 );
 
+// Download the tax invoice for an order
+router.get(
+  '/:id/invoice',
+  authMiddleware,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+  ],
+  validateMiddleware,
+  orderController.getOrderInvoice
+);
+
+// List credit notes for an order
+router.get(
+  '/:id/credit-notes',
+  authMiddleware,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+  ],
+  validateMiddleware,
+  orderController.getOrderCreditNotes
+);
+
+// Download a credit note
+router.get(
+  '/:id/credit-notes/:creditNoteId',
+  authMiddleware,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+    param('creditNoteId')
+      .isMongoId()
+      .withMessage('Invalid credit note ID'),
+  ],
+  validateMiddleware,
+  orderController.getOrderCreditNote
+);
+
 // Update order status (Admin)
 router.put(
   '/:id/status',
@@ -384,6 +496,67 @@ router.post(
   orderController.refundOrder
 );
 
+// List an order's refunds (Admin)
+router.get(
+  '/:id/refunds',
+  authMiddleware,
+  adminMiddleware([
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.ORDER_MANAGER,
+    USER_ROLES.FINANCE_MANAGER,
+  ]),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+  ],
+  validateMiddleware,
+  orderController.getOrderRefunds
+);
+
+// Settle a manual refund once paid out (Admin)
+router.put(
+  '/:id/refunds/:refundId',
+  authMiddleware,
+  adminMiddleware([
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.ORDER_MANAGER,
+    USER_ROLES.FINANCE_MANAGER,
+  ]),
+  [
+    ...refundIdValidation,
+    body('status')
+      .isIn(['processed', 'failed'])
+      .withMessage('Status must be processed or failed'),
+    body('reference')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Reference cannot exceed 100 characters'),
+    body('notes')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Notes cannot exceed 1000 characters'),
+  ],
+  validateMiddleware,
+  orderController.settleOrderRefund
+);
+
+// Refresh a pending gateway refund (Admin)
+router.post(
+  '/:id/refunds/:refundId/refresh',
+  authMiddleware,
+  adminMiddleware([
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.ORDER_MANAGER,
+    USER_ROLES.FINANCE_MANAGER,
+  ]),
+  refundIdValidation,
+  validateMiddleware,
+  orderController.refreshOrderRefund
+);
+
 // Bulk update orders (Admin)
 router.put(
   '/bulk-update',
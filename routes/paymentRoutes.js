@@ -2,94 +2,216 @@
 
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const paymentController = require('../controllers/paymentController');
 const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
 const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+const { GATEWAYS } = require('../services/gateways');
+
+const GATEWAY_NAMES = Object.keys(GATEWAYS);
+const RECONCILIATION_ADMINS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.FINANCE_MANAGER];
+const PAYMENT_ADMINS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER, USER_ROLES.FINANCE_MANAGER];
+
+/**
+ * @route   GET /api/payments/gateways
+ * @desc    List the payment gateways offered for a region
+ * @access  Public
+ */
+router.get(
+  '/gateways',
+  [query('country').optional().isString().isLength({ min: 2, max: 3 }).withMessage('Country must be a 2 or 3 letter code')],
+  validateMiddleware,
+  paymentController.getGateways
+);
 
 /**
- * @route   POST /api/payments/verify-razorpay
- * @desc    Verify Razorpay payment after user completes payment
+ * @route   POST /api/payments/verify-:gateway
+ * @desc    Verify a payment after the customer completes it on the gateway
+ *          (e.g. verify-razorpay, verify-stripe, verify-paypal, verify-mock)
  * @access  Private/Customer
  */
-const verifyRazorpayValidation = [
-  body('orderId').isMongoId().withMessage('Invalid order ID'),
-  body('paymentId').notEmpty().withMessage('Payment ID is required'),
-  body('signature').notEmpty().withMessage('Signature is required'),
+const verifyPaymentValidation = [
+  param('gateway').isIn(GATEWAY_NAMES).withMessage('Unknown payment gateway'),
 ];
 
 router.post(
-  '/verify-razorpay',
+  '/verify-:gateway',
   authMiddleware,
-  verifyRazorpayValidation,
+  verifyPaymentValidation,
   validateMiddleware,
-  paymentController.verifyRazorpayPayment
+  paymentController.verifyPayment
 );
 
 /**
- * @route   POST /api/payments/webhook/razorpay
- * @desc    Handle Razorpay webhook events
+ * @route   POST /api/payments/webhook/:gateway
+ * @desc    Handle gateway webhook events (razorpay, stripe, paypal, mock)
  * @access  Public
  */
 router.post(
-  '/webhook/razorpay',
-  paymentController.handleRazorpayWebhook
+  '/webhook/:gateway',
+  [param('gateway').isIn(GATEWAY_NAMES).withMessage('Unknown payment gateway')],
+  validateMiddleware,
+  paymentController.handleWebhook
 );
 
 /**
- * @route   POST /api/payments/verify-stripe
- * @desc    Verify Stripe payment after user completes payment
- * @access  Private/Customer
+ * @route   POST /api/payments/reconciliation/run
+ * @desc    Check unsettled payments with their gateways now
+ * @access  Private/Admin/Finance Manager
  */
-const verifyStripeValidation = [
-  body('paymentIntentId').notEmpty().withMessage('Payment Intent ID is required'),
-  body('orderId').isMongoId().withMessage('Invalid order ID'),
-];
+router.post(
+  '/reconciliation/run',
+  authMiddleware,
+  adminMiddleware(RECONCILIATION_ADMINS),
+  [
+    body('graceMinutes').optional().isInt({ min: 0 }).withMessage('Grace minutes must be a non-negative integer').toInt(),
+    body('lookbackHours').optional().isInt({ min: 1, max: 24 * 30 }).withMessage('Lookback hours must be between 1 and 720').toInt(),
+  ],
+  validateMiddleware,
+  paymentController.runReconciliation
+);
 
+/**
+ * @route   GET /api/payments/reconciliation/reports
+ * @desc    List daily discrepancy reports
+ * @access  Private/Admin/Finance Manager
+ */
+router.get(
+  '/reconciliation/reports',
+  authMiddleware,
+  adminMiddleware(RECONCILIATION_ADMINS),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  validateMiddleware,
+  paymentController.listReconciliationReports
+);
+
+/**
+ * @route   POST /api/payments/reconciliation/reports
+ * @desc    Build (or rebuild) the discrepancy report for a day
+ * @access  Private/Admin/Finance Manager
+ */
 router.post(
-  '/verify-stripe',
+  '/reconciliation/reports',
+  authMiddleware,
+  adminMiddleware(RECONCILIATION_ADMINS),
+  [
+    body('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD'),
+    body('email').optional().isBoolean().withMessage('Email must be a boolean').toBoolean(),
+  ],
+  validateMiddleware,
+  paymentController.generateReconciliationReport
+);
+
+/**
+ * @route   GET /api/payments/reconciliation/reports/:date
+ * @desc    Get the discrepancy report for a day
+ * @access  Private/Admin/Finance Manager
+ */
+router.get(
+  '/reconciliation/reports/:date',
+  authMiddleware,
+  adminMiddleware(RECONCILIATION_ADMINS),
+  [param('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD')],
+  validateMiddleware,
+  paymentController.getReconciliationReport
+);
+
+/**
+ * @route   GET /api/payments/retry-links
+ * @desc    List orders sent "complete your payment" links, with conversion totals
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+router.get(
+  '/retry-links',
   authMiddleware,
-  verifyStripeValidation,
+  adminMiddleware(PAYMENT_ADMINS),
+  [
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    query('status').optional().isIn(['recovered', 'open', 'lost']).withMessage('Status must be recovered, open or lost'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
   validateMiddleware,
-  paymentController.verifyStripePayment
+  paymentController.listPaymentRetries
 );
 
 /**
- * @route   POST /api/payments/webhook/stripe
- * @desc    Handle Stripe webhook events
+ * @route   GET /api/payments/retry/:token
+ * @desc    Show the order behind a "complete your payment" link
+ * @access  Public
+ */
+const retryTokenValidation = [
+  param('token').matches(/^[a-f\d]{24}\.\d+\.[\w-]+$/).withMessage('Invalid payment link'),
+];
+
+router.get(
+  '/retry/:token',
+  retryTokenValidation,
+  validateMiddleware,
+  paymentController.getPaymentRetry
+);
+
+/**
+ * @route   POST /api/payments/retry/:token
+ * @desc    Start a fresh gateway payment from a "complete your payment" link
  * @access  Public
  */
 router.post(
-  '/webhook/stripe',
-  paymentController.handleStripeWebhook
+  '/retry/:token',
+  retryTokenValidation,
+  validateMiddleware,
+  paymentController.startPaymentRetry
 );
 
 /**
- * @route   POST /api/payments/verify-paypal
- * @desc    Verify PayPal payment after user completes payment
+ * @route   POST /api/payments/:orderId/retry-link
+ * @desc    Email the customer a "complete your payment" link now
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+router.post(
+  '/:orderId/retry-link',
+  authMiddleware,
+  adminMiddleware(PAYMENT_ADMINS),
+  [param('orderId').isMongoId().withMessage('Invalid order ID')],
+  validateMiddleware,
+  paymentController.sendPaymentRetryLink
+);
+
+/**
+ * @route   POST /api/payments/:orderId/intent
+ * @desc    Start a payment for an order, optionally with a different gateway
  * @access  Private/Customer
  */
-const verifyPayPalValidation = [
-  body('orderId').isMongoId().withMessage('Invalid order ID'),
-  body('paymentId').notEmpty().withMessage('Payment ID is required'),
+const createIntentValidation = [
+  param('orderId').isMongoId().withMessage('Invalid order ID'),
+  body('paymentMethod').optional().isIn(GATEWAY_NAMES).withMessage('Unknown payment gateway'),
 ];
 
 router.post(
-  '/verify-paypal',
+  '/:orderId/intent',
   authMiddleware,
-  verifyPayPalValidation,
+  createIntentValidation,
   validateMiddleware,
-  paymentController.verifyPayPalPayment
+  paymentController.createPaymentIntent
 );
 
 /**
- * @route   POST /api/payments/webhook/paypal
- * @desc    Handle PayPal webhook events
- * @access  Public
+ * @route   GET /api/payments/:orderId/status
+ * @desc    Get an order's payment status
+ * @access  Private
  */
-router.post(
-  '/webhook/paypal',
-  paymentController.handlePayPalWebhook
+router.get(
+  '/:orderId/status',
+  authMiddleware,
+  [param('orderId').isMongoId().withMessage('Invalid order ID')],
+  validateMiddleware,
+  paymentController.getPaymentStatus
 );
 
 module.exports = router;
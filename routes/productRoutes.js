@@ -4,13 +4,84 @@ const express = require("express");
 const router = express.Router();
 const { body, param, query } = require("express-validator");
 const productController = require("../controllers/productController");
+const productImportController = require("../controllers/productImportController");
+const productPublishingController = require("../controllers/productPublishingController");
 const authMiddleware = require("../middleware/authMiddleware");
 const adminMiddleware = require("../middleware/adminMiddleware");
 const validateMiddleware = require("../middleware/validateMiddleware");
 const USER_ROLES = require("../constants/userRoles");
+const TAX_CLASSES = require("../constants/taxClasses");
+const PACKAGING_TYPES = require("../constants/packagingTypes");
+const PRODUCT_STATUS = require("../constants/productStatus");
 
 // Import the product image upload middleware
 const uploadProductImageMiddleware = require('../middleware/uploadProductImageMiddleware');
+const spreadsheetUploadMiddleware = require('../middleware/spreadsheetUploadMiddleware');
+
+// Validation rules for product variants (SKUs); prefix is the path of the
+// variants array
+const variantValidation = (prefix) => [
+  body(`${prefix}.*.size`)
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 20 })
+    .withMessage("Variant size must be 1 to 20 characters"),
+  body(`${prefix}.*.price`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Variant price must be a non-negative number"),
+  body(`${prefix}.*.stock`)
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Variant stock must be a non-negative integer"),
+  body(`${prefix}.*.packaging`)
+    .optional()
+    .isIn(PACKAGING_TYPES)
+    .withMessage(`Variant packaging must be one of ${PACKAGING_TYPES.join(", ")}`),
+  body(`${prefix}.*.sku`)
+    .optional()
+    .isString()
+    .isLength({ max: 64 })
+    .withMessage("SKU cannot exceed 64 characters"),
+  body(`${prefix}.*.barcode`)
+    .optional()
+    .matches(/^\d{8,14}$/)
+    .withMessage("Barcode must be 8 to 14 digits"),
+  body(`${prefix}.*.compareAtPrice`)
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Compare-at price must be a non-negative number"),
+  body(`${prefix}.*.weight`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Weight must be a non-negative number of grams"),
+  body(`${prefix}.*.dimensions`)
+    .optional()
+    .isObject()
+    .withMessage("Dimensions must be an object"),
+  body([`${prefix}.*.dimensions.length`, `${prefix}.*.dimensions.width`, `${prefix}.*.dimensions.height`])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Dimensions must be non-negative numbers of centimetres"),
+  body(`${prefix}.*.images`)
+    .optional()
+    .isArray()
+    .withMessage("Variant images must be an array of URLs"),
+  body(`${prefix}.*.images.*`)
+    .isURL()
+    .withMessage("Variant images must be URLs"),
+];
+
+// Validation rules for a scheduled publish or unpublish time: a future date,
+// or null to clear it
+const scheduleTimeValidation = (field) =>
+  body(field)
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage(`${field} must be a valid ISO date`)
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage(`${field} must be in the future`);
 
 // Validation rules for creating a product
 const createProductValidation = [
@@ -29,10 +100,20 @@ const createProductValidation = [
     .isString()
     .isLength({ max: 1000 })
     .withMessage("Description is too long"),
-  body("category")
-    .isString()
-    .isLength({ min: 1 })
-    .withMessage("Category is required and must be a string"),
+  body("categories")
+    .isArray({ min: 1 })
+    .withMessage("At least one category is required"),
+  body("categories.*")
+    .isMongoId()
+    .withMessage("Invalid category ID"),
+  body("taxClass")
+    .optional()
+    .isIn(Object.values(TAX_CLASSES))
+    .withMessage("Invalid tax class"),
+  body("hsnCode")
+    .optional()
+    .matches(/^\d{4,8}$/)
+    .withMessage("HSN code must be 4 to 8 digits"),
   body("tags").optional().isArray().withMessage("Tags must be an array of IDs"),
   body("discountPercentage")
     .isFloat({ min: 0, max: 100 })
@@ -47,6 +128,16 @@ const createProductValidation = [
     .isString()
     .withMessage("Shipping must be a string"),
   body("accordion.returns").isString().withMessage("Returns must be a string"),
+  body("variants")
+    .isArray({ min: 1 })
+    .withMessage("At least one variant is required"),
+  ...variantValidation("variants"),
+  body("status")
+    .optional()
+    .isIn([PRODUCT_STATUS.DRAFT, PRODUCT_STATUS.PUBLISHED])
+    .withMessage("Status must be draft or published"),
+  scheduleTimeValidation("publishAt"),
+  scheduleTimeValidation("unpublishAt"),
 ];
 
 // Validation rules for getting all products with filters
@@ -54,7 +145,7 @@ const getAllProductsValidation = [
   query("category")
     .optional()
     .isString()
-    .withMessage("Category must be a string"),
+    .withMessage("Category must be a comma-separated string of IDs or slugs"),
   query("tags")
     .optional()
     .isString()
@@ -120,6 +211,70 @@ const getAllProductsValidation = [
   validateMiddleware,
 ];
 
+// Validation rules for searching products
+const searchProductsValidation = [
+  query("q")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("q must be at most 200 characters"),
+  query("query")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("query must be at most 200 characters"),
+  query("category")
+    .optional()
+    .isString()
+    .withMessage("Category must be a comma-separated string of IDs or slugs"),
+  query("packaging")
+    .optional()
+    .isString()
+    .withMessage("Packaging must be a comma-separated string"),
+  query("sizes")
+    .optional()
+    .isString()
+    .withMessage("Sizes must be a comma-separated string"),
+  query("tags")
+    .optional()
+    .custom((value) => String(value).split(",").every((id) => /^[a-f\d]{24}$/i.test(id.trim())))
+    .withMessage("Tags must be a comma-separated string of IDs"),
+  query("priceMin")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("priceMin must be a non-negative number")
+    .toFloat(),
+  query("priceMax")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("priceMax must be a non-negative number")
+    .toFloat(),
+  query("priceBand")
+    .optional()
+    .matches(/^\d+(\.\d+)?(-\d+(\.\d+)?|\+)$/)
+    .withMessage("priceBand must look like 10-25 or 50+"),
+  query("inStock")
+    .optional()
+    .isBoolean()
+    .withMessage("inStock must be a boolean value")
+    .toBoolean(),
+  query("sort")
+    .optional()
+    .isIn(["relevance", "newest", "price_asc", "price_desc", "rating"])
+    .withMessage("sort must be relevance, newest, price_asc, price_desc or rating"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("page must be at least 1")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be between 1 and 100")
+    .toInt(),
+  validateMiddleware,
+];
+
 // Validation rules for updating a product
 const updateProductValidation = [
   body("title")
@@ -140,11 +295,22 @@ const updateProductValidation = [
     .isString()
     .isLength({ max: 1000 })
     .withMessage("Description is too long"),
-  body("category")
+  body("categories")
     .optional()
-    .isString()
-    .isLength({ min: 1 })
-    .withMessage("Category must be a string"),
+    .isArray({ min: 1 })
+    .withMessage("Categories must be a non-empty array of IDs"),
+  body("categories.*")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid category ID"),
+  body("taxClass")
+    .optional()
+    .isIn(Object.values(TAX_CLASSES))
+    .withMessage("Invalid tax class"),
+  body("hsnCode")
+    .optional()
+    .matches(/^\d{4,8}$/)
+    .withMessage("HSN code must be 4 to 8 digits"),
   body("tags").optional().isArray().withMessage("Tags must be an array of IDs"),
   body("discountPercentage")
     .optional()
@@ -171,6 +337,16 @@ const updateProductValidation = [
     .optional()
     .isString()
     .withMessage("Returns must be a string"),
+  ...variantValidation("variants"),
+  body("status")
+    .optional()
+    .isIn(Object.values(PRODUCT_STATUS))
+    .withMessage("Invalid product status"),
+  body("revisionNote")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Revision note cannot exceed 500 characters"),
 ];
 
 // Validation rules for bulk updating products
@@ -197,11 +373,18 @@ const bulkUpdateValidation = [
     .isString()
     .isLength({ max: 1000 })
     .withMessage("Description is too long"),
-  body("updates.*.fields.category")
+  body("updates.*.fields.categories")
     .optional()
-    .isString()
-    .isLength({ min: 1 })
-    .withMessage("Category must be a string"),
+    .isArray({ min: 1 })
+    .withMessage("Categories must be a non-empty array of IDs"),
+  body("updates.*.fields.taxClass")
+    .optional()
+    .isIn(Object.values(TAX_CLASSES))
+    .withMessage("Invalid tax class"),
+  body("updates.*.fields.hsnCode")
+    .optional()
+    .matches(/^\d{4,8}$/)
+    .withMessage("HSN code must be 4 to 8 digits"),
   body("updates.*.fields.tags")
     .optional()
     .isArray()
@@ -231,10 +414,25 @@ const bulkUpdateValidation = [
     .optional()
     .isString()
     .withMessage("Returns must be a string"),
+  ...variantValidation("updates.*.fields.variants"),
+  body("updates.*.fields.status")
+    .optional()
+    .isIn(Object.values(PRODUCT_STATUS))
+    .withMessage("Invalid product status"),
 ];
 
+// Validation rules for the note a publishing change may carry
+const revisionNoteValidation = body("note")
+  .optional()
+  .isString()
+  .isLength({ max: 500 })
+  .withMessage("Note cannot exceed 500 characters");
+
 // Validation rules for updating product stock
 const stockUpdateValidation = [
+  body("variantId")
+    .isMongoId()
+    .withMessage("A valid variant ID is required"),
   body("stock")
     .isInt({ min: 0 })
     .withMessage("Stock must be a non-negative integer"),
@@ -255,13 +453,99 @@ router.post(
 // Get all products with filtering and pagination
 router.get("/", getAllProductsValidation, productController.getAllProducts);
 
-// Search products
-router.get('/search', productController.searchProducts);
+// Search products, with facet counts for the filter sidebar
+router.get('/search', searchProductsValidation, productController.searchProducts);
+
+// Suggestions while the customer types
+router.get(
+  '/autocomplete',
+  [
+    query('q').isString().trim().isLength({ min: 1, max: 100 }).withMessage('q must be 1 to 100 characters'),
+    query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('limit must be between 1 and 20').toInt(),
+    validateMiddleware,
+  ],
+  productController.autocompleteProducts
+);
 
 // Get a single product by slug
 router.get("/slug/:slug", productController.getProductBySlug);
 
-// Get a single product by ID
+// Look up a variant by SKU, e.g. from a barcode scanner or an ERP sync
+router.get(
+  "/sku/:sku",
+  [
+    param("sku").isString().trim().isLength({ min: 1, max: 64 }).withMessage("Invalid SKU"),
+    validateMiddleware,
+  ],
+  productController.getProductBySku
+);
+
+// Import products from a CSV or Excel file (multipart: file, dryRun)
+router.post(
+  "/import",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  ...spreadsheetUploadMiddleware,
+  [
+    body("dryRun").optional().isBoolean().withMessage("dryRun must be true or false"),
+    validateMiddleware,
+  ],
+  productImportController.importProducts
+);
+
+// List product imports
+router.get(
+  "/imports",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    query("status")
+      .optional()
+      .isIn(["queued", "processing", "completed", "failed"])
+      .withMessage("Invalid import status"),
+    validateMiddleware,
+  ],
+  productImportController.listImports
+);
+
+// Get a product import with its validation report
+router.get(
+  "/imports/:id",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    param("id").isMongoId().withMessage("Invalid import ID"),
+    validateMiddleware,
+  ],
+  productImportController.getImport
+);
+
+// Apply a completed dry run
+router.post(
+  "/imports/:id/apply",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    param("id").isMongoId().withMessage("Invalid import ID"),
+    validateMiddleware,
+  ],
+  productImportController.applyImport
+);
+
+// Export products in the import format
+router.get(
+  "/export",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    query("format").optional().isIn(["csv", "xlsx"]).withMessage("Format must be csv or xlsx"),
+    query("includeInactive").optional().isBoolean().withMessage("includeInactive must be true or false"),
+    validateMiddleware,
+  ],
+  productImportController.exportProducts
+);
+
+// Get a single product by ID; unpublished products need ?preview=<token>
 router.get(
   "/:id",
   [
@@ -271,6 +555,105 @@ router.get(
   productController.getProductById
 );
 
+// Publish a product now
+router.post(
+  "/:id/publish",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    revisionNoteValidation,
+    validateMiddleware,
+  ],
+  productPublishingController.publishProduct
+);
+
+// Unpublish a product now, back to draft
+router.post(
+  "/:id/unpublish",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    revisionNoteValidation,
+    validateMiddleware,
+  ],
+  productPublishingController.unpublishProduct
+);
+
+// Schedule publishing (publishAt, unpublishAt; null clears)
+router.put(
+  "/:id/schedule",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    scheduleTimeValidation("publishAt"),
+    scheduleTimeValidation("unpublishAt"),
+    revisionNoteValidation,
+    validateMiddleware,
+  ],
+  productPublishingController.scheduleProduct
+);
+
+// Create a storefront preview link for an unpublished product
+router.post(
+  "/:id/preview-link",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    body("expiresInHours")
+      .optional()
+      .isInt({ min: 1, max: 720 })
+      .withMessage("expiresInHours must be between 1 and 720")
+      .toInt(),
+    validateMiddleware,
+  ],
+  productPublishingController.createPreviewLink
+);
+
+// List a product's revisions
+router.get(
+  "/:id/revisions",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    query("page").optional().isInt({ min: 1 }).withMessage("page must be at least 1"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("limit must be between 1 and 100"),
+    validateMiddleware,
+  ],
+  productPublishingController.listRevisions
+);
+
+// Get a revision with its snapshot and changes
+router.get(
+  "/:id/revisions/:revision",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    param("revision").isInt({ min: 1 }).withMessage("Invalid revision number"),
+    validateMiddleware,
+  ],
+  productPublishingController.getRevision
+);
+
+// Restore a product's content to a revision
+router.post(
+  "/:id/revisions/:revision/restore",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    param("id").isMongoId().withMessage("Invalid product ID"),
+    param("revision").isInt({ min: 1 }).withMessage("Invalid revision number"),
+    revisionNoteValidation,
+    validateMiddleware,
+  ],
+  productPublishingController.restoreRevision
+);
+
 // Update a product by ID
 router.put(
   "/:id",
@@ -284,7 +667,7 @@ router.put(
   productController.updateProduct
 );
 
-// Delete (deactivate) a product by ID
+// Delete (archive) a product by ID
 router.delete(
   "/:id",
   authMiddleware,
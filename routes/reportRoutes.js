@@ -17,6 +17,11 @@ const customerAnalyticsValidation = [];
 const exportSalesReportValidation = [
   query('type').isIn(['csv', 'excel']).withMessage('Invalid export type'),
 ];
+const taxReportValidation = [
+  query('startDate').optional().isISO8601().withMessage('startDate must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be a valid date'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv'),
+];
 
 // Routes
 
@@ -60,4 +65,14 @@ router.get(
   reportController.exportSalesReport
 );
 
+// Get tax collected
+router.get(
+  '/tax',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.FINANCE_MANAGER, USER_ROLES.ANALYTICS_VIEWER]),
+  taxReportValidation,
+  validateMiddleware,
+  reportController.getTaxReport
+);
+
 module.exports = router;
@@ -0,0 +1,150 @@
+// routes/returnRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const returnController = require('../controllers/returnController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+
+// Customers open returns through POST /api/orders/:id/return
+
+// Validation rules for routes that take a return ID
+const returnIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid return ID'),
+];
+
+// Validation rules for inspecting a received return
+const inspectReturnValidation = [
+  ...returnIdValidation,
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.productId')
+    .isMongoId()
+    .withMessage('Invalid product ID in items'),
+  body('items.*.outcome')
+    .isIn(['restock', 'write_off'])
+    .withMessage('Outcome must be restock or write_off'),
+  body('refundAmount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Refund amount must be at least 0.01'),
+  body('payout.method')
+    .optional()
+    .isIn(['bank_transfer', 'upi'])
+    .withMessage('Payout method must be bank_transfer or upi'),
+  body('payout.accountNumber')
+    .optional()
+    .matches(/^\d{9,18}$/)
+    .withMessage('Account number must be 9 to 18 digits'),
+  body('payout.ifsc')
+    .optional()
+    .matches(/^[A-Za-z]{4}0[A-Za-z0-9]{6}$/)
+    .withMessage('Invalid IFSC code'),
+  body('payout.upiId')
+    .optional()
+    .matches(/^[\w.-]{2,256}@[A-Za-z]{2,64}$/)
+    .withMessage('Invalid UPI ID'),
+];
+
+// Routes
+
+// List the signed-in customer's returns
+router.get(
+  '/my',
+  authMiddleware,
+  returnController.getMyReturns
+);
+
+// List all returns (Admin)
+router.get(
+  '/',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER]),
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'approved', 'rejected', 'received', 'completed'])
+      .withMessage('Invalid return status'),
+  ],
+  validateMiddleware,
+  returnController.listReturns
+);
+
+// Get a return (owner or Admin)
+router.get(
+  '/:id',
+  authMiddleware,
+  returnIdValidation,
+  validateMiddleware,
+  returnController.getReturn
+);
+
+// Approve a return (Admin)
+router.put(
+  '/:id/approve',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER]),
+  [
+    ...returnIdValidation,
+    body('returnTrackingNumber')
+      .optional()
+      .isString()
+      .withMessage('Tracking number must be a string'),
+    body('adminNotes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string'),
+  ],
+  validateMiddleware,
+  returnController.approveReturn
+);
+
+// Reject a return (Admin)
+router.put(
+  '/:id/reject',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER]),
+  [
+    ...returnIdValidation,
+    body('reason')
+      .isString()
+      .notEmpty()
+      .withMessage('A rejection reason is required'),
+  ],
+  validateMiddleware,
+  returnController.rejectReturn
+);
+
+// Mark returned goods as received (Admin)
+router.put(
+  '/:id/receive',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER]),
+  [
+    ...returnIdValidation,
+    body('adminNotes')
+      .optional()
+      .isString()
+      .withMessage('Notes must be a string'),
+  ],
+  validateMiddleware,
+  returnController.receiveReturn
+);
+
+// Record inspection outcomes and refund (Admin)
+router.put(
+  '/:id/inspect',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER]),
+  inspectReturnValidation,
+  validateMiddleware,
+  returnController.inspectReturn
+);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const settingsController = require('../controllers/settingsController');
 const authMiddleware = require('../middleware/authMiddleware');
 const adminMiddleware = require('../middleware/adminMiddleware');
@@ -100,4 +100,54 @@ router.put(
   settingsController.updateNotificationTemplate
 );
 
+// Retrieve the current exchange rate and its history
+router.get(
+  '/fx-rates',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.FINANCE_MANAGER]),
+  [
+    query('base').optional().isLength({ min: 3, max: 3 }).withMessage('Base must be a 3-letter currency code'),
+    query('quote').optional().isLength({ min: 3, max: 3 }).withMessage('Quote must be a 3-letter currency code'),
+  ],
+  validateMiddleware,
+  settingsController.getFxRates
+);
+
+// Set an exchange rate
+router.put(
+  '/fx-rates',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.FINANCE_MANAGER]),
+  [
+    body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+    body('effectiveFrom').optional().isISO8601().withMessage('Effective date must be a valid date'),
+    body('base').optional().isLength({ min: 3, max: 3 }).withMessage('Base must be a 3-letter currency code'),
+    body('quote').optional().isLength({ min: 3, max: 3 }).withMessage('Quote must be a 3-letter currency code'),
+  ],
+  validateMiddleware,
+  settingsController.setFxRate
+);
+
+// Import a batch of exchange rates
+router.post(
+  '/fx-rates/import',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.FINANCE_MANAGER]),
+  [
+    body('rates').isArray({ min: 1 }).withMessage('Rates must be a non-empty array'),
+    body('rates.*.rate').isFloat({ gt: 0 }).withMessage('Each rate must be a positive number'),
+    body('rates.*.effectiveFrom').isISO8601().withMessage('Each rate needs a valid effective date'),
+  ],
+  validateMiddleware,
+  settingsController.importFxRates
+);
+
+// Refresh the exchange rate from the configured provider
+router.post(
+  '/fx-rates/refresh',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.FINANCE_MANAGER]),
+  settingsController.refreshFxRate
+);
+
 module.exports = router;
@@ -0,0 +1,90 @@
+// routes/settlementRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const settlementController = require('../controllers/settlementController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const spreadsheetUploadMiddleware = require('../middleware/spreadsheetUploadMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+
+const SETTLEMENT_ADMINS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.FINANCE_MANAGER];
+const MATCH_STATUSES = ['matched', 'short_settled', 'unmatched', 'duplicate', 'skipped'];
+
+// Validation rules for routes that take a batch ID
+const batchIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid settlement batch ID'),
+  validateMiddleware,
+];
+
+// Routes
+
+// Upload a settlement file (multipart: file, gateway)
+router.post(
+  '/',
+  authMiddleware,
+  adminMiddleware(SETTLEMENT_ADMINS),
+  ...spreadsheetUploadMiddleware,
+  [
+    body('gateway')
+      .isIn(['billdesk', 'razorpay'])
+      .withMessage('Gateway must be billdesk or razorpay'),
+    validateMiddleware,
+  ],
+  settlementController.uploadSettlement
+);
+
+// List settlement batches
+router.get(
+  '/',
+  authMiddleware,
+  adminMiddleware(SETTLEMENT_ADMINS),
+  [
+    query('gateway')
+      .optional()
+      .isIn(['billdesk', 'razorpay'])
+      .withMessage('Gateway must be billdesk or razorpay'),
+    query('status')
+      .optional()
+      .isIn(['reconciled', 'has_exceptions'])
+      .withMessage('Invalid settlement batch status'),
+    validateMiddleware,
+  ],
+  settlementController.listSettlements
+);
+
+// Get a settlement batch by ID
+router.get(
+  '/:id',
+  authMiddleware,
+  adminMiddleware(SETTLEMENT_ADMINS),
+  [
+    query('matchStatus')
+      .optional()
+      .custom((value) => String(value).split(',').every((status) => MATCH_STATUSES.includes(status)))
+      .withMessage(`Match status must be one of ${MATCH_STATUSES.join(', ')}`),
+  ],
+  batchIdValidation,
+  settlementController.getSettlement
+);
+
+// Export a settlement batch as CSV or Excel
+router.get(
+  '/:id/export',
+  authMiddleware,
+  adminMiddleware(SETTLEMENT_ADMINS),
+  [
+    query('format')
+      .optional()
+      .isIn(['csv', 'xlsx'])
+      .withMessage('Format must be csv or xlsx'),
+  ],
+  batchIdValidation,
+  settlementController.exportSettlement
+);
+
+module.exports = router;
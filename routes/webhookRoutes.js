@@ -2,12 +2,30 @@
 
 const express = require('express');
 const router = express.Router();
+const { param, query } = require('express-validator');
 const webhookController = require('../controllers/webhookController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+const { GATEWAYS } = require('../services/gateways');
 const bodyParser = require('body-parser');
 
+// Roles that may inspect and replay webhook events
+const WEBHOOK_ADMINS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER, USER_ROLES.FINANCE_MANAGER];
+
+// BillDesk sends its signed response as a JOSE token rather than JSON
+const joseBody = bodyParser.text({
+  type: ['application/jose', 'text/plain'],
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  },
+});
+
 // BillDesk webhook endpoint
 router.post(
   '/billdesk',
+  joseBody,
   bodyParser.json(),
   webhookController.billDeskWebhook
 );
@@ -25,4 +43,49 @@ router.post(
   webhookController.billDeskReturn
 );
 
+// Webhook inbox (Admin)
+router.get(
+  '/events',
+  authMiddleware,
+  adminMiddleware(WEBHOOK_ADMINS),
+  [
+    query('gateway')
+      .optional()
+      .isIn(Object.keys(GATEWAYS))
+      .withMessage('Unknown payment gateway'),
+    query('status')
+      .optional()
+      .isIn(['received', 'processing', 'processed', 'ignored', 'failed', 'rejected'])
+      .withMessage('Invalid webhook event status'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+  validateMiddleware,
+  webhookController.listWebhookEvents
+);
+
+router.get(
+  '/events/:id',
+  authMiddleware,
+  adminMiddleware(WEBHOOK_ADMINS),
+  [param('id').isMongoId().withMessage('Invalid webhook event ID')],
+  validateMiddleware,
+  webhookController.getWebhookEvent
+);
+
+router.post(
+  '/events/:id/replay',
+  authMiddleware,
+  adminMiddleware(WEBHOOK_ADMINS),
+  [param('id').isMongoId().withMessage('Invalid webhook event ID')],
+  validateMiddleware,
+  webhookController.replayWebhookEvent
+);
+
 module.exports = router;
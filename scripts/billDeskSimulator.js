@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Local BillDesk simulator for offline checkout tests
+ *
+ * Speaks the BillDesk v1.2 JOSE format (A256GCM + HS256, via the same
+ * encryptAndSign/verifyAndDecrypt helpers billDeskService uses) with the keys
+ * of the 'mock' profile in config/billDeskProfiles.js. It accepts create-order
+ * calls, answers transactions/get, and produces signed return and webhook
+ * payloads for successful, failed and pending payments.
+ *
+ * Usage:
+ *   In tests:  const sim = createBillDeskSimulator(); await sim.start(5055);
+ *              const { response, returnForm } = await sim.pay(orderid, 'success');
+ *   Locally:   BILLDESK_PROFILE=mock node scripts/billDeskSimulator.js [port]
+ *              then POST /simulator/orders/<orderid>/pay { "outcome": "failure" }
+ *              to pay an order and deliver its webhook to BILLDESK_WEBHOOK_URL
+ */
+
+require('dotenv').config();
+const express = require('express');
+const fetch = require('node-fetch');
+const moment = require('moment-timezone');
+const { resolveBillDeskProfile } = require('../config/billDeskProfiles');
+const { encryptAndSign, verifyAndDecrypt } = require('../services/billDeskService');
+
+// auth_status codes BillDesk uses on a transaction, by simulated outcome
+const OUTCOMES = {
+  success: { auth_status: '0300', status: 'SUCCESS', transaction_error_type: 'success', transaction_error_desc: 'Transaction Successful' },
+  failure: { auth_status: '0399', status: 'FAILED', transaction_error_type: 'payment_authorization_error', transaction_error_desc: 'Transaction failed at the bank' },
+  pending: { auth_status: '0002', status: 'PENDING', transaction_error_type: 'payment_processing_error', transaction_error_desc: 'Awaiting confirmation from the bank' },
+};
+
+/**
+ * Create a simulator. Every option defaults to the mock profile.
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - A resolveBillDeskProfile() result
+ * @param {string} [options.signingKeyId] - Key to sign with; the profile's
+ *   current key by default, or a previous one to simulate BillDesk mid-rotation
+ * @param {string} [options.webhookUrl] - Where deliverWebhook posts
+ * @returns {Object} - { app, orders, transactions, start, stop, pay, deliverWebhook, reset }
+ */
+const createBillDeskSimulator = ({
+  profile = resolveBillDeskProfile({ ...process.env, BILLDESK_PROFILE: 'mock' }),
+  signingKeyId,
+  webhookUrl = process.env.BILLDESK_WEBHOOK_URL,
+} = {}) => {
+  const signingKey = profile.keys.find((key) => key.keyId === signingKeyId) || profile.keys[0];
+  const orders = new Map(); // orderid -> create-order request plus bdorderid
+  const transactions = new Map(); // orderid -> transaction object
+  let sequence = 0;
+  let server = null;
+
+  const sign = (payload) => encryptAndSign(
+    JSON.stringify(payload),
+    profile.clientId,
+    signingKey.encryptionKey,
+    signingKey.keyId,
+    signingKey.signingKey,
+    signingKey.keyId
+  );
+
+  // Requests signed with any active key are accepted, as BillDesk does
+  // while a key rotation is in progress
+  const open = async (token) => {
+    for (const key of profile.keys) {
+      try {
+        return JSON.parse(await verifyAndDecrypt(token, key.encryptionKey, key.keyId, key.signingKey, key.keyId));
+      } catch (error) {
+        // try the next key
+      }
+    }
+    return null;
+  };
+
+  const sendError = async (res, status, errorType, message) => {
+    res.status(status).type('application/jose').send(await sign({ status, error_type: errorType, message }));
+  };
+
+  const app = express();
+  app.use(express.json({ type: 'application/json' }));
+  app.use(express.text({ type: ['application/jose', 'text/plain'] }));
+
+  // Check the client credentials and signature, then hand on the decrypted request
+  const joseRequest = (handler) => async (req, res) => {
+    const expected = `Basic ${Buffer.from(`${profile.clientId}:${profile.clientSecret}`).toString('base64')}`;
+    if (req.headers.authorization !== expected) {
+      return sendError(res, 401, 'authentication_error', 'Invalid client credentials');
+    }
+    const body = await open(req.body);
+    if (!body) {
+      return sendError(res, 401, 'authentication_error', 'Signature verification failed');
+    }
+    if (body.mercid !== profile.merchantId) {
+      return sendError(res, 422, 'invalid_data_error', `Unknown merchant ${body.mercid}`);
+    }
+    return handler(req, res, body);
+  };
+
+  app.post('/payments/ve1_2/orders/create', joseRequest(async (req, res, body) => {
+    if (orders.has(body.orderid)) {
+      return sendError(res, 409, 'duplicate_request_error', `Order ${body.orderid} already exists`);
+    }
+
+    sequence += 1;
+    const bdorderid = `BDSIM${Date.now()}${sequence}`;
+    const rdata = Buffer.from(`${bdorderid}:${body.orderid}`).toString('hex');
+    orders.set(body.orderid, { ...body, bdorderid, traceId: req.headers['bd-traceid'] });
+
+    return res.type('application/jose').send(await sign({
+      objectid: 'order',
+      orderid: body.orderid,
+      bdorderid,
+      mercid: body.mercid,
+      order_date: body.order_date,
+      amount: body.amount,
+      currency: body.currency,
+      ru: body.ru,
+      itemcode: body.itemcode,
+      status: 'ACTIVE',
+      links: [{
+        href: profile.sdkUrl,
+        rel: 'redirect',
+        method: 'POST',
+        parameters: { mercid: body.mercid, bdorderid, rdata },
+      }],
+    }));
+  }));
+
+  app.post('/payments/ve1_2/transactions/get', joseRequest(async (req, res, body) => {
+    const transaction = transactions.get(body.orderid);
+    if (!transaction) {
+      return sendError(res, 404, 'invalid_data_error', `No transaction for order ${body.orderid}`);
+    }
+    return res.type('application/jose').send(await sign(transaction));
+  }));
+
+  // Stand-in for the SDK page; the storefront only needs it to load
+  app.get('/web/v1_2/embeddedsdk', (req, res) => {
+    res.type('html').send('<!DOCTYPE html><html><body>BillDesk simulator</body></html>');
+  });
+
+  /**
+   * Pay a created order. Paying a pending transaction again settles it,
+   * keeping its transaction ID.
+   * @param {string} orderid - Our orderid as sent to orders/create
+   * @param {string} [outcome='success'] - 'success', 'failure' or 'pending'
+   * @returns {Promise<Object>} - { transaction, response, returnForm }: the
+   *   signed response is the webhook body, returnForm what the browser posts
+   *   back to the return URL
+   */
+  const pay = async (orderid, outcome = 'success') => {
+    const order = orders.get(orderid);
+    if (!order) {
+      throw new Error(`BillDesk simulator has no order ${orderid}`);
+    }
+    if (!OUTCOMES[outcome]) {
+      throw new Error(`Unknown outcome '${outcome}'. Use one of: ${Object.keys(OUTCOMES).join(', ')}`);
+    }
+
+    const previous = transactions.get(orderid);
+    if (previous && previous.auth_status !== OUTCOMES.pending.auth_status) {
+      throw new Error(`Order ${orderid} has already been paid or failed`);
+    }
+
+    sequence += 1;
+    const transaction = {
+      objectid: 'transaction',
+      transactionid: previous ? previous.transactionid : `SIMU${Date.now()}${sequence}`,
+      orderid,
+      mercid: order.mercid,
+      bdorderid: order.bdorderid,
+      transaction_date: moment().tz('Asia/Kolkata').format('YYYY-MM-DDTHH:mm:ssZ'),
+      amount: order.amount,
+      charge_amount: order.amount,
+      currency: order.currency,
+      payment_method_type: 'netbanking',
+      ...OUTCOMES[outcome],
+    };
+    transactions.set(orderid, transaction);
+
+    const response = await sign(transaction);
+    return { transaction, response, returnForm: { encrypted_response: response } };
+  };
+
+  /**
+   * Post a signed response to the merchant's webhook URL, as BillDesk does.
+   * @param {string} response - Signed response from pay()
+   * @returns {Promise<number>} - HTTP status the merchant answered with
+   */
+  const deliverWebhook = async (response) => {
+    if (!webhookUrl) {
+      throw new Error('No webhook URL configured for the BillDesk simulator');
+    }
+    const reply = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/jose' },
+      body: response,
+    });
+    return reply.status;
+  };
+
+  // Manual control for local runs
+  app.post('/simulator/orders/:orderid/pay', async (req, res) => {
+    try {
+      const { transaction, response, returnForm } = await pay(req.params.orderid, (req.body && req.body.outcome) || 'success');
+      const webhookStatus = webhookUrl ? await deliverWebhook(response) : null;
+      res.json({ transaction, returnUrl: orders.get(req.params.orderid).ru, returnForm, webhookStatus });
+    } catch (error) {
+      res.status(400).json({ message: error.message });
+    }
+  });
+
+  const start = (port = 5055) => new Promise((resolve, reject) => {
+    server = app.listen(port, () => resolve(server.address().port)).on('error', reject);
+  });
+
+  const stop = () => new Promise((resolve) => {
+    if (!server) {
+      return resolve();
+    }
+    server.close(() => resolve());
+    server = null;
+  });
+
+  const reset = () => {
+    orders.clear();
+    transactions.clear();
+  };
+
+  return { app, orders, transactions, start, stop, pay, deliverWebhook, reset };
+};
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 5055;
+  createBillDeskSimulator().start(port).then(() => {
+    console.log(`BillDesk simulator listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { OUTCOMES, createBillDeskSimulator };
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 /**
- * Script to extract BillDesk logs for support tickets
+ * Script to extract BillDesk traces (stored in MongoDB) for support tickets
  * Usage:
  *   node scripts/getBillDeskLogs.js              - Get last 10 transactions
  *   node scripts/getBillDeskLogs.js <traceId>   - Get specific transaction by trace ID
@@ -9,6 +9,7 @@
  */
 
 require('dotenv').config();
+const mongoose = require('mongoose');
 const billDeskLogger = require('../utils/billDeskLogger');
 const fs = require('fs');
 const path = require('path');
@@ -86,6 +87,7 @@ ${log.body?.fullBody || 'N/A'}
 ${log.type === 'ERROR' ? `
 ❌ ERROR INFORMATION
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+Error Code:        ${log.errorCode || 'N/A'}
 Error Message:     ${log.errorMessage}
 
 Error Stack:
@@ -198,125 +200,120 @@ function exportToFile(content, traceId) {
 }
 
 // Main execution
-if (args.length === 0) {
-  // Get last 10 transactions
-  console.log('📊 Fetching last 10 transactions...\n');
-  const logs = billDeskLogger.getRecentLogs(10);
-  
-  if (logs.error) {
-    console.error('❌ Error:', logs.error);
-    console.log('\n💡 Tip: Make sure you have made at least one BillDesk API call.');
-    process.exit(1);
-  }
-  
-  if (logs.length === 0) {
-    console.log('📭 No logs found. Make a BillDesk API call first.');
-    process.exit(0);
-  }
-  
-  logs.forEach((log, index) => {
-    console.log(formatLog(log));
-    if (index < logs.length - 1) {
-      console.log('\n' + '═'.repeat(80) + '\n');
-    }
-  });
-  
-  console.log('\n\n💡 TIP: To get detailed summary for a specific transaction:');
-  console.log('   node scripts/getBillDeskLogs.js <traceId>');
-  
-} else if (args[0] === '--all') {
-  // Get all logs
-  console.log('📊 Fetching all recent transactions...\n');
-  const logs = billDeskLogger.getRecentLogs(100);
-  
-  if (logs.error) {
-    console.error('❌ Error:', logs.error);
-    process.exit(1);
-  }
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  if (args.length === 0) {
+    // Get last 10 transactions
+    console.log('📊 Fetching last 10 transactions...\n');
+    const logs = await billDeskLogger.getRecentLogs(10);
   
-  console.log(`Found ${logs.length} log entries\n`);
-  logs.forEach((log, index) => {
-    console.log(formatLog(log));
-    if (index < logs.length - 1) {
-      console.log('\n' + '═'.repeat(80) + '\n');
+    if (logs.length === 0) {
+      console.log('📭 No logs found. Make a BillDesk API call first.');
+      return;
     }
-  });
   
-} else if (args[0] === '--errors') {
-  // Get only error logs
-  console.log('❌ Fetching error logs...\n');
-  const logs = billDeskLogger.getRecentLogs(100);
+    logs.forEach((log, index) => {
+      console.log(formatLog(log));
+      if (index < logs.length - 1) {
+        console.log('\n' + '═'.repeat(80) + '\n');
+      }
+    });
   
-  if (logs.error) {
-    console.error('❌ Error:', logs.error);
-    process.exit(1);
-  }
+    console.log('\n\n💡 TIP: To get detailed summary for a specific transaction:');
+    console.log('   node scripts/getBillDeskLogs.js <traceId>');
   
-  const errors = logs.filter(log => log.type === 'ERROR' || (log.statusCode && log.statusCode >= 400));
+  } else if (args[0] === '--all') {
+    // Get all logs
+    console.log('📊 Fetching all recent transactions...\n');
+    const logs = await billDeskLogger.getRecentLogs(100);
   
-  if (errors.length === 0) {
-    console.log('✅ No errors found in recent logs!');
-  } else {
-    console.log(`Found ${errors.length} error entries\n`);
-    errors.forEach((log, index) => {
+    console.log(`Found ${logs.length} log entries\n`);
+    logs.forEach((log, index) => {
       console.log(formatLog(log));
-      if (index < errors.length - 1) {
+      if (index < logs.length - 1) {
         console.log('\n' + '═'.repeat(80) + '\n');
       }
     });
-  }
   
-} else {
-  // Get specific transaction by trace ID
-  const traceId = args[0];
-  console.log(`🔍 Searching for transaction: ${traceId}\n`);
+  } else if (args[0] === '--errors') {
+    // Get only error logs
+    console.log('❌ Fetching error logs...\n');
+    const logs = await billDeskLogger.getRecentLogs(100);
   
-  const summary = billDeskLogger.generateSupportTicketSummary(traceId);
+    const errors = logs.filter(log => log.type === 'ERROR' || (log.statusCode && log.statusCode >= 400));
   
-  if (summary.error) {
-    console.error('❌ Error:', summary.error);
-    process.exit(1);
-  }
+    if (errors.length === 0) {
+      console.log('✅ No errors found in recent logs!');
+    } else {
+      console.log(`Found ${errors.length} error entries\n`);
+      errors.forEach((log, index) => {
+        console.log(formatLog(log));
+        if (index < errors.length - 1) {
+          console.log('\n' + '═'.repeat(80) + '\n');
+        }
+      });
+    }
   
-  console.log('╔════════════════════════════════════════════════════════════════════════════╗');
-  console.log('║ COMPLETE TRANSACTION SUMMARY FOR BILLDESK SUPPORT');
-  console.log('╚════════════════════════════════════════════════════════════════════════════╝\n');
+  } else {
+    // Get specific transaction by trace ID
+    const traceId = args[0];
+    console.log(`🔍 Searching for transaction: ${traceId}\n`);
   
-  // Display all logs for this transaction
-  summary.fullLogs.forEach((log, index) => {
-    console.log(formatLog(log));
-    if (index < summary.fullLogs.length - 1) {
-      console.log('\n' + '─'.repeat(80) + '\n');
+    const summary = await billDeskLogger.generateSupportTicketSummary(traceId);
+  
+    if (summary.error) {
+      console.error('❌ Error:', summary.error);
+      process.exit(1);
     }
-  });
   
-  // Generate support email
-  console.log('\n\n');
-  console.log(generateSupportEmail(summary));
+    console.log('╔════════════════════════════════════════════════════════════════════════════╗');
+    console.log('║ COMPLETE TRANSACTION SUMMARY FOR BILLDESK SUPPORT');
+    console.log('╚════════════════════════════════════════════════════════════════════════════╝\n');
   
-  // Export to file
-  const exportContent = `
-BillDesk Support Ticket Information
-Generated: ${new Date().toISOString()}
-Trace ID: ${traceId}
+    // Display all logs for this transaction
+    summary.fullLogs.forEach((log, index) => {
+      console.log(formatLog(log));
+      if (index < summary.fullLogs.length - 1) {
+        console.log('\n' + '─'.repeat(80) + '\n');
+      }
+    });
+  
+    // Generate support email
+    console.log('\n\n');
+    console.log(generateSupportEmail(summary));
+  
+    // Export to file
+    const exportContent = `
+  BillDesk Support Ticket Information
+  Generated: ${new Date().toISOString()}
+  Trace ID: ${traceId}
 
-${'='.repeat(80)}
+  ${'='.repeat(80)}
 
-${summary.fullLogs.map(log => formatLog(log)).join('\n\n' + '═'.repeat(80) + '\n\n')}
+  ${summary.fullLogs.map(log => formatLog(log)).join('\n\n' + '═'.repeat(80) + '\n\n')}
 
-${'='.repeat(80)}
+  ${'='.repeat(80)}
 
-${generateSupportEmail(summary)}
-  `.trim();
+  ${generateSupportEmail(summary)}
+    `.trim();
   
-  exportToFile(exportContent, traceId);
+    exportToFile(exportContent, traceId);
   
-  console.log('\n\n💡 NEXT STEPS:');
-  console.log('1. Review the logs above');
-  console.log('2. Copy the email template');
-  console.log('3. Add your server IP address');
-  console.log('4. Send to BillDesk support: support@billdesk.com');
-  console.log('5. Attach the exported log file for complete details');
+    console.log('\n\n💡 NEXT STEPS:');
+    console.log('1. Review the logs above');
+    console.log('2. Copy the email template');
+    console.log('3. Add your server IP address');
+    console.log('4. Send to BillDesk support: support@billdesk.com');
+    console.log('5. Attach the exported log file for complete details');
+  }
+
+  console.log('\n' + '='.repeat(80) + '\n');
 }
 
-console.log('\n' + '='.repeat(80) + '\n');
+main()
+  .then(() => mongoose.disconnect())
+  .catch((error) => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
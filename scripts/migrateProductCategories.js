@@ -0,0 +1,127 @@
+// scripts/migrateProductCategories.js
+// Moves products from the old fixed category names (Beverages, Snacks,
+// Health, Other) onto Category documents of type 'product'.
+//
+// Each old name goes to the product category with that name or slug, which
+// is created if there is none. A name can be sent elsewhere with --map:
+//
+//   node scripts/migrateProductCategories.js --map Other=accessories --map Health=wellness
+//   node scripts/migrateProductCategories.js --dry-run
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+// --map Old=<category ID or slug>
+const overrides = new Map();
+args.forEach((arg, i) => {
+  if (arg === '--map' && args[i + 1]) {
+    const [from, to] = args[i + 1].split('=');
+    overrides.set(from, to);
+  }
+});
+
+/**
+ * The product category an old category name moves to, or null if it
+ * cannot be found or created.
+ */
+const findOrCreateCategory = async (name) => {
+  const target = overrides.get(name) || name;
+  const slug = slugify(target, { lower: true, strict: true });
+
+  const existing = await Category.findOne({
+    type: 'product',
+    $or: [
+      ...(mongoose.Types.ObjectId.isValid(target) ? [{ _id: target }] : []),
+      { slug },
+      { name: new RegExp(`^${target.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') },
+    ],
+  });
+  if (existing) {
+    return existing;
+  }
+
+  if (overrides.has(name)) {
+    console.log(`❌ --map ${name}=${target}: no product category with that ID or slug`);
+    return null;
+  }
+
+  // Category names are unique across types
+  const clash = await Category.findOne({ $or: [{ name: target }, { slug }] });
+  if (clash) {
+    console.log(`❌ "${name}" is already a ${clash.type} category; use --map ${name}=<product category>`);
+    return null;
+  }
+
+  if (dryRun) {
+    console.log(`   Would create product category "${target}"`);
+    return { _id: null, name: target };
+  }
+
+  const created = await Category.create({ name: target, type: 'product' });
+  console.log(`➕ Created product category "${created.name}"`);
+  return created;
+};
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}\n`);
+
+    // The schema no longer has 'category', so read it from the collection
+    const names = await Product.collection.distinct('category', { category: { $type: 'string' } });
+    if (names.length === 0) {
+      console.log('📋 No products use the old category field');
+    }
+
+    let failed = 0;
+    for (const name of names) {
+      const category = await findOrCreateCategory(name);
+      const count = await Product.collection.countDocuments({ category: name });
+      if (!category) {
+        failed += count;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`   ${count} product(s): ${name} -> ${category.name}`);
+        continue;
+      }
+
+      const result = await Product.collection.updateMany(
+        { category: name },
+        { $addToSet: { categories: category._id }, $unset: { category: '' } }
+      );
+      console.log(`✅ ${result.modifiedCount} product(s): ${name} -> ${category.name}`);
+    }
+
+    // The old index is not dropped by Mongoose
+    if (!dryRun) {
+      try {
+        await Product.collection.dropIndex('category_1_isActive_1');
+        console.log('🗑️  Dropped index category_1_isActive_1');
+      } catch (error) {
+        if (error.codeName !== 'IndexNotFound') throw error;
+      }
+    }
+
+    if (failed > 0) {
+      console.log(`\n⚠️  ${failed} product(s) left on the old field; run again with --map`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit();
+  }
+};
+
+migrate();
@@ -0,0 +1,55 @@
+// scripts/migrateProductStatus.js
+// Gives every product a publishing status. Products saved before there was
+// one only have isActive: active products become 'published', and inactive
+// ones, which were deactivated by deleting, become 'archived'. Until this has
+// run the schema reports the same status on read, but queries on status do
+// not find these products.
+//
+// Safe to run more than once. No revisions are written; a product's first
+// tracked change records how it stood as a baseline.
+//
+//   node scripts/migrateProductStatus.js
+//   node scripts/migrateProductStatus.js --dry-run
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const PRODUCT_STATUS = require('../constants/productStatus');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}\n`);
+
+    // Raw collection: the schema would fill the status in on read
+    const missing = { status: { $exists: false } };
+    const active = { ...missing, isActive: { $ne: false } };
+    const inactive = { ...missing, isActive: false };
+
+    if (dryRun) {
+      console.log(`✅ ${await Product.collection.countDocuments(active)} product(s) to mark published`);
+      console.log(`✅ ${await Product.collection.countDocuments(inactive)} product(s) to mark archived`);
+      return;
+    }
+
+    const published = await Product.collection.updateMany(active, {
+      $set: { status: PRODUCT_STATUS.PUBLISHED, isActive: true },
+    });
+    const archived = await Product.collection.updateMany(inactive, {
+      $set: { status: PRODUCT_STATUS.ARCHIVED },
+    });
+    console.log(`✅ ${published.modifiedCount} product(s) marked published`);
+    console.log(`✅ ${archived.modifiedCount} product(s) marked archived`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit();
+  }
+};
+
+migrate();
@@ -0,0 +1,76 @@
+// scripts/migrateProductVariants.js
+// Gives every product variant a stable _id, then points existing cart lines
+// at those IDs. Variants used to be stored without one; until this has run,
+// Mongoose makes up a new ID each time such a product is loaded.
+//
+// Safe to run more than once. Orders, stock reservations and refunds from
+// before variants had IDs are left alone: they are still matched by size.
+//
+//   node scripts/migrateProductVariants.js
+//   node scripts/migrateProductVariants.js --dry-run
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}\n`);
+
+    // Raw collections: the schema would assign IDs on read
+    let productsUpdated = 0;
+    const products = Product.collection.find({ variants: { $elemMatch: { _id: { $exists: false } } } });
+    for await (const product of products) {
+      const variants = product.variants.map((variant) => (
+        variant._id ? variant : { _id: new mongoose.Types.ObjectId(), ...variant }
+      ));
+      if (!dryRun) {
+        await Product.collection.updateOne({ _id: product._id }, { $set: { variants } });
+      }
+      productsUpdated += 1;
+    }
+    console.log(`✅ ${productsUpdated} product(s) ${dryRun ? 'need' : 'given'} variant IDs`);
+
+    let linesUpdated = 0;
+    let linesUnmatched = 0;
+    const carts = Cart.collection.find({ items: { $elemMatch: { variantId: { $exists: false } } } });
+    for await (const cart of carts) {
+      const items = [];
+      for (const item of cart.items) {
+        if (item.variantId) {
+          items.push(item);
+          continue;
+        }
+        const product = await Product.findById(item.product).select('variants');
+        const variant = product && product.findVariant(item);
+        if (variant) {
+          linesUpdated += 1;
+          items.push({ ...item, variantId: variant._id, ...(variant.sku && { sku: variant.sku }) });
+        } else {
+          linesUnmatched += 1;
+          items.push(item);
+        }
+      }
+      if (!dryRun) {
+        await Cart.collection.updateOne({ _id: cart._id }, { $set: { items } });
+      }
+    }
+    console.log(`✅ ${linesUpdated} cart line(s) ${dryRun ? 'to point' : 'pointed'} at their variant`);
+    if (linesUnmatched > 0) {
+      console.log(`⚠️  ${linesUnmatched} cart line(s) name a variant that no longer exists`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit();
+  }
+};
+
+migrate();
@@ -0,0 +1,56 @@
+// scripts/migrateRedemptionBatches.js
+// Copies each batch coupon's batch onto its coupon redemptions. Batch reports
+// read redemptions by batch, so uses recorded before redemptions carried one
+// are left out of them until this has run.
+//
+// Safe to run more than once.
+//
+//   node scripts/migrateRedemptionBatches.js
+//   node scripts/migrateRedemptionBatches.js --dry-run
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}\n`);
+
+    const missing = { batch: { $exists: false } };
+    const couponIds = await CouponRedemption.distinct('coupon', missing);
+    const batchCoupons = Coupon.find({ _id: { $in: couponIds }, batch: { $ne: null } })
+      .select('batch')
+      .lean()
+      .cursor();
+
+    let coupons = 0;
+    let updated = 0;
+    for await (const coupon of batchCoupons) {
+      coupons += 1;
+      if (dryRun) {
+        updated += await CouponRedemption.countDocuments({ ...missing, coupon: coupon._id });
+        continue;
+      }
+      const result = await CouponRedemption.updateMany(
+        { ...missing, coupon: coupon._id },
+        { $set: { batch: coupon.batch } }
+      );
+      updated += result.modifiedCount;
+    }
+
+    console.log(`✅ ${updated} redemption(s) of ${coupons} batch coupon(s) ${dryRun ? 'to update' : 'updated'}`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit();
+  }
+};
+
+migrate();
@@ -6,6 +6,7 @@ const crypto = require('crypto');
 const jose = require('node-jose');
 const fetch = require('node-fetch');
 const moment = require('moment-timezone');
+const { resolveBillDeskProfile } = require('../config/billDeskProfiles');
 
 console.log('\n========================================');
 console.log('BILLDESK CREDENTIALS TEST');
@@ -21,7 +22,6 @@ const requiredVars = [
   'BILLDESK_CLIENT_SECRET',
   'BILLDESK_SIGNING_PASSWORD',
   'BILLDESK_ENCRYPTION_PASSWORD',
-  'BILLDESK_PAYMENT_URL',
   'BILLDESK_RETURN_URL',
   'BILLDESK_WEBHOOK_URL'
 ];
@@ -49,7 +49,7 @@ const CONFIG = {
   clientSecret: process.env.BILLDESK_CLIENT_SECRET,
   signingPassword: process.env.BILLDESK_SIGNING_PASSWORD,
   encryptionPassword: process.env.BILLDESK_ENCRYPTION_PASSWORD,
-  paymentUrl: process.env.BILLDESK_PAYMENT_URL,
+  paymentUrl: resolveBillDeskProfile().paymentUrl,
   returnUrl: process.env.BILLDESK_RETURN_URL,
   webhookUrl: process.env.BILLDESK_WEBHOOK_URL
 };
@@ -3,6 +3,7 @@
 
 require('dotenv').config();
 const fetch = require('node-fetch');
+const { resolveBillDeskProfile } = require('../config/billDeskProfiles');
 
 console.log('\n' + '='.repeat(80));
 console.log('🔐 BILLDESK AUTHENTICATION VERIFICATION');
@@ -15,7 +16,7 @@ const CONFIG = {
   clientSecret: process.env.BILLDESK_CLIENT_SECRET,
   signingPassword: process.env.BILLDESK_SIGNING_PASSWORD,
   encryptionPassword: process.env.BILLDESK_ENCRYPTION_PASSWORD,
-  paymentUrl: process.env.BILLDESK_PAYMENT_URL
+  paymentUrl: resolveBillDeskProfile().paymentUrl
 };
 
 // Step 1: Verify all credentials are present and show lengths (not actual values)
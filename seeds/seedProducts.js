@@ -3,6 +3,7 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const Product = require('../models/Product'); // Adjust the path if necessary
+const Category = require('../models/Category');
 const productsData = require('../data/Data.Dummy'); // Adjust the path if necessary
 
 dotenv.config();
@@ -31,12 +32,22 @@ async function seedProducts() {
     await Product.deleteMany();
     console.log('Existing products cleared');
 
+    // The dummy data names its category; file each product under a product
+    // Category of that name, creating it if needed
+    const categoryIds = {};
+    for (const name of new Set(productsData.map((product) => product.category))) {
+      const category = await Category.findOne({ name, type: 'product' })
+        || await Category.create({ name, type: 'product' });
+      categoryIds[name] = category._id;
+    }
+
     // Generate slugs and prepare products for insertion
-    const productsWithSlug = productsData.map((product) => {
+    const productsWithSlug = productsData.map(({ category, ...product }) => {
       const slug = slugify(product.title, product.id);
 
       return {
         ...product,
+        categories: [categoryIds[category]],
         slug, // Add the generated slug
         // Ensure accordion data exists; if not, assign default values
         accordion: {
@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const cluster = require('cluster');
 const os = require('os');
 const logger = require('./utils/logger');
+const { startBackgroundJobs } = require('./jobs');
 
 // Handle Uncaught Exceptions
 process.on('uncaughtException', (err) => {
@@ -23,6 +24,11 @@ mongoose.connect(process.env.MONGO_URI, {
   process.exit(1);
 });
 
+// Scheduled jobs run in the primary process only, not in each forked worker
+if (cluster.isMaster) {
+  startBackgroundJobs();
+}
+
 // Check if process is master or worker
 if (cluster.isMaster && process.env.NODE_ENV === 'production') {
   // Count the machine's CPUs
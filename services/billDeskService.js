@@ -1,7 +1,8 @@
 // services/billDeskService.js - BillDesk Official JOSE Implementation
 
 /**
- * BillDesk Service for UAT JSON REST API v1.2 Integration
+ * BillDesk Service for JSON REST API v1.2 Integration (UAT, production or the
+ * local mock, per BILLDESK_PROFILE)
  * Uses BillDesk's official JOSE helper functions for encryption and signing
  * Implements proper A256GCM encryption and HS256 signing
  */
@@ -11,9 +12,11 @@ const logger = require('../utils/logger');
 const billDeskLogger = require('../utils/billDeskLogger');
 const Transaction = require('../models/Transaction');
 const Order = require('../models/Order');
+const ErrorResponse = require('../utils/errorResponse');
 const moment = require('moment-timezone');
 const fetch = require('node-fetch');
 const jose = require('node-jose');
+const { resolveBillDeskProfile } = require('../config/billDeskProfiles');
 
 // Security: Rate limiting for payment requests
 const rateLimitMap = new Map();
@@ -29,42 +32,43 @@ const base64url = (input) =>
     .replace(/=/g, '');
 
 /**
- * BillDesk Configuration
+ * BillDesk Configuration, from the live environment profile
+ * (config/billDeskProfiles.js). keyId and the passwords are the current key,
+ * used for everything we send; keys also holds the previous key during a
+ * rotation, accepted on what BillDesk sends us.
  */
+const profile = resolveBillDeskProfile();
 const BILLDESK_CONFIG = {
-  merchantId: process.env.BILLDESK_MERCHANT_ID,
-  keyId: process.env.BILLDESK_SECURITY_ID,
-  clientId: process.env.BILLDESK_CLIENT_ID,
-  clientSecret: process.env.BILLDESK_CLIENT_SECRET,
-  signingPassword: process.env.BILLDESK_SIGNING_PASSWORD,
-  encryptionPassword: process.env.BILLDESK_ENCRYPTION_PASSWORD,
-  paymentUrl: process.env.BILLDESK_PAYMENT_URL,
+  profile: profile.name,
+  merchantId: profile.merchantId,
+  keyId: profile.keys[0].keyId,
+  clientId: profile.clientId,
+  clientSecret: profile.clientSecret,
+  signingPassword: profile.keys[0].signingKey,
+  encryptionPassword: profile.keys[0].encryptionKey,
+  keys: profile.keys,
+  paymentUrl: profile.paymentUrl,
+  retrieveUrl: profile.retrieveUrl,
+  refundUrl: profile.refundUrl,
+  refundStatusUrl: profile.refundStatusUrl,
+  sdkUrl: profile.sdkUrl,
   returnUrl: process.env.BILLDESK_RETURN_URL,
   webhookUrl: process.env.BILLDESK_WEBHOOK_URL,
   itemCode: process.env.BILLDESK_ITEM_CODE || 'DIRECT',
 };
 
 // Validate required BillDesk configuration
-const requiredBillDeskVars = [
-  'BILLDESK_MERCHANT_ID',
-  'BILLDESK_SECURITY_ID',
-  'BILLDESK_CLIENT_ID',
-  'BILLDESK_CLIENT_SECRET',
-  'BILLDESK_SIGNING_PASSWORD',
-  'BILLDESK_ENCRYPTION_PASSWORD',
-  'BILLDESK_PAYMENT_URL',
-  'BILLDESK_RETURN_URL',
-  'BILLDESK_WEBHOOK_URL'
+const missingBillDeskVars = [
+  ...profile.missing,
+  ...['BILLDESK_RETURN_URL', 'BILLDESK_WEBHOOK_URL'].filter(varName => !process.env[varName]),
 ];
-
-const missingBillDeskVars = requiredBillDeskVars.filter(varName => !process.env[varName]);
 if (missingBillDeskVars.length > 0) {
   logger.error(`Missing required BillDesk environment variables: ${missingBillDeskVars.join(', ')}`);
   throw new Error(`Missing required BillDesk configuration: ${missingBillDeskVars.join(', ')}`);
 }
 
 // Security: Never log credentials - only log that config is loaded
-logger.info('BillDesk Configuration loaded successfully');
+logger.info(`BillDesk Configuration loaded successfully (${profile.label} profile)`);
 
 /*
     BillDesk Official JOSE Helper Functions
@@ -165,14 +169,53 @@ async function encryptAndSign(request, clientId, encryptionKey, encryptionKeyId,
 }
 
 /*
-    This method verifies and decrypts the payload using JOSE Encryption
+    This method verifies and decrypts the payload using JOSE Encryption.
+    Called with only the payload it tries every key of the live profile,
+    starting with the one named in the token's kid header, so responses
+    signed with either key verify during a key rotation.
 */
 async function verifyAndDecrypt(request, encryptionKey, encryptionKeyId, signingKey, signingKeyId) {
+    if (encryptionKey === undefined) {
+        return verifyAndDecryptWithProfileKeys(request);
+    }
     let verified = await verify(request, signingKey, signingKeyId);
     let decrypted = await decrypt(verified, encryptionKey, encryptionKeyId);
     return decrypted;
 }
 
+/*
+    Key ID from a compact JWS header, or null if it cannot be read
+*/
+function headerKeyId(token) {
+    try {
+        const header = JSON.parse(Buffer.from(String(token).split('.')[0], 'base64').toString('utf8'));
+        return header.kid || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/*
+    This method verifies and decrypts with each active key in turn
+*/
+async function verifyAndDecryptWithProfileKeys(request) {
+    const kid = headerKeyId(request);
+    const keys = [...BILLDESK_CONFIG.keys].sort((a, b) => (b.keyId === kid) - (a.keyId === kid));
+    let lastError;
+    for (const key of keys) {
+        try {
+            const decrypted = await verifyAndDecrypt(request, key.encryptionKey, key.keyId, key.signingKey, key.keyId);
+            if (!key.current) {
+                logger.warn(`BillDesk payload verified with previous key ${key.keyId}; rotation still in progress`);
+            }
+            return decrypted;
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
 /**
  * Security: Check rate limit
  */
@@ -251,8 +294,12 @@ async function createPaymentRequest(order, clientIp = '127.0.0.1') {
   
   const amount = order.finalAmount || order.totalAmount || order.amount;
 
-  // Generate unique order number with proper format
-  const orderNumber = order.orderNumber || `order${Date.now()}${Math.floor(Math.random() * 1000)}`;
+  // Generate unique order number with proper format. BillDesk rejects an
+  // orderid it has seen before, so each further attempt for the same order
+  // (e.g. from a payment retry link) gets an -R<n> suffix
+  const previousAttempts = await Transaction.countDocuments({ order: order._id, paymentMethod: 'billdesk' });
+  const baseOrderNumber = order.orderNumber || `order${Date.now()}${Math.floor(Math.random() * 1000)}`;
+  const orderNumber = previousAttempts > 0 ? `${baseOrderNumber}-R${previousAttempts}` : baseOrderNumber;
 
   // Get customer details
   let customerEmail = 'customer@example.com';
@@ -471,20 +518,17 @@ async function createPaymentRequest(order, clientIp = '127.0.0.1') {
       
       // Try to decrypt error response (BillDesk errors are also encrypted)
       let errorMessage = `Payment gateway error. Please try again. (Status: ${response.status})`;
+      let errorCode;
       try {
         // BillDesk error responses use "HMAC" as kid, but still need actual keyId for decryption
-        const decryptedError = await verifyAndDecrypt(
-          responseBody,
-          BILLDESK_CONFIG.encryptionPassword,
-          BILLDESK_CONFIG.keyId,
-          BILLDESK_CONFIG.signingPassword,
-          BILLDESK_CONFIG.keyId
-        );
+        const decryptedError = await verifyAndDecrypt(responseBody);
         const errorJson = JSON.parse(decryptedError);
         logger.error('Decrypted BillDesk Error:', errorJson);
         console.log('\n   DECRYPTED ERROR:');
         console.log('   ', JSON.stringify(errorJson, null, 2));
         
+        errorCode = errorJson.error_code || errorJson.error_type;
+
         // Provide specific error message if available
         if (errorJson.message) {
           errorMessage = `BillDesk Error: ${errorJson.message} (${errorJson.error_code || response.status})`;
@@ -503,7 +547,9 @@ async function createPaymentRequest(order, clientIp = '127.0.0.1') {
       }
       
       // Security: Generic error message for client
-      throw new Error(errorMessage);
+      const apiError = new Error(errorMessage);
+      apiError.errorCode = errorCode;
+      throw apiError;
     }
     
     logger.info('BillDesk API call successful, processing response...');
@@ -514,6 +560,9 @@ async function createPaymentRequest(order, clientIp = '127.0.0.1') {
       
       // For HTML responses, we need to extract payment URL or form data
       // This typically means the API returned a payment form
+      txn.metadata.set('traceId', traceId);
+      await txn.save();
+
       return {
         success: true,
         paymentUrl: BILLDESK_CONFIG.paymentUrl,
@@ -538,13 +587,7 @@ async function createPaymentRequest(order, clientIp = '127.0.0.1') {
     let responseJson;
     try {
       // Try to verify and decrypt using BillDesk's verifyAndDecrypt helper
-      const decryptedResponse = await verifyAndDecrypt(
-        responseBody,
-        BILLDESK_CONFIG.encryptionPassword,
-        BILLDESK_CONFIG.keyId,
-        BILLDESK_CONFIG.signingPassword,
-        BILLDESK_CONFIG.keyId
-      );
+      const decryptedResponse = await verifyAndDecrypt(responseBody);
       responseJson = JSON.parse(decryptedResponse);
       logger.info('Response verified and decrypted successfully using BillDesk helper');
     } catch (verifyError) {
@@ -560,7 +603,7 @@ async function createPaymentRequest(order, clientIp = '127.0.0.1') {
         if (bdorderid) {
           // Extract rdata from links.parameters as per BillDesk v1.2 spec
           let rdata = null;
-          let sdkUrl = 'https://uat1.billdesk.com/u2/web/v1_2/embeddedsdk';
+          let sdkUrl = BILLDESK_CONFIG.sdkUrl;
           
           if (links && Array.isArray(links)) {
             const redirectLink = links.find(link => 
@@ -576,9 +619,9 @@ async function createPaymentRequest(order, clientIp = '127.0.0.1') {
             }
           }
           
-          txn.metadata.bdOrderId = bdorderid;
-          txn.metadata.traceId = traceId;
-          txn.metadata.rdata = rdata;
+          txn.metadata.set('bdOrderId', bdorderid);
+          txn.metadata.set('traceId', traceId);
+          if (rdata) txn.metadata.set('rdata', rdata);
           await txn.save();
           
           return {
@@ -623,7 +666,7 @@ async function createPaymentRequest(order, clientIp = '127.0.0.1') {
     
     // Extract rdata from links.parameters as per BillDesk v1.2 spec
     let rdata = null;
-    let sdkUrl = 'https://uat1.billdesk.com/u2/web/v1_2/embeddedsdk';
+    let sdkUrl = BILLDESK_CONFIG.sdkUrl;
     
     if (links && Array.isArray(links)) {
       console.log('🔍 Searching for redirect link in', links.length, 'links...');
@@ -664,9 +707,9 @@ async function createPaymentRequest(order, clientIp = '127.0.0.1') {
     }
     
     // Update transaction
-    txn.metadata.bdOrderId = bdorderid;
-    txn.metadata.traceId = traceId;
-    txn.metadata.rdata = rdata;
+    txn.metadata.set('bdOrderId', bdorderid);
+    txn.metadata.set('traceId', traceId);
+    if (rdata) txn.metadata.set('rdata', rdata);
     await txn.save();
     
     logger.info('=== BillDesk Payment Request Creation Completed Successfully ===');
@@ -697,6 +740,7 @@ async function createPaymentRequest(order, clientIp = '127.0.0.1') {
     billDeskLogger.logError({
       traceId: traceId,
       timestamp: Math.floor(Date.now() / 1000).toString(),
+      errorCode: error.errorCode,
       errorMessage: error.message,
       errorStack: error.stack,
       request: {
@@ -712,219 +756,85 @@ async function createPaymentRequest(order, clientIp = '127.0.0.1') {
 }
 
 /**
- * Process BillDesk response/webhook
+ * Verify the signature on a BillDesk response and decrypt it, without acting
+ * on it. Unsigned responses are rejected.
+ * @param {string|Object} responseData - JWS token, or an object carrying one
+ *   in transaction_response (the return form) or encrypted_response
+ * @returns {Promise<Object>} - Decrypted response
  */
-async function processResponse(responseData) {
-  logger.info('Processing BillDesk response');
-  logger.info('Response data type:', typeof responseData);
-  logger.info('Response data:', JSON.stringify(responseData).substring(0, 500));
-  
-  let verifiedData;
-  
-  if (typeof responseData === 'string') {
-    try {
-      // Use BillDesk's official verifyAndDecrypt helper
-      const decryptedResponse = await verifyAndDecrypt(
-        responseData,
-        BILLDESK_CONFIG.encryptionPassword,
-        BILLDESK_CONFIG.keyId,
-        BILLDESK_CONFIG.signingPassword,
-        BILLDESK_CONFIG.keyId
-      );
-      verifiedData = JSON.parse(decryptedResponse);
-      logger.info('Response verified and decrypted successfully using BillDesk helper');
-    } catch (e) {
-      logger.error('Failed to verify and decrypt BillDesk response:', e.message);
-      // Try direct JSON parse as fallback
-      try {
-        verifiedData = JSON.parse(responseData);
-        logger.info('Used direct JSON parse as fallback');
-      } catch (jsonError) {
-        return {
-          success: false,
-          message: 'Invalid signature or encryption from payment gateway',
-          status: 'failed',
-          orderNumber: 'unknown',
-          data: responseData,
-        };
-      }
-    }
-  } else {
-    verifiedData = responseData;
-  }
-  
-  logger.info('Verified BillDesk response:', JSON.stringify(verifiedData, null, 2));
-  
-  // Check if response has encrypted_response field (error case from BillDesk)
-  if (verifiedData.encrypted_response) {
-    logger.info('Found encrypted_response field, attempting to decrypt...');
-    try {
-      const decryptedInner = await verifyAndDecrypt(
-        verifiedData.encrypted_response,
-        BILLDESK_CONFIG.encryptionPassword,
-        BILLDESK_CONFIG.keyId,
-        BILLDESK_CONFIG.signingPassword,
-        BILLDESK_CONFIG.keyId
-      );
-      const innerData = JSON.parse(decryptedInner);
-      logger.info('Decrypted inner response:', JSON.stringify(innerData, null, 2));
-      
-      // Use the decrypted inner data instead
-      verifiedData = { ...verifiedData, ...innerData };
-    } catch (e) {
-      logger.error('Failed to decrypt encrypted_response:', e.message);
-      logger.error('Encrypted response token:', verifiedData.encrypted_response.substring(0, 100));
-      
-      // Try to extract orderid from multiple sources
-      let orderNumberFromError = 'unknown';
-      
-      // 1. Check txnResponse
-      if (verifiedData.txnResponse) {
-        try {
-          const txnResp = typeof verifiedData.txnResponse === 'string' 
-            ? JSON.parse(verifiedData.txnResponse) 
-            : verifiedData.txnResponse;
-          orderNumberFromError = txnResp.orderid || txnResp.order_id || txnResp.mercorderid || 'unknown';
-          logger.info('Extracted orderid from error txnResponse:', orderNumberFromError);
-        } catch (parseErr) {
-          logger.warn('Could not parse txnResponse from error');
-        }
-      }
-      
-      // 2. Try to find recent pending transaction in our database
-      if (orderNumberFromError === 'unknown') {
-        try {
-          const recentTransaction = await Transaction.findOne({ 
-            status: 'pending',
-            createdAt: { $gte: new Date(Date.now() - 10 * 60 * 1000) } // Last 10 minutes
-          }).sort({ createdAt: -1 });
-          
-          if (recentTransaction) {
-            orderNumberFromError = recentTransaction.orderNumber;
-            logger.info('Found recent transaction:', orderNumberFromError);
-          }
-        } catch (dbErr) {
-          logger.error('Database lookup failed:', dbErr.message);
-        }
-      }
-      
-      // If decryption fails, return error with available info
-      return {
-        success: false,
-        message: verifiedData.message || 'Payment failed',
-        status: 'failed',
-        orderNumber: orderNumberFromError,
-        errorCode: verifiedData.error_code || 'UNKNOWN',
-        data: verifiedData,
-      };
-    }
+async function verifyResponse(responseData) {
+  const token = typeof responseData === 'string'
+    ? responseData
+    : responseData && (responseData.transaction_response || responseData.encrypted_response);
+  if (!token) {
+    throw new Error('BillDesk response is not signed');
   }
 
-  const { merchantid, orderid, transactionid, status } = verifiedData;
-  
-  // Log which fields are present/missing
-  logger.info('Field check:', {
-    merchantid: merchantid ? 'present' : 'MISSING',
-    orderid: orderid ? 'present' : 'MISSING',
-    transactionid: transactionid ? 'present' : 'MISSING',
-    status: status ? 'present' : 'MISSING'
-  });
-  
-  if (!merchantid || !orderid) {
-    logger.error('Missing required fields in BillDesk response');
-    logger.error('Available fields:', Object.keys(verifiedData));
-    
-    // Try to extract orderid from error_code or txnResponse
-    let fallbackOrderId = orderid;
-    if (!fallbackOrderId && verifiedData.txnResponse) {
-      try {
-        const txnResp = typeof verifiedData.txnResponse === 'string' 
-          ? JSON.parse(verifiedData.txnResponse) 
-          : verifiedData.txnResponse;
-        fallbackOrderId = txnResp.orderid || txnResp.order_id;
-        logger.info('Extracted orderid from txnResponse:', fallbackOrderId);
-      } catch (e) {
-        logger.warn('Could not parse txnResponse');
-      }
-    }
-    
-    // Try to find from recent transaction if still not found
-    if (!fallbackOrderId) {
-      try {
-        const recentTransaction = await Transaction.findOne({ 
-          status: 'pending',
-          createdAt: { $gte: new Date(Date.now() - 10 * 60 * 1000) } // Last 10 minutes
-        }).sort({ createdAt: -1 });
-        
-        if (recentTransaction) {
-          fallbackOrderId = recentTransaction.orderNumber;
-          logger.info('Found order from recent transaction:', fallbackOrderId);
-        }
-      } catch (dbErr) {
-        logger.error('Database lookup failed:', dbErr.message);
-      }
-    }
-    
-    // If we still don't have critical fields, return error with status 'failed'
-    if (!fallbackOrderId) {
-      return {
-        success: false,
-        message: verifiedData.message || `Payment processing error - Missing fields: ${
-          [
-            !merchantid && 'merchantid',
-            !orderid && 'orderid'
-          ].filter(Boolean).join(', ')
-        }`,
-        status: 'failed',
-        orderNumber: 'unknown',
-        errorCode: verifiedData.error_code || 'UNKNOWN',
-        data: verifiedData,
-      };
-    }
-    
-    // Use fallback orderid
-    return {
-      success: false,
-      message: verifiedData.message || 'Payment failed',
-      status: status || 'failed',
-      orderNumber: fallbackOrderId,
-      errorCode: verifiedData.error_code || 'UNKNOWN',
-      data: verifiedData,
-    };
+  const decrypted = await verifyAndDecrypt(token);
+  return JSON.parse(decrypted);
+}
+
+/**
+ * Verify a BillDesk return or webhook response and record the BillDesk
+ * transaction details on our transaction. Only signed responses are
+ * accepted: a JWS token, or an object carrying one (see verifyResponse).
+ * The order's payment state is left to paymentService.applyPaymentResult.
+ * @param {string|Object} responseData
+ * @returns {Promise<Object>} - { success, message, status, transactionId,
+ *   gatewayTransactionId, orderNumber, amount, errorCode, data }
+ * @throws {ErrorResponse} - 400 when the response is unsigned, fails
+ *   verification or does not name our merchant and an order
+ */
+async function processResponse(responseData) {
+  let verifiedData;
+  try {
+    verifiedData = await verifyResponse(responseData);
+  } catch (error) {
+    logger.error(`Rejected BillDesk response: ${error.message}`);
+    throw new ErrorResponse(`Invalid BillDesk response: ${error.message}`, 400);
   }
 
-  const transaction = await Transaction.findOne({ orderNumber: orderid });
-  if (!transaction) {
-    logger.error(`Transaction not found for orderid: ${orderid}`);
-    return {
-      success: false,
-      message: 'Transaction record not found',
-      status: 'failed',
-      orderNumber: orderid,
-      data: responseData,
-    };
+  const { orderid, transactionid, status, auth_status: authStatus, amount } = verifiedData;
+  const merchantId = verifiedData.mercid || verifiedData.merchantid;
+  if (!orderid || merchantId !== BILLDESK_CONFIG.merchantId) {
+    logger.error(`BillDesk response for order ${orderid || 'unknown'} names merchant ${merchantId || 'none'}`);
+    throw new ErrorResponse('BillDesk response does not name this merchant and an order.', 400);
   }
 
   let paymentStatus = 'pending';
-  if (status.toUpperCase() === 'SUCCESS') {
+  if (authStatus === '0300' || String(status || '').toUpperCase() === 'SUCCESS') {
     paymentStatus = 'completed';
-  } else if (status.toUpperCase() === 'FAILED') {
+  } else if (authStatus === '0399' || String(status || '').toUpperCase() === 'FAILED') {
     paymentStatus = 'failed';
   }
 
-  transaction.status = paymentStatus;
-  transaction.metadata.billDeskTxnId = transactionid;
-  transaction.metadata.responseAt = new Date();
-  transaction.metadata.responseData = responseData;
-  await transaction.save();
+  const transaction = await Transaction.findOne({ orderNumber: orderid });
+  if (!transaction) {
+    logger.error(`Transaction not found for orderid: ${orderid}`);
+  } else {
+    // metadata is a Map of strings; refunds need the BillDesk transaction ID
+    // and date later on
+    if (transactionid) {
+      transaction.metadata.set('billDeskTxnId', transactionid);
+    }
+    if (verifiedData.transaction_date) {
+      transaction.metadata.set('transactionDate', verifiedData.transaction_date);
+    }
+    transaction.metadata.set('responseAt', new Date().toISOString());
+    transaction.metadata.set('responseData', typeof responseData === 'string' ? responseData : JSON.stringify(responseData));
+    await transaction.save();
+  }
 
   return {
     success: paymentStatus === 'completed',
-    message: `Payment ${paymentStatus}`,
+    message: verifiedData.transaction_error_desc || `Payment ${paymentStatus}`,
     status: paymentStatus,
-    transactionId: transaction._id,
+    transactionId: transaction ? transaction._id : undefined,
+    gatewayTransactionId: transactionid,
     orderNumber: orderid,
-    data: responseData,
+    amount: amount !== undefined ? Number(amount) : undefined,
+    errorCode: verifiedData.transaction_error_code,
+    data: verifiedData,
   };
 }
 
@@ -964,7 +874,7 @@ async function retrieveTransaction(orderId) {
       'Authorization': `Basic ${basicAuth}`
     };
     
-    const retrieveUrl = 'https://uat1.billdesk.com/u2/payments/ve1_2/transactions/get';
+    const retrieveUrl = BILLDESK_CONFIG.retrieveUrl;
     
     const response = await fetch(retrieveUrl, {
       method: 'POST',
@@ -981,13 +891,7 @@ async function retrieveTransaction(orderId) {
     
     // Use BillDesk's official verifyAndDecrypt helper
     try {
-      const decryptedResponse = await verifyAndDecrypt(
-        responseBody,
-        BILLDESK_CONFIG.encryptionPassword,
-        BILLDESK_CONFIG.keyId,
-        BILLDESK_CONFIG.signingPassword,
-        BILLDESK_CONFIG.keyId
-      );
+      const decryptedResponse = await verifyAndDecrypt(responseBody);
       const finalPayload = JSON.parse(decryptedResponse);
       
       return {
@@ -1016,10 +920,150 @@ async function retrieveTransaction(orderId) {
   }
 }
 
+/**
+ * Send an encrypted, signed request to a BillDesk API and return the
+ * verified response payload.
+ * @param {string} url - API URL
+ * @param {Object} jsonRequest - Request body before encryption
+ * @param {string} tracePrefix - Prefix for the BD-Traceid header
+ * @returns {Promise<Object>} - Decrypted response
+ */
+async function sendJoseRequest(url, jsonRequest, tracePrefix) {
+  const jwsToken = await encryptAndSign(
+    JSON.stringify(jsonRequest),
+    BILLDESK_CONFIG.clientId,
+    BILLDESK_CONFIG.encryptionPassword,
+    BILLDESK_CONFIG.keyId,
+    BILLDESK_CONFIG.signingPassword,
+    BILLDESK_CONFIG.keyId
+  );
+
+  const traceId = `${tracePrefix}${Date.now()}${Math.floor(Math.random() * 1000)}`.slice(0, 35);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const basicAuth = Buffer.from(`${BILLDESK_CONFIG.clientId}:${BILLDESK_CONFIG.clientSecret}`).toString('base64');
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 30000);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/jose',
+        'Accept': 'application/jose',
+        'BD-Traceid': traceId,
+        'BD-Timestamp': timestamp,
+        'Authorization': `Basic ${basicAuth}`
+      },
+      body: jwsToken,
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  const responseBody = await response.text();
+  let payload;
+  try {
+    const decrypted = await verifyAndDecrypt(responseBody);
+    payload = JSON.parse(decrypted);
+  } catch (e) {
+    try {
+      payload = JSON.parse(responseBody);
+    } catch (jsonError) {
+      throw new Error(`Invalid response format from BillDesk (Status: ${response.status})`);
+    }
+  }
+
+  if (!response.ok) {
+    throw new Error(payload.message
+      ? `BillDesk Error: ${payload.message} (${payload.error_code || response.status})`
+      : `BillDesk API returned ${response.status}: ${response.statusText}`);
+  }
+
+  return payload;
+}
+
+/**
+ * Refund all or part of a successful BillDesk transaction.
+ * BillDesk answers with a refund_status: '0799' means the refund succeeded,
+ * '0699' that it was cancelled; anything else is still being processed.
+ * @param {Object} params
+ * @param {string} params.transactionId - BillDesk transaction ID
+ * @param {string} params.orderNumber - Order ID the payment was made against
+ * @param {string} params.transactionDate - Transaction date as BillDesk sent it
+ * @param {number} params.txnAmount - Original transaction amount
+ * @param {number} params.refundAmount - Amount to refund
+ * @param {string} params.refundRef - Our unique reference for the refund
+ * @returns {Promise<Object>} - { success, data } or { success: false, message }
+ */
+async function createRefund({ transactionId, orderNumber, transactionDate, txnAmount, refundAmount, refundRef }) {
+  try {
+    logger.info(`Requesting BillDesk refund ${refundRef} for order: ${orderNumber}`);
+
+    const jsonRequest = {
+      transactionid: transactionId,
+      orderid: orderNumber,
+      mercid: BILLDESK_CONFIG.merchantId,
+      transaction_date: transactionDate,
+      txn_amount: Number(txnAmount).toFixed(2),
+      refund_amount: Number(refundAmount).toFixed(2),
+      currency: '356',
+      merc_refund_ref_no: String(refundRef)
+    };
+
+    const refundUrl = BILLDESK_CONFIG.refundUrl;
+    const data = await sendJoseRequest(refundUrl, jsonRequest, 'RFD');
+
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    logger.error('Error creating BillDesk refund:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Retrieve the current state of a refund.
+ * @param {string} refundRef - Our reference sent as merc_refund_ref_no
+ * @returns {Promise<Object>} - { success, data } or { success: false, message }
+ */
+async function retrieveRefund(refundRef) {
+  try {
+    const jsonRequest = {
+      mercid: BILLDESK_CONFIG.merchantId,
+      merc_refund_ref_no: String(refundRef)
+    };
+
+    const refundUrl = BILLDESK_CONFIG.refundStatusUrl;
+    const data = await sendJoseRequest(refundUrl, jsonRequest, 'RFS');
+
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    logger.error('Error retrieving BillDesk refund:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
 module.exports = {
   createPaymentRequest,
   processResponse,
+  verifyResponse,
   retrieveTransaction,
+  createRefund,
+  retrieveRefund,
   BILLDESK_CONFIG,
   // BillDesk official JOSE helper functions (internal use)
   encryptAndSign,
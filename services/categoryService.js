@@ -0,0 +1,147 @@
+// services/categoryService.js
+
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+/**
+ * Find product categories by ID or slug.
+ * @param {string[]} values - Category IDs or slugs
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>}
+ */
+const resolveProductCategoryIds = async (values) => {
+  const ids = values.filter((value) => mongoose.Types.ObjectId.isValid(value));
+  const slugs = values.map((value) => String(value).toLowerCase());
+
+  const categories = await Category.find({
+    type: 'product',
+    $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }],
+  }).select('_id').lean();
+
+  return categories.map((category) => category._id);
+};
+
+/**
+ * IDs of the given categories and every category below them.
+ * @param {Array<string|mongoose.Types.ObjectId>} categoryIds
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>}
+ */
+const getDescendantIds = async (categoryIds) => {
+  if (categoryIds.length === 0) {
+    return [];
+  }
+
+  const trees = await Category.aggregate([
+    { $match: { _id: { $in: categoryIds.map((id) => new mongoose.Types.ObjectId(String(id))) } } },
+    {
+      $graphLookup: {
+        from: Category.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants',
+      },
+    },
+    { $project: { descendants: '$descendants._id' } },
+  ]);
+
+  const ids = new Map();
+  trees.forEach((tree) => {
+    [tree._id, ...tree.descendants].forEach((id) => ids.set(String(id), id));
+  });
+  return [...ids.values()];
+};
+
+/**
+ * Categories a storefront category filter selects: the named categories and
+ * their subcategories, so filtering on a parent includes its children.
+ * @param {string[]} values - Category IDs or slugs
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>}
+ */
+const expandCategoryFilter = async (values) => getDescendantIds(await resolveProductCategoryIds(values));
+
+/**
+ * Path from the top-level category down to each given category.
+ * @param {Array<string|mongoose.Types.ObjectId>} categoryIds
+ * @returns {Promise<Array<Array<Object>>>} - One list of { _id, name, slug }
+ *   per category, in the order given (empty for an unknown category)
+ */
+const getBreadcrumbs = async (categoryIds) => {
+  if (categoryIds.length === 0) {
+    return [];
+  }
+
+  const categories = await Category.aggregate([
+    { $match: { _id: { $in: categoryIds.map((id) => new mongoose.Types.ObjectId(String(id))) } } },
+    {
+      $graphLookup: {
+        from: Category.collection.name,
+        startWith: '$parent',
+        connectFromField: 'parent',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth',
+      },
+    },
+  ]);
+
+  const crumb = ({ _id, name, slug }) => ({ _id, name, slug });
+  const paths = new Map(categories.map((category) => [
+    String(category._id),
+    [...category.ancestors.sort((a, b) => b.depth - a.depth), category].map(crumb),
+  ]));
+
+  return categoryIds.map((id) => paths.get(String(id)) || []);
+};
+
+/**
+ * Count active products in each category, including those filed only under
+ * one of its subcategories. A product in several of them counts once.
+ * @param {Array<string|mongoose.Types.ObjectId>} categoryIds
+ * @returns {Promise<Map<string, number>>} - Category ID -> product count
+ */
+const countProducts = async (categoryIds) => {
+  const counts = await Promise.all(categoryIds.map(async (id) => {
+    const subtree = await getDescendantIds([id]);
+    return [String(id), await Product.countDocuments({ isActive: true, categories: { $in: subtree } })];
+  }));
+  return new Map(counts);
+};
+
+/**
+ * Whether every ID names an existing product category.
+ * @param {Array<string>} categoryIds
+ * @returns {Promise<boolean>}
+ */
+const areProductCategories = async (categoryIds) => {
+  const unique = [...new Set(categoryIds.map(String))];
+  if (!unique.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return false;
+  }
+  return (await Category.countDocuments({ _id: { $in: unique }, type: 'product' })) === unique.length;
+};
+
+/**
+ * Whether making parentId the parent of categoryId would put the category
+ * below itself.
+ * @param {string} categoryId
+ * @param {string} parentId
+ * @returns {Promise<boolean>}
+ */
+const wouldCreateCycle = async (categoryId, parentId) => {
+  const subtree = await getDescendantIds([categoryId]);
+  return subtree.some((id) => String(id) === String(parentId));
+};
+
+/**
+ * Exported functions
+ */
+module.exports = {
+  resolveProductCategoryIds,
+  getDescendantIds,
+  expandCategoryFilter,
+  getBreadcrumbs,
+  countProducts,
+  areProductCategories,
+  wouldCreateCycle,
+};
@@ -0,0 +1,123 @@
+// services/checkoutSessionService.js
+
+const CheckoutSession = require('../models/CheckoutSession');
+const Transaction = require('../models/Transaction');
+const { processPayment } = require('./paymentService');
+const { getHoldExpiry } = require('./inventoryService');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+
+// How long the storefront has to launch the SDK with a session
+const SESSION_MINUTES = parseInt(process.env.CHECKOUT_SESSION_MINUTES, 10) || 15;
+
+// An open session is reused only if it has at least this long left
+const REUSE_MARGIN_MS = 60 * 1000;
+
+/**
+ * Bring an open session's status up to date with its transaction and expiry.
+ * @param {Object} session - CheckoutSession document
+ * @returns {Promise<Object>} - The session
+ */
+const syncSessionStatus = async (session) => {
+  if (session.status !== 'open') {
+    return session;
+  }
+
+  const transaction = session.transaction ? await Transaction.findById(session.transaction).select('status') : null;
+  if (transaction && transaction.status === 'completed') {
+    session.status = 'completed';
+  } else if (transaction && transaction.status === 'failed') {
+    session.status = 'failed';
+  } else if (session.expiresAt <= new Date()) {
+    session.status = 'expired';
+  }
+
+  if (session.isModified('status')) {
+    await session.save();
+  }
+  return session;
+};
+
+/**
+ * What the storefront needs to launch the BillDesk SDK, and nothing else.
+ * @param {Object} session
+ * @returns {Object}
+ */
+const launchParams = (session) => ({
+  sessionId: session._id,
+  status: session.status,
+  merchantId: session.launch.merchantId,
+  bdOrderId: session.launch.bdOrderId,
+  authToken: session.launch.authToken,
+  sdkUrl: session.launch.sdkUrl,
+  returnUrl: process.env.BILLDESK_RETURN_URL,
+  amount: session.amount,
+  expiresAt: session.expiresAt,
+});
+
+/**
+ * Start (or resume) a BillDesk checkout for an order. The BillDesk order is
+ * built and signed here from the order alone; a still-open session for the
+ * order is returned as is rather than creating another BillDesk order.
+ * @param {Object} order - Order document
+ * @param {Object} [context]
+ * @param {string} [context.clientIp]
+ * @returns {Promise<Object>} - The session
+ */
+const createCheckoutSession = async (order, { clientIp } = {}) => {
+  const open = await CheckoutSession.find({ order: order._id, status: 'open' }).sort({ createdAt: -1 });
+  for (const session of open) {
+    await syncSessionStatus(session);
+  }
+
+  const reusable = open.find((session) =>
+    session.status === 'open' && session.expiresAt.getTime() - Date.now() > REUSE_MARGIN_MS && session.amount === order.finalAmount
+  );
+  if (reusable) {
+    logger.info(`Reusing checkout session ${reusable._id} for order ${order.orderNumber}`);
+    return reusable;
+  }
+
+  const { transaction, clientData } = await processPayment(order, { paymentMethod: 'billdesk', clientIp });
+  if (!clientData.bdOrderId) {
+    throw new ErrorResponse('BillDesk did not return an SDK order for this checkout. Please try again.', 502);
+  }
+
+  await CheckoutSession.updateMany({ order: order._id, status: 'open' }, { $set: { status: 'superseded' } });
+
+  // A session never outlives the stock held for the order
+  let expiresAt = new Date(Date.now() + SESSION_MINUTES * 60 * 1000);
+  const holdExpiry = await getHoldExpiry(order._id);
+  if (holdExpiry && holdExpiry < expiresAt) {
+    expiresAt = holdExpiry;
+  }
+
+  const session = await CheckoutSession.create({
+    order: order._id,
+    customer: order.customer,
+    transaction: transaction ? transaction._id : undefined,
+    merchantOrderId: transaction ? transaction.orderNumber : order.orderNumber,
+    amount: order.finalAmount,
+    traceId: transaction ? transaction.metadata.get('traceId') : undefined,
+    launch: {
+      merchantId: clientData.merchantId,
+      bdOrderId: clientData.bdOrderId,
+      authToken: clientData.rdata,
+      sdkUrl: clientData.paymentUrl,
+    },
+    expiresAt,
+    clientIp,
+  });
+
+  logger.info(`Checkout session ${session._id} opened for order ${order.orderNumber} (trace ${session.traceId || 'n/a'})`);
+  return session;
+};
+
+/**
+ * Exported functions
+ */
+module.exports = {
+  syncSessionStatus,
+  launchParams,
+  createCheckoutSession,
+};
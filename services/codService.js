@@ -0,0 +1,488 @@
+// services/codService.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const CodRemittance = require('../models/CodRemittance');
+const Setting = require('../models/Settings');
+const ORDER_STATUS = require('../constants/orderStatus');
+const { assertGatewayEnabled } = require('./gateways');
+const { processPayment } = require('./paymentService');
+const { sendEmail } = require('./emailService');
+const { sendSms } = require('./smsService');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+const { round2 } = require('../utils/pricingUtils');
+
+// Settings key holding the cash on delivery rules; see DEFAULT_RULES
+const COD_RULES_SETTING = 'cod_rules';
+
+/**
+ * Rules used where the 'cod_rules' setting leaves a field out. Pincode lists
+ * take exact pincodes or prefixes ending in '*' (e.g. '79*').
+ */
+const DEFAULT_RULES = {
+  enabled: true,
+  minOrderValue: Number(process.env.COD_MIN_ORDER_VALUE) || 0,
+  maxOrderValue: Number(process.env.COD_MAX_ORDER_VALUE) || 10000,
+  maxOpenOrders: Number(process.env.COD_MAX_OPEN_ORDERS) || 2,
+  allowedPincodes: [], // empty means everywhere not blocked
+  blockedPincodes: (process.env.COD_BLOCKED_PINCODES || '').split(',').map((p) => p.trim()).filter(Boolean),
+  otpExpiryMinutes: 10,
+  conversionLinkHours: 48,
+};
+
+// OTP limits per order
+const MAX_OTP_SENDS = 5;
+const MIN_OTP_RESEND_SECONDS = 30;
+const MAX_OTP_ATTEMPTS = 5;
+
+// Statuses in which a cash on delivery order still has cash to collect
+const OPEN_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.PROCESSING, ORDER_STATUS.SHIPPED];
+
+/**
+ * Cash on delivery rules: the 'cod_rules' setting over DEFAULT_RULES.
+ * @returns {Promise<Object>}
+ */
+const getCodRules = async () => {
+  const setting = await Setting.findOne({ key: COD_RULES_SETTING, isActive: true }).lean();
+  const value = setting && setting.value && typeof setting.value === 'object' ? setting.value : {};
+  return { ...DEFAULT_RULES, ...value };
+};
+
+/**
+ * @param {string} pincode
+ * @param {Array<string>} list - Pincodes or 'prefix*' patterns
+ * @returns {boolean}
+ */
+const pincodeListed = (pincode, list = []) =>
+  list.some((entry) => {
+    const pattern = String(entry).trim();
+    return pattern.endsWith('*') ? pincode.startsWith(pattern.slice(0, -1)) : pincode === pattern;
+  });
+
+/**
+ * Whether a customer may pay cash on delivery for an order of this value
+ * to this address.
+ * @param {Object} params
+ * @param {string} params.customerId
+ * @param {number} params.amount - Order total in INR
+ * @param {Object} params.shippingAddress - { zip, ... }
+ * @returns {Promise<Object>} - { eligible, reasons, rules }
+ */
+const checkCodEligibility = async ({ customerId, amount, shippingAddress }) => {
+  const rules = await getCodRules();
+  const reasons = [];
+  const pincode = String((shippingAddress && shippingAddress.zip) || '').trim();
+
+  if (!rules.enabled) {
+    reasons.push('Cash on delivery is currently unavailable.');
+  }
+  if (amount < rules.minOrderValue) {
+    reasons.push(`Cash on delivery is available on orders of ₹${rules.minOrderValue} or more.`);
+  }
+  if (rules.maxOrderValue && amount > rules.maxOrderValue) {
+    reasons.push(`Cash on delivery is available on orders up to ₹${rules.maxOrderValue}.`);
+  }
+  if (pincodeListed(pincode, rules.blockedPincodes) ||
+      (rules.allowedPincodes.length > 0 && !pincodeListed(pincode, rules.allowedPincodes))) {
+    reasons.push(`Cash on delivery is not available for pincode ${pincode || '(none)'}.`);
+  }
+
+  if (customerId && rules.maxOpenOrders) {
+    const openOrders = await Order.countDocuments({
+      customer: customerId,
+      paymentMethod: 'cod',
+      status: { $in: OPEN_STATUSES },
+    });
+    if (openOrders >= rules.maxOpenOrders) {
+      reasons.push(`You already have ${openOrders} cash on delivery order(s) in progress; please pay online.`);
+    }
+  }
+
+  return { eligible: reasons.length === 0, reasons, rules };
+};
+
+/**
+ * Throw 400 unless cash on delivery is allowed; see checkCodEligibility.
+ * @param {Object} params
+ * @returns {Promise<void>}
+ */
+const assertCodEligible = async (params) => {
+  const { eligible, reasons } = await checkCodEligibility(params);
+  if (!eligible) {
+    throw new ErrorResponse(reasons.join(' '), 400);
+  }
+};
+
+/**
+ * @param {Object} order
+ * @returns {boolean}
+ */
+const isCodVerified = (order) =>
+  Boolean(order.codDetails && order.codDetails.verification && order.codDetails.verification.status === 'verified');
+
+/**
+ * @param {string} orderId
+ * @param {string} otp
+ * @returns {string}
+ */
+const hashOtp = (orderId, otp) => crypto.createHash('sha256').update(`${orderId}:${otp}`).digest('hex');
+
+/**
+ * @param {string} token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Throw 400 unless the order is cash on delivery and not yet shipped.
+ * @param {Object} order
+ */
+const assertOpenCodOrder = (order) => {
+  if (order.paymentMethod !== 'cod') {
+    throw new ErrorResponse(`Order ${order.orderNumber} is not a cash on delivery order.`, 400);
+  }
+  if (![ORDER_STATUS.PENDING, ORDER_STATUS.PROCESSING].includes(order.status)) {
+    throw new ErrorResponse(`Order ${order.orderNumber} is ${order.status}.`, 400);
+  }
+};
+
+/**
+ * Text (and email, when the customer is populated) a one-time code the
+ * customer enters to confirm their cash on delivery order.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} - { expiresAt }
+ */
+const sendCodOtp = async (order) => {
+  assertOpenCodOrder(order);
+  if (isCodVerified(order)) {
+    throw new ErrorResponse(`Order ${order.orderNumber} is already confirmed.`, 400);
+  }
+
+  const verification = (order.codDetails && order.codDetails.verification) || {};
+  if (verification.otpSentCount >= MAX_OTP_SENDS) {
+    throw new ErrorResponse('Too many codes have been sent for this order. Our team will call you to confirm it.', 429);
+  }
+  if (verification.otpLastSentAt && Date.now() - verification.otpLastSentAt.getTime() < MIN_OTP_RESEND_SECONDS * 1000) {
+    throw new ErrorResponse(`Please wait ${MIN_OTP_RESEND_SECONDS} seconds before asking for another code.`, 429);
+  }
+
+  const rules = await getCodRules();
+  const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + rules.otpExpiryMinutes * 60 * 1000);
+
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        'codDetails.verification.otpHash': hashOtp(order._id, otp),
+        'codDetails.verification.otpExpiresAt': expiresAt,
+        'codDetails.verification.otpLastSentAt': new Date(),
+        'codDetails.verification.failedAttempts': 0,
+      },
+      $inc: { 'codDetails.verification.otpSentCount': 1 },
+    }
+  );
+
+  const text = `${otp} is your code to confirm cash on delivery order ${order.orderNumber} with 10X Formulas. ` +
+    `It expires in ${rules.otpExpiryMinutes} minutes.`;
+
+  try {
+    await sendSms(order.phone, text);
+  } catch (smsError) {
+    logger.error(`Failed to text COD code for order ${order.orderNumber}: ${smsError.message}`);
+  }
+  if (order.customer && order.customer.email) {
+    try {
+      await sendEmail({
+        email: order.customer.email,
+        subject: `Confirm your cash on delivery order ${order.orderNumber} - 10X Formulas`,
+        message: text,
+        html: `<p>Hi ${order.customer.name},</p><p>Your code to confirm order <strong>${order.orderNumber}</strong> is <strong>${otp}</strong>.</p><p>It expires in ${rules.otpExpiryMinutes} minutes.</p>`,
+      });
+    } catch (emailError) {
+      logger.error(`Failed to email COD code for order ${order.orderNumber}: ${emailError.message}`);
+    }
+  }
+
+  logger.info(`COD confirmation code sent for order ${order.orderNumber}`);
+  return { expiresAt };
+};
+
+/**
+ * Check the code the customer entered and confirm the order.
+ * @param {Object} order - Order document
+ * @param {string} otp
+ * @returns {Promise<Object>} - The updated order
+ */
+const verifyCodOtp = async (order, otp) => {
+  assertOpenCodOrder(order);
+  if (isCodVerified(order)) {
+    return order;
+  }
+
+  const stored = await Order.findById(order._id).select('+codDetails.verification.otpHash');
+  const verification = (stored.codDetails && stored.codDetails.verification) || {};
+
+  if (!verification.otpHash || !verification.otpExpiresAt || verification.otpExpiresAt < new Date()) {
+    throw new ErrorResponse('The code has expired. Please ask for a new one.', 400);
+  }
+  if (verification.failedAttempts >= MAX_OTP_ATTEMPTS) {
+    throw new ErrorResponse('Too many wrong codes. Please ask for a new one.', 429);
+  }
+
+  const expected = Buffer.from(verification.otpHash);
+  const received = Buffer.from(hashOtp(order._id, String(otp || '').trim()));
+  if (!crypto.timingSafeEqual(expected, received)) {
+    await Order.updateOne({ _id: order._id }, { $inc: { 'codDetails.verification.failedAttempts': 1 } });
+    throw new ErrorResponse('The code is not correct.', 400);
+  }
+
+  const updated = await Order.findByIdAndUpdate(
+    order._id,
+    {
+      $set: {
+        'codDetails.verification.status': 'verified',
+        'codDetails.verification.method': 'otp',
+        'codDetails.verification.verifiedAt': new Date(),
+      },
+      $unset: { 'codDetails.verification.otpHash': '' },
+    },
+    { new: true }
+  );
+
+  logger.info(`COD order ${order.orderNumber} confirmed by OTP`);
+  return updated;
+};
+
+/**
+ * Record that ops confirmed the order with the customer by phone.
+ * @param {Object} order - Order document
+ * @param {Object} actor - User who made the call
+ * @param {string} [note]
+ * @returns {Promise<Object>} - The updated order
+ */
+const confirmCodByPhone = async (order, actor, note) => {
+  assertOpenCodOrder(order);
+
+  const updated = await Order.findByIdAndUpdate(
+    order._id,
+    {
+      $set: {
+        'codDetails.verification.status': 'verified',
+        'codDetails.verification.method': 'phone_call',
+        'codDetails.verification.verifiedAt': new Date(),
+        'codDetails.verification.verifiedBy': actor._id,
+        'codDetails.verification.note': note,
+      },
+    },
+    { new: true }
+  );
+
+  logger.info(`COD order ${order.orderNumber} confirmed by phone by ${actor.name || actor._id}`);
+  return updated;
+};
+
+/**
+ * Send the customer a link to pay online instead of in cash. The link works
+ * until the order ships.
+ * @param {Object} order - Order document, customer populated for the email
+ * @returns {Promise<Object>} - { url, expiresAt }
+ */
+const sendConversionLink = async (order) => {
+  assertOpenCodOrder(order);
+
+  const rules = await getCodRules();
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + rules.conversionLinkHours * 60 * 60 * 1000);
+  const url = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/pay/${token}`;
+
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        'codDetails.conversion.tokenHash': hashToken(token),
+        'codDetails.conversion.expiresAt': expiresAt,
+        'codDetails.conversion.sentAt': new Date(),
+      },
+    }
+  );
+
+  const text = `Pay online for order ${order.orderNumber} (₹${order.finalAmount.toFixed(2)}) and skip cash on delivery: ${url}`;
+  try {
+    await sendSms(order.phone, text);
+  } catch (smsError) {
+    logger.error(`Failed to text payment link for order ${order.orderNumber}: ${smsError.message}`);
+  }
+  if (order.customer && order.customer.email) {
+    try {
+      await sendEmail({
+        email: order.customer.email,
+        subject: `Pay online for order ${order.orderNumber} - 10X Formulas`,
+        message: text,
+        html: `<p>Hi ${order.customer.name},</p><p>You can pay for order <strong>${order.orderNumber}</strong> online now instead of paying cash on delivery.</p><p><a href="${url}">Pay ₹${order.finalAmount.toFixed(2)} online</a></p><p>The link expires on ${expiresAt.toUTCString()}.</p>`,
+      });
+    } catch (emailError) {
+      logger.error(`Failed to email payment link for order ${order.orderNumber}: ${emailError.message}`);
+    }
+  }
+
+  logger.info(`COD-to-prepaid link sent for order ${order.orderNumber}`);
+  return { url, expiresAt };
+};
+
+/**
+ * The order a conversion link was sent for.
+ * @param {string} token
+ * @returns {Promise<Object>} - Order document
+ */
+const findOrderByConversionToken = async (token) => {
+  const order = await Order.findOne({ 'codDetails.conversion.tokenHash': hashToken(token) });
+  if (!order || !order.codDetails.conversion.expiresAt || order.codDetails.conversion.expiresAt < new Date()) {
+    throw new ErrorResponse('This payment link is invalid or has expired.', 404);
+  }
+  if (order.paymentMethod !== 'cod') {
+    throw new ErrorResponse(`Order ${order.orderNumber} has already been paid online.`, 400);
+  }
+  assertOpenCodOrder(order);
+  return order;
+};
+
+/**
+ * Start an online payment for a cash on delivery order from its link. The
+ * order stays cash on delivery until the gateway confirms the payment.
+ * @param {string} token
+ * @param {Object} params - { paymentMethod, clientIp }
+ * @returns {Promise<Object>} - See paymentService.processPayment
+ */
+const startConversion = async (token, { paymentMethod, clientIp }) => {
+  const order = await findOrderByConversionToken(token);
+  const gateway = await assertGatewayEnabled(paymentMethod, order.shippingAddress && order.shippingAddress.country);
+  if (!gateway.online) {
+    throw new ErrorResponse('Choose an online payment method.', 400);
+  }
+  return processPayment(order, { paymentMethod: gateway.name, clientIp });
+};
+
+/**
+ * Record a courier's cash remittance: each line's order is marked collected
+ * (and paid) or short, and lines that match no delivered cash on delivery
+ * order, or one already remitted, are flagged.
+ * @param {Object} params
+ * @param {string} params.courier
+ * @param {string} params.reference - Courier's payout reference
+ * @param {Date} [params.remittedAt]
+ * @param {Array<Object>} params.lines - [{ orderNumber, amount }]
+ * @param {Object} actor - User recording it
+ * @returns {Promise<Object>} - The remittance
+ */
+const recordRemittance = async ({ courier, reference, remittedAt, lines }, actor) => {
+  if (await CodRemittance.exists({ courier, reference })) {
+    throw new ErrorResponse(`Remittance ${reference} from ${courier} has already been recorded.`, 409);
+  }
+
+  const remittanceId = new mongoose.Types.ObjectId();
+  const collectedAt = remittedAt ? new Date(remittedAt) : new Date();
+  const seen = new Set();
+  const results = [];
+
+  for (const line of lines) {
+    const amount = round2(line.amount);
+    const result = { orderNumber: line.orderNumber, amount };
+
+    const order = await Order.findOne({ orderNumber: line.orderNumber, paymentMethod: 'cod' });
+    if (!order) {
+      results.push({ ...result, status: 'unmatched', note: 'No cash on delivery order with this number' });
+      continue;
+    }
+    result.order = order._id;
+    result.expectedAmount = order.finalAmount;
+
+    if (order.status !== ORDER_STATUS.DELIVERED) {
+      results.push({ ...result, status: 'unmatched', note: `Order is ${order.status}, not delivered` });
+      continue;
+    }
+
+    const short = amount < order.finalAmount - 0.01;
+    const claimed = !seen.has(String(order._id)) && await Order.findOneAndUpdate(
+      { _id: order._id, 'codDetails.cashCollection.status': { $nin: ['collected', 'short'] } },
+      {
+        $set: {
+          'codDetails.cashCollection.status': short ? 'short' : 'collected',
+          'codDetails.cashCollection.amount': amount,
+          'codDetails.cashCollection.remittance': remittanceId,
+          'codDetails.cashCollection.collectedAt': collectedAt,
+          ...(!short && order.paymentStatus === 'pending' && { paymentStatus: 'paid' }),
+        },
+      },
+      { new: true }
+    );
+    seen.add(String(order._id));
+
+    if (!claimed) {
+      results.push({ ...result, status: 'duplicate', note: 'Cash for this order was already remitted' });
+      continue;
+    }
+
+    if (short) {
+      results.push({
+        ...result,
+        status: 'short',
+        note: `Short by ₹${round2(order.finalAmount - amount).toFixed(2)}`,
+      });
+    } else {
+      await Transaction.updateOne(
+        { order: order._id, paymentMethod: 'cod', status: 'pending' },
+        { $set: { status: 'completed', 'metadata.codRemittance': String(remittanceId) } }
+      );
+      results.push({ ...result, status: 'collected' });
+    }
+  }
+
+  const count = (status) => results.filter((line) => line.status === status).length;
+  const applied = results.filter((line) => ['collected', 'short'].includes(line.status));
+
+  const remittance = await CodRemittance.create({
+    _id: remittanceId,
+    courier,
+    reference,
+    remittedAt: collectedAt,
+    lines: results,
+    totals: {
+      orders: results.length,
+      collected: count('collected'),
+      short: count('short'),
+      unmatched: count('unmatched'),
+      duplicate: count('duplicate'),
+      amount: round2(applied.reduce((sum, line) => sum + line.amount, 0)),
+      shortfall: round2(applied.reduce((sum, line) => sum + Math.max(0, line.expectedAmount - line.amount), 0)),
+    },
+    recordedBy: actor ? actor._id : undefined,
+  });
+
+  logger.info(
+    `COD remittance ${reference} from ${courier}: ${remittance.totals.collected} collected, ` +
+    `${remittance.totals.short} short, ${remittance.totals.unmatched} unmatched`
+  );
+  return remittance;
+};
+
+/**
+ * Exported functions
+ */
+module.exports = {
+  COD_RULES_SETTING,
+  getCodRules,
+  checkCodEligibility,
+  assertCodEligible,
+  isCodVerified,
+  sendCodOtp,
+  verifyCodOtp,
+  confirmCodByPhone,
+  sendConversionLink,
+  findOrderByConversionToken,
+  startConversion,
+  recordRemittance,
+};
@@ -0,0 +1,473 @@
+// services/couponService.js
+
+const crypto = require('crypto');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+const { getDescendantIds } = require('./categoryService');
+
+// Unambiguous characters for generated codes (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INSERT_CHUNK_SIZE = 1000;
+const MAX_GENERATION_ROUNDS = 10;
+
+/**
+ * Work out which quote lines a coupon may discount.
+ * A coupon with no applicableProducts and no applicableCategories applies to
+ * every line; otherwise a line qualifies if its product is listed or it is in
+ * one of the listed categories or their subcategories.
+ * @param {Object} coupon - Coupon document
+ * @param {Array<Object>} lines - Quote lines with product and categories
+ * @returns {Promise<Array<boolean>>} - Eligibility per line, in order
+ */
+const getEligibleLines = async (coupon, lines) => {
+  const productIds = (coupon.applicableProducts || []).map(String);
+  const categoryIds = coupon.applicableCategories || [];
+
+  if (productIds.length === 0 && categoryIds.length === 0) {
+    return lines.map(() => true);
+  }
+
+  const eligibleCategories = new Set((await getDescendantIds(categoryIds)).map(String));
+
+  return lines.map((line) =>
+    productIds.includes(String(line.product)) ||
+    (line.categories || []).some((category) => eligibleCategories.has(String(category)))
+  );
+};
+
+/**
+ * Check the order-level and customer-level coupon rules.
+ * Throws an ErrorResponse (400) describing the first rule that fails.
+ * @param {Object} coupon - Coupon document
+ * @param {Object} context
+ * @param {number} context.merchandiseINR - Eligible value after product discounts, in INR
+ * @param {string} [context.customerId] - Customer placing the order
+ * @returns {Promise<void>}
+ */
+const assertCouponEligible = async (coupon, { merchandiseINR, customerId }) => {
+  if (coupon.minOrderValue && merchandiseINR < coupon.minOrderValue) {
+    throw new ErrorResponse(`This coupon requires a minimum order value of ₹${coupon.minOrderValue.toFixed(2)}.`, 400);
+  }
+
+  // Orders still awaiting payment hold a use, so a limited coupon cannot be
+  // oversubscribed by several unpaid checkouts. This is the early answer for
+  // the quote; recordRedemption claims the use atomically.
+  if (coupon.maxUses !== null) {
+    const pending = await CouponRedemption.countDocuments({ coupon: coupon._id, status: 'pending' });
+    if (coupon.usedCount + pending >= coupon.maxUses) {
+      throw new ErrorResponse('Coupon has reached its maximum number of uses', 400);
+    }
+  }
+
+  if (!customerId) {
+    return;
+  }
+
+  if (coupon.maxUsesPerCustomer !== null && coupon.maxUsesPerCustomer !== undefined) {
+    const used = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      customer: customerId,
+      status: { $in: ['pending', 'redeemed'] },
+    });
+    if (used >= coupon.maxUsesPerCustomer) {
+      throw new ErrorResponse('You have already used this coupon the maximum number of times.', 400);
+    }
+  }
+
+  if (coupon.firstOrderOnly) {
+    const previousOrder = await Order.exists({
+      customer: customerId,
+      status: { $ne: 'cancelled' },
+      paymentStatus: { $ne: 'failed' },
+    });
+    if (previousOrder) {
+      throw new ErrorResponse('This coupon is only valid on your first order.', 400);
+    }
+  }
+};
+
+/**
+ * Take one of the coupon's uses for an order awaiting payment. The maxUses
+ * check and the increment are a single update, so two checkouts at the same
+ * moment cannot both take the last use.
+ * Throws an ErrorResponse (400) when no use is left.
+ * @param {string} couponId - Coupon ID
+ * @returns {Promise<Object>} - { _id, maxUsesPerCustomer } of the coupon
+ */
+const claimCouponUse = async (couponId) => {
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: [{ $add: ['$usedCount', { $ifNull: ['$reservedCount', 0] }] }, '$maxUses'] } },
+      ],
+    },
+    { $inc: { reservedCount: 1 } },
+    { new: true, projection: { maxUsesPerCustomer: 1, batch: 1 } }
+  ).lean();
+
+  if (!coupon) {
+    throw new ErrorResponse('Coupon has reached its maximum number of uses', 400);
+  }
+  return coupon;
+};
+
+/**
+ * Give back a use taken by claimCouponUse that was never redeemed.
+ * @param {string} couponId - Coupon ID
+ * @returns {Promise<void>}
+ */
+const releaseCouponUse = async (couponId) => {
+  await Coupon.updateOne({ _id: couponId, reservedCount: { $gt: 0 } }, { $inc: { reservedCount: -1 } });
+};
+
+/**
+ * The customer's lowest free use of a coupon limited per customer.
+ * Throws an ErrorResponse (400) when they have none left.
+ * @param {Object} coupon - { _id, maxUsesPerCustomer }
+ * @param {string} customerId
+ * @returns {Promise<number|undefined>} - Slot number, or undefined when the
+ *   coupon has no per-customer limit
+ */
+const freeCustomerSlot = async (coupon, customerId) => {
+  const limit = coupon.maxUsesPerCustomer;
+  if (limit === null || limit === undefined) {
+    return undefined;
+  }
+
+  const active = await CouponRedemption.find({
+    coupon: coupon._id,
+    customer: customerId,
+    status: { $in: ['pending', 'redeemed'] },
+  }).select('customerSlot').lean();
+
+  const taken = new Set(active.map((redemption) => redemption.customerSlot));
+  for (let slot = 1; active.length < limit && slot <= limit; slot += 1) {
+    if (!taken.has(slot)) {
+      return slot;
+    }
+  }
+  throw new ErrorResponse('You have already used this coupon the maximum number of times.', 400);
+};
+
+/**
+ * Record a pending redemption for a newly placed order, claiming one of the
+ * coupon's uses and, for coupons limited per customer, one of the customer's.
+ * Throws an ErrorResponse (400) if another checkout took the last use first.
+ * @param {Object} order - { _id, orderNumber, customer } of the order
+ * @param {Object} quoteCoupon - The coupon block of the order's quote
+ * @param {Object} totals - The totals block of the order's quote
+ * @returns {Promise<Object>} - Redemption ledger entry
+ */
+const recordRedemption = async (order, quoteCoupon, totals) => {
+  const coupon = await claimCouponUse(quoteCoupon._id);
+
+  let redemption;
+  try {
+    redemption = await CouponRedemption.create({
+      coupon: quoteCoupon._id,
+      code: quoteCoupon.code,
+      batch: coupon.batch,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      customer: order.customer,
+      customerSlot: await freeCustomerSlot(coupon, order.customer),
+      discountUSD: totals.couponDiscountUSD,
+      discountINR: totals.couponDiscountINR,
+    });
+  } catch (error) {
+    await releaseCouponUse(coupon._id);
+    // A concurrent checkout by the same customer took the same use
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.customerSlot) {
+      throw new ErrorResponse('You have already used this coupon the maximum number of times.', 400);
+    }
+    throw error;
+  }
+
+  logger.info(`Coupon ${quoteCoupon.code} reserved for order ${order.orderNumber}`);
+  return redemption;
+};
+
+/**
+ * Take back the coupon use a failed payment released, for another attempt
+ * at paying the same order. Does nothing when the order has no released
+ * redemption. Throws an ErrorResponse (400) when the coupon has no use left
+ * for it.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<boolean>} - True if a redemption was taken back
+ */
+const reclaimRedemption = async (orderId) => {
+  const released = await CouponRedemption.findOne({ order: orderId, status: 'released' }).lean();
+  if (!released) {
+    return false;
+  }
+
+  const coupon = await claimCouponUse(released.coupon);
+  try {
+    const reclaimed = await CouponRedemption.findOneAndUpdate(
+      { _id: released._id, status: 'released' },
+      {
+        $set: { status: 'pending', customerSlot: await freeCustomerSlot(coupon, released.customer) },
+        $unset: { releasedAt: '', releaseReason: '' },
+      }
+    );
+    if (!reclaimed) {
+      await releaseCouponUse(coupon._id);
+      return false;
+    }
+  } catch (error) {
+    await releaseCouponUse(coupon._id);
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.customerSlot) {
+      throw new ErrorResponse('You have already used this coupon the maximum number of times.', 400);
+    }
+    throw error;
+  }
+
+  logger.info(`Coupon ${released.code} reserved again for order ${released.orderNumber}`);
+  return true;
+};
+
+/**
+ * Mark an order's coupon use as redeemed and count it on the coupon.
+ * Safe to call more than once; only the first call counts.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<boolean>} - True if a redemption was confirmed
+ */
+const confirmRedemption = async (orderId) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: orderId, status: 'pending' },
+    { $set: { status: 'redeemed', redeemedAt: new Date() } },
+    { new: true }
+  );
+  if (!redemption) {
+    return false;
+  }
+
+  // Redemptions recorded before reservedCount existed never reserved a use
+  const moved = await Coupon.updateOne(
+    { _id: redemption.coupon, reservedCount: { $gt: 0 } },
+    { $inc: { usedCount: 1, reservedCount: -1 } }
+  );
+  if (moved.modifiedCount === 0) {
+    await Coupon.updateOne({ _id: redemption.coupon }, { $inc: { usedCount: 1 } });
+  }
+  logger.info(`Coupon ${redemption.code} redeemed by order ${redemption.orderNumber}`);
+  return true;
+};
+
+/**
+ * Give an order's coupon use back (order cancelled or payment failed).
+ * A use that had already been counted is taken off Coupon.usedCount.
+ * @param {string} orderId - Order ID
+ * @param {string} reason - Why the use is being released
+ * @returns {Promise<boolean>} - True if a redemption was released
+ */
+const releaseRedemption = async (orderId, reason) => {
+  const previous = await CouponRedemption.findOneAndUpdate(
+    { order: orderId, status: { $in: ['pending', 'redeemed'] } },
+    {
+      $set: { status: 'released', releasedAt: new Date(), releaseReason: reason },
+      $unset: { customerSlot: '' },
+    }
+  );
+  if (!previous) {
+    return false;
+  }
+
+  if (previous.status === 'redeemed') {
+    await Coupon.updateOne(
+      { _id: previous.coupon, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  } else {
+    await releaseCouponUse(previous.coupon);
+  }
+
+  logger.info(`Coupon ${previous.code} released from order ${previous.orderNumber}: ${reason}`);
+  return true;
+};
+
+/**
+ * Build a random coupon code for a batch.
+ * @param {string} prefix - Batch prefix (may be empty)
+ * @param {number} length - Length of the random part
+ * @returns {string}
+ */
+const randomCode = (prefix, length) => {
+  let random = '';
+  for (let i = 0; i < length; i += 1) {
+    random += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return prefix ? `${prefix}-${random}` : random;
+};
+
+/**
+ * Generate the single-use codes for a batch.
+ * Codes are inserted in chunks; any that collide with an existing code are
+ * simply regenerated in the next round until the batch is full.
+ * @param {Object} batch - CouponBatch document
+ * @returns {Promise<Object>} - The updated batch
+ */
+const generateBatchCodes = async (batch) => {
+  let remaining = batch.quantity - batch.generatedCount;
+  let rounds = 0;
+
+  while (remaining > 0 && rounds < MAX_GENERATION_ROUNDS) {
+    rounds += 1;
+
+    while (remaining > 0) {
+      const size = Math.min(remaining, INSERT_CHUNK_SIZE);
+      const codes = new Set();
+      while (codes.size < size) {
+        codes.add(randomCode(batch.prefix, batch.codeLength));
+      }
+
+      const docs = [...codes].map((code) => ({
+        code,
+        discount: batch.discount,
+        discountType: batch.discountType,
+        expirationDate: batch.expirationDate,
+        maxUses: 1,
+        maxUsesPerCustomer: 1,
+        applicableProducts: batch.applicableProducts,
+        applicableCategories: batch.applicableCategories,
+        minOrderValue: batch.minOrderValue,
+        firstOrderOnly: batch.firstOrderOnly,
+        batch: batch._id,
+      }));
+
+      let inserted = size;
+      try {
+        await Coupon.insertMany(docs, { ordered: false });
+      } catch (error) {
+        const duplicates = (error.writeErrors || []).filter((e) => e.code === 11000 || (e.err && e.err.code === 11000));
+        if (!duplicates.length || duplicates.length !== (error.writeErrors || []).length) {
+          throw error;
+        }
+        inserted = size - duplicates.length;
+      }
+
+      batch.generatedCount += inserted;
+      remaining -= inserted;
+
+      // Collisions left a gap; start a fresh round for the remainder
+      if (inserted < size) {
+        break;
+      }
+    }
+  }
+
+  if (remaining > 0) {
+    logger.warn(`Coupon batch ${batch._id} stopped at ${batch.generatedCount}/${batch.quantity} codes after repeated collisions`);
+  }
+
+  batch.status = 'active';
+  await batch.save();
+
+  logger.info(`Generated ${batch.generatedCount} coupon codes for batch ${batch.name}`);
+  return batch;
+};
+
+/**
+ * Redemption report for a batch, built from the redemption ledger entries of
+ * its codes and the orders they belong to.
+ * @param {Object} batch - CouponBatch document
+ * @returns {Promise<Object>}
+ */
+const getBatchReport = async (batch) => {
+  const [codeStats] = await Coupon.aggregate([
+    { $match: { batch: batch._id } },
+    {
+      $group: {
+        _id: null,
+        generated: { $sum: 1 },
+        active: { $sum: { $cond: ['$isActive', 1, 0] } },
+        redeemed: { $sum: { $cond: [{ $gt: ['$usedCount', 0] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const orderStats = await CouponRedemption.aggregate([
+    { $match: { batch: batch._id } },
+    {
+      $lookup: {
+        from: Order.collection.name,
+        let: { orderId: '$order' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$orderId'] } } },
+          { $project: { status: 1, paymentStatus: 1, finalAmount: 1 } },
+        ],
+        as: 'order',
+      },
+    },
+    { $unwind: '$order' },
+    {
+      $group: {
+        _id: { paymentStatus: '$order.paymentStatus', coupon: '$coupon' },
+        orders: { $sum: 1 },
+        cancelled: { $sum: { $cond: [{ $eq: ['$order.status', 'cancelled'] }, 1, 0] } },
+        revenueINR: { $sum: '$order.finalAmount' },
+        couponDiscountINR: { $sum: '$discountINR' },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id.paymentStatus',
+        orders: { $sum: '$orders' },
+        cancelled: { $sum: '$cancelled' },
+        revenueINR: { $sum: '$revenueINR' },
+        couponDiscountINR: { $sum: '$couponDiscountINR' },
+        distinctCodes: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const byPaymentStatus = {};
+  let ordersPlaced = 0;
+  let cancelled = 0;
+  orderStats.forEach((row) => {
+    ordersPlaced += row.orders;
+    cancelled += row.cancelled;
+    byPaymentStatus[row._id] = {
+      orders: row.orders,
+      revenueINR: Math.round(row.revenueINR * 100) / 100,
+      couponDiscountINR: Math.round(row.couponDiscountINR * 100) / 100,
+      distinctCodes: row.distinctCodes,
+    };
+  });
+
+  const paid = byPaymentStatus.paid || { orders: 0, revenueINR: 0, couponDiscountINR: 0, distinctCodes: 0 };
+  const generated = codeStats ? codeStats.generated : 0;
+
+  return {
+    codes: {
+      generated,
+      active: codeStats ? codeStats.active : 0,
+      redeemed: codeStats ? codeStats.redeemed : 0,
+    },
+    orders: {
+      placed: ordersPlaced,
+      paid: paid.orders,
+      cancelled,
+      byPaymentStatus,
+    },
+    revenueINR: paid.revenueINR,
+    couponDiscountINR: paid.couponDiscountINR,
+    redemptionRate: generated ? Math.round((paid.distinctCodes / generated) * 10000) / 100 : 0,
+  };
+};
+
+module.exports = {
+  getEligibleLines,
+  assertCouponEligible,
+  recordRedemption,
+  reclaimRedemption,
+  confirmRedemption,
+  releaseRedemption,
+  generateBatchCodes,
+  getBatchReport,
+};
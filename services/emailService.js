@@ -1,6 +1,7 @@
 // services/emailService.js
 
-const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
+const { SESClient, SendEmailCommand, SendRawEmailCommand } = require('@aws-sdk/client-ses');
+const MailComposer = require('nodemailer/lib/mail-composer');
 const logger = require('../utils/logger');
 
 // Set the AWS Region
@@ -55,15 +56,32 @@ const sesClient = new SESClient({
  * @param {string} options.subject - Email subject
  * @param {string} options.message - Plain text message content
  * @param {string} options.html - HTML message content
+ * @param {Array<Object>} [options.attachments] - { filename, content | path, contentType }
  * @returns {Promise<void>}
  */
-const sendEmail = async ({ email, subject, message, html }) => {
+const sendEmail = async ({ email, subject, message, html, attachments }) => {
   if (!email) {
     logger.error('sendEmail: Recipient email is undefined');
     throw new Error('Recipient email is required');
   }
 
   try {
+    // SendEmailCommand cannot carry attachments, so build a raw MIME message
+    if (attachments && attachments.length > 0) {
+      const raw = await new MailComposer({
+        from: FROM_EMAIL,
+        to: email,
+        subject,
+        text: message || '',
+        html,
+        attachments,
+      }).compile().build();
+
+      const response = await sesClient.send(new SendRawEmailCommand({ RawMessage: { Data: raw } }));
+      logger.info(`Email with ${attachments.length} attachment(s) sent to ${email} via AWS SES with message ID: ${response.MessageId}`);
+      return;
+    }
+
     // Create the email parameters
     const params = {
       Source: FROM_EMAIL,
@@ -0,0 +1,213 @@
+// services/fxRateService.js
+
+const axios = require('axios');
+const Settings = require('../models/Settings');
+const logger = require('../utils/logger');
+const { DEFAULT_USD_TO_INR_RATE } = require('../utils/currencyUtils');
+
+const SETTINGS_CATEGORY = 'Payment Settings';
+
+/**
+ * Settings key holding the rate schedule for a currency pair.
+ * @param {string} base - Base currency code (e.g. 'USD')
+ * @param {string} quote - Quote currency code (e.g. 'INR')
+ * @returns {string}
+ */
+const rateKey = (base, quote) => `fx.rates.${base.toUpperCase()}_${quote.toUpperCase()}`;
+
+/**
+ * Rate providers. Each provider exposes
+ *   fetchRate(base, quote) => Promise<{ rate: number, asOf?: Date }>
+ * and can be swapped at runtime with registerProvider(), which keeps local
+ * development and tests off the network.
+ */
+const providers = {
+  // Reads a fixed rate from the environment, e.g. FX_STATIC_USD_INR=83.25
+  static: {
+    fetchRate: async (base, quote) => {
+      const envRate = parseFloat(process.env[`FX_STATIC_${base}_${quote}`]);
+      if (!envRate || envRate <= 0) {
+        throw new Error(`No static rate configured for ${base}/${quote}`);
+      }
+      return { rate: envRate, asOf: new Date() };
+    },
+  },
+
+  // Calls a JSON endpoint shaped like { rates: { INR: 83.1 } }
+  http: {
+    fetchRate: async (base, quote) => {
+      const url = process.env.FX_PROVIDER_URL;
+      if (!url) {
+        throw new Error('FX_PROVIDER_URL is not configured');
+      }
+      const response = await axios.get(url, { params: { base, symbols: quote }, timeout: 10000 });
+      const rate = response.data && response.data.rates && Number(response.data.rates[quote]);
+      if (!rate || rate <= 0) {
+        throw new Error(`Provider returned no ${base}/${quote} rate`);
+      }
+      return { rate, asOf: response.data.date ? new Date(response.data.date) : new Date() };
+    },
+  },
+};
+
+/**
+ * Register (or replace) a rate provider.
+ * @param {string} name - Provider name
+ * @param {Object} provider - Object with a fetchRate(base, quote) function
+ */
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.fetchRate !== 'function') {
+    throw new Error('FX provider must implement fetchRate(base, quote)');
+  }
+  providers[name] = provider;
+};
+
+/**
+ * Normalise and validate a single rate entry.
+ * @param {Object} entry - { rate, effectiveFrom, source }
+ * @returns {Object} - Clean entry
+ */
+const normaliseEntry = (entry) => {
+  const rate = Number(entry.rate);
+  if (!rate || rate <= 0) {
+    throw new Error(`Invalid exchange rate: ${entry.rate}`);
+  }
+  const effectiveFrom = entry.effectiveFrom ? new Date(entry.effectiveFrom) : new Date();
+  if (isNaN(effectiveFrom.getTime())) {
+    throw new Error(`Invalid effective date: ${entry.effectiveFrom}`);
+  }
+  return {
+    rate,
+    effectiveFrom,
+    source: entry.source || 'manual',
+    recordedAt: new Date(),
+  };
+};
+
+/**
+ * Get the full rate schedule for a pair, oldest first.
+ * @param {string} [base='USD']
+ * @param {string} [quote='INR']
+ * @returns {Promise<Array<Object>>}
+ */
+const getRateHistory = async (base = 'USD', quote = 'INR') => {
+  const setting = await Settings.findOne({ key: rateKey(base, quote), isActive: true }).lean();
+  const rates = (setting && setting.value && setting.value.rates) || [];
+  return rates
+    .map((r) => ({ ...r, effectiveFrom: new Date(r.effectiveFrom) }))
+    .sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+};
+
+/**
+ * Get the rate in force at a given moment.
+ * Falls back to DEFAULT_USD_TO_INR_RATE (source 'default') when no rate has
+ * been configured yet, so checkout keeps working on a fresh install.
+ * @param {string} [base='USD']
+ * @param {string} [quote='INR']
+ * @param {Date} [at=new Date()]
+ * @returns {Promise<Object>} - { base, quote, rate, effectiveFrom, source }
+ */
+const getRate = async (base = 'USD', quote = 'INR', at = new Date()) => {
+  const history = await getRateHistory(base, quote);
+  const applicable = history.filter((r) => r.effectiveFrom <= at).pop();
+
+  if (!applicable) {
+    logger.warn(`No ${base}/${quote} rate effective at ${at.toISOString()}, using default ${DEFAULT_USD_TO_INR_RATE}`);
+    return { base, quote, rate: DEFAULT_USD_TO_INR_RATE, effectiveFrom: null, source: 'default' };
+  }
+
+  return {
+    base,
+    quote,
+    rate: applicable.rate,
+    effectiveFrom: applicable.effectiveFrom,
+    source: applicable.source,
+  };
+};
+
+/**
+ * The USD to INR rate an order was priced with. Orders placed before rates
+ * were snapshotted were all priced at the default.
+ * @param {Object} order
+ * @returns {number}
+ */
+const orderRate = (order) => (order.exchangeRate && order.exchangeRate.rate) || DEFAULT_USD_TO_INR_RATE;
+
+/**
+ * Add rate entries to a pair's schedule.
+ * An entry with the same effective date as an existing one replaces it.
+ * Previous schedules are kept by Settings versioning.
+ * @param {Array<Object>} entries - [{ rate, effectiveFrom, source }]
+ * @param {string} updatedBy - User ID
+ * @param {string} [base='USD']
+ * @param {string} [quote='INR']
+ * @returns {Promise<Array<Object>>} - The updated schedule
+ */
+const importRates = async (entries, updatedBy, base = 'USD', quote = 'INR') => {
+  const clean = entries.map(normaliseEntry);
+  const history = await getRateHistory(base, quote);
+
+  const byDate = new Map(history.map((r) => [r.effectiveFrom.getTime(), r]));
+  for (const entry of clean) {
+    byDate.set(entry.effectiveFrom.getTime(), entry);
+  }
+  const rates = [...byDate.values()].sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+
+  await Settings.upsertSetting(
+    rateKey(base, quote),
+    { base: base.toUpperCase(), quote: quote.toUpperCase(), rates },
+    SETTINGS_CATEGORY,
+    updatedBy,
+    `${base.toUpperCase()} to ${quote.toUpperCase()} exchange rate schedule`
+  );
+
+  logger.info(`Recorded ${clean.length} ${base}/${quote} rate(s)`);
+  return rates;
+};
+
+/**
+ * Set a single rate.
+ * @param {Object} entry - { rate, effectiveFrom, source }
+ * @param {string} updatedBy - User ID
+ * @param {string} [base='USD']
+ * @param {string} [quote='INR']
+ * @returns {Promise<Array<Object>>} - The updated schedule
+ */
+const setRate = async (entry, updatedBy, base = 'USD', quote = 'INR') => {
+  return importRates([entry], updatedBy, base, quote);
+};
+
+/**
+ * Pull the current rate from the configured provider and record it.
+ * The provider is chosen by the 'fx.provider' setting, then FX_PROVIDER,
+ * then 'static'.
+ * @param {string} updatedBy - User ID
+ * @param {string} [base='USD']
+ * @param {string} [quote='INR']
+ * @returns {Promise<Object>} - The recorded entry
+ */
+const refreshFromProvider = async (updatedBy, base = 'USD', quote = 'INR') => {
+  const setting = await Settings.findOne({ key: 'fx.provider', isActive: true }).lean();
+  const providerName = (setting && setting.value) || process.env.FX_PROVIDER || 'static';
+  const provider = providers[providerName];
+
+  if (!provider) {
+    throw new Error(`Unknown FX provider: ${providerName}`);
+  }
+
+  const { rate, asOf } = await provider.fetchRate(base.toUpperCase(), quote.toUpperCase());
+  const entry = { rate, effectiveFrom: asOf || new Date(), source: providerName };
+  await importRates([entry], updatedBy, base, quote);
+
+  return entry;
+};
+
+module.exports = {
+  getRate,
+  orderRate,
+  getRateHistory,
+  setRate,
+  importRates,
+  refreshFromProvider,
+  registerProvider,
+};
@@ -0,0 +1,192 @@
+// services/gateways/billdeskGateway.js
+
+const billDeskService = require('../billDeskService');
+const Transaction = require('../../models/Transaction');
+const ErrorResponse = require('../../utils/errorResponse');
+const logger = require('../../utils/logger');
+
+// BillDesk auth_status codes on a retrieved transaction
+const AUTH_STATUS = {
+  '0300': 'completed',
+  '0399': 'failed',
+  '0002': 'pending',
+};
+
+// BillDesk refund_status codes
+const REFUND_SUCCESS = '0799';
+const REFUND_CANCELLED = '0699';
+
+/**
+ * Map a BillDesk refund response onto a ledger status.
+ * @param {Object} data - Decrypted BillDesk refund object
+ * @returns {Object} - { status, transactionId, gatewayStatus, failureReason }
+ */
+const fromBillDeskRefund = (data) => {
+  let status = 'pending';
+  if (data.refund_status === REFUND_SUCCESS) {
+    status = 'processed';
+  } else if (data.refund_status === REFUND_CANCELLED) {
+    status = 'failed';
+  }
+
+  return {
+    status,
+    transactionId: data.refundid,
+    gatewayStatus: data.refund_status,
+    failureReason: status === 'failed' ? (data.message || 'Refund cancelled by BillDesk') : undefined,
+  };
+};
+
+/**
+ * Map a processResponse() result onto a payment result.
+ * @param {Object} result
+ * @returns {Object}
+ */
+const fromProcessedResponse = (result) => ({
+  orderNumber: result.orderNumber,
+  transactionId: result.transactionId,
+  status: result.status,
+  amount: result.amount,
+  gatewayTransactionId: result.gatewayTransactionId,
+  message: result.message,
+  errorCode: result.errorCode,
+  raw: result.data,
+});
+
+module.exports = {
+  name: 'billdesk',
+  online: true,
+
+  // billDeskService refuses to load without its configuration
+  isConfigured: () => true,
+
+  /**
+   * Create a BillDesk order; the storefront launches the BillDesk SDK with it.
+   * @param {Object} order
+   * @param {Object} context - { clientIp }
+   * @returns {Promise<Object>} - { transaction, clientData }
+   */
+  createIntent: async (order, { clientIp } = {}) => {
+    const billDeskOrder = await billDeskService.createPaymentRequest(order, clientIp);
+    if (!billDeskOrder.bdOrderId && !billDeskOrder.formHtml) {
+      throw new Error('BillDesk did not return payment details. Likely authentication issue.');
+    }
+
+    return {
+      transaction: await Transaction.findById(billDeskOrder.transactionId),
+      clientData: {
+        paymentUrl: billDeskOrder.paymentUrl,
+        bdOrderId: billDeskOrder.bdOrderId,
+        merchantId: billDeskOrder.merchantId,
+        rdata: billDeskOrder.rdata,
+        isRedirect: billDeskOrder.isRedirect || false,
+        formHtml: billDeskOrder.formHtml || null,
+      },
+    };
+  },
+
+  /**
+   * Verify the signed response BillDesk posts back to the return URL.
+   * Unsigned or forged responses are rejected with an ErrorResponse (400).
+   * @param {Object|string} payload - JWS token, or { encrypted_response }
+   * @returns {Promise<Object>} - Payment result
+   */
+  verifyReturn: async (payload) => fromProcessedResponse(await billDeskService.processResponse(payload)),
+
+  /**
+   * Verify a BillDesk webhook; the body is the same signed response. BillDesk
+   * has no event IDs, so repeat notifications are matched on the BillDesk
+   * transaction ID and its auth status.
+   * @param {Object} req
+   * @returns {Promise<Object>} - { eventId, eventType, payload }
+   */
+  verifyWebhook: async (req) => {
+    let data;
+    try {
+      data = await billDeskService.verifyResponse(req.body);
+    } catch (error) {
+      throw new ErrorResponse(`Invalid BillDesk notification: ${error.message}`, 400);
+    }
+
+    const outcome = data.auth_status || data.status || 'unknown';
+    return {
+      eventId: data.transactionid ? `${data.transactionid}:${outcome}` : `${data.orderid}:${outcome}`,
+      eventType: `transaction.${outcome}`,
+      payload: { response: req.body },
+    };
+  },
+
+  /**
+   * @param {Object} payload - { response } as stored by verifyWebhook
+   * @returns {Promise<Object>} - Payment result
+   */
+  parseWebhook: async ({ response }) => fromProcessedResponse(await billDeskService.processResponse(response)),
+
+  /**
+   * Retrieve a transaction from BillDesk by order number.
+   * @param {Object} transaction
+   * @returns {Promise<Object>} - Payment result
+   */
+  retrieveStatus: async (transaction) => {
+    const result = await billDeskService.retrieveTransaction(transaction.orderNumber);
+    if (!result.success) {
+      throw new ErrorResponse(`Could not fetch the transaction from BillDesk: ${result.message}`, 502);
+    }
+
+    const data = result.data || {};
+    let status = AUTH_STATUS[data.auth_status];
+    if (!status) {
+      const text = String(data.status || '').toUpperCase();
+      status = text === 'SUCCESS' ? 'completed' : text === 'FAILED' ? 'failed' : 'pending';
+    }
+
+    return {
+      orderNumber: transaction.orderNumber,
+      status,
+      gatewayTransactionId: data.transactionid,
+      amount: data.amount !== undefined ? Number(data.amount) : undefined,
+      message: data.transaction_error_desc,
+      raw: data,
+    };
+  },
+
+  /**
+   * Refund against the original BillDesk transaction.
+   * @param {Object} refund - Refund document
+   * @param {Object} transaction - The completed payment transaction
+   * @returns {Promise<Object>} - Refund result
+   */
+  refund: async (refund, transaction) => {
+    const billDeskTxnId = transaction && transaction.metadata.get('billDeskTxnId');
+    if (!billDeskTxnId) {
+      return { status: 'failed', failureReason: 'No completed BillDesk transaction found for this order.' };
+    }
+
+    const result = await billDeskService.createRefund({
+      transactionId: billDeskTxnId,
+      orderNumber: transaction.orderNumber,
+      transactionDate: transaction.metadata.get('transactionDate') || transaction.updatedAt.toISOString(),
+      txnAmount: transaction.amount,
+      refundAmount: refund.amount,
+      refundRef: refund._id,
+    });
+
+    if (!result.success) {
+      logger.error(`BillDesk refund ${refund._id} failed: ${result.message}`);
+      return { status: 'failed', failureReason: result.message };
+    }
+    return fromBillDeskRefund(result.data);
+  },
+
+  /**
+   * @param {Object} refund
+   * @returns {Promise<Object>} - Refund result
+   */
+  refundStatus: async (refund) => {
+    const result = await billDeskService.retrieveRefund(refund._id);
+    if (!result.success) {
+      throw new ErrorResponse(`Could not fetch the refund from BillDesk: ${result.message}`, 502);
+    }
+    return fromBillDeskRefund(result.data);
+  },
+};
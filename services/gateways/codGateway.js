@@ -0,0 +1,51 @@
+// services/gateways/codGateway.js
+
+const Transaction = require('../../models/Transaction');
+const ErrorResponse = require('../../utils/errorResponse');
+
+/**
+ * Cash on delivery. There is nothing to collect online: the transaction stays
+ * pending until the cash is collected, and refunds go out by manual payout.
+ */
+module.exports = {
+  name: 'cod',
+  online: false,
+
+  isConfigured: () => true,
+
+  /**
+   * Record the pending cash payment.
+   * @param {Object} order
+   * @returns {Promise<Object>} - { transaction, clientData }
+   */
+  createIntent: async (order) => {
+    const transaction = await Transaction.startForOrder(order, 'cod', {
+      metadata: { paymentOnDelivery: 'true' },
+    });
+
+    return {
+      transaction,
+      clientData: { message: 'Payment will be collected on delivery.' },
+    };
+  },
+
+  verifyReturn: async () => {
+    throw new ErrorResponse('Cash on delivery payments are not verified online.', 400);
+  },
+
+  verifyWebhook: async () => {
+    throw new ErrorResponse('Cash on delivery has no webhook.', 400);
+  },
+
+  parseWebhook: async () => null,
+
+  /**
+   * @param {Object} transaction
+   * @returns {Promise<Object>} - Payment result
+   */
+  retrieveStatus: async (transaction) => ({
+    transactionId: transaction._id,
+    orderNumber: transaction.orderNumber,
+    status: transaction.status,
+  }),
+};
@@ -0,0 +1,122 @@
+// services/gateways/index.js
+
+const LocalizationSettings = require('../../models/LocalizationSettings');
+const Setting = require('../../models/Settings');
+const ErrorResponse = require('../../utils/errorResponse');
+
+/**
+ * Payment gateway adapters. Every adapter implements the same contract:
+ *
+ *   name                            - key stored on Order/Transaction.paymentMethod
+ *   online                          - whether the customer pays before the order ships
+ *   isConfigured()                  - whether the credentials it needs are set
+ *   createIntent(order, context)    - start a payment; resolves to
+ *                                     { transaction, clientData } where clientData
+ *                                     is what the storefront needs to take the payment
+ *   verifyReturn(payload)           - check what the customer's browser brought back
+ *   verifyWebhook(req)              - check a webhook's signature; resolves to
+ *                                     { eventId, eventType, payload } where eventId
+ *                                     is the same for repeat deliveries of an event
+ *   parseWebhook(payload)           - turn a verified webhook payload into a payment result
+ *   retrieveStatus(transaction)     - ask the gateway where a payment stands
+ *   refund(refund, transaction)     - send money back for a Refund ledger entry
+ *   refundStatus(refund)            - current state of a pending refund
+ *
+ * verifyReturn, parseWebhook and retrieveStatus resolve to a payment result
+ *   { orderNumber, status, gatewayTransactionId, amount, message, raw }
+ * with status 'completed', 'failed' or 'pending' (parseWebhook resolves to
+ * null for events it ignores). refund and refundStatus resolve to
+ *   { status, transactionId, gatewayStatus, failureReason }
+ * with status 'processed', 'failed' or 'pending'. Adapters without a refund
+ * API leave refund undefined and are refunded by manual payout.
+ */
+const GATEWAYS = {
+  billdesk: require('./billdeskGateway'),
+  razorpay: require('./razorpayGateway'),
+  stripe: require('./stripeGateway'),
+  paypal: require('./paypalGateway'),
+  cod: require('./codGateway'),
+  mock: require('./mockGateway'),
+};
+
+// Settings key listing the gateways offered where the region has no list of its own
+const GATEWAYS_SETTING = 'payment_gateways';
+const DEFAULT_GATEWAYS = ['billdesk', 'cod'];
+
+/**
+ * Normalise a gateway list from settings or the environment.
+ * @param {Array<string>|string} value
+ * @returns {Array<string>}
+ */
+const parseList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map((name) => String(name).trim().toLowerCase()).filter(Boolean);
+};
+
+/**
+ * Look up an adapter by name.
+ * @param {string} name
+ * @returns {Object} - The adapter
+ */
+const getGateway = (name) => {
+  const gateway = GATEWAYS[String(name || '').toLowerCase()];
+  if (!gateway) {
+    throw new ErrorResponse(`Unknown payment gateway '${name}'.`, 400);
+  }
+  return gateway;
+};
+
+/**
+ * Gateways offered for a region: the region's own list in localization
+ * settings, then the 'payment_gateways' setting, then PAYMENT_GATEWAYS, then
+ * BillDesk and cash on delivery. Gateways missing credentials are left out.
+ * @param {string} [region] - Country code of the shipping address
+ * @returns {Promise<Array<string>>}
+ */
+const getEnabledGateways = async (region) => {
+  let names = [];
+
+  if (region) {
+    const localization = await LocalizationSettings.getSettingsByRegion(region);
+    if (localization && localization.paymentGateways && localization.paymentGateways.length) {
+      names = parseList(localization.paymentGateways);
+    }
+  }
+
+  if (!names.length) {
+    const setting = await Setting.findOne({ key: GATEWAYS_SETTING, isActive: true }).lean();
+    names = parseList(setting ? setting.value : process.env.PAYMENT_GATEWAYS);
+  }
+
+  if (!names.length) {
+    names = DEFAULT_GATEWAYS;
+  }
+
+  return [...new Set(names)].filter((name) => GATEWAYS[name] && GATEWAYS[name].isConfigured());
+};
+
+/**
+ * Throw unless a gateway is offered for the region.
+ * @param {string} name
+ * @param {string} [region]
+ * @returns {Promise<Object>} - The adapter
+ */
+const assertGatewayEnabled = async (name, region) => {
+  const gateway = getGateway(name);
+  const enabled = await getEnabledGateways(region);
+  if (!enabled.includes(gateway.name)) {
+    throw new ErrorResponse(
+      `Payment method '${name}' is not available${region ? ` in ${region.toUpperCase()}` : ''}. ` +
+      `Available methods: ${enabled.join(', ') || 'none'}.`,
+      400
+    );
+  }
+  return gateway;
+};
+
+module.exports = {
+  GATEWAYS,
+  getGateway,
+  getEnabledGateways,
+  assertGatewayEnabled,
+};
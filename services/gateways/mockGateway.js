@@ -0,0 +1,153 @@
+// services/gateways/mockGateway.js
+
+const crypto = require('crypto');
+const Transaction = require('../../models/Transaction');
+const ErrorResponse = require('../../utils/errorResponse');
+
+// Outcomes the storefront or a test can ask the mock gateway for
+const OUTCOMES = {
+  success: 'completed',
+  failure: 'failed',
+  pending: 'pending',
+};
+
+const secret = () => process.env.PAYMENT_MOCK_SECRET || 'mock-gateway-secret';
+
+/**
+ * Signature the mock gateway puts on its webhooks, so tests can post them.
+ * @param {string} body - Raw JSON body
+ * @returns {string}
+ */
+const sign = (body) => crypto.createHmac('sha256', secret()).update(body).digest('hex');
+
+/**
+ * Our transaction for a mock payment ID.
+ * @param {string} mockPaymentId
+ * @returns {Promise<Object>}
+ */
+const findTransaction = async (mockPaymentId) => {
+  const transaction = await Transaction.findOne({
+    paymentMethod: 'mock',
+    'metadata.gatewayOrderId': mockPaymentId,
+  });
+  if (!transaction) {
+    throw new ErrorResponse(`No transaction found for mock payment ${mockPaymentId}.`, 404);
+  }
+  return transaction;
+};
+
+/**
+ * Settle a mock payment with the requested outcome.
+ * @param {Object} transaction
+ * @param {string} outcome - success, failure or pending
+ * @returns {Promise<Object>} - Payment result
+ */
+const settle = async (transaction, outcome) => {
+  const status = OUTCOMES[outcome];
+  if (!status) {
+    throw new ErrorResponse(`Unknown mock outcome '${outcome}'. Use one of: ${Object.keys(OUTCOMES).join(', ')}.`, 400);
+  }
+
+  transaction.metadata.set('mockOutcome', outcome);
+  await transaction.save();
+
+  return {
+    transactionId: transaction._id,
+    orderNumber: transaction.orderNumber,
+    status,
+    gatewayTransactionId: `mockpay_${transaction._id}`,
+    amount: transaction.amount,
+    message: status === 'failed' ? 'Mock payment declined' : undefined,
+    raw: { outcome },
+  };
+};
+
+/**
+ * Offline gateway for local checkout and tests. It accepts whatever outcome
+ * the caller asks for, so it only loads when PAYMENT_MOCK_ENABLED is 'true'
+ * and never in production.
+ */
+module.exports = {
+  name: 'mock',
+  online: true,
+  sign,
+
+  isConfigured: () => process.env.PAYMENT_MOCK_ENABLED === 'true' && process.env.NODE_ENV !== 'production',
+
+  /**
+   * @param {Object} order
+   * @returns {Promise<Object>} - { transaction, clientData }
+   */
+  createIntent: async (order) => {
+    const mockPaymentId = `mock_${crypto.randomBytes(8).toString('hex')}`;
+    const transaction = await Transaction.startForOrder(order, 'mock', {
+      metadata: { gatewayOrderId: mockPaymentId },
+    });
+
+    return {
+      transaction,
+      clientData: { mockPaymentId, amount: order.finalAmount, outcomes: Object.keys(OUTCOMES) },
+    };
+  },
+
+  /**
+   * @param {Object} payload - { mockPaymentId, outcome }
+   * @returns {Promise<Object>} - Payment result
+   */
+  verifyReturn: async ({ mockPaymentId, outcome }) => settle(await findTransaction(mockPaymentId), outcome),
+
+  /**
+   * Webhook body { eventId?, mockPaymentId, outcome }, signed with sign() in
+   * x-mock-signature.
+   * @param {Object} req
+   * @returns {Promise<Object>} - { eventId, eventType, payload }
+   */
+  verifyWebhook: async (req) => {
+    const expected = Buffer.from(sign(req.rawBody || ''));
+    const received = Buffer.from(String(req.headers['x-mock-signature'] || ''));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new ErrorResponse('Invalid webhook signature', 400);
+    }
+
+    const { eventId, mockPaymentId, outcome } = req.body;
+    return {
+      eventId: eventId || `${mockPaymentId}:${outcome}`,
+      eventType: `payment.${outcome}`,
+      payload: req.body,
+    };
+  },
+
+  /**
+   * @param {Object} event - Verified webhook body
+   * @returns {Promise<Object>} - Payment result
+   */
+  parseWebhook: async (event) => settle(await findTransaction(event.mockPaymentId), event.outcome),
+
+  /**
+   * @param {Object} transaction
+   * @returns {Promise<Object>} - Payment result
+   */
+  retrieveStatus: async (transaction) => ({
+    transactionId: transaction._id,
+    orderNumber: transaction.orderNumber,
+    status: OUTCOMES[transaction.metadata.get('mockOutcome')] || 'pending',
+    amount: transaction.amount,
+  }),
+
+  /**
+   * Mock refunds are processed immediately.
+   * @param {Object} refund
+   * @returns {Promise<Object>} - Refund result
+   */
+  refund: async (refund) => ({
+    status: 'processed',
+    transactionId: `mockrfnd_${refund._id}`,
+    gatewayStatus: 'processed',
+  }),
+
+  refundStatus: async (refund) => ({
+    status: 'processed',
+    transactionId: refund.transactionId,
+    gatewayStatus: 'processed',
+  }),
+};
@@ -0,0 +1,262 @@
+// services/gateways/paypalGateway.js
+
+const Transaction = require('../../models/Transaction');
+const ErrorResponse = require('../../utils/errorResponse');
+const { round2 } = require('../../utils/pricingUtils');
+const { orderRate } = require('../fxRateService');
+
+// Webhook events that settle a payment
+const WEBHOOK_EVENTS = {
+  'PAYMENT.SALE.COMPLETED': 'completed',
+  'PAYMENT.SALE.DENIED': 'failed',
+};
+
+let client = null;
+
+/**
+ * PayPal SDK, configured on first use so deployments without PayPal
+ * credentials can still load the adapter.
+ * @returns {Object}
+ */
+const getClient = () => {
+  if (!client) {
+    client = require('paypal-rest-sdk');
+    client.configure({
+      mode: process.env.PAYPAL_MODE || 'sandbox',
+      client_id: process.env.PAYPAL_CLIENT_ID,
+      client_secret: process.env.PAYPAL_CLIENT_SECRET,
+    });
+  }
+  return client;
+};
+
+/**
+ * Call a callback-style SDK method and resolve with its result.
+ * @param {Object} resource - e.g. client.payment
+ * @param {string} method
+ * @param {...*} args
+ * @returns {Promise<Object>}
+ */
+const call = (resource, method, ...args) =>
+  new Promise((resolve, reject) => {
+    resource[method](...args, (error, response) => {
+      if (error) {
+        const details = error.response && (error.response.message || error.response.name);
+        return reject(new ErrorResponse(`PayPal request failed: ${details || error.message}`, 502));
+      }
+      resolve(response);
+    });
+  });
+
+/**
+ * PayPal settles in PAYPAL_CURRENCY (USD unless set); INR amounts are
+ * converted at the order's exchange rate.
+ * @returns {string}
+ */
+const currency = () => (process.env.PAYPAL_CURRENCY || 'USD').toUpperCase();
+
+/**
+ * The sale inside an executed or fetched payment.
+ * @param {Object} payment
+ * @returns {Object|null}
+ */
+const saleOf = (payment) => {
+  const related = (payment.transactions && payment.transactions[0] && payment.transactions[0].related_resources) || [];
+  const entry = related.find((resource) => resource.sale);
+  return entry ? entry.sale : null;
+};
+
+/**
+ * Map a payment and its sale onto a payment result.
+ * @param {Object} transaction
+ * @param {Object} payment
+ * @returns {Object}
+ */
+const fromPayment = (transaction, payment) => {
+  const sale = saleOf(payment);
+  let status = 'pending';
+  if (sale && sale.state === 'completed') {
+    status = 'completed';
+  } else if (payment.state === 'failed' || (sale && sale.state === 'denied')) {
+    status = 'failed';
+  }
+
+  return {
+    transactionId: transaction._id,
+    orderNumber: transaction.orderNumber,
+    status,
+    gatewayTransactionId: sale ? sale.id : undefined,
+    amount: sale ? Number(sale.amount.total) : undefined,
+    message: payment.failure_reason,
+    raw: payment,
+  };
+};
+
+/**
+ * Our transaction for a PayPal payment ID.
+ * @param {string} paymentId
+ * @returns {Promise<Object>}
+ */
+const findTransaction = async (paymentId) => {
+  const transaction = await Transaction.findOne({
+    paymentMethod: 'paypal',
+    'metadata.gatewayOrderId': paymentId,
+  });
+  if (!transaction) {
+    throw new ErrorResponse(`No transaction found for PayPal payment ${paymentId}.`, 404);
+  }
+  return transaction;
+};
+
+/**
+ * Map a PayPal refund onto a ledger status.
+ * @param {Object} entity
+ * @returns {Object}
+ */
+const fromRefund = (entity) => ({
+  status: entity.state === 'completed' ? 'processed' : ['failed', 'cancelled'].includes(entity.state) ? 'failed' : 'pending',
+  transactionId: entity.id,
+  gatewayStatus: entity.state,
+  failureReason: entity.reason_code || undefined,
+});
+
+module.exports = {
+  name: 'paypal',
+  online: true,
+
+  isConfigured: () => Boolean(process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET),
+
+  /**
+   * Create a PayPal payment; the storefront sends the customer to approvalUrl.
+   * @param {Object} order
+   * @returns {Promise<Object>} - { transaction, clientData }
+   */
+  createIntent: async (order) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const rate = orderRate(order);
+    const total = currency() === 'INR' ? round2(order.finalAmount) : round2(order.finalAmount / rate);
+
+    const payment = await call(getClient().payment, 'create', {
+      intent: 'sale',
+      payer: { payment_method: 'paypal' },
+      redirect_urls: {
+        return_url: process.env.PAYPAL_RETURN_URL || `${frontendUrl}/payment/paypal/return`,
+        cancel_url: process.env.PAYPAL_CANCEL_URL || `${frontendUrl}/payment/failed?orderNumber=${order.orderNumber}`,
+      },
+      transactions: [{
+        amount: { total: total.toFixed(2), currency: currency() },
+        invoice_number: order.orderNumber,
+        description: `Order ${order.orderNumber}`,
+      }],
+    });
+
+    const transaction = await Transaction.startForOrder(order, 'paypal', {
+      amount: total,
+      currency: currency(),
+      metadata: { gatewayOrderId: payment.id, amountINR: String(order.finalAmount) },
+    });
+
+    const approval = (payment.links || []).find((link) => link.rel === 'approval_url');
+    return {
+      transaction,
+      clientData: {
+        paymentId: payment.id,
+        approvalUrl: approval ? approval.href : null,
+      },
+    };
+  },
+
+  /**
+   * Execute the payment the customer approved on PayPal.
+   * @param {Object} payload - { paymentId, payerId }
+   * @returns {Promise<Object>} - Payment result
+   */
+  verifyReturn: async ({ paymentId, payerId }) => {
+    const transaction = await findTransaction(paymentId);
+    const payment = await call(getClient().payment, 'execute', paymentId, { payer_id: payerId });
+    return fromPayment(transaction, payment);
+  },
+
+  /**
+   * Verify a PayPal webhook through PayPal's verification API.
+   * @param {Object} req
+   * @returns {Promise<Object>} - { eventId, eventType, payload }
+   */
+  verifyWebhook: async (req) => {
+    const verification = await call(
+      getClient().notification.webhookEvent,
+      'verify',
+      req.headers,
+      req.body,
+      process.env.PAYPAL_WEBHOOK_ID
+    );
+    if (verification.verification_status !== 'SUCCESS') {
+      throw new ErrorResponse('Invalid webhook signature', 400);
+    }
+
+    return { eventId: req.body.id, eventType: req.body.event_type, payload: req.body };
+  },
+
+  /**
+   * @param {Object} event - Verified webhook body
+   * @returns {Promise<Object|null>} - Payment result, or null for other events
+   */
+  parseWebhook: async (event) => {
+    const status = WEBHOOK_EVENTS[event.event_type];
+    if (!status) {
+      return null;
+    }
+
+    const sale = event.resource;
+    const transaction = await findTransaction(sale.parent_payment);
+    return {
+      transactionId: transaction._id,
+      orderNumber: transaction.orderNumber,
+      status,
+      gatewayTransactionId: sale.id,
+      amount: Number(sale.amount.total),
+      raw: event,
+    };
+  },
+
+  /**
+   * @param {Object} transaction
+   * @returns {Promise<Object>} - Payment result
+   */
+  retrieveStatus: async (transaction) => {
+    const payment = await call(getClient().payment, 'get', transaction.metadata.get('gatewayOrderId'));
+    return fromPayment(transaction, payment);
+  },
+
+  /**
+   * Refund the sale, converting the INR refund into the charged currency.
+   * @param {Object} refund
+   * @param {Object} transaction
+   * @returns {Promise<Object>} - Refund result
+   */
+  refund: async (refund, transaction) => {
+    const saleId = transaction && transaction.metadata.get('gatewayPaymentId');
+    if (!saleId) {
+      return { status: 'failed', failureReason: 'No completed PayPal sale found for this order.' };
+    }
+
+    const amountINR = Number(transaction.metadata.get('amountINR')) || transaction.amount;
+    const total = round2((refund.amount * transaction.amount) / amountINR);
+
+    try {
+      const entity = await call(getClient().sale, 'refund', saleId, {
+        amount: { total: total.toFixed(2), currency: transaction.currency },
+        invoice_number: String(refund._id),
+      });
+      return fromRefund(entity);
+    } catch (error) {
+      return { status: 'failed', failureReason: error.message };
+    }
+  },
+
+  /**
+   * @param {Object} refund
+   * @returns {Promise<Object>} - Refund result
+   */
+  refundStatus: async (refund) => fromRefund(await call(getClient().refund, 'get', refund.transactionId)),
+};
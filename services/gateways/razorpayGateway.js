@@ -0,0 +1,229 @@
+// services/gateways/razorpayGateway.js
+
+const crypto = require('crypto');
+const Transaction = require('../../models/Transaction');
+const ErrorResponse = require('../../utils/errorResponse');
+
+// Razorpay payment statuses
+const PAYMENT_STATUS = {
+  captured: 'completed',
+  failed: 'failed',
+};
+
+// Webhook events that settle a payment
+const WEBHOOK_EVENTS = {
+  'payment.captured': 'completed',
+  'payment.failed': 'failed',
+};
+
+let client = null;
+
+/**
+ * Razorpay client, created on first use so deployments without Razorpay
+ * credentials can still load the adapter.
+ * @returns {Object}
+ */
+const getClient = () => {
+  if (!client) {
+    const Razorpay = require('razorpay');
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_SECRET,
+    });
+  }
+  return client;
+};
+
+/**
+ * Constant-time comparison of two hex signatures.
+ * @param {string} expected
+ * @param {string} received
+ * @returns {boolean}
+ */
+const signaturesMatch = (expected, received) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Map a Razorpay payment entity onto a payment result.
+ * @param {Object} transaction - Our transaction for the Razorpay order
+ * @param {Object} payment - Razorpay payment entity
+ * @param {string} [status] - Status to report instead of the payment's own
+ * @returns {Object}
+ */
+const fromPayment = (transaction, payment, status) => ({
+  transactionId: transaction._id,
+  orderNumber: transaction.orderNumber,
+  status: status || PAYMENT_STATUS[payment.status] || 'pending',
+  gatewayTransactionId: payment.id,
+  amount: payment.amount / 100,
+  message: payment.error_description || undefined,
+  raw: payment,
+});
+
+/**
+ * Our transaction for a Razorpay order ID.
+ * @param {string} razorpayOrderId
+ * @returns {Promise<Object>}
+ */
+const findTransaction = async (razorpayOrderId) => {
+  const transaction = await Transaction.findOne({
+    paymentMethod: 'razorpay',
+    'metadata.gatewayOrderId': razorpayOrderId,
+  });
+  if (!transaction) {
+    throw new ErrorResponse(`No transaction found for Razorpay order ${razorpayOrderId}.`, 404);
+  }
+  return transaction;
+};
+
+/**
+ * Map a Razorpay refund entity onto a ledger status.
+ * @param {Object} entity
+ * @returns {Object}
+ */
+const fromRefund = (entity) => ({
+  status: entity.status === 'processed' ? 'processed' : entity.status === 'failed' ? 'failed' : 'pending',
+  transactionId: entity.id,
+  gatewayStatus: entity.status,
+  failureReason: entity.status === 'failed' ? 'Refund failed at Razorpay' : undefined,
+});
+
+module.exports = {
+  name: 'razorpay',
+  online: true,
+
+  isConfigured: () => Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_SECRET),
+
+  /**
+   * Create a Razorpay order for Razorpay Checkout to collect against.
+   * @param {Object} order
+   * @returns {Promise<Object>} - { transaction, clientData }
+   */
+  createIntent: async (order) => {
+    const amount = Math.round(order.finalAmount * 100);
+    const razorpayOrder = await getClient().orders.create({
+      amount,
+      currency: 'INR',
+      receipt: order.orderNumber,
+      notes: { orderNumber: order.orderNumber },
+    });
+
+    const transaction = await Transaction.startForOrder(order, 'razorpay', {
+      metadata: { gatewayOrderId: razorpayOrder.id },
+    });
+
+    return {
+      transaction,
+      clientData: {
+        keyId: process.env.RAZORPAY_KEY_ID,
+        razorpayOrderId: razorpayOrder.id,
+        amount,
+        currency: 'INR',
+      },
+    };
+  },
+
+  /**
+   * Verify the handler response from Razorpay Checkout.
+   * @param {Object} payload - { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+   * @returns {Promise<Object>} - Payment result
+   */
+  verifyReturn: async (payload) => {
+    const { razorpay_order_id: razorpayOrderId, razorpay_payment_id: paymentId, razorpay_signature: signature } = payload;
+
+    const expected = crypto
+      .createHmac('sha256', process.env.RAZORPAY_SECRET)
+      .update(`${razorpayOrderId}|${paymentId}`)
+      .digest('hex');
+    if (!signaturesMatch(expected, signature)) {
+      throw new ErrorResponse('Invalid payment signature', 400);
+    }
+
+    const transaction = await findTransaction(razorpayOrderId);
+    const payment = await getClient().payments.fetch(paymentId);
+    return fromPayment(transaction, payment);
+  },
+
+  /**
+   * Verify a Razorpay webhook against the raw request body.
+   * @param {Object} req
+   * @returns {Promise<Object>} - { eventId, eventType, payload }
+   */
+  verifyWebhook: async (req) => {
+    const expected = crypto
+      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+      .update(req.rawBody || '')
+      .digest('hex');
+    if (!signaturesMatch(expected, req.headers['x-razorpay-signature'])) {
+      throw new ErrorResponse('Invalid webhook signature', 400);
+    }
+
+    const payment = req.body.payload && req.body.payload.payment && req.body.payload.payment.entity;
+    return {
+      eventId: req.headers['x-razorpay-event-id'] || `${req.body.event}:${payment ? payment.id : req.body.created_at}`,
+      eventType: req.body.event,
+      payload: req.body,
+    };
+  },
+
+  /**
+   * @param {Object} event - Verified webhook body
+   * @returns {Promise<Object|null>} - Payment result, or null for other events
+   */
+  parseWebhook: async (event) => {
+    const status = WEBHOOK_EVENTS[event.event];
+    if (!status) {
+      return null;
+    }
+
+    const payment = event.payload.payment.entity;
+    const transaction = await findTransaction(payment.order_id);
+    return fromPayment(transaction, payment, status);
+  },
+
+  /**
+   * Check the payments made against the transaction's Razorpay order.
+   * @param {Object} transaction
+   * @returns {Promise<Object>} - Payment result
+   */
+  retrieveStatus: async (transaction) => {
+    const { items = [] } = await getClient().orders.fetchPayments(transaction.metadata.get('gatewayOrderId'));
+    const payment = items.find((item) => item.status === 'captured') || items[0];
+    if (!payment) {
+      return { transactionId: transaction._id, orderNumber: transaction.orderNumber, status: 'pending', raw: items };
+    }
+    return fromPayment(transaction, payment);
+  },
+
+  /**
+   * Refund against the captured Razorpay payment.
+   * @param {Object} refund
+   * @param {Object} transaction
+   * @returns {Promise<Object>} - Refund result
+   */
+  refund: async (refund, transaction) => {
+    const paymentId = transaction && transaction.metadata.get('gatewayPaymentId');
+    if (!paymentId) {
+      return { status: 'failed', failureReason: 'No captured Razorpay payment found for this order.' };
+    }
+
+    try {
+      const entity = await getClient().payments.refund(paymentId, {
+        amount: Math.round(refund.amount * 100),
+        receipt: String(refund._id),
+      });
+      return fromRefund(entity);
+    } catch (error) {
+      return { status: 'failed', failureReason: (error.error && error.error.description) || error.message };
+    }
+  },
+
+  /**
+   * @param {Object} refund
+   * @returns {Promise<Object>} - Refund result
+   */
+  refundStatus: async (refund) => fromRefund(await getClient().refunds.fetch(refund.transactionId)),
+};
@@ -0,0 +1,194 @@
+// services/gateways/stripeGateway.js
+
+const Transaction = require('../../models/Transaction');
+const ErrorResponse = require('../../utils/errorResponse');
+
+// Webhook events that settle a payment
+const WEBHOOK_EVENTS = {
+  'payment_intent.succeeded': 'completed',
+  'payment_intent.payment_failed': 'failed',
+};
+
+/**
+ * Stripe client from config/stripe, loaded on first use so deployments
+ * without Stripe credentials can still load the adapter.
+ * @returns {Object}
+ */
+const getClient = () => require('../../config/stripe');
+
+/**
+ * Map a PaymentIntent status onto a payment status.
+ * @param {Object} intent
+ * @returns {string}
+ */
+const statusOf = (intent) => {
+  if (intent.status === 'succeeded') {
+    return 'completed';
+  }
+  if (intent.status === 'canceled' || (intent.status === 'requires_payment_method' && intent.last_payment_error)) {
+    return 'failed';
+  }
+  return 'pending';
+};
+
+/**
+ * Map a PaymentIntent onto a payment result.
+ * @param {Object} transaction
+ * @param {Object} intent
+ * @returns {Object}
+ */
+const fromIntent = (transaction, intent) => ({
+  transactionId: transaction._id,
+  orderNumber: transaction.orderNumber,
+  status: statusOf(intent),
+  gatewayTransactionId: intent.id,
+  amount: intent.amount / 100,
+  message: intent.last_payment_error ? intent.last_payment_error.message : undefined,
+  raw: intent,
+});
+
+/**
+ * Our transaction for a PaymentIntent ID.
+ * @param {string} paymentIntentId
+ * @returns {Promise<Object>}
+ */
+const findTransaction = async (paymentIntentId) => {
+  const transaction = await Transaction.findOne({
+    paymentMethod: 'stripe',
+    'metadata.gatewayOrderId': paymentIntentId,
+  });
+  if (!transaction) {
+    throw new ErrorResponse(`No transaction found for Stripe payment ${paymentIntentId}.`, 404);
+  }
+  return transaction;
+};
+
+/**
+ * Map a Stripe refund onto a ledger status.
+ * @param {Object} entity
+ * @returns {Object}
+ */
+const fromRefund = (entity) => ({
+  status: entity.status === 'succeeded' ? 'processed' : ['failed', 'canceled'].includes(entity.status) ? 'failed' : 'pending',
+  transactionId: entity.id,
+  gatewayStatus: entity.status,
+  failureReason: entity.failure_reason || undefined,
+});
+
+module.exports = {
+  name: 'stripe',
+  online: true,
+
+  isConfigured: () => Boolean(process.env.STRIPE_SECRET_KEY),
+
+  /**
+   * Create a PaymentIntent for Stripe Elements to confirm.
+   * @param {Object} order
+   * @returns {Promise<Object>} - { transaction, clientData }
+   */
+  createIntent: async (order) => {
+    const intent = await getClient().paymentIntents.create({
+      amount: Math.round(order.finalAmount * 100),
+      currency: 'inr',
+      metadata: { orderNumber: order.orderNumber },
+      automatic_payment_methods: { enabled: true },
+    });
+
+    const transaction = await Transaction.startForOrder(order, 'stripe', {
+      metadata: { gatewayOrderId: intent.id },
+    });
+
+    return {
+      transaction,
+      clientData: {
+        publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+        clientSecret: intent.client_secret,
+        paymentIntentId: intent.id,
+      },
+    };
+  },
+
+  /**
+   * Look up the PaymentIntent the storefront confirmed.
+   * @param {Object} payload - { paymentIntentId }
+   * @returns {Promise<Object>} - Payment result
+   */
+  verifyReturn: async ({ paymentIntentId }) => {
+    const transaction = await findTransaction(paymentIntentId);
+    const intent = await getClient().paymentIntents.retrieve(paymentIntentId);
+    return fromIntent(transaction, intent);
+  },
+
+  /**
+   * Verify a Stripe webhook against the raw request body.
+   * @param {Object} req
+   * @returns {Promise<Object>} - { eventId, eventType, payload }
+   */
+  verifyWebhook: async (req) => {
+    let event;
+    try {
+      event = getClient().webhooks.constructEvent(
+        req.rawBody,
+        req.headers['stripe-signature'],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (error) {
+      throw new ErrorResponse(`Invalid webhook signature: ${error.message}`, 400);
+    }
+
+    return { eventId: event.id, eventType: event.type, payload: event };
+  },
+
+  /**
+   * @param {Object} event - Verified Stripe event
+   * @returns {Promise<Object|null>} - Payment result, or null for other events
+   */
+  parseWebhook: async (event) => {
+    if (!WEBHOOK_EVENTS[event.type]) {
+      return null;
+    }
+
+    const intent = event.data.object;
+    const transaction = await findTransaction(intent.id);
+    return { ...fromIntent(transaction, intent), status: WEBHOOK_EVENTS[event.type] };
+  },
+
+  /**
+   * @param {Object} transaction
+   * @returns {Promise<Object>} - Payment result
+   */
+  retrieveStatus: async (transaction) => {
+    const intent = await getClient().paymentIntents.retrieve(transaction.metadata.get('gatewayOrderId'));
+    return fromIntent(transaction, intent);
+  },
+
+  /**
+   * Refund against the PaymentIntent.
+   * @param {Object} refund
+   * @param {Object} transaction
+   * @returns {Promise<Object>} - Refund result
+   */
+  refund: async (refund, transaction) => {
+    const paymentIntentId = transaction && transaction.metadata.get('gatewayPaymentId');
+    if (!paymentIntentId) {
+      return { status: 'failed', failureReason: 'No completed Stripe payment found for this order.' };
+    }
+
+    try {
+      const entity = await getClient().refunds.create({
+        payment_intent: paymentIntentId,
+        amount: Math.round(refund.amount * 100),
+        metadata: { refundId: String(refund._id) },
+      });
+      return fromRefund(entity);
+    } catch (error) {
+      return { status: 'failed', failureReason: error.message };
+    }
+  },
+
+  /**
+   * @param {Object} refund
+   * @returns {Promise<Object>} - Refund result
+   */
+  refundStatus: async (refund) => fromRefund(await getClient().refunds.retrieve(refund.transactionId)),
+};
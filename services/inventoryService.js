@@ -0,0 +1,325 @@
+// services/inventoryService.js
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const { confirmRedemption, releaseRedemption } = require('./couponService');
+const { SYSTEM_ACTOR, transitionOrder } = require('./orderLifecycleService');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+
+// How long a checkout may sit on stock while an online payment is pending
+const DEFAULT_HOLD_MINUTES = parseInt(process.env.STOCK_HOLD_MINUTES, 10) || 30;
+
+const ACTIVE_STATUSES = ['held', 'committed'];
+
+// Order payment states that mean the money is in; see paymentService
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+/**
+ * Atomically take stock off a single product variant.
+ * The update only matches when the variant still has enough stock, so two
+ * concurrent checkouts can never both claim the last unit.
+ * @param {string} productId - Product ID
+ * @param {string} variantId - Variant ID
+ * @param {number} quantity - Units to take
+ * @returns {Promise<boolean>} - True when the stock was taken
+ */
+const decrementVariantStock = async (productId, variantId, quantity) => {
+  const result = await Product.updateOne(
+    {
+      _id: productId,
+      variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } },
+    },
+    { $inc: { 'variants.$.stock': -quantity } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Put stock back on a single product variant.
+ * @param {string} productId - Product ID
+ * @param {string} variantId - Variant ID
+ * @param {number} quantity - Units to return
+ * @returns {Promise<void>}
+ */
+const incrementVariantStock = async (productId, variantId, quantity) => {
+  await Product.updateOne(
+    { _id: productId, 'variants._id': variantId },
+    { $inc: { 'variants.$.stock': quantity } }
+  );
+};
+
+/**
+ * Load the product and variant an order, reservation or refund line is for.
+ * @param {Object} line - { product, variantId?, variant, packaging? }
+ * @returns {Promise<Object>} - { product, variant }, either null if missing
+ */
+const findLineVariant = async (line) => {
+  const product = await Product.findById(line.product).select('title variants packaging');
+  return { product, variant: product ? product.findVariant(line) : null };
+};
+
+/**
+ * Reserve stock for every line of an order.
+ * Either all lines are reserved or none are: if any line is short, the lines
+ * already taken are put back and an ErrorResponse (400) is thrown.
+ * @param {Object} order - { _id, orderNumber } of the order being placed
+ * @param {Array<Object>} items - Order lines: { product, variantId, variant, packaging, quantity }
+ * @param {Object} [options]
+ * @param {boolean} [options.expires] - Whether the hold lapses if not committed in time
+ * @param {number} [options.holdMinutes] - Hold duration when expires is set
+ * @returns {Promise<Array<Object>>} - The created reservation ledger entries
+ */
+const reserveStock = async (order, items, options = {}) => {
+  const { expires = false, holdMinutes = DEFAULT_HOLD_MINUTES } = options;
+  const taken = [];
+
+  try {
+    for (const item of items) {
+      const { product, variant } = await findLineVariant(item);
+
+      if (!variant) {
+        throw new ErrorResponse(`Variant ${item.variant} is not available for this product.`, 400);
+      }
+
+      const ok = await decrementVariantStock(product._id, variant._id, item.quantity);
+      if (!ok) {
+        throw new ErrorResponse(
+          `Insufficient stock for ${product.title} (${variant.size}). Please reduce the quantity and try again.`,
+          400
+        );
+      }
+
+      taken.push({ product: product._id, variantId: variant._id, variant: variant.size, quantity: item.quantity });
+    }
+  } catch (error) {
+    for (const line of taken) {
+      await incrementVariantStock(line.product, line.variantId, line.quantity);
+    }
+    throw error;
+  }
+
+  const expiresAt = expires ? new Date(Date.now() + holdMinutes * 60 * 1000) : null;
+
+  const reservations = await StockReservation.insertMany(
+    taken.map((line) => ({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      product: line.product,
+      variantId: line.variantId,
+      variant: line.variant,
+      quantity: line.quantity,
+      status: 'held',
+      expiresAt,
+    }))
+  );
+
+  logger.info(`Reserved stock for order ${order.orderNumber}: ${reservations.length} line(s)${expiresAt ? `, hold expires at ${expiresAt.toISOString()}` : ''}`);
+  return reservations;
+};
+
+/**
+ * Check whether an order has reservation ledger entries.
+ * Orders placed before reservations existed have none and still rely on the
+ * older deduct-on-accept behaviour.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<boolean>}
+ */
+const hasReservations = async (orderId) => {
+  const exists = await StockReservation.exists({ order: orderId });
+  return Boolean(exists);
+};
+
+/**
+ * Check whether an order still has stock held or committed, i.e. its
+ * reservations have not been released.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<boolean>}
+ */
+const hasActiveReservations = async (orderId) => {
+  const exists = await StockReservation.exists({ order: orderId, status: { $in: ACTIVE_STATUSES } });
+  return Boolean(exists);
+};
+
+/**
+ * When an order's time-limited stock hold lapses.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Date|null>} - Earliest expiry of its held lines, or null
+ *   when nothing is held on a timer
+ */
+const getHoldExpiry = async (orderId) => {
+  const reservation = await StockReservation.findOne({ order: orderId, status: 'held', expiresAt: { $ne: null } })
+    .sort({ expiresAt: 1 })
+    .select('expiresAt')
+    .lean();
+  return reservation ? reservation.expiresAt : null;
+};
+
+/**
+ * Push back the expiry of an order's time-limited stock hold. Holds are
+ * never shortened.
+ * @param {string} orderId - Order ID
+ * @param {Date} until - New expiry
+ * @returns {Promise<number>} - Number of reservation lines extended
+ */
+const extendHold = async (orderId, until) => {
+  const result = await StockReservation.updateMany(
+    { order: orderId, status: 'held', expiresAt: { $ne: null, $lt: until } },
+    { $set: { expiresAt: until } }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info(`Extended stock hold for order ${orderId} to ${until.toISOString()}`);
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Make an order's held stock permanent (payment received or order accepted).
+ * @param {string} orderId - Order ID
+ * @returns {Promise<number>} - Number of reservation lines committed
+ */
+const commitReservations = async (orderId) => {
+  const result = await StockReservation.updateMany(
+    { order: orderId, status: 'held' },
+    { $set: { status: 'committed', committedAt: new Date(), expiresAt: null } }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info(`Committed ${result.modifiedCount} stock reservation(s) for order ${orderId}`);
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Return an order's reserved stock to the shelf.
+ * Each ledger row is claimed with a conditional update before stock is put
+ * back, so calling this twice (e.g. webhook and return URL both reporting a
+ * failure) never restocks twice.
+ * @param {string} orderId - Order ID
+ * @param {string} reason - Why the stock is being released
+ * @param {string} [status='released'] - Final ledger status ('released' or 'expired')
+ * @returns {Promise<number>} - Number of reservation lines released
+ */
+const releaseReservations = async (orderId, reason, status = 'released') => {
+  const reservations = await StockReservation.find({ order: orderId, status: { $in: ACTIVE_STATUSES } });
+  let released = 0;
+
+  for (const reservation of reservations) {
+    const claimed = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status, releasedAt: new Date(), releaseReason: reason, expiresAt: null } }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    const variantId = claimed.variantId || ((await findLineVariant(claimed)).variant || {})._id;
+    if (variantId) {
+      await incrementVariantStock(claimed.product, variantId, claimed.quantity);
+    }
+    released += 1;
+  }
+
+  if (released > 0) {
+    logger.info(`Released ${released} stock reservation(s) for order ${orderId}: ${reason}`);
+  }
+  return released;
+};
+
+/**
+ * Put returned units back on the shelf, e.g. items refunded after delivery.
+ * Lines whose product or variant no longer exists are skipped.
+ * @param {Array<Object>} lines - { product, variantId?, variant, packaging?, quantity }
+ * @param {string} reason - Why the stock is coming back
+ * @returns {Promise<number>} - Number of lines restocked
+ */
+const restockLines = async (lines, reason) => {
+  let restocked = 0;
+
+  for (const line of lines) {
+    const { product, variant } = await findLineVariant(line);
+
+    if (!variant) {
+      logger.warn(`Could not restock product ${line.product} (${line.variant}): variant not found`);
+      continue;
+    }
+
+    await incrementVariantStock(product._id, variant._id, line.quantity);
+    restocked += 1;
+  }
+
+  if (restocked > 0) {
+    logger.info(`Restocked ${restocked} line(s): ${reason}`);
+  }
+  return restocked;
+};
+
+/**
+ * Deal with every hold whose expiry has passed.
+ * If the gateway confirmed payment in the meantime the hold is committed;
+ * otherwise the stock is returned and the unpaid order is cancelled.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Array<string>>} - IDs of the orders whose holds lapsed
+ */
+const releaseExpiredHolds = async (now = new Date()) => {
+  const orderIds = await StockReservation.distinct('order', {
+    status: 'held',
+    expiresAt: { $ne: null, $lte: now },
+  });
+  const lapsed = [];
+
+  for (const orderId of orderIds) {
+    // Claim the payment as failed first: a payment confirmed at the same
+    // moment either gets there before us, and the hold is committed, or
+    // finds the order cancelled and is refunded (paymentService)
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, paymentStatus: { $nin: PAID_STATUSES } },
+      { $set: { paymentStatus: 'failed' } },
+      { new: true }
+    );
+
+    if (!order) {
+      if (await Order.exists({ _id: orderId })) {
+        await commitReservations(orderId);
+        await confirmRedemption(orderId);
+        continue;
+      }
+    } else if (order.status === 'pending') {
+      order.cancellationReason = 'Payment was not completed before the stock hold expired.';
+      transitionOrder(order, 'cancelled', { actor: SYSTEM_ACTOR, reason: order.cancellationReason });
+      // Only cancel while the payment is still failed
+      order.$where = { paymentStatus: 'failed', status: 'pending' };
+      try {
+        await order.save();
+      } catch (error) {
+        if (error.name !== 'DocumentNotFoundError') {
+          throw error;
+        }
+        logger.info(`Order ${order.orderNumber} was paid as its stock hold expired; keeping the hold`);
+        continue;
+      }
+      await releaseRedemption(orderId, 'Payment hold expired');
+      logger.info(`Order ${order.orderNumber} cancelled after its stock hold expired`);
+    }
+
+    await releaseReservations(orderId, 'Payment hold expired', 'expired');
+    lapsed.push(String(orderId));
+  }
+
+  return lapsed;
+};
+
+module.exports = {
+  DEFAULT_HOLD_MINUTES,
+  reserveStock,
+  hasReservations,
+  hasActiveReservations,
+  getHoldExpiry,
+  extendHold,
+  commitReservations,
+  releaseReservations,
+  restockLines,
+  releaseExpiredHolds,
+};
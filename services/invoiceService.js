@@ -0,0 +1,373 @@
+// services/invoiceService.js
+
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+const { round2 } = require('../utils/pricingUtils');
+const { orderRate } = require('./fxRateService');
+const { generateInvoicePDF } = require('../utils/generatePDF');
+const { sendEmail } = require('./emailService');
+const { compileTemplate } = require('./templateService');
+
+const SERIES_PREFIX = {
+  invoice: 'INV',
+  credit_note: 'CN',
+};
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+/**
+ * Seller details printed on every document, from the environment.
+ * @returns {Object}
+ */
+const getSeller = () => ({
+  name: process.env.INVOICE_SELLER_NAME || '10X Formulas',
+  gstin: process.env.INVOICE_SELLER_GSTIN || '',
+  street: process.env.INVOICE_SELLER_ADDRESS || '',
+  state: process.env.INVOICE_SELLER_STATE || '',
+  country: 'IN',
+  email: process.env.SUPPORT_EMAIL || process.env.FROM_EMAIL || '',
+});
+
+/**
+ * Indian financial year (April to March, IST) for a date, e.g. '2025-26'.
+ * @param {Date} date
+ * @returns {string}
+ */
+const financialYear = (date) => {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+/**
+ * Whether an order has been paid for and can be invoiced.
+ * Cash on delivery orders are paid on handover.
+ * @param {Object} order
+ * @returns {boolean}
+ */
+const isInvoiceable = (order) =>
+  order.paymentStatus === 'paid' ||
+  (order.paymentMethod === 'cod' && order.status === 'delivered');
+
+/**
+ * Save a document with the next number in its series.
+ * The sequence is derived from the documents already saved, and the unique
+ * (series, sequence) index makes concurrent writers retry, so numbers are
+ * never skipped or reused.
+ * @param {Object} data - Invoice fields without series/sequence/number
+ * @returns {Promise<Object>} - Saved Invoice
+ */
+const createNumbered = async (data) => {
+  const issuedAt = data.issuedAt || new Date();
+  const series = `${SERIES_PREFIX[data.type]}/${financialYear(issuedAt)}`;
+
+  for (let attempt = 1; attempt <= MAX_NUMBERING_ATTEMPTS; attempt += 1) {
+    const last = await Invoice.findOne({ series }).sort({ sequence: -1 }).select('sequence').lean();
+    const sequence = last ? last.sequence + 1 : 1;
+
+    try {
+      return await Invoice.create({
+        ...data,
+        issuedAt,
+        series,
+        sequence,
+        number: `${series}/${String(sequence).padStart(6, '0')}`,
+      });
+    } catch (error) {
+      // Another document took this number first; try the next one. A clash
+      // on the per-order index is passed up to the caller.
+      const clashed = error.code === 11000 && error.keyPattern &&
+        (error.keyPattern.sequence || error.keyPattern.number);
+      if (!clashed || attempt === MAX_NUMBERING_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Map an order address onto an invoice party.
+ * @param {Object} address
+ * @param {Object} [customer]
+ * @returns {Object}
+ */
+const toParty = (address, customer) => ({
+  name: customer ? customer.name : undefined,
+  email: customer ? customer.email : undefined,
+  street: address && address.street,
+  city: address && address.city,
+  state: address && address.state,
+  zip: address && address.zip,
+  country: address && address.country,
+  phone: address && address.phone,
+});
+
+/**
+ * Build invoice lines from an order's priced items.
+ * @param {Object} order - Order document
+ * @returns {Promise<Array<Object>>}
+ */
+const buildLines = async (order) => {
+  const rate = orderRate(order);
+  const productIds = order.items.map((item) => item.product && item.product._id ? item.product._id : item.product);
+  const products = await Product.find({ _id: { $in: productIds } }).select('title hsnCode').lean();
+  const productById = new Map(products.map((p) => [String(p._id), p]));
+
+  return order.items.map((item, index) => {
+    const product = productById.get(String(productIds[index])) || {};
+    const grossINR = round2(item.price * item.quantity * rate);
+    const discountINR = round2(((item.productDiscountUSD || 0) * item.quantity + (item.couponDiscountUSD || 0)) * rate);
+    const taxINR = item.taxINR || 0;
+    const totalINR = item.lineTotalINR !== undefined && item.lineTotalINR !== null
+      ? item.lineTotalINR
+      : round2(grossINR - discountINR + taxINR);
+
+    return {
+      product: product._id,
+      description: `${product.title || 'Product'} (${item.variant})`,
+      hsnCode: product.hsnCode || null,
+      quantity: item.quantity,
+      unitPriceINR: round2(item.price * rate),
+      discountINR,
+      taxableINR: round2(totalINR - taxINR),
+      taxRate: item.taxRate || 0,
+      taxComponents: (item.taxComponents || []).map((c) => ({ name: c.name, rate: c.rate, amountINR: c.amountINR })),
+      totalINR,
+    };
+  });
+};
+
+/**
+ * Issue the tax invoice for a paid order. Safe to call more than once: an
+ * order only ever gets one invoice, and later calls return it.
+ * @param {string|Object} orderOrId - Order document or ID
+ * @returns {Promise<Object>} - Invoice
+ */
+const issueInvoice = async (orderOrId) => {
+  const order = orderOrId && orderOrId._id
+    ? orderOrId
+    : await Order.findById(orderOrId);
+  if (!order) {
+    throw new ErrorResponse('Order not found.', 404);
+  }
+
+  const existing = await Invoice.findOne({ order: order._id, type: 'invoice' });
+  if (existing) {
+    return existing;
+  }
+
+  if (!isInvoiceable(order)) {
+    throw new ErrorResponse('An invoice can only be issued once the order has been paid.', 400);
+  }
+
+  const customer = await User.findById(order.customer._id || order.customer).select('name email').lean();
+  const lines = await buildLines(order);
+  const taxINR = round2(lines.reduce((sum, l) => sum + l.taxComponents.reduce((s, c) => s + c.amountINR, 0), 0));
+
+  try {
+    const invoice = await createNumbered({
+      type: 'invoice',
+      order: order._id,
+      orderNumber: order.orderNumber,
+      customer: customer ? customer._id : order.customer,
+      seller: getSeller(),
+      billingAddress: toParty(order.billingAddress, customer),
+      shippingAddress: toParty(order.shippingAddress, customer),
+      placeOfSupply: order.shippingAddress && order.shippingAddress.state,
+      taxScheme: order.taxScheme || 'flat',
+      lines,
+      taxBreakdown: order.taxBreakdown || [],
+      shippingINR: order.shippingFee || 0,
+      taxableINR: round2(lines.reduce((sum, l) => sum + l.taxableINR, 0)),
+      taxINR,
+      totalINR: order.finalAmount,
+    });
+
+    logger.info(`Invoice ${invoice.number} issued for order ${order.orderNumber}`);
+    return invoice;
+  } catch (error) {
+    // Lost a race with another request invoicing the same order
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.order) {
+      return Invoice.findOne({ order: order._id, type: 'invoice' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Issue a credit note for a refund. The refunded amount is spread across the
+ * invoice lines, tax and shipping in proportion to the invoiced total, so the
+ * tax credited matches the tax originally charged.
+ * @param {string|Object} orderOrId - Order document or ID
+ * @param {Object} params
+ * @param {number} params.amountINR - Amount refunded
+ * @param {string} [params.reason]
+ * @param {string} [params.refund] - Refund ID
+ * @returns {Promise<Object>} - Credit note (an Invoice of type 'credit_note')
+ */
+const issueCreditNote = async (orderOrId, { amountINR, reason, refund = null }) => {
+  const orderId = orderOrId && orderOrId._id ? orderOrId._id : orderOrId;
+  const invoice = await issueInvoice(orderOrId);
+
+  const credited = await Invoice.aggregate([
+    { $match: { order: invoice.order, type: 'credit_note' } },
+    { $group: { _id: null, total: { $sum: '$totalINR' } } },
+  ]);
+  const alreadyCredited = credited[0] ? credited[0].total : 0;
+  if (round2(alreadyCredited + amountINR) > invoice.totalINR) {
+    throw new ErrorResponse(`Credit notes cannot exceed the invoiced amount of ₹${invoice.totalINR.toFixed(2)}.`, 400);
+  }
+
+  const ratio = invoice.totalINR > 0 ? amountINR / invoice.totalINR : 0;
+  const scaleComponents = (components) => components.map((c) => ({
+    name: c.name,
+    rate: c.rate,
+    taxableINR: c.taxableINR !== undefined ? round2(c.taxableINR * ratio) : undefined,
+    amountINR: round2(c.amountINR * ratio),
+  }));
+
+  const lines = invoice.lines.map((line) => {
+    const taxComponents = scaleComponents(line.taxComponents);
+    const taxableINR = round2(line.taxableINR * ratio);
+    return {
+      product: line.product,
+      description: line.description,
+      hsnCode: line.hsnCode,
+      quantity: line.quantity,
+      unitPriceINR: line.unitPriceINR,
+      discountINR: round2(line.discountINR * ratio),
+      taxableINR,
+      taxRate: line.taxRate,
+      taxComponents,
+      totalINR: round2(taxableINR + taxComponents.reduce((s, c) => s + c.amountINR, 0)),
+    };
+  });
+
+  const shippingINR = round2(invoice.shippingINR * ratio);
+  const taxINR = round2(lines.reduce((sum, l) => sum + l.taxComponents.reduce((s, c) => s + c.amountINR, 0), 0));
+
+  // Put any rounding difference on the first line's taxable value
+  const computed = round2(lines.reduce((sum, l) => sum + l.totalINR, 0) + shippingINR);
+  const residue = round2(amountINR - computed);
+  if (residue !== 0 && lines.length > 0) {
+    lines[0].taxableINR = round2(Math.max(0, lines[0].taxableINR + residue));
+    lines[0].totalINR = round2(Math.max(0, lines[0].totalINR + residue));
+  }
+
+  const creditNote = await createNumbered({
+    type: 'credit_note',
+    order: orderId,
+    orderNumber: invoice.orderNumber,
+    customer: invoice.customer,
+    invoice: invoice._id,
+    refund,
+    reason,
+    seller: invoice.seller,
+    billingAddress: invoice.billingAddress,
+    shippingAddress: invoice.shippingAddress,
+    placeOfSupply: invoice.placeOfSupply,
+    taxScheme: invoice.taxScheme,
+    lines,
+    taxBreakdown: scaleComponents(invoice.taxBreakdown),
+    shippingINR,
+    taxableINR: round2(lines.reduce((sum, l) => sum + l.taxableINR, 0)),
+    taxINR,
+    totalINR: round2(amountINR),
+  });
+
+  logger.info(`Credit note ${creditNote.number} issued against invoice ${invoice.number}`);
+  return creditNote;
+};
+
+/**
+ * Render an invoice or credit note as a PDF.
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoice = (invoice) => generateInvoicePDF(invoice);
+
+/**
+ * File name for a document's PDF.
+ * @param {Object} invoice
+ * @returns {string}
+ */
+const invoiceFileName = (invoice) => `${invoice.number.replace(/\//g, '-')}.pdf`;
+
+/**
+ * Email the order confirmation (templates/orderConfirmation.html) with the
+ * invoice attached. Used once payment has been captured. Payment can be
+ * confirmed by more than one path (return URL and webhook), so the invoice is
+ * only ever emailed once.
+ * @param {string|Object} orderOrId - Order document or ID
+ * @returns {Promise<Object|null>} - The invoice sent, or null if it had already been sent
+ */
+const sendInvoiceEmail = async (orderOrId) => {
+  const issued = await issueInvoice(orderOrId);
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: issued._id, emailedAt: null },
+    { $set: { emailedAt: new Date() } },
+    { new: true }
+  );
+  if (!invoice) {
+    return null;
+  }
+
+  const order = await Order.findById(invoice.order).populate('customer', 'name email');
+
+  try {
+    const pdf = await renderInvoice(invoice);
+    const html = compileTemplate('orderConfirmation.html', {
+      name: order.customer.name,
+      orderNumber: order.orderNumber,
+      items: invoice.lines.map((line) => ({
+        title: line.description,
+        hsnCode: line.hsnCode,
+        quantity: line.quantity,
+        price: line.unitPriceINR.toFixed(2),
+        total: line.totalINR.toFixed(2),
+      })),
+      discount: order.discountINR > 0 ? order.discountINR.toFixed(2) : null,
+      couponCode: order.couponCode,
+      subtotal: invoice.taxableINR.toFixed(2),
+      taxes: invoice.taxBreakdown.map((tax) => ({
+        name: tax.name,
+        rate: tax.rate,
+        amount: tax.amountINR.toFixed(2),
+      })),
+      shipping: invoice.shippingINR.toFixed(2),
+      totalAmount: invoice.totalINR.toFixed(2),
+      invoiceNumber: invoice.number,
+      status: order.status,
+      supportUrl: process.env.SUPPORT_URL || 'http://localhost:5173/contact',
+    });
+
+    await sendEmail({
+      email: order.customer.email,
+      subject: `Your Order Confirmation ${order.orderNumber} - 10X Formulas`,
+      message: `Hi ${order.customer.name}, your payment has been received. Your invoice ${invoice.number} is attached.`,
+      html,
+      attachments: [{ filename: invoiceFileName(invoice), content: pdf, contentType: 'application/pdf' }],
+    });
+  } catch (error) {
+    // Let a later attempt send it
+    await Invoice.updateOne({ _id: invoice._id }, { $set: { emailedAt: null } });
+    throw error;
+  }
+
+  logger.info(`Invoice ${invoice.number} emailed to ${order.customer.email}`);
+  return invoice;
+};
+
+module.exports = {
+  financialYear,
+  isInvoiceable,
+  issueInvoice,
+  issueCreditNote,
+  renderInvoice,
+  invoiceFileName,
+  sendInvoiceEmail,
+};
@@ -0,0 +1,217 @@
+// services/orderLifecycleService.js
+
+const ORDER_STATUS = require('../constants/orderStatus');
+const USER_ROLES = require('../constants/userRoles');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+
+// Pseudo-roles used in the transition table alongside USER_ROLES
+const SYSTEM = 'system'; // payment callbacks and background jobs
+const CUSTOMER = 'customer'; // the customer who placed the order
+
+// Actor for changes that no signed-in user made
+const SYSTEM_ACTOR = { user: null, role: SYSTEM, name: 'System' };
+
+const ORDER_ADMINS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER];
+
+/**
+ * Allowed transitions: current status -> next status -> who may make it.
+ * Anything not listed here is rejected.
+ */
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: {
+    [ORDER_STATUS.PROCESSING]: [...ORDER_ADMINS, SYSTEM],
+    [ORDER_STATUS.CANCELLED]: [...ORDER_ADMINS, SYSTEM, CUSTOMER],
+  },
+  [ORDER_STATUS.PROCESSING]: {
+    [ORDER_STATUS.SHIPPED]: ORDER_ADMINS,
+    [ORDER_STATUS.CANCELLED]: ORDER_ADMINS,
+  },
+  [ORDER_STATUS.SHIPPED]: {
+    [ORDER_STATUS.DELIVERED]: [...ORDER_ADMINS, SYSTEM],
+    [ORDER_STATUS.REFUNDED]: [...ORDER_ADMINS, SYSTEM],
+  },
+  [ORDER_STATUS.DELIVERED]: {
+    [ORDER_STATUS.REFUNDED]: [...ORDER_ADMINS, SYSTEM],
+  },
+  [ORDER_STATUS.CANCELLED]: {},
+  [ORDER_STATUS.REFUNDED]: {},
+};
+
+/**
+ * Build an actor from an authenticated user (req.user).
+ * @param {Object} user
+ * @returns {Object} - { user, role, name }
+ */
+const actorFromUser = (user) => {
+  if (!user) {
+    return SYSTEM_ACTOR;
+  }
+  return { user: user._id, role: user.role, name: user.name };
+};
+
+/**
+ * Whether the table allows moving from one status to another at all.
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => Boolean(TRANSITIONS[from] && TRANSITIONS[from][to]);
+
+/**
+ * Whether an actor may make a transition on a given order.
+ * @param {Object} order
+ * @param {string} to
+ * @param {Object} actor
+ * @returns {boolean}
+ */
+const isPermitted = (order, to, actor) => {
+  const allowed = (TRANSITIONS[order.status] && TRANSITIONS[order.status][to]) || [];
+  if (allowed.includes(actor.role)) {
+    return true;
+  }
+
+  const customerId = order.customer && order.customer._id ? order.customer._id : order.customer;
+  return allowed.includes(CUSTOMER) &&
+    actor.user !== null &&
+    String(customerId) === String(actor.user);
+};
+
+/**
+ * Statuses the actor may move the order to next.
+ * @param {Object} order
+ * @param {Object} [actor=SYSTEM_ACTOR]
+ * @returns {Array<string>}
+ */
+const getAllowedTransitions = (order, actor = SYSTEM_ACTOR) =>
+  Object.keys(TRANSITIONS[order.status] || {}).filter((to) => isPermitted(order, to, actor));
+
+/**
+ * Throw if the transition is illegal (400) or the actor may not make it (403).
+ * @param {Object} order
+ * @param {string} to
+ * @param {Object} actor
+ */
+const assertTransition = (order, to, actor) => {
+  if (!canTransition(order.status, to)) {
+    const next = Object.keys(TRANSITIONS[order.status] || {});
+    throw new ErrorResponse(
+      `Order ${order.orderNumber} cannot move from '${order.status}' to '${to}'. ` +
+      (next.length ? `Allowed next statuses: ${next.join(', ')}.` : `'${order.status}' is a final status.`),
+      400
+    );
+  }
+
+  if (!isPermitted(order, to, actor)) {
+    throw new ErrorResponse(`You are not allowed to change order ${order.orderNumber} to '${to}'.`, 403);
+  }
+
+  // Cash on delivery orders are only dispatched once the customer has
+  // confirmed them, by OTP or on a call with ops
+  const verification = order.codDetails && order.codDetails.verification;
+  if (order.paymentMethod === 'cod' && order.status === ORDER_STATUS.PENDING && to === ORDER_STATUS.PROCESSING &&
+      !(verification && verification.status === 'verified')) {
+    throw new ErrorResponse(
+      `Cash on delivery order ${order.orderNumber} must be confirmed by the customer before it is processed.`,
+      400
+    );
+  }
+};
+
+/**
+ * Move an order to a new status and record it in the status history.
+ * This is the only supported way to change Order.status; the Order model
+ * rejects status changes made any other way. The caller saves the order.
+ * @param {Object} order - Order document
+ * @param {string} to - New status
+ * @param {Object} [options]
+ * @param {Object} [options.actor=SYSTEM_ACTOR] - { user, role, name }
+ * @param {string} [options.reason]
+ * @returns {Object} - The order
+ */
+const transitionOrder = (order, to, { actor = SYSTEM_ACTOR, reason } = {}) => {
+  assertTransition(order, to, actor);
+
+  const from = order.status;
+  order.$locals.statusTransition = true;
+  order.status = to;
+  order.statusHistory.push({
+    from,
+    to,
+    at: new Date(),
+    actor: {
+      user: actor.user || null,
+      role: actor.role,
+      name: actor.name,
+    },
+    reason,
+  });
+
+  logger.info(`Order ${order.orderNumber} moved from ${from} to ${to} by ${actor.role}${reason ? `: ${reason}` : ''}`);
+  return order;
+};
+
+/**
+ * Move an order to a new status with what that status brings with it, and
+ * save it. Every admin path (accept, status update, bulk update) goes through
+ * here so they all behave the same:
+ *   processing - the order's stock is committed; orders placed before stock
+ *                reservations have theirs reserved and committed now
+ *   shipped    - the ship date is stamped
+ *   delivered  - the delivery date is stamped; a cash on delivery order is
+ *                paid on handover, so its coupon use counts and it is invoiced
+ * Cancelling and refunding move stock and money and have their own flows.
+ * Throws an ErrorResponse when the transition is not allowed (400/403) or
+ * the stock is no longer there (400), leaving the order unchanged.
+ * @param {Object} order - Order document
+ * @param {string} to - New status
+ * @param {Object} [options]
+ * @param {Object} [options.actor=SYSTEM_ACTOR] - { user, role, name }
+ * @param {string} [options.reason]
+ * @returns {Promise<Object>} - The saved order
+ */
+const changeOrderStatus = async (order, to, { actor = SYSTEM_ACTOR, reason } = {}) => {
+  // Required here: both services move orders through this module
+  const { reserveStock, hasReservations, commitReservations } = require('./inventoryService');
+  const { confirmRedemption } = require('./couponService');
+  const { sendInvoiceEmail } = require('./invoiceService');
+
+  assertTransition(order, to, actor);
+
+  if (to === ORDER_STATUS.PROCESSING) {
+    if (!(await hasReservations(order._id))) {
+      await reserveStock(order, order.items);
+    }
+    await commitReservations(order._id);
+  }
+
+  transitionOrder(order, to, { actor, reason });
+  if (to === ORDER_STATUS.SHIPPED) {
+    order.shippingDate = new Date();
+  } else if (to === ORDER_STATUS.DELIVERED) {
+    order.deliveryDate = new Date();
+  }
+  await order.save();
+
+  if (to === ORDER_STATUS.DELIVERED && order.paymentMethod === 'cod') {
+    await confirmRedemption(order._id);
+    try {
+      await sendInvoiceEmail(order._id);
+    } catch (invoiceError) {
+      logger.error(`Failed to invoice order ${order.orderNumber}: ${invoiceError.message}`);
+    }
+  }
+
+  return order;
+};
+
+module.exports = {
+  SYSTEM_ACTOR,
+  TRANSITIONS,
+  actorFromUser,
+  canTransition,
+  getAllowedTransitions,
+  assertTransition,
+  transitionOrder,
+  changeOrderStatus,
+};
@@ -0,0 +1,287 @@
+// services/paymentRetryService.js
+
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Setting = require('../models/Settings');
+const ORDER_STATUS = require('../constants/orderStatus');
+const { processPayment, RETRY_LINK_GATEWAYS } = require('./paymentService');
+const { getHoldExpiry, extendHold } = require('./inventoryService');
+const { sendEmail } = require('./emailService');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+
+// Settings key holding the retry link cadence; see DEFAULT_RETRY_SETTINGS
+const PAYMENT_RETRY_SETTING = 'payment_retry';
+
+/**
+ * Used where the 'payment_retry' setting leaves a field out. Reminders go out
+ * the given number of minutes after the order was placed; the first must come
+ * before the initial stock hold (STOCK_HOLD_MINUTES) lapses. Sending a link
+ * extends the hold to windowHours after the order was placed.
+ */
+const DEFAULT_RETRY_SETTINGS = {
+  enabled: true,
+  reminderMinutes: (process.env.PAYMENT_RETRY_REMINDER_MINUTES || '15,180,1380')
+    .split(',')
+    .map(Number)
+    .filter((minutes) => Number.isFinite(minutes) && minutes > 0),
+  windowHours: Number(process.env.PAYMENT_RETRY_WINDOW_HOURS) || 24,
+};
+
+// Payment states a retry link can still fix
+const RETRYABLE_PAYMENT_STATUSES = ['pending', 'failed'];
+
+/**
+ * Retry link settings: the 'payment_retry' setting over DEFAULT_RETRY_SETTINGS.
+ * @returns {Promise<Object>}
+ */
+const getRetrySettings = async () => {
+  const setting = await Setting.findOne({ key: PAYMENT_RETRY_SETTING, isActive: true }).lean();
+  const value = setting && setting.value && typeof setting.value === 'object' ? setting.value : {};
+  const settings = { ...DEFAULT_RETRY_SETTINGS, ...value };
+  settings.reminderMinutes = [...settings.reminderMinutes].map(Number).sort((a, b) => a - b);
+  return settings;
+};
+
+/**
+ * @returns {string}
+ */
+const signingSecret = () => process.env.PAYMENT_LINK_SECRET || process.env.JWT_SECRET;
+
+/**
+ * @param {string} payload
+ * @returns {string}
+ */
+const sign = (payload) => crypto.createHmac('sha256', signingSecret()).update(payload).digest('base64url');
+
+/**
+ * Token for a retry link: '<orderId>.<expiry in epoch seconds>.<HMAC>'.
+ * @param {string} orderId
+ * @param {Date} expiresAt
+ * @returns {string}
+ */
+const signRetryToken = (orderId, expiresAt) => {
+  const payload = `${orderId}.${Math.floor(expiresAt.getTime() / 1000)}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Check a retry link token's signature and expiry.
+ * @param {string} token
+ * @returns {string} - The order ID
+ */
+const readRetryToken = (token) => {
+  const invalid = new ErrorResponse('This payment link is invalid or has expired.', 404);
+  const [orderId, expires, signature] = String(token || '').split('.');
+  if (!orderId || !expires || !signature) {
+    throw invalid;
+  }
+
+  const expected = Buffer.from(sign(`${orderId}.${expires}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw invalid;
+  }
+  if (Number(expires) * 1000 < Date.now()) {
+    throw invalid;
+  }
+  return orderId;
+};
+
+/**
+ * Throw 400 unless the order is still awaiting an online payment that a
+ * retry link can complete.
+ * @param {Object} order
+ */
+const assertRetryable = (order) => {
+  if (!RETRY_LINK_GATEWAYS.includes(order.paymentMethod)) {
+    throw new ErrorResponse(`Order ${order.orderNumber} is not paid through a gateway that supports retry links.`, 400);
+  }
+  if (order.status !== ORDER_STATUS.PENDING || !RETRYABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new ErrorResponse(`Order ${order.orderNumber} is no longer awaiting payment.`, 400);
+  }
+};
+
+/**
+ * Email the customer a signed link to complete payment. The order's stock
+ * hold is extended to the end of the retry window, and the link expires with
+ * the hold.
+ * @param {Object} order - Order document, customer populated
+ * @returns {Promise<Object>} - { url, expiresAt }
+ */
+const sendRetryLink = async (order) => {
+  assertRetryable(order);
+
+  const holdExpiry = await getHoldExpiry(order._id);
+  if (!holdExpiry || holdExpiry <= new Date()) {
+    throw new ErrorResponse(`The stock held for order ${order.orderNumber} has been released.`, 400);
+  }
+
+  const settings = await getRetrySettings();
+  const windowEnd = new Date(order.createdAt.getTime() + settings.windowHours * 60 * 60 * 1000);
+  if (windowEnd > holdExpiry) {
+    await extendHold(order._id, windowEnd);
+  }
+  const expiresAt = windowEnd > holdExpiry ? windowEnd : holdExpiry;
+
+  const token = signRetryToken(order._id, expiresAt);
+  const url = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/complete-payment/${token}`;
+
+  await sendEmail({
+    email: order.customer.email,
+    subject: `Complete your payment for order ${order.orderNumber} - 10X Formulas`,
+    message: `Hi ${order.customer.name}, your payment for order ${order.orderNumber} did not go through. ` +
+      `Your items are reserved until ${expiresAt.toUTCString()}. Complete your payment here: ${url}`,
+    html: `<p>Hi ${order.customer.name},</p><p>Your payment for order <strong>${order.orderNumber}</strong> did not go through.</p><p>We have reserved your items until ${expiresAt.toUTCString()}.</p><p><a href="${url}">Complete your payment of ₹${order.finalAmount.toFixed(2)}</a></p>`,
+  });
+
+  const now = new Date();
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $inc: { 'paymentRetry.remindersSent': 1 },
+      $set: {
+        'paymentRetry.lastSentAt': now,
+        'paymentRetry.linkExpiresAt': expiresAt,
+        ...(!(order.paymentRetry && order.paymentRetry.firstSentAt) && { 'paymentRetry.firstSentAt': now }),
+      },
+    }
+  );
+
+  logger.info(`Payment retry link sent for order ${order.orderNumber}, valid until ${expiresAt.toISOString()}`);
+  return { url, expiresAt };
+};
+
+/**
+ * Send the reminders that are due: one per step of the cadence, to orders
+ * whose online payment failed or was abandoned and whose stock is still held.
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Most orders to remind per run
+ * @returns {Promise<Object>} - { sent, skipped }
+ */
+const sendDueReminders = async ({ limit = 100 } = {}) => {
+  const settings = await getRetrySettings();
+  const steps = settings.reminderMinutes;
+  if (!settings.enabled || steps.length === 0) {
+    return { sent: 0, skipped: 0 };
+  }
+
+  const now = Date.now();
+  const candidates = await Order.find({
+    paymentMethod: { $in: RETRY_LINK_GATEWAYS },
+    status: ORDER_STATUS.PENDING,
+    paymentStatus: { $in: RETRYABLE_PAYMENT_STATUSES },
+    createdAt: {
+      $gte: new Date(now - settings.windowHours * 60 * 60 * 1000),
+      $lte: new Date(now - steps[0] * 60 * 1000),
+    },
+    'paymentRetry.remindersSent': { $not: { $gte: steps.length } },
+  })
+    .populate('customer', 'name email')
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  let sent = 0;
+  let skipped = 0;
+  for (const order of candidates) {
+    const reminded = (order.paymentRetry && order.paymentRetry.remindersSent) || 0;
+    if (order.createdAt.getTime() + steps[reminded] * 60 * 1000 > now) {
+      continue;
+    }
+    if (!order.customer || !order.customer.email) {
+      skipped += 1;
+      continue;
+    }
+
+    try {
+      await sendRetryLink(order);
+      sent += 1;
+    } catch (error) {
+      skipped += 1;
+      logger.warn(`Payment retry link not sent for order ${order.orderNumber}: ${error.message}`);
+    }
+  }
+
+  return { sent, skipped };
+};
+
+/**
+ * The order a retry link was sent for, if it can still be paid.
+ * @param {string} token
+ * @returns {Promise<Object>} - Order document
+ */
+const findOrderByRetryToken = async (token) => {
+  const order = await Order.findById(readRetryToken(token));
+  if (!order) {
+    throw new ErrorResponse('This payment link is invalid or has expired.', 404);
+  }
+  assertRetryable(order);
+
+  const holdExpiry = await getHoldExpiry(order._id);
+  if (!holdExpiry || holdExpiry <= new Date()) {
+    throw new ErrorResponse('This payment link has expired and the items are no longer reserved.', 410);
+  }
+  return order;
+};
+
+/**
+ * Start a fresh gateway payment for the order behind a retry link.
+ * @param {string} token
+ * @param {Object} params - { clientIp }
+ * @returns {Promise<Object>} - See paymentService.processPayment
+ */
+const startRetry = async (token, { clientIp }) => {
+  const order = await findOrderByRetryToken(token);
+
+  await Order.updateOne({ _id: order._id }, { $set: { 'paymentRetry.lastOpenedAt': new Date() } });
+  return processPayment(order, { clientIp });
+};
+
+/**
+ * How many reminded orders were opened and paid.
+ * @param {Object} [range]
+ * @param {Date} [range.from] - First reminder sent on or after
+ * @param {Date} [range.to] - First reminder sent before
+ * @returns {Promise<Object>}
+ */
+const getRetryStats = async ({ from, to } = {}) => {
+  const match = { 'paymentRetry.firstSentAt': { $ne: null } };
+  if (from) match['paymentRetry.firstSentAt'].$gte = from;
+  if (to) match['paymentRetry.firstSentAt'].$lt = to;
+
+  const [stats] = await Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        ordersReminded: { $sum: 1 },
+        remindersSent: { $sum: '$paymentRetry.remindersSent' },
+        opened: { $sum: { $cond: [{ $ifNull: ['$paymentRetry.lastOpenedAt', false] }, 1, 0] } },
+        recovered: { $sum: { $cond: [{ $ifNull: ['$paymentRetry.recoveredAt', false] }, 1, 0] } },
+        recoveredAmount: { $sum: { $cond: [{ $ifNull: ['$paymentRetry.recoveredAt', false] }, '$finalAmount', 0] } },
+      },
+    },
+  ]);
+
+  const totals = stats || { ordersReminded: 0, remindersSent: 0, opened: 0, recovered: 0, recoveredAmount: 0 };
+  delete totals._id;
+  return {
+    ...totals,
+    conversionRate: totals.ordersReminded ? Math.round((totals.recovered / totals.ordersReminded) * 10000) / 100 : 0,
+  };
+};
+
+/**
+ * Exported functions
+ */
+module.exports = {
+  PAYMENT_RETRY_SETTING,
+  getRetrySettings,
+  signRetryToken,
+  readRetryToken,
+  sendRetryLink,
+  sendDueReminders,
+  findOrderByRetryToken,
+  startRetry,
+  getRetryStats,
+};
@@ -1,137 +1,363 @@
 // services/paymentService.js
 
 const logger = require('../utils/logger');
+const ErrorResponse = require('../utils/errorResponse');
 const Order = require('../models/Order');
 const Transaction = require('../models/Transaction');
-const billDeskService = require('./billDeskService');
+const Cart = require('../models/Cart');
+const { getGateway, assertGatewayEnabled } = require('./gateways');
+const {
+  reserveStock,
+  hasReservations,
+  hasActiveReservations,
+  commitReservations,
+  releaseReservations,
+} = require('./inventoryService');
+const { reclaimRedemption, confirmRedemption, releaseRedemption } = require('./couponService');
+const { sendInvoiceEmail } = require('./invoiceService');
+const { createRefund } = require('./refundService');
+const { SYSTEM_ACTOR, transitionOrder } = require('./orderLifecycleService');
 
-// Get the active payment method from environment
-const PAYMENT_METHOD = process.env.PAYMENT_METHOD || 'billdesk';
+// Order payment statuses that mean the money is already in
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
 
-// Log the active payment method
-logger.info(`Payment method configured: ${PAYMENT_METHOD}`);
+// Gateways whose failed payments keep their stock hold, so the customer can
+// finish paying from a retry link (services/paymentRetryService.js)
+const RETRY_LINK_GATEWAYS = ['billdesk'];
 
 /**
- * Process a payment using BillDesk or COD
+ * A failed payment through a gateway outside RETRY_LINK_GATEWAYS releases the
+ * order's stock hold and coupon use (see applyPaymentResult). Take both again
+ * before another attempt, so that a payment which then succeeds has stock to
+ * commit and a coupon use to count. Throws an ErrorResponse (400), leaving
+ * nothing taken, when the stock or the coupon use is no longer available.
+ * @param {Object} order - Order document
+ * @returns {Promise<void>}
+ */
+const reacquireHold = async (order) => {
+  // Orders from before stock reservations never had a hold to take back
+  if (order.paymentStatus !== 'failed' || !(await hasReservations(order._id))
+      || await hasActiveReservations(order._id)) {
+    return;
+  }
+
+  try {
+    await reserveStock(order, order.items, { expires: true });
+  } catch (error) {
+    throw new ErrorResponse(`Order ${order.orderNumber} can no longer be paid: ${error.message}`, error.statusCode || 400);
+  }
+
+  try {
+    await reclaimRedemption(order._id);
+  } catch (error) {
+    await releaseReservations(order._id, 'Coupon could not be reserved again');
+    throw new ErrorResponse(`Order ${order.orderNumber} can no longer be paid: ${error.message}`, error.statusCode || 400);
+  }
+};
+
+/**
+ * Start a payment for an order through its gateway adapter. Passing a
+ * different paymentMethod switches the order to that gateway, if it is
+ * offered for the order's region. A cash on delivery order paid online
+ * (through its conversion link) stays cash on delivery, and may already be
+ * processing, until the gateway confirms the payment.
  * @param {Object} order - The order object
- * @param {Object} paymentDetails - Payment specific details
- * @param {string} paymentDetails.paymentMethod - 'billdesk' or 'cod'
- * @returns {Promise<Object>} - Payment result
+ * @param {Object} [paymentDetails]
+ * @param {string} [paymentDetails.paymentMethod] - Gateway name; defaults to order.paymentMethod
+ * @param {string} [paymentDetails.clientIp] - Customer IP, required by some gateways
+ * @returns {Promise<Object>} - { gateway, transaction, clientData }
  */
-const processPayment = async (order, paymentDetails) => {
-  const { paymentMethod } = paymentDetails;
+const processPayment = async (order, { paymentMethod, clientIp } = {}) => {
+  if (PAID_STATUSES.includes(order.paymentStatus)) {
+    throw new ErrorResponse(`Order ${order.orderNumber} has already been paid.`, 400);
+  }
 
-  if (paymentMethod === 'billdesk') {
-    return await processBillDeskPayment(order, paymentDetails);
-  } else if (paymentMethod === 'cod') {
-    return await processCODPayment(order, paymentDetails);
-  } else {
-    throw new Error('Unsupported payment method. Use "billdesk" or "cod"');
+  const gateway = paymentMethod && paymentMethod !== order.paymentMethod
+    ? await assertGatewayEnabled(paymentMethod, order.shippingAddress && order.shippingAddress.country)
+    : getGateway(order.paymentMethod);
+  const converting = order.paymentMethod === 'cod' && gateway.online;
+
+  const payableStatuses = converting ? ['pending', 'processing'] : ['pending'];
+  if (!payableStatuses.includes(order.status)) {
+    throw new ErrorResponse(`Order ${order.orderNumber} is ${order.status} and cannot be paid.`, 400);
   }
+
+  if (!converting) {
+    await reacquireHold(order);
+  }
+
+  const { transaction, clientData } = await gateway.createIntent(order, { clientIp });
+
+  // A new attempt after a failed one puts the order back to awaiting payment
+  if (!converting) {
+    order.paymentMethod = gateway.name;
+    order.paymentStatus = 'pending';
+    if (order.isModified()) {
+      await order.save();
+    }
+  }
+
+  logger.info(`${gateway.name} payment started for order ${order.orderNumber}`);
+  return { gateway: gateway.name, transaction, clientData };
 };
 
 /**
- * Process Cash on Delivery payment
- * @param {Object} order 
- * @param {Object} paymentDetails 
- * @returns {Promise<Object>}
+ * Empty the customer's cart once their payment is in.
+ * @param {Object} order
+ * @returns {Promise<void>}
  */
-const processCODPayment = async (order, paymentDetails) => {
+const clearCart = async (order) => {
   try {
-    // Create a transaction record for COD
-    const transaction = await Transaction.create({
-      order: order._id,
-      paymentMethod: 'cod',
-      amount: order.finalAmount,
-      status: 'pending',
-      transactionId: `COD-${order.orderNumber}`,
-      metadata: { paymentOnDelivery: true },
-    });
-
-    // Update order status
-    order.paymentStatus = 'pending';
-    order.status = 'confirmed';
-    order.paymentMethod = 'cod';
-    await order.save();
-
-    logger.info(`COD payment processed for order ${order._id}`);
-
-    return {
-      success: true,
-      message: 'Order placed successfully. Payment will be collected on delivery.',
-      order,
-      transaction
-    };
-  } catch (error) {
-    logger.error(`COD payment processing failed for order ${order._id}: ${error.message}`);
-    throw new Error('COD payment processing failed');
+    const cart = await Cart.findOne({ user: order.customer });
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+      logger.info(`Cart cleared for user ${order.customer} after successful payment`);
+    }
+  } catch (cartError) {
+    // Continue even if cart clearing fails - payment was successful
+    logger.error(`Failed to clear cart after payment: ${cartError.message}`);
   }
 };
 
+/**
+ * Find the order a gateway payment result is for.
+ * @param {string} gatewayName
+ * @param {Object} result - Payment result from a gateway adapter
+ * @returns {Promise<Object>} - { order, attempt }: order is null when unknown;
+ *   attempt is the repeat attempt's transaction when the result names one
+ */
+const findResultOrder = async (gatewayName, result) => {
+  const order = await Order.findOne({ orderNumber: result.orderNumber });
+  if (order) {
+    return { order, attempt: null };
+  }
 
+  // Repeat attempts carry their own gateway order number; see
+  // billDeskService.createPaymentRequest
+  const attempt = await Transaction.findOne({ orderNumber: result.orderNumber, paymentMethod: gatewayName });
+  return { order: attempt && await Order.findById(attempt.order), attempt };
+};
 
 /**
- * Process payment using BillDesk
- * @param {Object} order 
- * @param {Object} paymentDetails 
- * @returns {Promise<Object>}
+ * Send back a payment that completed after its order was cancelled, e.g.
+ * once the stock hold had lapsed. If the refund cannot be started, or the
+ * gateway rejects it, the order is flagged for review instead.
+ * @param {Object} order - Order claimed as paid
+ * @param {string} gatewayName
+ * @param {Object|null} transaction
+ * @returns {Promise<Object>} - The order as it now stands
  */
-const processBillDeskPayment = async (order, paymentDetails) => {
+const refundCancelledOrder = async (order, gatewayName, transaction) => {
+  logger.warn(`${gatewayName} payment received for order ${order.orderNumber} after it was cancelled; refunding it`);
+
+  let failureReason = null;
   try {
-    // Create BillDesk order
-    const billDeskOrder = await billDeskService.createOrder(order);
-    
-    logger.info(`BillDesk payment initiated for order ${order._id}: ${billDeskOrder.bdOrderId}`);
-    
-    return {
-      success: true,
-      paymentData: {
-        bdOrderId: billDeskOrder.bdOrderId,
-        merchantId: billDeskOrder.merchantId,
-        rdata: billDeskOrder.rdata
-      }
-    };
+    const refund = await createRefund(order, { reason: 'Payment received after the order was cancelled.' });
+    if (refund.status === 'failed') {
+      failureReason = refund.failureReason;
+    }
   } catch (error) {
-    logger.error(`BillDesk payment failed for order ${order._id}: ${error.message}`);
-    throw new Error('BillDesk payment failed');
+    failureReason = error.message;
+  }
+
+  if (failureReason) {
+    const reason = `Payment received after cancellation could not be refunded: ${failureReason}`;
+    logger.error(`Order ${order.orderNumber} needs review: ${reason}`);
+    await Order.updateOne({ _id: order._id }, { $set: { paymentReviewReason: reason } });
+    if (transaction) {
+      transaction.metadata.set('needsReview', reason);
+      await transaction.save();
+    }
   }
+
+  return Order.findById(order._id);
 };
 
 /**
- * Verify BillDesk webhook
- * @param {Object} req - Express request object
- * @returns {Promise<Object>} - Processed webhook data
+ * Apply a gateway payment result to its transaction and order. This is the
+ * single place an order becomes paid or its payment failed, and it is safe to
+ * call more than once for the same payment: a completed
+ * payment marks the order paid, moves it to processing, commits the stock
+ * hold and coupon, invoices the customer and clears their cart; a failed
+ * payment releases the hold and coupon (or, for RETRY_LINK_GATEWAYS, leaves
+ * them until the hold lapses) and leaves the order pending so the customer
+ * can pay again. A payment completing on a cancelled order is refunded
+ * rather than invoiced (see refundCancelledOrder).
+ * @param {string} gatewayName
+ * @param {Object|null} result - Payment result from a gateway adapter
+ * @returns {Promise<Object|null>} - { order, transaction, status }, or null
+ *   when the result is empty or names an unknown order
  */
-const verifyBillDeskWebhook = async (req) => {
-  try {
-    return await billDeskService.processWebhook(req);
-  } catch (error) {
-    logger.error(`BillDesk webhook verification failed: ${error.message}`);
-    throw new Error('BillDesk webhook verification failed');
+const applyPaymentResult = async (gatewayName, result) => {
+  if (!result) {
+    return null;
+  }
+
+  const found = await findResultOrder(gatewayName, result);
+  const { attempt } = found;
+  let { order } = found;
+  if (!order) {
+    logger.error(`${gatewayName} payment result for unknown order ${result.orderNumber}`);
+    return null;
+  }
+
+  const transaction = result.transactionId
+    ? await Transaction.findById(result.transactionId)
+    : attempt || await Transaction.findOne({ order: order._id, paymentMethod: gatewayName }).sort({ createdAt: -1 });
+
+  let { status } = result;
+
+  // Never mark an order paid for less than was asked
+  if (status === 'completed' && transaction && result.amount !== undefined &&
+      Math.abs(Number(result.amount) - transaction.amount) > 0.01) {
+    logger.error(
+      `${gatewayName} reported ${result.amount} for order ${order.orderNumber}, expected ${transaction.amount}; leaving payment pending`
+    );
+    transaction.metadata.set('amountMismatch', String(result.amount));
+    status = 'pending';
+  }
+
+  if (transaction) {
+    if (!['completed', 'refunded'].includes(transaction.status)) {
+      transaction.status = status;
+    }
+    if (result.gatewayTransactionId) {
+      transaction.metadata.set('gatewayPaymentId', String(result.gatewayTransactionId));
+    }
+    if (result.message) {
+      transaction.metadata.set('gatewayMessage', String(result.message));
+    }
+    await transaction.save();
+  }
+
+  // Claim the order's payment state atomically so that repeat or concurrent
+  // notifications for the same payment settle the order only once
+  if (status === 'completed' && !PAID_STATUSES.includes(order.paymentStatus)) {
+    const convertedFromCod = order.paymentMethod === 'cod' && gatewayName !== 'cod';
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: { $nin: PAID_STATUSES } },
+      {
+        $set: {
+          paymentStatus: 'paid',
+          paymentMethod: gatewayName,
+          ...(convertedFromCod && { 'codDetails.conversion.convertedAt': new Date() }),
+          ...(order.paymentRetry && order.paymentRetry.remindersSent > 0 && { 'paymentRetry.recoveredAt': new Date() }),
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      logger.info(`Order ${order.orderNumber} was already settled; ignoring repeat ${gatewayName} result`);
+      return { order: await Order.findById(order._id), transaction, status };
+    }
+    order = claimed;
+
+    // The cash on delivery payment record is superseded by the online one
+    if (convertedFromCod) {
+      await Transaction.updateOne(
+        { order: order._id, paymentMethod: 'cod', status: 'pending' },
+        { $set: { status: 'failed', 'metadata.convertedTo': gatewayName } }
+      );
+      logger.info(`Cash on delivery order ${order.orderNumber} converted to prepaid via ${gatewayName}`);
+    }
+
+    if (order.status === 'cancelled') {
+      return { order: await refundCancelledOrder(order, gatewayName, transaction), transaction, status };
+    }
+
+    if (order.status === 'pending') {
+      transitionOrder(order, 'processing', { actor: SYSTEM_ACTOR, reason: `${gatewayName} payment completed` });
+      await order.save();
+    } else if (!(convertedFromCod && order.status === 'processing')) {
+      logger.warn(`Payment received for order ${order.orderNumber} while it is ${order.status}; it may need a refund`);
+    }
+
+    await commitReservations(order._id);
+    await confirmRedemption(order._id);
+    try {
+      await sendInvoiceEmail(order._id);
+    } catch (invoiceError) {
+      logger.error(`Failed to invoice order ${order.orderNumber}: ${invoiceError.message}`);
+    }
+    await clearCart(order);
+
+    logger.info(`Order ${order.orderNumber} paid via ${gatewayName}`);
+  } else if (status === 'failed' && order.paymentMethod === 'cod' && gatewayName !== 'cod') {
+    // A failed conversion attempt leaves the order to be paid in cash
+    logger.info(`Online payment for cash on delivery order ${order.orderNumber} failed via ${gatewayName}; it stays cash on delivery`);
+  } else if (status === 'failed' && order.paymentStatus === 'pending') {
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: 'pending' },
+      { $set: { paymentStatus: 'failed' } },
+      { new: true }
+    );
+    if (!claimed) {
+      return { order: await Order.findById(order._id), transaction, status };
+    }
+    order = claimed;
+
+    // Keep the hold while a retry link can still complete the payment; the
+    // stock hold job releases it and cancels the order if it lapses
+    if (!RETRY_LINK_GATEWAYS.includes(gatewayName)) {
+      await releaseReservations(order._id, `${gatewayName} payment failed`);
+      await releaseRedemption(order._id, `${gatewayName} payment failed`);
+    }
+
+    logger.info(`Order ${order.orderNumber} payment failed via ${gatewayName}`);
   }
+
+  return { order, transaction, status };
 };
 
 /**
- * Handle BillDesk webhook event
- * @param {Object} data - Webhook data
- * @returns {Promise<void>}
+ * Verify what the customer's browser brought back from a gateway and apply it.
+ * @param {string} gatewayName
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {Function} [options.canAccess] - (order) => boolean; checked before
+ *   anything is applied, throwing an ErrorResponse (403) when it is false
+ * @returns {Promise<Object|null>} - See applyPaymentResult
  */
-const handleBillDeskEvent = async (data) => {
-  try {
-    return await billDeskService.handleTransactionStatus(data);
-  } catch (error) {
-    logger.error(`BillDesk event handling failed: ${error.message}`);
-    throw new Error('BillDesk event handling failed');
+const verifyPayment = async (gatewayName, payload, { canAccess } = {}) => {
+  const gateway = getGateway(gatewayName);
+  const result = await gateway.verifyReturn(payload);
+
+  if (canAccess && result) {
+    const { order } = await findResultOrder(gateway.name, result);
+    if (order && !canAccess(order)) {
+      throw new ErrorResponse('You are not authorized to access this order.', 403);
+    }
+  }
+
+  return applyPaymentResult(gateway.name, result);
+};
+
+/**
+ * Ask the gateway where the order's latest payment stands and apply the answer.
+ * @param {Object} order
+ * @returns {Promise<Object|null>} - See applyPaymentResult; null when the
+ *   order has no transaction yet
+ */
+const refreshPaymentStatus = async (order) => {
+  const transaction = await Transaction.findOne({ order: order._id }).sort({ createdAt: -1 });
+  if (!transaction) {
+    return null;
   }
+
+  const gateway = getGateway(transaction.paymentMethod);
+  const result = await gateway.retrieveStatus(transaction);
+  return applyPaymentResult(gateway.name, { transactionId: transaction._id, ...result });
 };
 
 /**
  * Exported functions
  */
 module.exports = {
+  PAID_STATUSES,
+  RETRY_LINK_GATEWAYS,
   processPayment,
-  processBillDeskPayment,
-  processCODPayment,
-  verifyBillDeskWebhook,
-  handleBillDeskEvent,
+  applyPaymentResult,
+  verifyPayment,
+  refreshPaymentStatus,
 };
@@ -0,0 +1,233 @@
+// services/pricingService.js
+
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const Settings = require('../models/Settings');
+const ErrorResponse = require('../utils/errorResponse');
+const { getRate } = require('./fxRateService');
+const { round2, summariseLines } = require('../utils/pricingUtils');
+const { getEligibleLines, assertCouponEligible } = require('./couponService');
+const { getTaxContext, calculateLineTax, summariseTax } = require('./taxService');
+
+// Flat shipping fee in INR, used until 'shipping.flatFee' is set in Settings
+const DEFAULT_SHIPPING_FEE = 100;
+
+/**
+ * Read a numeric setting, falling back when it is missing or not a number.
+ * @param {string} key - Settings key
+ * @param {number|null} fallback
+ * @returns {Promise<number|null>}
+ */
+const getNumericSetting = async (key, fallback) => {
+  const setting = await Settings.findOne({ key, isActive: true }).lean();
+  const value = setting ? Number(setting.value) : NaN;
+  return isNaN(value) ? fallback : value;
+};
+
+/**
+ * Shipping fee for a merchandise total. 'shipping.flatFee' overrides the
+ * default fee and 'shipping.freeAbove' waives it for larger orders.
+ * @param {number} merchandiseINR - Order value after discounts, in INR
+ * @returns {Promise<number>} - Shipping fee in INR
+ */
+const getShippingFee = async (merchandiseINR) => {
+  const flatFee = await getNumericSetting('shipping.flatFee', DEFAULT_SHIPPING_FEE);
+  const freeAbove = await getNumericSetting('shipping.freeAbove', null);
+
+  if (freeAbove !== null && merchandiseINR >= freeAbove) {
+    return 0;
+  }
+  return round2(flatFee);
+};
+
+/**
+ * Load and validate a coupon for a quote.
+ * @param {string} couponCode
+ * @returns {Promise<Object>} - Coupon document
+ */
+const loadCoupon = async (couponCode) => {
+  const coupon = await Coupon.findOne({ code: couponCode.toUpperCase(), isActive: true });
+  if (!coupon) {
+    throw new ErrorResponse('Invalid or inactive coupon code.', 400);
+  }
+
+  const validation = Coupon.canApplyCoupon(coupon);
+  if (!validation.success) {
+    throw new ErrorResponse(validation.message, 400);
+  }
+  return coupon;
+};
+
+/**
+ * Build a line-by-line price quote.
+ * This is the only place prices are calculated: the cart, coupon preview and
+ * order creation all charge exactly what this returns.
+ *
+ * Per line: variant price -> product discountPercentage -> share of the
+ * coupon discount -> tax. Shipping is added once on the order.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.items - { product, variantId, packaging, quantity }
+ *   (or variant, the size, in place of variantId)
+ * @param {string} [params.couponCode] - Coupon to apply
+ * @param {string} [params.customerId] - Customer, for per-customer coupon rules
+ * @param {Object} [params.shippingAddress] - Used to work out tax
+ * @param {Date} [params.at=new Date()] - Pricing time (selects the FX rate)
+ * @returns {Promise<Object>} - { currency, exchangeRate, lines, coupon, tax, totals }
+ */
+const buildQuote = async ({ items, couponCode = null, customerId = null, shippingAddress = null, at = new Date() }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ErrorResponse('No items provided for the quote.', 400);
+  }
+
+  const exchangeRate = await getRate('USD', 'INR', at);
+  const rate = exchangeRate.rate;
+
+  // 1. Variant price and product discount
+  const lines = [];
+  for (const item of items) {
+    const productId = item.product && item.product._id ? item.product._id : item.product;
+    const product = await Product.findById(productId).select('title thumbnail categories taxClass variants packaging discountPercentage isActive');
+
+    if (!product || product.isActive === false) {
+      throw new ErrorResponse('One or more products in your order are no longer available.', 400);
+    }
+
+    const variant = product.findVariant(item);
+    if (!variant) {
+      throw new ErrorResponse(`Variant ${item.variant || item.variantId} is not available for ${product.title}.`, 400);
+    }
+
+    // A variant with its own packaging always ships in it
+    const packaging = variant.packaging || item.packaging;
+    if (packaging && !product.packaging.includes(packaging)) {
+      throw new ErrorResponse(`${product.title} is not available in ${packaging}.`, 400);
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ErrorResponse(`Invalid quantity for ${product.title}.`, 400);
+    }
+
+    const discountPercentage = product.discountPercentage || 0;
+    const productDiscountUSD = round2((variant.price * discountPercentage) / 100);
+
+    lines.push({
+      product: product._id,
+      title: product.title,
+      thumbnail: product.thumbnail,
+      categories: product.categories,
+      taxClass: product.taxClass,
+      variantId: variant._id,
+      variant: variant.size,
+      sku: variant.sku,
+      packaging,
+      quantity,
+      unitPriceUSD: variant.price,
+      discountPercentage,
+      productDiscountUSD,
+      netUnitPriceUSD: round2(variant.price - productDiscountUSD),
+      couponDiscountUSD: 0,
+      taxRate: 0,
+      taxINR: 0,
+      taxComponents: [],
+    });
+  }
+
+  // 2. Coupon, limited to the lines it is scoped to and spread across them in
+  //    proportion to their value so each line carries its own share (needed
+  //    for per-line tax and partial refunds)
+  let coupon = null;
+  if (couponCode) {
+    const couponDoc = await loadCoupon(couponCode);
+    const eligible = await getEligibleLines(couponDoc, lines);
+    const eligibleLines = lines.filter((line, index) => eligible[index]);
+
+    if (eligibleLines.length === 0) {
+      throw new ErrorResponse('This coupon does not apply to any items in your order.', 400);
+    }
+
+    const netUSD = round2(eligibleLines.reduce((sum, l) => sum + l.netUnitPriceUSD * l.quantity, 0));
+    await assertCouponEligible(couponDoc, { merchandiseINR: round2(netUSD * rate), customerId });
+
+    const { discount } = couponDoc.applyCoupon(netUSD);
+    const couponDiscountUSD = round2(discount);
+
+    let allocated = 0;
+    eligibleLines.forEach((line, index) => {
+      const lineNetUSD = line.netUnitPriceUSD * line.quantity;
+      const share = index === eligibleLines.length - 1
+        ? round2(couponDiscountUSD - allocated)
+        : round2(netUSD > 0 ? (couponDiscountUSD * lineNetUSD) / netUSD : 0);
+      line.couponDiscountUSD = share;
+      allocated = round2(allocated + share);
+    });
+
+    coupon = {
+      _id: couponDoc._id,
+      code: couponDoc.code,
+      discountType: couponDoc.discountType,
+      discount: couponDoc.discount,
+      discountUSD: couponDiscountUSD,
+      eligibleLines: eligibleLines.length,
+    };
+  }
+
+  // 3. Tax on what the customer actually pays for each line, at the rate for
+  //    the product's tax class in the destination region
+  const taxContext = await getTaxContext(shippingAddress);
+  for (const line of lines) {
+    const lineNetUSD = line.netUnitPriceUSD * line.quantity - line.couponDiscountUSD;
+    line.lineNetINR = round2(lineNetUSD * rate);
+    Object.assign(line, calculateLineTax(taxContext, line.taxClass, line.lineNetINR));
+    line.lineTotalINR = round2(line.lineNetINR + line.taxINR);
+  }
+
+  // 4. Shipping, based on the discounted merchandise value
+  const merchandiseINR = round2(lines.reduce((sum, l) => sum + l.lineNetINR, 0));
+  const shippingINR = await getShippingFee(merchandiseINR);
+
+  return {
+    currency: 'INR',
+    exchangeRate,
+    lines,
+    coupon,
+    tax: {
+      scheme: taxContext.scheme,
+      region: taxContext.region,
+      state: taxContext.state,
+      intraState: taxContext.intraState,
+      breakdown: summariseTax(lines),
+    },
+    totals: summariseLines(lines, { rate, shippingINR }),
+  };
+};
+
+/**
+ * Map quote lines onto Order item subdocuments.
+ * @param {Object} quote - Result of buildQuote
+ * @returns {Array<Object>}
+ */
+const toOrderItems = (quote) => quote.lines.map((line) => ({
+  product: line.product,
+  variantId: line.variantId,
+  variant: line.variant,
+  sku: line.sku,
+  packaging: line.packaging,
+  quantity: line.quantity,
+  price: line.unitPriceUSD,
+  discountPercentage: line.discountPercentage,
+  productDiscountUSD: line.productDiscountUSD,
+  couponDiscountUSD: line.couponDiscountUSD,
+  taxClass: line.taxClass,
+  taxRate: line.taxRate,
+  taxINR: line.taxINR,
+  taxComponents: line.taxComponents,
+  lineTotalINR: line.lineTotalINR,
+}));
+
+module.exports = {
+  DEFAULT_SHIPPING_FEE,
+  buildQuote,
+  toOrderItems,
+};
@@ -0,0 +1,648 @@
+// services/productImportService.js
+
+const ExcelJS = require('exceljs');
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const ProductImport = require('../models/ProductImport');
+const Tag = require('../models/Tag');
+const { clearVocabulary } = require('./productSearchService');
+const { changeProduct } = require('./productPublishingService');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+const { readSpreadsheet } = require('../utils/spreadsheetUtils');
+
+// Largest file, in rows, one import may contain
+const MAX_ROWS = 5000;
+
+// An import still queued this long after upload was never picked up
+const QUEUED_GRACE_MS = 60 * 1000;
+
+// An import processing this long was left behind by a worker that died
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+// Separates several values in one cell, e.g. 'energy|sugar-free'
+const LIST_SEPARATOR = '|';
+
+/**
+ * Spreadsheet columns, in export order. There is one row per variant; the
+ * product columns may be left blank on a product's later rows, and the
+ * first value given is used. On import a blank cell leaves the field as it
+ * is, and variants missing from the file are kept.
+ */
+const PRODUCT_COLUMNS = [
+  'slug', 'title', 'description', 'brand', 'categories', 'tags', 'discount_percentage', 'tax_class',
+  'hsn_code', 'thumbnail', 'images', 'product_bg', 'packaging', 'is_active',
+  'accordion_details', 'accordion_shipping', 'accordion_returns',
+];
+const VARIANT_COLUMNS = [
+  'variant_id', 'sku', 'size', 'variant_packaging', 'price', 'compare_at_price', 'stock', 'barcode',
+  'weight', 'length', 'width', 'height', 'variant_images',
+];
+const COLUMNS = [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS];
+
+// Product schema path -> column, for reporting validation errors
+const PRODUCT_FIELD_COLUMNS = {
+  slug: 'slug',
+  title: 'title',
+  description: 'description',
+  brand: 'brand',
+  categories: 'categories',
+  tags: 'tags',
+  discountPercentage: 'discount_percentage',
+  taxClass: 'tax_class',
+  hsnCode: 'hsn_code',
+  thumbnail: 'thumbnail',
+  images: 'images',
+  productBG: 'product_bg',
+  packaging: 'packaging',
+  isActive: 'is_active',
+  accordion: 'accordion_details',
+  'accordion.details': 'accordion_details',
+  'accordion.shipping': 'accordion_shipping',
+  'accordion.returns': 'accordion_returns',
+};
+const VARIANT_FIELD_COLUMNS = {
+  size: 'size',
+  packaging: 'variant_packaging',
+  sku: 'sku',
+  barcode: 'barcode',
+  price: 'price',
+  compareAtPrice: 'compare_at_price',
+  stock: 'stock',
+  weight: 'weight',
+  'dimensions.length': 'length',
+  'dimensions.width': 'width',
+  'dimensions.height': 'height',
+  images: 'variant_images',
+};
+
+/**
+ * Readers for the cells of one row. Values that cannot be read are
+ * reported on errors and come back undefined, like blank cells.
+ * @param {Object} record - Row keyed by normalised header
+ * @param {number} row - Spreadsheet row number
+ * @param {Array<Object>} errors - Row errors, appended to
+ * @returns {Object} - { text, list, number, integer, boolean }
+ */
+const cellReader = (record, row, errors) => {
+  const text = (column) => {
+    const value = record[column];
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    const trimmed = (value instanceof Date ? value.toISOString() : String(value)).trim();
+    return trimmed === '' ? undefined : trimmed;
+  };
+
+  const number = (column, { integer = false } = {}) => {
+    const value = text(column);
+    if (value === undefined) {
+      return undefined;
+    }
+    const parsed = Number(value.replace(/,/g, ''));
+    if (!Number.isFinite(parsed) || (integer && !Number.isInteger(parsed))) {
+      errors.push({ row, column, message: `'${value}' is not ${integer ? 'a whole number' : 'a number'}` });
+      return undefined;
+    }
+    return parsed;
+  };
+
+  return {
+    text,
+    list: (column) => {
+      const value = text(column);
+      return value === undefined
+        ? undefined
+        : value.split(LIST_SEPARATOR).map((item) => item.trim()).filter(Boolean);
+    },
+    number,
+    integer: (column) => number(column, { integer: true }),
+    boolean: (column) => {
+      const value = text(column);
+      if (value === undefined) {
+        return undefined;
+      }
+      if (/^(true|yes|y|1)$/i.test(value)) return true;
+      if (/^(false|no|n|0)$/i.test(value)) return false;
+      errors.push({ row, column, message: `'${value}' is not true or false` });
+      return undefined;
+    },
+  };
+};
+
+/**
+ * @param {Object} record
+ * @returns {boolean} - Whether any variant column is filled in
+ */
+const hasVariant = (record) => VARIANT_COLUMNS.some((column) => {
+  const value = record[column];
+  return value !== undefined && value !== null && String(value).trim() !== '';
+});
+
+/**
+ * Sort rows into products: by slug, else by the product that already has
+ * the row's SKU, else by the slug the title would get.
+ * @param {Array<Object>} records
+ * @param {Array<Object>} errors
+ * @returns {Promise<Array<Object>>} - { slug, rows: [{ row, record }] }
+ */
+const groupRows = async (records, errors) => {
+  const entries = records
+    .map((record, i) => ({ row: i + 2, record }))
+    .filter(({ record }) => Object.values(record).some((value) => String(value ?? '').trim() !== ''));
+
+  // SKUs of rows without a slug, to find the products they belong to
+  const skus = entries
+    .filter(({ record }) => !String(record.slug ?? '').trim() && String(record.sku ?? '').trim())
+    .map(({ record }) => String(record.sku).trim().toUpperCase());
+  const slugBySku = new Map();
+  if (skus.length > 0) {
+    const products = await Product.find({ 'variants.sku': { $in: skus } }).select('slug variants.sku').lean();
+    products.forEach((product) => product.variants.forEach((variant) => {
+      if (variant.sku) slugBySku.set(variant.sku, product.slug);
+    }));
+  }
+
+  const groups = new Map();
+  entries.forEach(({ row, record }) => {
+    const slug = String(record.slug ?? '').trim().toLowerCase()
+      || slugBySku.get(String(record.sku ?? '').trim().toUpperCase())
+      || (String(record.title ?? '').trim() && slugify(String(record.title).trim(), { lower: true, strict: true }));
+
+    if (!slug) {
+      errors.push({ row, message: 'Give a slug, a title, or the SKU of an existing product' });
+      return;
+    }
+    if (!groups.has(slug)) {
+      groups.set(slug, { slug, rows: [] });
+    }
+    groups.get(slug).rows.push({ row, record });
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * Make sure every tag the file names exists. Missing tags are created,
+ * except in a dry run, where they are only counted.
+ * @param {Array<Object>} groups
+ * @param {boolean} dryRun
+ * @param {Array<Object>} errors
+ * @returns {Promise<Object>} - { tagIds: Map name -> ID, created }
+ */
+const prepareTags = async (groups, dryRun, errors) => {
+  const rowsByName = new Map();
+  groups.forEach((group) => group.rows.forEach(({ row, record }) => {
+    String(record.tags ?? '').split(LIST_SEPARATOR).map((name) => name.trim().toLowerCase()).filter(Boolean)
+      .forEach((name) => rowsByName.set(name, [...(rowsByName.get(name) || []), row]));
+  }));
+
+  const names = [...rowsByName.keys()];
+  const tags = await Tag.find({ name: { $in: names } }).select('name').lean();
+  const tagIds = new Map(tags.map((tag) => [tag.name, tag._id]));
+  const missing = names.filter((name) => !tagIds.has(name));
+
+  if (dryRun) {
+    // Check the names would be accepted without creating anything
+    missing.forEach((name) => {
+      const invalid = new Tag({ name }).validateSync();
+      if (invalid) {
+        rowsByName.get(name).forEach((row) => errors.push({ row, column: 'tags', message: invalid.errors.name.message }));
+      }
+    });
+    return { tagIds, created: missing.length };
+  }
+
+  let created = 0;
+  for (const name of missing) {
+    try {
+      const tag = await Tag.create({ name });
+      tagIds.set(name, tag._id);
+      created += 1;
+    } catch (error) {
+      const message = error.errors && error.errors.name ? error.errors.name.message : error.message;
+      rowsByName.get(name).forEach((row) => errors.push({ row, column: 'tags', message }));
+    }
+  }
+  return { tagIds, created };
+};
+
+/**
+ * Apply a product's rows to the product with its slug, or a new one.
+ * @param {Object} group - From groupRows
+ * @param {Object} lookups - { existing: Map slug -> Product, categoryIds: Map, tagIds: Map }
+ * @param {Array<Object>} errors
+ * @returns {Object} - { product, isNew, variantRows: Map variant index -> row }
+ */
+const buildProduct = (group, { existing, categoryIds, tagIds }, errors) => {
+  const isNew = !existing.has(group.slug);
+  const product = isNew ? new Product({ slug: group.slug }) : existing.get(group.slug);
+  const firstRow = group.rows[0].row;
+
+  // First non-blank value of a product column across the product's rows
+  const first = (read, column) => {
+    for (const { row, record } of group.rows) {
+      const value = cellReader(record, row, errors)[read](column);
+      if (value !== undefined) {
+        return { value, row };
+      }
+    }
+    return { value: undefined, row: firstRow };
+  };
+  const assign = (path, read, column) => {
+    const { value } = first(read, column);
+    if (value !== undefined) {
+      product.set(path, value);
+    }
+  };
+
+  assign('title', 'text', 'title');
+  assign('description', 'text', 'description');
+  assign('brand', 'text', 'brand');
+  assign('discountPercentage', 'number', 'discount_percentage');
+  assign('taxClass', 'text', 'tax_class');
+  assign('hsnCode', 'text', 'hsn_code');
+  assign('thumbnail', 'text', 'thumbnail');
+  assign('images', 'list', 'images');
+  assign('productBG', 'text', 'product_bg');
+  assign('packaging', 'list', 'packaging');
+  assign('isActive', 'boolean', 'is_active');
+  assign('accordion.details', 'text', 'accordion_details');
+  assign('accordion.shipping', 'text', 'accordion_shipping');
+  assign('accordion.returns', 'text', 'accordion_returns');
+
+  const categories = first('list', 'categories');
+  if (categories.value) {
+    const ids = categories.value.map((value) => {
+      const id = categoryIds.get(value.toLowerCase());
+      if (!id) {
+        errors.push({ row: categories.row, column: 'categories', message: `No product category '${value}'` });
+      }
+      return id;
+    });
+    if (ids.every(Boolean)) {
+      product.categories = ids;
+    }
+  }
+
+  const tags = first('list', 'tags');
+  if (tags.value) {
+    // Tags a dry run would have created are left off
+    product.tags = tags.value.map((name) => tagIds.get(name.toLowerCase())).filter(Boolean);
+  }
+
+  // Variants: by variant_id, then SKU, then size and packaging
+  const variantRows = new Map();
+  group.rows.filter(({ record }) => hasVariant(record)).forEach(({ row, record }) => {
+    const cell = cellReader(record, row, errors);
+    const variantId = cell.text('variant_id');
+    const sku = cell.text('sku');
+    const size = cell.text('size');
+    const packaging = cell.text('variant_packaging');
+
+    let variant = null;
+    if (variantId) {
+      variant = mongoose.Types.ObjectId.isValid(variantId) ? product.variants.id(variantId) : null;
+      if (!variant) {
+        errors.push({ row, column: 'variant_id', message: `This product has no variant ${variantId}` });
+        return;
+      }
+    } else if (sku) {
+      variant = product.variants.find((v) => v.sku === sku.toUpperCase()) || null;
+    }
+    if (!variant && !variantId && size) {
+      variant = product.findVariant({ variant: size, packaging });
+    }
+
+    let index = variant ? product.variants.indexOf(variant) : -1;
+    if (index !== -1 && variantRows.has(index)) {
+      errors.push({ row, message: `Same variant as row ${variantRows.get(index)}` });
+      return;
+    }
+    if (index === -1) {
+      index = product.variants.push({}) - 1;
+      variant = product.variants[index];
+    }
+    variantRows.set(index, row);
+
+    const fields = {
+      size,
+      packaging,
+      sku,
+      barcode: cell.text('barcode'),
+      price: cell.number('price'),
+      compareAtPrice: cell.number('compare_at_price'),
+      stock: cell.integer('stock'),
+      weight: cell.number('weight'),
+      'dimensions.length': cell.number('length'),
+      'dimensions.width': cell.number('width'),
+      'dimensions.height': cell.number('height'),
+      images: cell.list('variant_images'),
+    };
+    Object.entries(fields).forEach(([path, value]) => {
+      if (value !== undefined) {
+        variant.set(path, value);
+      }
+    });
+  });
+
+  return { product, isNew, variantRows };
+};
+
+/**
+ * Turn a Mongoose validation error into row errors.
+ * @param {Object} error - ValidationError
+ * @param {Object} group
+ * @param {Map} variantRows - Variant index -> row
+ * @returns {Array<Object>}
+ */
+const validationRowErrors = (error, group, variantRows) => Object.entries(error.errors)
+  // Nested documents report their fields' errors a second time
+  .filter(([, fieldError]) => !(fieldError instanceof mongoose.Error.ValidationError))
+  .map(([path, fieldError]) => {
+    const [field, index, ...rest] = path.split('.');
+    if (field === 'variants' && /^\d+$/.test(index || '')) {
+      return {
+        row: variantRows.get(Number(index)) || group.rows[0].row,
+        column: VARIANT_FIELD_COLUMNS[rest.join('.')] || VARIANT_FIELD_COLUMNS[rest[0]],
+        message: fieldError.message,
+      };
+    }
+    return {
+      row: group.rows[0].row,
+      column: PRODUCT_FIELD_COLUMNS[field === 'accordion' ? path : field] || (field === 'variants' ? 'sku' : undefined),
+      message: fieldError.message,
+    };
+  });
+
+/**
+ * Validate spreadsheet rows and, unless this is a dry run, save the
+ * products they describe. Each product is saved or rejected on its own.
+ * @param {Array<Object>} records - Rows keyed by normalised header
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false]
+ * @param {string} [options.userId] - Who uploaded the file, for the revisions
+ * @returns {Promise<Object>} - { totals, rowErrors, results }
+ */
+const importRows = async (records, { dryRun = false, userId } = {}) => {
+  if (records.length > MAX_ROWS) {
+    throw new ErrorResponse(`Files can have at most ${MAX_ROWS} rows; split this one up.`, 400);
+  }
+
+  const rowErrors = [];
+  const groups = await groupRows(records, rowErrors);
+
+  const [existingProducts, categories, { tagIds, created: tagsCreated }] = await Promise.all([
+    Product.find({ slug: { $in: groups.map((group) => group.slug) } }),
+    Category.find({ type: 'product' }).select('name slug').lean(),
+    prepareTags(groups, dryRun, rowErrors),
+  ]);
+  const existing = new Map(existingProducts.map((product) => [product.slug, product]));
+  const categoryIds = new Map();
+  categories.forEach((category) => {
+    categoryIds.set(category.name.toLowerCase(), category._id);
+    if (category.slug) categoryIds.set(category.slug, category._id);
+  });
+
+  const results = [];
+  for (const group of groups) {
+    const groupErrors = [];
+    const { product, isNew, variantRows } = buildProduct(group, { existing, categoryIds, tagIds }, groupErrors);
+    const rows = group.rows.map(({ row }) => row);
+
+    try {
+      await product.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      groupErrors.push(...validationRowErrors(error, group, variantRows));
+    }
+
+    let action = isNew ? 'create' : product.isModified() ? 'update' : 'unchanged';
+    if (groupErrors.length === 0 && !dryRun && action !== 'unchanged') {
+      try {
+        await changeProduct(product, { userId, note: 'Spreadsheet import' }, () => {});
+      } catch (error) {
+        groupErrors.push({ row: rows[0], message: error.code === 11000 ? 'A product with this slug or SKU already exists' : error.message });
+      }
+    }
+    if (groupErrors.length > 0) {
+      action = 'failed';
+    }
+
+    rowErrors.push(...groupErrors);
+    results.push({ slug: group.slug, product: isNew && (dryRun || action === 'failed') ? undefined : product._id, action, rows });
+  }
+
+  const count = (action) => results.filter((result) => result.action === action).length;
+  const totals = {
+    rows: records.length,
+    products: results.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    failed: count('failed'),
+    tagsCreated,
+  };
+
+  if (!dryRun && (totals.created > 0 || totals.updated > 0)) {
+    clearVocabulary();
+  }
+
+  rowErrors.sort((a, b) => a.row - b.row);
+  return { totals, rowErrors, results };
+};
+
+/**
+ * Run a queued import. Only one worker gets to claim it.
+ * @param {string} importId - ProductImport ID
+ * @returns {Promise<Object|null>} - The finished import, or null if it was
+ *   not waiting to run
+ */
+const processImport = async (importId) => {
+  const job = await ProductImport.findOneAndUpdate(
+    { _id: importId, status: 'queued' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true }
+  ).select('+file');
+  if (!job) {
+    return null;
+  }
+
+  try {
+    const records = await readSpreadsheet(job.file, job.fileName);
+    const { totals, rowErrors, results } = await importRows(records, { dryRun: job.dryRun, userId: job.uploadedBy });
+    job.set({ status: 'completed', totals, rowErrors, results });
+    logger.info(`Product import ${job._id}${job.dryRun ? ' (dry run)' : ''}: ${totals.created} created, ${totals.updated} updated, ${totals.failed} failed`);
+  } catch (error) {
+    job.set({ status: 'failed', error: error.message });
+    logger.error(`Product import ${job._id} failed: ${error.message}`);
+  }
+
+  // A dry run keeps its file so it can be applied
+  if (!job.dryRun) {
+    job.file = undefined;
+  }
+  job.finishedAt = new Date();
+  await job.save();
+  return job;
+};
+
+/**
+ * Start processing an import without making the caller wait.
+ * @param {Object} job - ProductImport document
+ */
+const runInBackground = (job) => {
+  setImmediate(() => {
+    processImport(job._id).catch((error) => {
+      logger.error(`Product import ${job._id} could not be processed: ${error.message}`);
+    });
+  });
+};
+
+/**
+ * Store an uploaded spreadsheet and process it in the background.
+ * @param {Object} params
+ * @param {Buffer} params.buffer - File contents
+ * @param {string} params.fileName - Original name (.csv or .xlsx)
+ * @param {boolean} [params.dryRun=false] - Only validate and report
+ * @param {Object} params.actor - User uploading the file
+ * @returns {Promise<Object>} - The queued import, without its file
+ */
+const queueImport = async ({ buffer, fileName, dryRun = false, actor }) => {
+  const job = await ProductImport.create({ fileName, file: buffer, dryRun, uploadedBy: actor._id });
+  runInBackground(job);
+  job.file = undefined;
+  return job;
+};
+
+/**
+ * Import for real the file a completed dry run checked.
+ * @param {Object} dryRunJob - ProductImport document of the dry run
+ * @param {Object} actor - User applying it
+ * @returns {Promise<Object>} - The new queued import
+ */
+const applyDryRun = async (dryRunJob, actor) => {
+  if (!dryRunJob.dryRun || dryRunJob.status !== 'completed') {
+    throw new ErrorResponse('Only a completed dry run can be applied.', 400);
+  }
+
+  const { file } = await ProductImport.findById(dryRunJob._id).select('+file').lean();
+  if (!file) {
+    throw new ErrorResponse('The file for this dry run is no longer available; upload it again.', 400);
+  }
+
+  return queueImport({ buffer: file.buffer || file, fileName: dryRunJob.fileName, actor });
+};
+
+/**
+ * Pick up imports that were never started, or whose worker died, e.g.
+ * across a restart.
+ * @returns {Promise<Array>} - Imports processed
+ */
+const processDueImports = async () => {
+  const now = Date.now();
+
+  await ProductImport.updateMany(
+    { status: 'processing', startedAt: { $lt: new Date(now - STALE_PROCESSING_MS) } },
+    { $set: { status: 'queued' } }
+  );
+
+  const due = await ProductImport.find({ status: 'queued', createdAt: { $lt: new Date(now - QUEUED_GRACE_MS) } })
+    .sort({ createdAt: 1 })
+    .select('_id');
+
+  const processed = [];
+  for (const { _id } of due) {
+    const job = await processImport(_id);
+    if (job) {
+      processed.push(job);
+    }
+  }
+  return processed;
+};
+
+/**
+ * Products as spreadsheet rows in the import format, one per variant.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false]
+ * @returns {Promise<Array<Object>>}
+ */
+const exportRows = async ({ includeInactive = false } = {}) => {
+  const products = await Product.find(includeInactive ? {} : { isActive: true })
+    .populate('categories', 'slug')
+    .populate('tags', 'name')
+    .sort({ slug: 1 })
+    .lean();
+
+  const join = (values) => (values || []).filter(Boolean).join(LIST_SEPARATOR);
+  const blank = (value) => (value === undefined || value === null ? '' : value);
+
+  return products.flatMap((product) => {
+    const productCells = {
+      slug: product.slug,
+      title: product.title,
+      description: product.description,
+      brand: product.brand,
+      categories: join((product.categories || []).map((category) => category.slug)),
+      tags: join((product.tags || []).map((tag) => tag.name)),
+      discount_percentage: blank(product.discountPercentage),
+      tax_class: blank(product.taxClass),
+      hsn_code: blank(product.hsnCode),
+      thumbnail: blank(product.thumbnail),
+      images: join(product.images),
+      product_bg: blank(product.productBG),
+      packaging: join(product.packaging),
+      is_active: product.isActive !== false,
+      accordion_details: blank(product.accordion && product.accordion.details),
+      accordion_shipping: blank(product.accordion && product.accordion.shipping),
+      accordion_returns: blank(product.accordion && product.accordion.returns),
+    };
+
+    return (product.variants || []).map((variant) => ({
+      ...productCells,
+      variant_id: String(variant._id),
+      sku: blank(variant.sku),
+      size: variant.size,
+      variant_packaging: blank(variant.packaging),
+      price: variant.price,
+      compare_at_price: blank(variant.compareAtPrice),
+      stock: variant.stock,
+      barcode: blank(variant.barcode),
+      weight: blank(variant.weight),
+      length: blank(variant.dimensions && variant.dimensions.length),
+      width: blank(variant.dimensions && variant.dimensions.width),
+      height: blank(variant.dimensions && variant.dimensions.height),
+      variant_images: join(variant.images),
+    }));
+  });
+};
+
+/**
+ * Write export rows as an Excel workbook.
+ * @param {Array<Object>} rows - From exportRows
+ * @returns {Promise<Buffer>}
+ */
+const exportWorkbook = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Products');
+  sheet.columns = COLUMNS.map((column) => ({ header: column, key: column, width: 20 }));
+  sheet.addRows(rows);
+  sheet.getRow(1).font = { bold: true };
+  return workbook.xlsx.writeBuffer();
+};
+
+/**
+ * Exported functions
+ */
+module.exports = {
+  COLUMNS,
+  importRows,
+  processImport,
+  queueImport,
+  applyDryRun,
+  processDueImports,
+  exportRows,
+  exportWorkbook,
+};
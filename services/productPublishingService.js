@@ -0,0 +1,420 @@
+// services/productPublishingService.js
+
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const ProductRevision = require('../models/ProductRevision');
+const PRODUCT_STATUS = require('../constants/productStatus');
+const { clearVocabulary } = require('./productSearchService');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+
+// Catalogue content a revision saves and a restore puts back
+const CONTENT_FIELDS = [
+  'title', 'slug', 'description', 'brand', 'discountPercentage', 'categories', 'tags', 'taxClass',
+  'hsnCode', 'thumbnail', 'images', 'productBG', 'packaging', 'variants', 'accordion',
+];
+
+// Publishing state a revision also records, so the history shows when a
+// product went live. A restore leaves these as they are.
+const STATE_FIELDS = ['status', 'publishAt', 'unpublishAt'];
+
+// How long a preview link works unless the caller asks otherwise
+const PREVIEW_LINK_HOURS = Number(process.env.PRODUCT_PREVIEW_HOURS) || 72;
+
+// Most products one scheduler run publishes or unpublishes, per direction
+const SCHEDULE_BATCH_SIZE = 100;
+
+/**
+ * A product's content and publishing state as plain JSON. Variant stock is
+ * left out: it moves with every order and is not restored.
+ * @param {Object} product - Product document
+ * @returns {Object}
+ */
+const snapshotProduct = (product) => {
+  const source = product.toObject({ depopulate: true, virtuals: false });
+  const snapshot = {};
+  [...CONTENT_FIELDS, ...STATE_FIELDS].forEach((field) => {
+    if (source[field] !== undefined && source[field] !== null) {
+      snapshot[field] = source[field];
+    }
+  });
+
+  const plain = JSON.parse(JSON.stringify(snapshot));
+  (plain.variants || []).forEach((variant) => {
+    delete variant.stock;
+  });
+  return plain;
+};
+
+/**
+ * Flatten a snapshot to { path: value }. Objects are walked; lists of
+ * subdocuments (variants) are keyed by _id so a reordered list is no change;
+ * other lists are compared whole.
+ * @param {*} value
+ * @param {string} path
+ * @param {Object} [out]
+ * @returns {Object}
+ */
+const flatten = (value, path, out = {}) => {
+  const isDocList = Array.isArray(value) && value.length > 0
+    && value.every((item) => item && typeof item === 'object' && item._id);
+
+  if (isDocList) {
+    value.forEach(({ _id, ...fields }) => flatten(fields, `${path}.${_id}`, out));
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach((key) => flatten(value[key], path ? `${path}.${key}` : key, out));
+  } else {
+    out[path] = value;
+  }
+  return out;
+};
+
+/**
+ * Fields that differ between two snapshots.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<Object>} - [{ path, before, after }]
+ */
+const diffSnapshots = (before, after) => {
+  const old = flatten(before, '');
+  const current = flatten(after, '');
+  const paths = [...new Set([...Object.keys(current), ...Object.keys(old)])];
+
+  return paths
+    .filter((path) => JSON.stringify(old[path]) !== JSON.stringify(current[path]))
+    .map((path) => ({ path, before: old[path], after: current[path] }));
+};
+
+/**
+ * Save the product's current state as its next revision, with the changes
+ * since the previous one. An 'update' that changed nothing tracked (say,
+ * only stock) is not recorded.
+ * @param {Object} product - Saved Product document
+ * @param {Object} options
+ * @param {string} options.action - See ProductRevision.action
+ * @param {string} [options.userId]
+ * @param {string} [options.note]
+ * @param {number} [options.restoredFrom]
+ * @returns {Promise<Object|null>} - The revision, or null if none was needed
+ */
+const recordRevision = async (product, { action, userId, note, restoredFrom }) => {
+  const previous = await ProductRevision.findOne({ product: product._id }).sort({ revision: -1 }).lean();
+  const snapshot = snapshotProduct(product);
+  const changes = previous ? diffSnapshots(previous.snapshot, snapshot) : [];
+  if (previous && action === 'update' && changes.length === 0) {
+    return null;
+  }
+
+  const { revision } = await Product.findByIdAndUpdate(
+    product._id,
+    { $inc: { revision: 1 } },
+    { new: true, projection: { revision: 1 } }
+  ).lean();
+
+  // Mirror the counter without leaving it to be saved again
+  product.revision = revision;
+  product.unmarkModified('revision');
+
+  return ProductRevision.create({
+    product: product._id,
+    revision,
+    action,
+    snapshot,
+    changes,
+    restoredFrom,
+    note,
+    createdBy: userId,
+  });
+};
+
+/**
+ * Products from before revisions were kept have none; save how such a
+ * product stands in the database so its first tracked change has something
+ * to diff against and restore to.
+ * @param {string} productId
+ * @returns {Promise<void>}
+ */
+const ensureBaseline = async (productId) => {
+  if (await ProductRevision.exists({ product: productId })) {
+    return;
+  }
+  const stored = await Product.findById(productId);
+  if (stored) {
+    await recordRevision(stored, { action: 'baseline' });
+  }
+};
+
+/**
+ * Apply a change to a product, save it and record the revision.
+ * @param {Object} product - Product document
+ * @param {Object} revision - recordRevision options
+ * @param {Function} apply - Makes the change on the document
+ * @returns {Promise<Object|null>} - The revision
+ */
+const changeProduct = async (product, revision, apply) => {
+  const { isNew } = product;
+  if (!isNew) {
+    await ensureBaseline(product._id);
+  }
+
+  const wasActive = !isNew && product.isActive;
+  apply(product);
+  await product.save();
+
+  // Search suggestions only cover what is on the storefront
+  if (wasActive !== product.isActive) {
+    clearVocabulary();
+  }
+
+  return recordRevision(product, { action: isNew ? 'create' : 'update', ...revision });
+};
+
+/**
+ * Put a product on the storefront now. Clears a pending publish time; an
+ * unpublish time still applies.
+ * @param {Object} product - Product document
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} - The revision
+ */
+const publishProduct = async (product, { userId, note } = {}) => {
+  if (product.status === PRODUCT_STATUS.PUBLISHED) {
+    throw new ErrorResponse(`${product.title} is already published.`, 400);
+  }
+  if (product.unpublishAt && product.unpublishAt <= new Date()) {
+    throw new ErrorResponse(`${product.title} is scheduled to be unpublished at a time that has passed; clear or move it first.`, 400);
+  }
+
+  return changeProduct(product, { action: 'publish', userId, note }, (doc) => {
+    doc.status = PRODUCT_STATUS.PUBLISHED;
+    doc.publishAt = undefined;
+  });
+};
+
+/**
+ * Take a product off the storefront now, back to draft. Clears a pending
+ * unpublish time.
+ * @param {Object} product - Product document
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} - The revision
+ */
+const unpublishProduct = async (product, { userId, note } = {}) => {
+  if (product.status !== PRODUCT_STATUS.PUBLISHED) {
+    throw new ErrorResponse(`${product.title} is not published.`, 400);
+  }
+
+  return changeProduct(product, { action: 'unpublish', userId, note }, (doc) => {
+    doc.status = PRODUCT_STATUS.DRAFT;
+    doc.unpublishAt = undefined;
+  });
+};
+
+/**
+ * Set or clear the times a product is published and unpublished. A field
+ * left undefined keeps its current value; null clears it.
+ * @param {Object} product - Product document
+ * @param {Object} schedule
+ * @param {Date|null} [schedule.publishAt]
+ * @param {Date|null} [schedule.unpublishAt]
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} - The revision
+ */
+const scheduleProduct = async (product, { publishAt, unpublishAt }, { userId, note } = {}) => {
+  if (product.status === PRODUCT_STATUS.ARCHIVED) {
+    throw new ErrorResponse(`${product.title} is archived; publish it before scheduling.`, 400);
+  }
+  if (publishAt && product.status === PRODUCT_STATUS.PUBLISHED) {
+    throw new ErrorResponse(`${product.title} is already published.`, 400);
+  }
+  const willPublish = product.status === PRODUCT_STATUS.PUBLISHED
+    || (publishAt !== undefined ? Boolean(publishAt) : Boolean(product.publishAt));
+  if (unpublishAt && !willPublish) {
+    throw new ErrorResponse(`${product.title} is not published or scheduled to be, so it cannot be unpublished.`, 400);
+  }
+
+  return changeProduct(product, { action: 'schedule', userId, note }, (doc) => {
+    if (publishAt !== undefined) doc.publishAt = publishAt || undefined;
+    if (unpublishAt !== undefined) doc.unpublishAt = unpublishAt || undefined;
+  });
+};
+
+/**
+ * Take a product off the storefront for good (what deleting does). It can
+ * be published again.
+ * @param {Object} product - Product document
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @returns {Promise<Object>} - The revision
+ */
+const archiveProduct = async (product, { userId } = {}) =>
+  changeProduct(product, { action: 'archive', userId }, (doc) => {
+    doc.status = PRODUCT_STATUS.ARCHIVED;
+    doc.publishAt = undefined;
+    doc.unpublishAt = undefined;
+  });
+
+/**
+ * Put a product's content back as it was at a revision. Publishing state and
+ * stock are kept; variants the revision has that the product no longer does
+ * come back with no stock.
+ * @param {Object} product - Product document
+ * @param {number} revisionNumber
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} - The new revision
+ */
+const restoreRevision = async (product, revisionNumber, { userId, note } = {}) => {
+  const target = await ProductRevision.findOne({ product: product._id, revision: revisionNumber }).lean();
+  if (!target) {
+    throw new ErrorResponse(`Revision ${revisionNumber} of this product was not found.`, 404);
+  }
+
+  const stock = new Map(product.variants.map((variant) => [String(variant._id), variant.stock]));
+
+  return changeProduct(product, { action: 'restore', userId, note, restoredFrom: revisionNumber }, (doc) => {
+    CONTENT_FIELDS.forEach((field) => {
+      doc.set(field, target.snapshot[field]);
+    });
+    doc.variants = (target.snapshot.variants || []).map((variant) => ({
+      ...variant,
+      stock: stock.get(String(variant._id)) || 0,
+    }));
+  });
+};
+
+/**
+ * Apply scheduled publishing that has come due: publish drafts whose
+ * publishAt has passed, then unpublish products whose unpublishAt has.
+ * Archived products are never published by the scheduler.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - { published, unpublished } product IDs
+ */
+const applyDueSchedules = async (now = new Date()) => {
+  const published = [];
+  const unpublished = [];
+
+  const toPublish = await Product.find({ status: PRODUCT_STATUS.DRAFT, publishAt: { $lte: now } })
+    .sort({ publishAt: 1 })
+    .limit(SCHEDULE_BATCH_SIZE);
+  for (const product of toPublish) {
+    try {
+      await changeProduct(product, { action: 'publish', note: 'Scheduled publish' }, (doc) => {
+        doc.status = PRODUCT_STATUS.PUBLISHED;
+        doc.publishAt = undefined;
+      });
+      published.push(product._id);
+    } catch (error) {
+      logger.error(`Scheduled publish of product ${product._id} failed: ${error.message}`);
+    }
+  }
+
+  const toUnpublish = await Product.find({ status: PRODUCT_STATUS.PUBLISHED, unpublishAt: { $lte: now } })
+    .sort({ unpublishAt: 1 })
+    .limit(SCHEDULE_BATCH_SIZE);
+  for (const product of toUnpublish) {
+    try {
+      await changeProduct(product, { action: 'unpublish', note: 'Scheduled unpublish' }, (doc) => {
+        doc.status = PRODUCT_STATUS.DRAFT;
+        doc.unpublishAt = undefined;
+      });
+      unpublished.push(product._id);
+    } catch (error) {
+      logger.error(`Scheduled unpublish of product ${product._id} failed: ${error.message}`);
+    }
+  }
+
+  return { published, unpublished };
+};
+
+/**
+ * @returns {string}
+ */
+const signingSecret = () => process.env.PRODUCT_PREVIEW_SECRET || process.env.JWT_SECRET;
+
+/**
+ * @param {string} payload
+ * @returns {string}
+ */
+const sign = (payload) => crypto.createHmac('sha256', signingSecret()).update(`preview.${payload}`).digest('base64url');
+
+/**
+ * Token for a preview link: '<productId>.<expiry in epoch seconds>.<HMAC>'.
+ * @param {string} productId
+ * @param {Date} expiresAt
+ * @returns {string}
+ */
+const signPreviewToken = (productId, expiresAt) => {
+  const payload = `${productId}.${Math.floor(expiresAt.getTime() / 1000)}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * The product a preview token was issued for, if the token is genuine and
+ * unexpired.
+ * @param {string} token
+ * @returns {string|null} - Product ID
+ */
+const readPreviewToken = (token) => {
+  const [productId, expires, signature] = String(token || '').split('.');
+  if (!productId || !expires || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(`${productId}.${expires}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+  if (Number(expires) * 1000 < Date.now()) {
+    return null;
+  }
+  return productId;
+};
+
+/**
+ * Whether a storefront request may see the product: it is published, or the
+ * request carries a preview token for it.
+ * @param {Object} product - Product document
+ * @param {string} [previewToken]
+ * @returns {boolean}
+ */
+const canView = (product, previewToken) =>
+  product.isActive || (Boolean(previewToken) && readPreviewToken(previewToken) === String(product._id));
+
+/**
+ * A link that shows an unpublished product on the storefront until it
+ * expires. The storefront passes the token on as ?preview=.
+ * @param {Object} product - Product document
+ * @param {number} [hours=PREVIEW_LINK_HOURS]
+ * @returns {Object} - { url, token, expiresAt }
+ */
+const createPreviewLink = (product, hours = PREVIEW_LINK_HOURS) => {
+  const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+  const token = signPreviewToken(product._id, expiresAt);
+  const url = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/products/${product.slug}?preview=${token}`;
+  return { url, token, expiresAt };
+};
+
+module.exports = {
+  CONTENT_FIELDS,
+  snapshotProduct,
+  diffSnapshots,
+  recordRevision,
+  ensureBaseline,
+  changeProduct,
+  publishProduct,
+  unpublishProduct,
+  scheduleProduct,
+  archiveProduct,
+  restoreRevision,
+  applyDueSchedules,
+  readPreviewToken,
+  canView,
+  createPreviewLink,
+};
@@ -0,0 +1,470 @@
+// services/productSearchService.js
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Tag = require('../models/Tag');
+const Category = require('../models/Category');
+const { expandCategoryFilter } = require('./categoryService');
+
+// Most products a text query ranks before filters and paging apply
+const CANDIDATE_LIMIT = 500;
+
+// How long the spelling vocabulary is trusted before it is rebuilt
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+// Price band edges in USD for the price facet, e.g. '0,5,10,25,50'
+const PRICE_BANDS = (process.env.SEARCH_PRICE_BANDS || '0,5,10,25,50')
+  .split(',')
+  .map(Number)
+  .filter((edge) => !isNaN(edge))
+  .sort((a, b) => a - b);
+
+// Relevance on top of MongoDB's text score
+const BRAND_WEIGHT = 2;
+const TAG_WEIGHT = 1.5;
+const TITLE_PREFIX_BONUS = 1;
+
+let vocabulary = null;
+
+/**
+ * @param {string} value
+ * @returns {string} - value with regular expression characters escaped
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a query into lowercase words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * neighbouring letters, giving up once it exceeds max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number}
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const next = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        next[j] = Math.min(next[j], previousRow[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, next[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = next;
+  }
+  return row[b.length];
+};
+
+/**
+ * Words customers can search for: those in active product titles and brands,
+ * and active tag names, with how often each occurs.
+ * @returns {Promise<Map<string, number>>}
+ */
+const getVocabulary = async () => {
+  if (vocabulary && vocabulary.builtAt > Date.now() - VOCABULARY_TTL_MS) {
+    return vocabulary.words;
+  }
+
+  const [products, tags] = await Promise.all([
+    Product.find({ isActive: true }).select('title brand').lean(),
+    Tag.find({ isActive: true }).select('name').lean(),
+  ]);
+
+  const words = new Map();
+  const add = (text) => tokenize(text)
+    .filter((word) => word.length >= 3)
+    .forEach((word) => words.set(word, (words.get(word) || 0) + 1));
+  products.forEach((product) => {
+    add(product.title);
+    add(product.brand);
+  });
+  tags.forEach((tag) => add(tag.name));
+
+  vocabulary = { words, builtAt: Date.now() };
+  return words;
+};
+
+/**
+ * Forget the vocabulary, e.g. after products are renamed.
+ */
+const clearVocabulary = () => {
+  vocabulary = null;
+};
+
+/**
+ * Replace misspelt words with the closest known word: one edit is allowed
+ * from four letters, two from eight. Known words, numbers and short words
+ * are kept as typed.
+ * @param {string[]} terms
+ * @returns {Promise<Object>} - { terms, corrected }
+ */
+const correctTerms = async (terms) => {
+  const words = await getVocabulary();
+  let corrected = false;
+
+  const result = terms.map((term) => {
+    if (term.length < 4 || /^\d+$/.test(term) || words.has(term)) {
+      return term;
+    }
+
+    const max = term.length >= 8 ? 2 : 1;
+    let best = null;
+    for (const [word, frequency] of words) {
+      const distance = editDistance(term, word, max);
+      if (distance <= max && (!best || distance < best.distance ||
+          (distance === best.distance && frequency > best.frequency))) {
+        best = { word, distance, frequency };
+      }
+    }
+
+    if (best) {
+      corrected = true;
+      return best.word;
+    }
+    return term;
+  });
+
+  return { terms: result, corrected };
+};
+
+/**
+ * Score active products against search terms: MongoDB's text score on
+ * title and description, plus weight for brand and tag matches and a bonus
+ * when the title starts with the query.
+ * @param {string[]} terms
+ * @returns {Promise<Map<string, number>>} - Product ID -> score
+ */
+const scoreCandidates = async (terms) => {
+  const scores = new Map();
+  const add = (id, score) => scores.set(String(id), (scores.get(String(id)) || 0) + score);
+  const wordPattern = new RegExp(`(^|\\s)(${terms.map(escapeRegex).join('|')})`, 'i');
+
+  const [textMatches, brandMatches, tags] = await Promise.all([
+    Product.find({ $text: { $search: terms.join(' ') }, isActive: true }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(CANDIDATE_LIMIT)
+      .select('_id title')
+      .lean(),
+    Product.find({ brand: wordPattern, isActive: true }).select('_id').limit(CANDIDATE_LIMIT).lean(),
+    Tag.find({ name: { $in: terms }, isActive: true }).select('_id').lean(),
+  ]);
+
+  const phrase = terms.join(' ');
+  textMatches.forEach((product) => {
+    add(product._id, product.score);
+    if (product.title.toLowerCase().startsWith(phrase)) {
+      add(product._id, TITLE_PREFIX_BONUS);
+    }
+  });
+  brandMatches.forEach((product) => add(product._id, BRAND_WEIGHT));
+
+  if (tags.length > 0) {
+    const tagIds = tags.map((tag) => String(tag._id));
+    const tagged = await Product.find({ tags: { $in: tagIds }, isActive: true })
+      .select('_id tags')
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+    tagged.forEach((product) => {
+      const hits = product.tags.filter((tag) => tagIds.includes(String(tag))).length;
+      add(product._id, hits * TAG_WEIGHT);
+    });
+  }
+
+  return scores;
+};
+
+/**
+ * Price band label for a band starting at edge index i, e.g. '10-25' or '50+'.
+ * @param {number} i
+ * @returns {string}
+ */
+const bandLabel = (i) => (i < PRICE_BANDS.length - 1
+  ? `${PRICE_BANDS[i]}-${PRICE_BANDS[i + 1]}`
+  : `${PRICE_BANDS[i]}+`);
+
+/**
+ * Match conditions for each filter, kept apart so every facet can be counted
+ * with all filters but its own.
+ * @param {Object} filters - See searchProducts, with categoryIds holding
+ *   the category filter already expanded to subcategories
+ * @returns {Object} - Facet name -> match condition
+ */
+const buildFilterClauses = ({ categoryIds, packaging, sizes, tags, priceMin, priceMax, priceBand, inStock }) => {
+  const clauses = {};
+  if (categoryIds) {
+    clauses.category = { categories: { $in: categoryIds } };
+  }
+  if (packaging && packaging.length > 0) {
+    clauses.packaging = { packaging: { $in: packaging } };
+  }
+  if (sizes && sizes.length > 0) {
+    clauses.size = { 'variants.size': { $in: sizes } };
+  }
+  if (tags && tags.length > 0) {
+    // Cast here: the facet aggregation does not cast like find() does
+    clauses.tag = { tags: { $in: tags.map((id) => new mongoose.Types.ObjectId(id)) } };
+  }
+
+  // A product is in a price range when any of its variants is
+  let min = priceMin;
+  let max = priceMax;
+  if (priceBand) {
+    const index = PRICE_BANDS.findIndex((edge, i) => bandLabel(i) === priceBand);
+    if (index !== -1) {
+      min = PRICE_BANDS[index];
+      max = index < PRICE_BANDS.length - 1 ? PRICE_BANDS[index + 1] : undefined;
+    }
+  }
+  if (min !== undefined || max !== undefined) {
+    const price = {};
+    if (min !== undefined) price.$gte = Number(min);
+    if (max !== undefined) price[priceBand ? '$lt' : '$lte'] = Number(max);
+    clauses.price = { variants: { $elemMatch: { price } } };
+  }
+
+  if (inStock !== undefined) {
+    clauses.stock = inStock
+      ? { 'variants.stock': { $gt: 0 } }
+      : { 'variants.stock': { $not: { $gt: 0 } } };
+  }
+  return clauses;
+};
+
+/**
+ * Combine a base match with every filter clause except one.
+ * @param {Object} base
+ * @param {Object} clauses
+ * @param {string} [except]
+ * @returns {Object}
+ */
+const combine = (base, clauses, except) => {
+  const conditions = Object.entries(clauses)
+    .filter(([name]) => name !== except)
+    .map(([, clause]) => clause);
+  return conditions.length > 0 ? { $and: [base, ...conditions] } : base;
+};
+
+/**
+ * Count matching products per facet value, each facet ignoring its own
+ * filter so the storefront can offer the alternatives.
+ * @param {Object} base - Match for the searched products
+ * @param {Object} clauses - From buildFilterClauses
+ * @returns {Promise<Object>} - { category, packaging, size, price, tag }, each
+ *   a list of { value, count } (categories and tags also carry their name)
+ */
+const countFacets = async (base, clauses) => {
+  const countBy = (facet, path) => [
+    { $match: combine(base, clauses, facet) },
+    { $unwind: `$${path}` },
+    { $group: { _id: { product: '$_id', value: `$${path}` } } },
+    { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+
+  const priceBranches = PRICE_BANDS.map((edge, i) => ({
+    case: i < PRICE_BANDS.length - 1
+      ? { $and: [{ $gte: ['$variants.price', edge] }, { $lt: ['$variants.price', PRICE_BANDS[i + 1]] }] }
+      : { $gte: ['$variants.price', edge] },
+    then: bandLabel(i),
+  }));
+
+  const [result] = await Product.aggregate([
+    { $match: { isActive: true } },
+    {
+      $facet: {
+        category: countBy('category', 'categories'),
+        packaging: countBy('packaging', 'packaging'),
+        size: countBy('size', 'variants.size'),
+        tag: countBy('tag', 'tags'),
+        price: [
+          { $match: combine(base, clauses, 'price') },
+          { $unwind: '$variants' },
+          { $project: { band: { $switch: { branches: priceBranches, default: null } } } },
+          { $match: { band: { $ne: null } } },
+          { $group: { _id: { product: '$_id', band: '$band' } } },
+          { $group: { _id: '$_id.band', count: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]);
+
+  const [tags, categories] = await Promise.all([
+    Tag.find({ _id: { $in: result.tag.map((t) => t._id) } }).select('name').lean(),
+    Category.find({ _id: { $in: result.category.map((c) => c._id) } }).select('name slug').lean(),
+  ]);
+  const tagNames = new Map(tags.map((tag) => [String(tag._id), tag.name]));
+  const categoriesById = new Map(categories.map((category) => [String(category._id), category]));
+  const bandOrder = PRICE_BANDS.map((edge, i) => bandLabel(i));
+  const list = (entries) => entries.map(({ _id, count }) => ({ value: _id, count }));
+
+  return {
+    category: result.category
+      .filter(({ _id }) => categoriesById.has(String(_id)))
+      .map(({ _id, count }) => ({
+        value: _id,
+        name: categoriesById.get(String(_id)).name,
+        slug: categoriesById.get(String(_id)).slug,
+        count,
+      })),
+    packaging: list(result.packaging),
+    size: list(result.size),
+    price: list(result.price).sort((a, b) => bandOrder.indexOf(a.value) - bandOrder.indexOf(b.value)),
+    tag: result.tag.map(({ _id, count }) => ({ value: _id, name: tagNames.get(String(_id)), count })),
+  };
+};
+
+/**
+ * Search active products. With a query, results are ranked by relevance
+ * (scoreCandidates) unless another sort is asked for, and misspelt words
+ * are corrected first. Without one, every active product matches.
+ * @param {Object} options
+ * @param {string} [options.q] - Search text
+ * @param {string[]} [options.category] - Category IDs or slugs; each
+ *   includes its subcategories
+ * @param {string[]} [options.packaging]
+ * @param {string[]} [options.sizes] - Variant sizes
+ * @param {string[]} [options.tags] - Tag IDs
+ * @param {number} [options.priceMin] - USD, any variant
+ * @param {number} [options.priceMax]
+ * @param {string} [options.priceBand] - A price facet value, e.g. '10-25'
+ * @param {boolean} [options.inStock]
+ * @param {string} [options.sort] - relevance, newest, price_asc, price_desc, rating
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<Object>} - { products, total, facets, didYouMean }
+ */
+const searchProducts = async ({ q, page = 1, limit = 20, sort, ...filters }) => {
+  const terms = tokenize(q);
+  let scores = null;
+  let didYouMean = null;
+
+  if (terms.length > 0) {
+    const correction = await correctTerms(terms);
+    if (correction.corrected) {
+      didYouMean = correction.terms.join(' ');
+    }
+    // Search both as typed and as corrected; a word we do not know may
+    // still be in a description
+    scores = await scoreCandidates([...new Set([...terms, ...correction.terms])]);
+  }
+
+  const base = scores
+    ? { isActive: true, _id: { $in: [...scores.keys()].map((id) => new mongoose.Types.ObjectId(id)) } }
+    : { isActive: true };
+  const categoryIds = filters.category && filters.category.length > 0
+    ? await expandCategoryFilter(filters.category)
+    : undefined;
+  const clauses = buildFilterClauses({ ...filters, categoryIds });
+  const match = combine(base, clauses);
+  const sortBy = sort || (scores ? 'relevance' : 'newest');
+
+  const [facets, total] = await Promise.all([
+    countFacets(base, clauses),
+    Product.countDocuments(match),
+  ]);
+
+  let products;
+  if (sortBy === 'relevance' && scores) {
+    const ids = (await Product.find(match).select('_id').lean())
+      .map((product) => String(product._id))
+      .sort((a, b) => scores.get(b) - scores.get(a))
+      .slice((page - 1) * limit, page * limit);
+    const byId = new Map((await Product.find({ _id: { $in: ids } }).populate('tags').populate('categories', 'name slug'))
+      .map((product) => [String(product._id), product]));
+    products = ids.map((id) => byId.get(id)).filter(Boolean);
+  } else {
+    const sorts = {
+      newest: { createdAt: -1 },
+      price_asc: { 'variants.price': 1 },
+      price_desc: { 'variants.price': -1 },
+      rating: { rating: -1, createdAt: -1 },
+    };
+    products = await Product.find(match)
+      .populate('tags')
+      .populate('categories', 'name slug')
+      .sort(sorts[sortBy] || sorts.newest)
+      .skip((page - 1) * limit)
+      .limit(limit);
+  }
+
+  return { products, total, facets, didYouMean };
+};
+
+/**
+ * Suggestions for a partly typed query: product titles with a word starting
+ * with it, and known words completing its last word (or, if none does, the
+ * closest spellings of it).
+ * @param {string} prefix
+ * @param {number} [limit=8]
+ * @returns {Promise<Object>} - { products, suggestions }
+ */
+const autocomplete = async (prefix, limit = 8) => {
+  const terms = tokenize(prefix);
+  if (terms.length === 0) {
+    return { products: [], suggestions: [] };
+  }
+
+  const last = terms[terms.length - 1];
+  const head = terms.slice(0, -1).join(' ');
+  // Every word typed starts a word of the title
+  const titlePattern = new RegExp(`^${terms.map((term) => `(?=.*\\b${escapeRegex(term)})`).join('')}`, 'i');
+
+  const [products, words] = await Promise.all([
+    Product.find({ title: titlePattern, isActive: true })
+      .select('title slug thumbnail')
+      .sort({ rating: -1, title: 1 })
+      .limit(limit)
+      .lean(),
+    getVocabulary(),
+  ]);
+
+  let completions = [...words.entries()]
+    .filter(([word]) => word.startsWith(last) && word !== last)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([word]) => word);
+  if (completions.length === 0 && !words.has(last)) {
+    const { terms: corrected, corrected: changed } = await correctTerms([last]);
+    completions = changed ? corrected : [];
+  }
+
+  const suggestions = completions
+    .slice(0, limit)
+    .map((word) => (head ? `${head} ${word}` : word));
+
+  return { products, suggestions };
+};
+
+/**
+ * Exported functions
+ */
+module.exports = {
+  PRICE_BANDS,
+  tokenize,
+  editDistance,
+  correctTerms,
+  clearVocabulary,
+  searchProducts,
+  autocomplete,
+};
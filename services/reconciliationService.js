@@ -0,0 +1,253 @@
+// services/reconciliationService.js
+
+const logger = require('../utils/logger');
+const ErrorResponse = require('../utils/errorResponse');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { GATEWAYS, getGateway } = require('./gateways');
+const { PAID_STATUSES, refreshPaymentStatus } = require('./paymentService');
+const { sendEmail } = require('./emailService');
+
+// Leave fresh payments alone; the customer may still be on the gateway's page
+const DEFAULT_GRACE_MINUTES = 15;
+// Older unpaid orders are treated as abandoned
+const DEFAULT_LOOKBACK_HOURS = 72;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Names of the gateways that take payment online, and so can be asked.
+ * @returns {Array<string>}
+ */
+const onlineGateways = () => Object.keys(GATEWAYS).filter((name) => GATEWAYS[name].online);
+
+/**
+ * Ask the gateway about every recent order whose payment we never heard back
+ * on, and settle it from the answer. Fixes orders left pending by a lost
+ * redirect or webhook.
+ * @param {Object} [options]
+ * @param {number} [options.graceMinutes=15] - Skip orders younger than this
+ * @param {number} [options.lookbackHours=72] - Skip orders older than this
+ * @param {number} [options.limit=100] - Orders to check in one run
+ * @returns {Promise<Object>} - { checked, paid, failed, unchanged, errors }
+ */
+const reconcilePendingPayments = async ({
+  graceMinutes = DEFAULT_GRACE_MINUTES,
+  lookbackHours = DEFAULT_LOOKBACK_HOURS,
+  limit = 100,
+} = {}) => {
+  const now = Date.now();
+  const orders = await Order.find({
+    status: 'pending',
+    paymentStatus: { $in: ['pending', 'failed'] },
+    paymentMethod: { $in: onlineGateways() },
+    createdAt: {
+      $gte: new Date(now - lookbackHours * 60 * 60 * 1000),
+      $lte: new Date(now - graceMinutes * 60 * 1000),
+    },
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  const summary = { checked: orders.length, paid: 0, failed: 0, unchanged: 0, errors: 0 };
+
+  for (const order of orders) {
+    const before = order.paymentStatus;
+    try {
+      const applied = await refreshPaymentStatus(order);
+      const after = applied ? applied.order.paymentStatus : before;
+
+      if (after === before) {
+        summary.unchanged += 1;
+      } else if (PAID_STATUSES.includes(after)) {
+        summary.paid += 1;
+        logger.info(`Reconciliation: order ${order.orderNumber} found paid at ${order.paymentMethod}`);
+      } else if (after === 'failed') {
+        summary.failed += 1;
+      } else {
+        summary.unchanged += 1;
+      }
+    } catch (error) {
+      summary.errors += 1;
+      logger.error(`Reconciliation: could not check order ${order.orderNumber}: ${error.message}`);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Start and end of an IST business day.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object} - { from, to }
+ */
+const dayRange = (date) => {
+  const from = new Date(new Date(`${date}T00:00:00.000Z`).getTime() - IST_OFFSET_MS);
+  if (Number.isNaN(from.getTime())) {
+    throw new ErrorResponse(`Invalid report date '${date}'.`, 400);
+  }
+  return { from, to: new Date(from.getTime() + 24 * 60 * 60 * 1000) };
+};
+
+/**
+ * Yesterday's date in IST, YYYY-MM-DD.
+ * @returns {string}
+ */
+const previousBusinessDay = () =>
+  new Date(Date.now() + IST_OFFSET_MS - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * Compare one transaction with what its gateway reports.
+ * @param {Object} transaction - Transaction with order populated
+ * @returns {Promise<Object|null>} - Discrepancy, or null when they agree
+ */
+const checkTransaction = async (transaction) => {
+  const order = transaction.order;
+  const base = {
+    order: order ? order._id : undefined,
+    orderNumber: transaction.orderNumber,
+    transaction: transaction._id,
+    gateway: transaction.paymentMethod,
+    localStatus: order ? order.paymentStatus : transaction.status,
+    localAmount: transaction.amount,
+  };
+
+  let result;
+  try {
+    result = await getGateway(transaction.paymentMethod).retrieveStatus(transaction);
+  } catch (error) {
+    return { ...base, type: 'lookup_failed', message: error.message };
+  }
+
+  const reported = {
+    gatewayStatus: result.status,
+    gatewayAmount: result.amount,
+    gatewayTransactionId: result.gatewayTransactionId ? String(result.gatewayTransactionId) : undefined,
+  };
+
+  if (result.status === 'completed') {
+    if (result.amount !== undefined && Math.abs(Number(result.amount) - transaction.amount) > 0.01) {
+      return { ...base, ...reported, type: 'amount_mismatch' };
+    }
+    if (!order || !PAID_STATUSES.includes(order.paymentStatus)) {
+      return { ...base, ...reported, type: 'paid_not_recorded' };
+    }
+    return null;
+  }
+
+  if (['completed', 'refunded'].includes(transaction.status)) {
+    return { ...base, ...reported, type: 'recorded_not_paid', message: result.message };
+  }
+  return null;
+};
+
+/**
+ * Email a report to FINANCE_REPORT_EMAILS (or ADMIN_EMAILS).
+ * @param {Object} report
+ * @returns {Promise<Array<string>>} - Addresses it was sent to
+ */
+const emailReport = async (report) => {
+  const recipients = (process.env.FINANCE_REPORT_EMAILS || process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim())
+    .filter(Boolean);
+
+  const rows = report.discrepancies.map((item) => `
+            <tr>
+              <td>${item.type}</td>
+              <td>${item.orderNumber || '-'}</td>
+              <td>${item.gateway}</td>
+              <td>${item.localStatus || '-'} / ${item.localAmount !== undefined ? item.localAmount.toFixed(2) : '-'}</td>
+              <td>${item.gatewayStatus || '-'} / ${item.gatewayAmount !== undefined ? item.gatewayAmount.toFixed(2) : '-'}</td>
+              <td>${item.message || ''}</td>
+            </tr>`).join('');
+
+  const sent = [];
+  for (const email of recipients) {
+    try {
+      await sendEmail({
+        email,
+        subject: `Payment Reconciliation ${report.date}: ${report.discrepancies.length} discrepancies - 10X Formulas`,
+        message: `${report.transactionsChecked} payments checked for ${report.date}; ${report.discrepancies.length} discrepancies found.`,
+        html: `
+          <p>Hi,</p>
+          <p>${report.transactionsChecked} online payments were checked against the gateways for <strong>${report.date}</strong>.</p>
+          ${report.discrepancies.length ? `
+          <table border="1" cellpadding="4" cellspacing="0">
+            <tr><th>Type</th><th>Order</th><th>Gateway</th><th>Ours</th><th>Gateway's</th><th>Note</th></tr>${rows}
+          </table>` : '<p>No discrepancies were found.</p>'}
+        `,
+      });
+      sent.push(email);
+    } catch (emailError) {
+      logger.error(`Failed to send reconciliation report to ${email}: ${emailError.message}`);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Check a day's online payments against the gateways and store the
+ * discrepancies for finance. Running it again for the same day replaces the
+ * earlier report.
+ * @param {Object} [options]
+ * @param {string} [options.date] - YYYY-MM-DD (IST); defaults to yesterday
+ * @param {Object} [options.actor] - User who asked for the report
+ * @param {boolean} [options.email=true] - Send it to finance
+ * @returns {Promise<Object>} - The report
+ */
+const buildDiscrepancyReport = async ({ date = previousBusinessDay(), actor, email = true } = {}) => {
+  const { from, to } = dayRange(date);
+
+  const transactions = await Transaction.find({
+    paymentMethod: { $in: onlineGateways() },
+    createdAt: { $gte: from, $lt: to },
+  }).populate('order', 'orderNumber paymentStatus');
+
+  const discrepancies = [];
+  for (const transaction of transactions) {
+    const discrepancy = await checkTransaction(transaction);
+    if (discrepancy) {
+      discrepancies.push(discrepancy);
+    }
+  }
+
+  const summary = discrepancies.reduce((counts, { type }) => {
+    counts[type] = (counts[type] || 0) + 1;
+    return counts;
+  }, {});
+
+  const report = await ReconciliationReport.findOneAndUpdate(
+    { date },
+    {
+      $set: {
+        from,
+        to,
+        transactionsChecked: transactions.length,
+        discrepancies,
+        summary,
+        generatedAt: new Date(),
+        generatedBy: actor ? actor._id : undefined,
+        emailedTo: [],
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+
+  if (email) {
+    report.emailedTo = await emailReport(report);
+    await report.save();
+  }
+
+  logger.info(`Reconciliation report ${date}: ${transactions.length} checked, ${discrepancies.length} discrepancies`);
+  return report;
+};
+
+/**
+ * Exported functions
+ */
+module.exports = {
+  reconcilePendingPayments,
+  buildDiscrepancyReport,
+  previousBusinessDay,
+};
@@ -0,0 +1,536 @@
+// services/refundService.js
+
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { GATEWAYS, getGateway } = require('./gateways');
+const { restockLines } = require('./inventoryService');
+const { issueCreditNote } = require('./invoiceService');
+const { SYSTEM_ACTOR, canTransition, transitionOrder } = require('./orderLifecycleService');
+const { sendEmail } = require('./emailService');
+const ORDER_STATUS = require('../constants/orderStatus');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+const { round2 } = require('../utils/pricingUtils');
+const { orderRate } = require('./fxRateService');
+
+// Refunds that use up part of the refundable balance
+const OPEN_STATUSES = ['pending', 'processed'];
+
+/**
+ * Adapter that refunds through the gateway that took the payment, against
+ * the order's completed transaction.
+ * @param {string} name - Gateway name
+ * @returns {Object}
+ */
+const gatewayAdapter = (name) => ({
+  refundedTo: () => 'Original payment method',
+
+  initiate: async (refund) => {
+    const transaction = await Transaction.findOne({
+      order: refund.orderId,
+      paymentMethod: name,
+      status: 'completed',
+    }).sort({ createdAt: -1 });
+
+    return getGateway(name).refund(refund, transaction);
+  },
+
+  checkStatus: (refund) => getGateway(name).refundStatus(refund),
+});
+
+/**
+ * Refund adapters. Each one knows how money goes back for a set of payment
+ * methods:
+ *   refundedTo(payout)  - description of where the money goes; throws if the
+ *                         details it needs are missing
+ *   initiate(refund)    - start the refund; resolves to { status, ... }
+ *   checkStatus(refund) - current state of a pending refund
+ * Every payment gateway with a refund API gets an adapter of its own.
+ */
+const ADAPTERS = {
+  // Cash on delivery and anything without a gateway refund API: finance pays
+  // the customer by bank transfer or UPI and then marks the refund processed
+  manual: {
+    refundedTo: (payout) => {
+      if (payout && payout.method === 'upi' && payout.upiId) {
+        return `UPI ${payout.upiId}`;
+      }
+      if (payout && payout.method === 'bank_transfer' && payout.accountHolder && payout.accountNumber && payout.ifsc) {
+        return `Bank account ending ${String(payout.accountNumber).slice(-4)} (${String(payout.ifsc).toUpperCase()})`;
+      }
+      throw new ErrorResponse(
+        'Payout details are required for this order: a UPI ID, or account holder, account number and IFSC for a bank transfer.',
+        400
+      );
+    },
+
+    initiate: async () => ({ status: 'pending' }),
+
+    checkStatus: async (refund) => ({ status: refund.status }),
+  },
+};
+
+Object.values(GATEWAYS)
+  .filter((gateway) => typeof gateway.refund === 'function')
+  .forEach((gateway) => {
+    ADAPTERS[gateway.name] = gatewayAdapter(gateway.name);
+  });
+
+/**
+ * Which adapter refunds an order.
+ * @param {Object} order
+ * @returns {string} - Key into ADAPTERS
+ */
+const channelFor = (order) => (ADAPTERS[order.paymentMethod] ? order.paymentMethod : 'manual');
+
+/**
+ * Whether money has been collected for an order. Cash on delivery orders are
+ * paid on handover.
+ * @param {Object} order
+ * @returns {boolean}
+ */
+const hasBeenPaid = (order) =>
+  ['paid', 'partially_refunded'].includes(order.paymentStatus) ||
+  (order.paymentMethod === 'cod' && order.status === ORDER_STATUS.DELIVERED);
+
+/**
+ * Key identifying an order line.
+ * @param {Object} line - { product, variant, packaging }
+ * @returns {string}
+ */
+const lineKey = (line) => {
+  const product = line.product && line.product._id ? line.product._id : line.product;
+  return `${product}:${String(line.variant || '').toLowerCase()}:${String(line.packaging || '').toLowerCase()}`;
+};
+
+/**
+ * Summarise an order's refund ledger.
+ * @param {Object} order
+ * @returns {Promise<Object>} - { paidINR, refundedINR, pendingINR, refundableINR, refundedQuantities, refunds }
+ */
+const getRefundSummary = async (order) => {
+  const refunds = await Refund.find({ orderId: order._id }).sort({ createdAt: -1 });
+
+  let refundedINR = 0;
+  let pendingINR = 0;
+  const refundedQuantities = {};
+
+  refunds.forEach((refund) => {
+    if (refund.status === 'processed') {
+      refundedINR += refund.amount;
+    } else if (refund.status === 'pending') {
+      pendingINR += refund.amount;
+    }
+
+    if (OPEN_STATUSES.includes(refund.status)) {
+      refund.items.forEach((item) => {
+        const key = lineKey(item);
+        refundedQuantities[key] = (refundedQuantities[key] || 0) + item.quantity;
+      });
+    }
+  });
+
+  const paidINR = hasBeenPaid(order) || refunds.length > 0 ? order.finalAmount : 0;
+
+  return {
+    paidINR,
+    refundedINR: round2(refundedINR),
+    pendingINR: round2(pendingINR),
+    refundableINR: round2(Math.max(0, paidINR - refundedINR - pendingINR)),
+    refundedQuantities,
+    refunds,
+  };
+};
+
+/**
+ * Match requested items to order lines and price them at what the customer
+ * paid per unit, tax included.
+ * @param {Object} order
+ * @param {Array<Object>} items - { product, variant?, packaging?, quantity }
+ * @param {Object} refundedQuantities - From getRefundSummary
+ * @returns {Array<Object>} - Refund items with amountINR
+ */
+const priceRefundItems = (order, items, refundedQuantities) => {
+  const rate = orderRate(order);
+  const requested = {};
+
+  return items.map((item) => {
+    const line = order.items.find((orderLine) => {
+      const product = orderLine.product && orderLine.product._id ? orderLine.product._id : orderLine.product;
+      return String(product) === String(item.product) &&
+        (!item.variant || String(orderLine.variant).toLowerCase() === String(item.variant).toLowerCase()) &&
+        (!item.packaging || String(orderLine.packaging).toLowerCase() === String(item.packaging).toLowerCase());
+    });
+
+    if (!line) {
+      throw new ErrorResponse(`Product ${item.product}${item.variant ? ` (${item.variant})` : ''} is not part of this order.`, 400);
+    }
+
+    const key = lineKey(line);
+    requested[key] = (requested[key] || 0) + item.quantity;
+    const remaining = line.quantity - (refundedQuantities[key] || 0);
+    if (requested[key] > remaining) {
+      throw new ErrorResponse(
+        `Only ${remaining} unit(s) of ${line.variant} can still be refunded for product ${item.product}.`,
+        400
+      );
+    }
+
+    // Orders priced before line totals were stored fall back to list price
+    const lineTotalINR = line.lineTotalINR != null ? line.lineTotalINR : round2(line.price * rate * line.quantity);
+
+    return {
+      product: line.product && line.product._id ? line.product._id : line.product,
+      variantId: line.variantId,
+      variant: line.variant,
+      packaging: line.packaging,
+      quantity: item.quantity,
+      amountINR: round2((lineTotalINR / line.quantity) * item.quantity),
+    };
+  });
+};
+
+/**
+ * Email the customer that a refund has gone through.
+ * @param {Object} refund
+ * @param {Object} order
+ * @returns {Promise<void>}
+ */
+const sendRefundEmail = async (refund, order) => {
+  const customer = order.customer && order.customer.email
+    ? order.customer
+    : await User.findById(order.customer).select('name email');
+  if (!customer) {
+    return;
+  }
+
+  const emailHtml = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <title>Refund Processed</title>
+    </head>
+    <body>
+      <p>Hi ${customer.name},</p>
+      <p>Your refund for order <strong>${order.orderNumber}</strong> has been processed.</p>
+      <p><strong>Amount Refunded:</strong> ₹${refund.amount.toFixed(2)}</p>
+      <p><strong>Refunded To:</strong> ${refund.refundedTo}</p>
+      <p><strong>Reason:</strong> ${refund.reason}</p>
+      <p>Thank you for shopping with us.</p>
+    </body>
+    </html>
+    `;
+
+  await sendEmail({
+    email: customer.email,
+    subject: 'Your Refund Has Been Processed - 10X Formulas',
+    message: `Hi ${customer.name}, your refund of ₹${refund.amount.toFixed(2)} for order ${order.orderNumber} has been processed.`,
+    html: emailHtml,
+  });
+};
+
+/**
+ * Record that a refund's money has gone back: restock its items if asked,
+ * issue the credit note, update the order's payment status and tell the
+ * customer. The refund is claimed with a conditional update, so a refund
+ * reported processed twice is only finalised once.
+ * @param {Object} refund - Pending refund
+ * @param {Object} [fields] - Extra fields to set on the refund
+ * @returns {Promise<Object>} - The processed refund
+ */
+const finaliseRefund = async (refund, fields = {}) => {
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'pending' },
+    { $set: { ...fields, status: 'processed', processedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return Refund.findById(refund._id);
+  }
+
+  const order = await Order.findById(claimed.orderId).populate('customer', 'name email');
+
+  if (claimed.restock && claimed.items.length > 0 && !claimed.restockedAt) {
+    await restockLines(claimed.items, `Refund ${claimed._id} for order ${order.orderNumber}`);
+    claimed.restockedAt = new Date();
+  }
+
+  try {
+    const creditNote = await issueCreditNote(order, { amountINR: claimed.amount, reason: claimed.reason, refund: claimed._id });
+    claimed.creditNote = creditNote._id;
+  } catch (creditNoteError) {
+    logger.error(`Failed to issue credit note for order ${order.orderNumber}: ${creditNoteError.message}`);
+  }
+  await claimed.save();
+
+  // The refund completing is what closes the order, whoever started it
+  const summary = await getRefundSummary(order);
+  if (summary.refundedINR >= summary.paidINR) {
+    order.paymentStatus = 'refunded';
+    if (canTransition(order.status, ORDER_STATUS.REFUNDED)) {
+      transitionOrder(order, ORDER_STATUS.REFUNDED, { actor: SYSTEM_ACTOR, reason: `Refunded in full (refund ${claimed._id})` });
+    }
+  } else {
+    order.paymentStatus = 'partially_refunded';
+  }
+  await order.save();
+
+  try {
+    await sendRefundEmail(claimed, order);
+  } catch (emailError) {
+    logger.error(`Failed to send refund email for order ${order.orderNumber}: ${emailError.message}`);
+  }
+
+  logger.info(`Refund ${claimed._id} of ₹${claimed.amount.toFixed(2)} processed for order ${order.orderNumber}`);
+  return claimed;
+};
+
+/**
+ * Hold an amount against the order's paid balance. The update only matches
+ * while the order's held total plus the amount stays within what was paid,
+ * so two refunds racing for the same balance cannot both get it. Orders
+ * from before the total was kept start from their refund ledger.
+ * @param {Object} order
+ * @param {number} amount - INR
+ * @param {Object} summary - getRefundSummary result for the order
+ * @returns {Promise<boolean>} - True when the amount was held
+ */
+const holdRefund = async (order, amount, summary) => {
+  const held = { $round: [{ $add: [{ $ifNull: ['$refundedAmount', summary.refundedINR + summary.pendingINR] }, amount] }, 2] };
+  const result = await Order.updateOne(
+    { _id: order._id, $expr: { $lte: [held, summary.paidINR] } },
+    [{ $set: { refundedAmount: held } }]
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Give back an amount held by holdRefund.
+ * @param {string} orderId
+ * @param {number} amount - INR
+ * @returns {Promise<void>}
+ */
+const releaseRefundHold = async (orderId, amount) => {
+  await Order.updateOne(
+    { _id: orderId, refundedAmount: { $exists: true } },
+    [{ $set: { refundedAmount: { $max: [0, { $round: [{ $subtract: ['$refundedAmount', amount] }, 2] }] } } }]
+  );
+};
+
+/**
+ * Mark a pending refund as failed, freeing its amount and items.
+ * @param {Object} refund
+ * @param {string} failureReason
+ * @param {Object} [fields] - Extra fields to set on the refund
+ * @returns {Promise<Object>} - The refund
+ */
+const failRefund = async (refund, failureReason, fields = {}) => {
+  const failed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'pending' },
+    { $set: { ...fields, status: 'failed', failureReason } },
+    { new: true }
+  );
+  if (failed) {
+    await releaseRefundHold(failed.orderId, failed.amount);
+    logger.warn(`Refund ${refund._id} failed: ${failureReason}`);
+  }
+  return failed || Refund.findById(refund._id);
+};
+
+/**
+ * Apply an adapter result to a pending refund.
+ * @param {Object} refund
+ * @param {Object} result - { status, transactionId, gatewayStatus, failureReason }
+ * @returns {Promise<Object>} - The refund
+ */
+const applyResult = async (refund, result) => {
+  const fields = {};
+  if (result.transactionId) {
+    fields.transactionId = result.transactionId;
+  }
+  if (result.gatewayStatus) {
+    fields.gatewayStatus = result.gatewayStatus;
+  }
+
+  if (result.status === 'processed') {
+    return finaliseRefund(refund, fields);
+  }
+  if (result.status === 'failed') {
+    return failRefund(refund, result.failureReason || 'Refund failed', fields);
+  }
+
+  if (Object.keys(fields).length > 0) {
+    return Refund.findByIdAndUpdate(refund._id, { $set: fields }, { new: true });
+  }
+  return refund;
+};
+
+/**
+ * Refund all or part of an order.
+ * With items, the amount defaults to what the customer paid for them and may
+ * be lowered but not raised; without items or amount the whole remaining
+ * balance is refunded. The ledger entry is written before the adapter is
+ * called, and the amount is first held on the order (holdRefund), so it
+ * counts against the balance while the refund runs.
+ * @param {Object} order - Order document
+ * @param {Object} params
+ * @param {number} [params.amount] - Amount in INR
+ * @param {Array<Object>} [params.items] - { product, variant?, packaging?, quantity }
+ * @param {string} [params.reason]
+ * @param {boolean} [params.restock=false] - Put refunded items back in stock
+ * @param {Object} [params.payout] - Payout details for manual refunds
+ * @param {string} [params.notes]
+ * @param {Object} [params.actor=SYSTEM_ACTOR] - { user, role, name }
+ * @returns {Promise<Object>} - The refund
+ */
+const createRefund = async (order, {
+  amount,
+  items = [],
+  reason,
+  restock = false,
+  payout,
+  notes,
+  actor = SYSTEM_ACTOR,
+} = {}) => {
+  if (order.paymentStatus === 'refunded') {
+    throw new ErrorResponse(`Order ${order.orderNumber} has already been refunded in full.`, 400);
+  }
+  if (!hasBeenPaid(order)) {
+    throw new ErrorResponse(`Order ${order.orderNumber} has not been paid, so there is nothing to refund.`, 400);
+  }
+
+  const summary = await getRefundSummary(order);
+  const refundItems = priceRefundItems(order, items, summary.refundedQuantities);
+  const itemsINR = round2(refundItems.reduce((sum, item) => sum + item.amountINR, 0));
+
+  let refundAmount = summary.refundableINR;
+  if (amount !== undefined && amount !== null) {
+    refundAmount = round2(amount);
+  } else if (refundItems.length > 0) {
+    refundAmount = Math.min(itemsINR, summary.refundableINR);
+  }
+
+  if (refundAmount <= 0) {
+    throw new ErrorResponse(`Order ${order.orderNumber} has no refundable balance left.`, 400);
+  }
+  if (refundAmount > summary.refundableINR) {
+    throw new ErrorResponse(
+      `Refund amount exceeds the refundable balance of ₹${summary.refundableINR.toFixed(2)}` +
+      (summary.pendingINR > 0 ? ` (₹${summary.pendingINR.toFixed(2)} is already pending).` : '.'),
+      400
+    );
+  }
+  if (refundItems.length > 0 && refundAmount > itemsINR) {
+    throw new ErrorResponse(`Refund amount exceeds the ₹${itemsINR.toFixed(2)} paid for the selected items.`, 400);
+  }
+
+  // A refund of everything closes the order, which only works once it has
+  // shipped or been cancelled; check before any money moves
+  const isFullRefund = round2(summary.refundedINR + summary.pendingINR + refundAmount) >= summary.paidINR;
+  if (isFullRefund && order.status !== ORDER_STATUS.CANCELLED && !canTransition(order.status, ORDER_STATUS.REFUNDED)) {
+    throw new ErrorResponse(
+      `Order ${order.orderNumber} is '${order.status}'; cancel it instead of refunding it in full.`,
+      400
+    );
+  }
+
+  if (!(await holdRefund(order, refundAmount, summary))) {
+    throw new ErrorResponse(
+      `Another refund for order ${order.orderNumber} took part of its balance; check the refunds and try again.`,
+      409
+    );
+  }
+
+  const channel = channelFor(order);
+  const adapter = ADAPTERS[channel];
+
+  let refund;
+  try {
+    refund = await Refund.create({
+      orderId: order._id,
+      amount: refundAmount,
+      reason: reason || 'No reason provided.',
+      items: refundItems,
+      channel,
+      paymentMethod: order.paymentMethod,
+      refundedTo: adapter.refundedTo(payout),
+      payout: channel === 'manual' ? payout : undefined,
+      restock: Boolean(restock) && refundItems.length > 0,
+      notes,
+      createdBy: actor.user || undefined,
+    });
+  } catch (error) {
+    await releaseRefundHold(order._id, refundAmount);
+    throw error;
+  }
+
+  logger.info(`Refund ${refund._id} of ₹${refundAmount.toFixed(2)} created for order ${order.orderNumber} via ${channel}`);
+
+  let result;
+  try {
+    result = await adapter.initiate(refund, order);
+  } catch (error) {
+    result = { status: 'failed', failureReason: error.message };
+  }
+  return applyResult(refund, result);
+};
+
+/**
+ * Settle a pending manual refund once finance has paid it out, or record
+ * that the payout failed.
+ * @param {Object} refund
+ * @param {Object} params
+ * @param {string} params.status - 'processed' or 'failed'
+ * @param {string} [params.reference] - Bank/UPI reference of the payout
+ * @param {string} [params.notes]
+ * @returns {Promise<Object>} - The refund
+ */
+const settleRefund = async (refund, { status, reference, notes }) => {
+  if (refund.channel !== 'manual') {
+    throw new ErrorResponse('Gateway refunds are settled by the gateway; refresh the refund instead.', 400);
+  }
+  if (refund.status !== 'pending') {
+    throw new ErrorResponse(`Refund is already ${refund.status}.`, 400);
+  }
+
+  const fields = {};
+  if (reference) {
+    fields['payout.reference'] = reference;
+  }
+  if (notes) {
+    fields.notes = notes;
+  }
+
+  if (status === 'processed') {
+    if (!reference) {
+      throw new ErrorResponse('A payout reference is required to mark a refund processed.', 400);
+    }
+    return finaliseRefund(refund, fields);
+  }
+  return failRefund(refund, notes || 'Payout failed', fields);
+};
+
+/**
+ * Ask the adapter for the latest state of a pending refund.
+ * @param {Object} refund
+ * @returns {Promise<Object>} - The refund
+ */
+const refreshRefund = async (refund) => {
+  if (refund.status !== 'pending') {
+    return refund;
+  }
+  const result = await ADAPTERS[refund.channel].checkStatus(refund);
+  return applyResult(refund, result);
+};
+
+module.exports = {
+  ADAPTERS,
+  hasBeenPaid,
+  getRefundSummary,
+  createRefund,
+  settleRefund,
+  refreshRefund,
+};
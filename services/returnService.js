@@ -0,0 +1,432 @@
+// services/returnService.js
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ReturnRequest = require('../models/ReturnRequest');
+const Setting = require('../models/Settings');
+const ORDER_STATUS = require('../constants/orderStatus');
+const { restockLines } = require('./inventoryService');
+const { createRefund } = require('./refundService');
+const { sendEmail } = require('./emailService');
+const { compileTemplate } = require('./templateService');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../utils/logger');
+
+// Settings key holding the return window, in days after delivery
+const RETURN_WINDOW_SETTING = 'return_window_days';
+const DEFAULT_RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30;
+
+// Returns that still claim their items
+const OPEN_STATUSES = ['pending', 'approved', 'received', 'completed'];
+
+/**
+ * Number of days after delivery a return may be opened. Admins can change it
+ * through the settings API; RETURN_WINDOW_DAYS is the fallback.
+ * @returns {Promise<number>}
+ */
+const getReturnWindowDays = async () => {
+  const setting = await Setting.findOne({ key: RETURN_WINDOW_SETTING, isActive: true }).lean();
+  const days = setting ? Number(setting.value) : NaN;
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETURN_WINDOW_DAYS;
+};
+
+/**
+ * When an order was delivered. Orders delivered before deliveryDate was
+ * stored fall back to their status history, then to the last update.
+ * @param {Object} order
+ * @returns {Date}
+ */
+const deliveredAt = (order) => {
+  if (order.deliveryDate) {
+    return order.deliveryDate;
+  }
+  const entry = (order.statusHistory || []).slice().reverse().find((h) => h.to === ORDER_STATUS.DELIVERED);
+  return entry ? entry.at : order.updatedAt;
+};
+
+/**
+ * Email the customer about a change to their return.
+ * @param {Object} returnRequest
+ * @param {Object} order - Order with customer populated
+ * @param {Object} content - { heading, paragraphs, refund? }
+ * @returns {Promise<void>}
+ */
+const notifyCustomer = async (returnRequest, order, { heading, paragraphs, refund }) => {
+  try {
+    const products = await Product.find({ _id: { $in: returnRequest.items.map((item) => item.productId) } })
+      .select('title')
+      .lean();
+    const titles = new Map(products.map((product) => [String(product._id), product.title]));
+
+    const html = compileTemplate('returnUpdate.html', {
+      heading,
+      name: order.customer.name,
+      paragraphs,
+      orderNumber: order.orderNumber,
+      items: returnRequest.items.map((item) => ({
+        title: titles.get(String(item.productId)) || String(item.productId),
+        variant: item.variant,
+        quantity: item.quantity,
+        reason: item.reason,
+        outcome: item.outcome === 'write_off' ? 'Written off' : 'Restocked',
+      })),
+      showOutcome: returnRequest.status === 'completed',
+      refundAmount: refund ? refund.amount.toFixed(2) : null,
+      refundStatus: refund ? refund.status : null,
+      supportUrl: process.env.SUPPORT_URL || 'http://localhost:5173/contact',
+    });
+
+    await sendEmail({
+      email: order.customer.email,
+      subject: `${heading} - Order ${order.orderNumber} - 10X Formulas`,
+      message: `Hi ${order.customer.name}, ${paragraphs.join(' ')}`,
+      html,
+    });
+  } catch (emailError) {
+    logger.error(`Failed to send return email for ${returnRequest._id}: ${emailError.message}`);
+  }
+};
+
+/**
+ * Let the admins listed in ADMIN_EMAILS know a return was opened.
+ * @param {Object} returnRequest
+ * @param {Object} order - Order with customer populated
+ * @returns {Promise<void>}
+ */
+const notifyAdmins = async (returnRequest, order) => {
+  const adminEmails = process.env.ADMIN_EMAILS ? process.env.ADMIN_EMAILS.split(',') : [];
+
+  for (const email of adminEmails) {
+    try {
+      await sendEmail({
+        email: email.trim(),
+        subject: 'New Return Request - 10X Formulas',
+        message: `A new return request has been submitted for order ${order.orderNumber}.`,
+        html: `
+          <p>Hi Admin,</p>
+          <p>A customer has requested a return for order <strong>${order.orderNumber}</strong>.</p>
+          <p><strong>Customer:</strong> ${order.customer.name} (${order.customer.email})</p>
+          <p><strong>Items to Return:</strong></p>
+          <ul>
+            ${returnRequest.items.map((item) => `<li>Product ID: ${item.productId} (${item.variant}), Quantity: ${item.quantity}, Condition: ${item.condition}, Reason: ${item.reason}</li>`).join('')}
+          </ul>
+          <p><strong>Return method:</strong> ${returnRequest.returnMethod}</p>
+          <p>Please review the return request.</p>
+        `,
+      });
+    } catch (emailError) {
+      logger.error(`Failed to send return request email to ${email}: ${emailError.message}`);
+    }
+  }
+};
+
+/**
+ * Load the order a return belongs to, with its customer.
+ * @param {Object} returnRequest
+ * @returns {Promise<Object>}
+ */
+const loadOrder = (returnRequest) =>
+  Order.findById(returnRequest.orderId).populate('customer', 'name email');
+
+/**
+ * Throw unless the return is in one of the given statuses.
+ * @param {Object} returnRequest
+ * @param {Array<string>} allowed
+ * @param {string} action - What is being attempted, for the message
+ */
+const assertStatus = (returnRequest, allowed, action) => {
+  if (!allowed.includes(returnRequest.status)) {
+    throw new ErrorResponse(`A ${returnRequest.status} return cannot be ${action}.`, 400);
+  }
+};
+
+/**
+ * Open a return for items of a delivered order.
+ * @param {Object} order - Order with customer populated
+ * @param {Object} user - The customer (req.user)
+ * @param {Object} params
+ * @param {Array<Object>} params.items - { productId, variant?, quantity, reason, condition }
+ * @param {string} params.returnMethod - 'pickup' or 'dropoff'
+ * @param {Object} [params.pickupAddress]
+ * @param {string} [params.customerNotes]
+ * @returns {Promise<Object>} - ReturnRequest
+ */
+const openReturn = async (order, user, { items, returnMethod, pickupAddress, customerNotes }) => {
+  const customerId = order.customer._id || order.customer;
+  if (String(customerId) !== String(user._id)) {
+    throw new ErrorResponse('You can only return items from your own orders.', 403);
+  }
+
+  if (order.status !== ORDER_STATUS.DELIVERED) {
+    throw new ErrorResponse('Only delivered orders can be returned.', 400);
+  }
+
+  const windowDays = await getReturnWindowDays();
+  const deadline = new Date(new Date(deliveredAt(order)).getTime() + windowDays * 24 * 60 * 60 * 1000);
+  if (Date.now() > deadline.getTime()) {
+    throw new ErrorResponse(`The ${windowDays}-day return window for this order closed on ${deadline.toDateString()}.`, 400);
+  }
+
+  if (returnMethod === 'pickup' && !pickupAddress) {
+    pickupAddress = {
+      street: order.shippingAddress.street,
+      city: order.shippingAddress.city,
+      state: order.shippingAddress.state,
+      zipCode: order.shippingAddress.zip,
+      country: order.shippingAddress.country,
+    };
+  }
+
+  // Units already claimed by other returns on this order
+  const existing = await ReturnRequest.find({ orderId: order._id, status: { $in: OPEN_STATUSES } }).lean();
+  const claimed = {};
+  existing.forEach((returnRequest) => {
+    returnRequest.items.forEach((item) => {
+      const key = `${item.productId}:${String(item.variant || '').toLowerCase()}`;
+      claimed[key] = (claimed[key] || 0) + item.quantity;
+    });
+  });
+
+  const returnItems = items.map((item) => {
+    const line = order.items.find((orderLine) => {
+      const product = orderLine.product && orderLine.product._id ? orderLine.product._id : orderLine.product;
+      return String(product) === String(item.productId) &&
+        (!item.variant || String(orderLine.variant).toLowerCase() === String(item.variant).toLowerCase());
+    });
+    if (!line) {
+      throw new ErrorResponse(`Product with ID ${item.productId} is not part of this order.`, 400);
+    }
+
+    const key = `${item.productId}:${String(line.variant).toLowerCase()}`;
+    claimed[key] = (claimed[key] || 0) + item.quantity;
+    if (claimed[key] > line.quantity) {
+      throw new ErrorResponse(
+        `Return quantity for product ${item.productId} (${line.variant}) exceeds the quantity that can still be returned.`,
+        400
+      );
+    }
+
+    return {
+      productId: item.productId,
+      variantId: line.variantId,
+      variant: line.variant,
+      packaging: line.packaging,
+      quantity: item.quantity,
+      reason: item.reason,
+      condition: item.condition,
+    };
+  });
+
+  const returnRequest = await ReturnRequest.create({
+    orderId: order._id,
+    customer: customerId,
+    items: returnItems,
+    status: 'pending',
+    returnMethod,
+    pickupAddress: returnMethod === 'pickup' ? pickupAddress : undefined,
+    notes: { customerNotes },
+  });
+
+  logger.info(`Return ${returnRequest._id} opened for order ${order.orderNumber}`);
+
+  await notifyCustomer(returnRequest, order, {
+    heading: 'We Have Received Your Return Request',
+    paragraphs: ['Thanks for letting us know. We will review your return request and get back to you shortly.'],
+  });
+  await notifyAdmins(returnRequest, order);
+
+  return returnRequest;
+};
+
+/**
+ * Approve a pending return.
+ * @param {Object} returnRequest
+ * @param {Object} actor - { user, role, name }
+ * @param {Object} [params]
+ * @param {string} [params.returnTrackingNumber] - Pickup/courier reference
+ * @param {string} [params.adminNotes]
+ * @returns {Promise<Object>} - ReturnRequest
+ */
+const approveReturn = async (returnRequest, actor, { returnTrackingNumber, adminNotes } = {}) => {
+  assertStatus(returnRequest, ['pending'], 'approved');
+
+  returnRequest.status = 'approved';
+  returnRequest.approvedBy = actor.user;
+  returnRequest.approvedAt = new Date();
+  if (returnTrackingNumber) {
+    returnRequest.returnTrackingNumber = returnTrackingNumber;
+  }
+  if (adminNotes) {
+    returnRequest.notes.adminNotes = adminNotes;
+  }
+  await returnRequest.save();
+
+  const order = await loadOrder(returnRequest);
+  await notifyCustomer(returnRequest, order, {
+    heading: 'Your Return Has Been Approved',
+    paragraphs: [
+      returnRequest.returnMethod === 'pickup'
+        ? 'Our courier partner will collect the items from your pickup address. Please keep them packed and ready.'
+        : 'Please drop the items off at your nearest courier partner location and keep the receipt.',
+      ...(returnTrackingNumber ? [`Return tracking number: ${returnTrackingNumber}.`] : []),
+    ],
+  });
+
+  logger.info(`Return ${returnRequest._id} approved by ${actor.name || actor.role}`);
+  return returnRequest;
+};
+
+/**
+ * Reject a return that has not been received yet.
+ * @param {Object} returnRequest
+ * @param {Object} actor - { user, role, name }
+ * @param {Object} params
+ * @param {string} params.reason - Shown to the customer
+ * @returns {Promise<Object>} - ReturnRequest
+ */
+const rejectReturn = async (returnRequest, actor, { reason }) => {
+  assertStatus(returnRequest, ['pending', 'approved'], 'rejected');
+
+  returnRequest.status = 'rejected';
+  returnRequest.rejectedBy = actor.user;
+  returnRequest.rejectedAt = new Date();
+  returnRequest.rejectionReason = reason;
+  await returnRequest.save();
+
+  const order = await loadOrder(returnRequest);
+  await notifyCustomer(returnRequest, order, {
+    heading: 'Your Return Request Was Not Approved',
+    paragraphs: [`Unfortunately we are unable to accept this return: ${reason}`],
+  });
+
+  logger.info(`Return ${returnRequest._id} rejected by ${actor.name || actor.role}`);
+  return returnRequest;
+};
+
+/**
+ * Record that the returned goods have arrived at the warehouse.
+ * @param {Object} returnRequest
+ * @param {Object} actor - { user, role, name }
+ * @param {Object} [params]
+ * @param {string} [params.adminNotes]
+ * @returns {Promise<Object>} - ReturnRequest
+ */
+const receiveReturn = async (returnRequest, actor, { adminNotes } = {}) => {
+  assertStatus(returnRequest, ['approved'], 'marked as received');
+
+  returnRequest.status = 'received';
+  returnRequest.receivedBy = actor.user;
+  returnRequest.receivedAt = new Date();
+  if (adminNotes) {
+    returnRequest.notes.adminNotes = adminNotes;
+  }
+  await returnRequest.save();
+
+  const order = await loadOrder(returnRequest);
+  await notifyCustomer(returnRequest, order, {
+    heading: 'We Have Received Your Returned Items',
+    paragraphs: ['Your items have arrived at our warehouse and will be inspected shortly. We will let you know once your refund is on its way.'],
+  });
+
+  logger.info(`Return ${returnRequest._id} received`);
+  return returnRequest;
+};
+
+/**
+ * Record the inspection of received goods and complete the return: items
+ * marked 'restock' go back on the shelf, 'write_off' items do not, and a
+ * refund for the returned items is created against the order. Throws an
+ * ErrorResponse, leaving the return 'received', when the refund fails.
+ * @param {Object} returnRequest
+ * @param {Object} actor - { user, role, name }
+ * @param {Object} params
+ * @param {Array<Object>} params.items - { productId, variant?, outcome, notes? } for every returned item
+ * @param {number} [params.refundAmount] - Lower the refund below the items' value
+ * @param {Object} [params.payout] - Bank/UPI details for manual refunds
+ * @param {string} [params.adminNotes]
+ * @returns {Promise<Object>} - { returnRequest, refund }
+ */
+const inspectReturn = async (returnRequest, actor, { items, refundAmount, payout, adminNotes }) => {
+  assertStatus(returnRequest, ['received'], 'inspected');
+
+  returnRequest.items.forEach((item) => {
+    const result = items.find((inspected) =>
+      String(inspected.productId) === String(item.productId) &&
+      (!inspected.variant || String(inspected.variant).toLowerCase() === String(item.variant).toLowerCase())
+    );
+    if (!result) {
+      throw new ErrorResponse(`Missing inspection outcome for product ${item.productId} (${item.variant}).`, 400);
+    }
+    item.outcome = result.outcome;
+    item.inspectionNotes = result.notes;
+  });
+
+  const order = await Order.findById(returnRequest.orderId).populate('customer', 'name email');
+
+  // Create the refund first: if it cannot be raised (e.g. payout details are
+  // missing) nothing has changed and the inspection can be resubmitted
+  const refund = await createRefund(order, {
+    amount: refundAmount,
+    items: returnRequest.items.map((item) => ({
+      product: item.productId,
+      variantId: item.variantId,
+      variant: item.variant,
+      packaging: item.packaging,
+      quantity: item.quantity,
+    })),
+    reason: `Return ${returnRequest._id}`,
+    payout,
+    actor,
+  });
+  // A refund the gateway turned down no longer holds the balance, so the
+  // return stays 'received' and the inspection can be resubmitted
+  if (refund.status === 'failed') {
+    logger.warn(`Refund ${refund._id} for return ${returnRequest._id} failed: ${refund.failureReason}`);
+    throw new ErrorResponse(`The refund for this return failed: ${refund.failureReason}`, 502);
+  }
+
+  const restock = returnRequest.items
+    .filter((item) => item.outcome === 'restock')
+    .map((item) => ({
+      product: item.productId,
+      variantId: item.variantId,
+      variant: item.variant,
+      packaging: item.packaging,
+      quantity: item.quantity,
+    }));
+  if (restock.length > 0) {
+    await restockLines(restock, `Return ${returnRequest._id} for order ${order.orderNumber}`);
+  }
+
+  returnRequest.status = 'completed';
+  returnRequest.inspectedBy = actor.user;
+  returnRequest.completedAt = new Date();
+  returnRequest.refundId = refund._id;
+  if (adminNotes) {
+    returnRequest.notes.adminNotes = adminNotes;
+  }
+  await returnRequest.save();
+
+  await notifyCustomer(returnRequest, order, {
+    heading: 'Your Return Is Complete',
+    paragraphs: [
+      refund.status === 'processed'
+        ? 'We have inspected your returned items and your refund has been processed.'
+        : 'We have inspected your returned items and your refund has been initiated. It will reach you shortly.',
+    ],
+    refund,
+  });
+
+  logger.info(`Return ${returnRequest._id} completed with refund ${refund._id} (${refund.status})`);
+  return { returnRequest, refund };
+};
+
+module.exports = {
+  RETURN_WINDOW_SETTING,
+  getReturnWindowDays,
+  openReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  inspectReturn,
+};
@@ -0,0 +1,307 @@
+// services/settlementService.js
+
+const ExcelJS = require('exceljs');
+const logger = require('../utils/logger');
+const ErrorResponse = require('../utils/errorResponse');
+const { round2 } = require('../utils/pricingUtils');
+const { readSpreadsheet } = require('../utils/spreadsheetUtils');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const SettlementBatch = require('../models/SettlementBatch');
+
+/**
+ * Column names each gateway uses in its settlement reports, after
+ * normalising (lower case, runs of other characters turned into '_').
+ * The first column present wins.
+ */
+const COLUMNS = {
+  billdesk: {
+    orderNumber: ['order_id', 'orderid', 'order_number', 'ref_1', 'additional_info_1'],
+    gatewayTransactionId: ['transaction_id', 'transactionid', 'txn_id', 'bank_reference_no', 'pg_transaction_id'],
+    settlementId: ['settlement_id', 'utr', 'utr_no', 'payout_reference'],
+    grossAmount: ['gross_amount', 'transaction_amount', 'txn_amount', 'amount'],
+    fee: ['charges', 'mdr', 'commission', 'fee', 'fees'],
+    tax: ['gst', 'service_tax', 'tax', 'gst_on_charges'],
+    netAmount: ['net_amount', 'settlement_amount', 'net_settlement_amount', 'payable_amount'],
+    settledAt: ['settlement_date', 'settled_on', 'payout_date'],
+    type: ['transaction_type', 'txn_type'],
+  },
+  razorpay: {
+    orderNumber: ['order_receipt', 'receipt'],
+    gatewayTransactionId: ['entity_id', 'payment_id'],
+    settlementId: ['settlement_id', 'settlement_utr'],
+    grossAmount: ['amount', 'credit'],
+    fee: ['fee', 'fees'],
+    tax: ['tax'],
+    netAmount: ['settlement_amount', 'net_amount'],
+    settledAt: ['settled_at', 'settlement_date'],
+    type: ['type', 'entity_type'],
+  },
+};
+
+// Row types that are payments; refunds and adjustments are not matched
+const PAYMENT_TYPES = ['', 'payment', 'sale', 'purchase', 'capture'];
+
+/**
+ * @param {*} value - e.g. '1,234.50' or 1234.5
+ * @returns {number|undefined}
+ */
+const toAmount = (value) => {
+  if (value === '' || value === null || value === undefined) {
+    return undefined;
+  }
+  const amount = Number(String(value).replace(/[₹,\s]/g, ''));
+  return Number.isFinite(amount) ? Math.abs(amount) : undefined;
+};
+
+/**
+ * @param {*} value
+ * @returns {Date|undefined}
+ */
+const toDate = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  // Razorpay reports settled_at as a Unix timestamp
+  const date = /^\d{10}$/.test(String(value)) ? new Date(Number(value) * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Pull the fields we match on out of a file row.
+ * @param {Object} record
+ * @param {Object} columns - COLUMNS entry for the gateway
+ * @returns {Object}
+ */
+const readRow = (record, columns) => {
+  const pick = (field) => {
+    const key = columns[field].find((name) => record[name] !== undefined && record[name] !== '');
+    return key ? record[key] : undefined;
+  };
+  const text = (field) => {
+    const value = pick(field);
+    return value === undefined ? undefined : String(value).trim();
+  };
+
+  const grossAmount = toAmount(pick('grossAmount'));
+  const fee = toAmount(pick('fee')) || 0;
+  const tax = toAmount(pick('tax')) || 0;
+  const netAmount = toAmount(pick('netAmount'));
+
+  return {
+    type: (text('type') || '').toLowerCase(),
+    orderNumber: text('orderNumber'),
+    gatewayTransactionId: text('gatewayTransactionId'),
+    settlementId: text('settlementId'),
+    grossAmount,
+    fee,
+    tax,
+    netAmount: netAmount !== undefined ? netAmount : grossAmount !== undefined ? round2(grossAmount - fee - tax) : undefined,
+    settledAt: toDate(pick('settledAt')),
+  };
+};
+
+/**
+ * Find the completed payment a settlement row is for: by order number, then
+ * by the gateway's own payment ID.
+ * @param {string} gateway
+ * @param {Object} row
+ * @returns {Promise<Object|null>} - Transaction
+ */
+const findTransaction = async (gateway, row) => {
+  if (row.orderNumber) {
+    const transaction = await Transaction.findOne({
+      orderNumber: row.orderNumber,
+      paymentMethod: gateway,
+      status: { $in: ['completed', 'refunded'] },
+    }).sort({ createdAt: -1 });
+    if (transaction) {
+      return transaction;
+    }
+  }
+
+  if (row.gatewayTransactionId) {
+    return Transaction.findOne({
+      paymentMethod: gateway,
+      status: { $in: ['completed', 'refunded'] },
+      $or: [
+        { 'metadata.gatewayPaymentId': row.gatewayTransactionId },
+        { 'metadata.billDeskTxnId': row.gatewayTransactionId },
+      ],
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Import a gateway settlement file: match each row to its order and payment,
+ * record the gateway's fee on the order, and flag rows that are unmatched,
+ * short-settled or already settled.
+ * @param {Object} options
+ * @param {string} options.gateway - 'billdesk' or 'razorpay'
+ * @param {Buffer} options.buffer - File contents
+ * @param {string} options.fileName
+ * @param {Object} [options.actor] - User uploading the file
+ * @returns {Promise<Object>} - The settlement batch
+ */
+const importSettlementFile = async ({ gateway, buffer, fileName, actor }) => {
+  const columns = COLUMNS[gateway];
+  if (!columns) {
+    throw new ErrorResponse(`Settlement files from '${gateway}' are not supported.`, 400);
+  }
+
+  const records = await readSpreadsheet(buffer, fileName);
+  if (!records.length) {
+    throw new ErrorResponse('The settlement file has no rows.', 400);
+  }
+
+  const rows = [];
+  const seen = new Set();
+
+  for (const [index, record] of records.entries()) {
+    const parsed = readRow(record, columns);
+    const row = {
+      rowNumber: index + 2, // after the header row
+      orderNumber: parsed.orderNumber,
+      gatewayTransactionId: parsed.gatewayTransactionId,
+      settlementId: parsed.settlementId,
+      grossAmount: parsed.grossAmount,
+      fee: parsed.fee,
+      tax: parsed.tax,
+      netAmount: parsed.netAmount,
+      settledAt: parsed.settledAt,
+    };
+
+    if (!PAYMENT_TYPES.includes(parsed.type)) {
+      rows.push({ ...row, matchStatus: 'skipped', note: `Row type '${parsed.type}' is not a payment` });
+      continue;
+    }
+
+    const transaction = await findTransaction(gateway, parsed);
+    if (!transaction) {
+      rows.push({ ...row, matchStatus: 'unmatched', note: 'No completed payment found for this row' });
+      continue;
+    }
+
+    row.transaction = transaction._id;
+    row.order = transaction.order;
+    row.orderNumber = row.orderNumber || transaction.orderNumber;
+
+    const settledBefore = seen.has(String(transaction._id)) || await SettlementBatch.exists({
+      rows: { $elemMatch: { transaction: transaction._id, matchStatus: { $in: ['matched', 'short_settled'] } } },
+    });
+    if (settledBefore) {
+      rows.push({ ...row, matchStatus: 'duplicate', note: 'This payment was already settled' });
+      continue;
+    }
+    seen.add(String(transaction._id));
+
+    const expectedNet = round2(transaction.amount - parsed.fee - parsed.tax);
+    const shortBy = parsed.netAmount !== undefined ? round2(expectedNet - parsed.netAmount) : 0;
+    const grossShort = parsed.grossAmount !== undefined ? round2(transaction.amount - parsed.grossAmount) : 0;
+
+    if (shortBy > 0.01 || grossShort > 0.01) {
+      rows.push({
+        ...row,
+        matchStatus: 'short_settled',
+        note: `Charged ${transaction.amount.toFixed(2)}, settled ${(parsed.netAmount || 0).toFixed(2)} after ${round2(parsed.fee + parsed.tax).toFixed(2)} in fees`,
+      });
+    } else {
+      rows.push({ ...row, matchStatus: 'matched' });
+    }
+
+    await Order.updateOne(
+      { _id: transaction.order },
+      { $set: { 'paymentDetails.fee': round2(parsed.fee + parsed.tax) } }
+    );
+    if (parsed.gatewayTransactionId) {
+      await Order.updateOne(
+        { _id: transaction.order, 'paymentDetails.transactionId': null },
+        { $set: { 'paymentDetails.transactionId': parsed.gatewayTransactionId } }
+      );
+    }
+  }
+
+  const count = (status) => rows.filter((row) => row.matchStatus === status).length;
+  const settled = rows.filter((row) => ['matched', 'short_settled'].includes(row.matchStatus));
+  const sum = (field) => round2(settled.reduce((total, row) => total + (row[field] || 0), 0));
+
+  const totals = {
+    rows: rows.length,
+    matched: count('matched'),
+    shortSettled: count('short_settled'),
+    unmatched: count('unmatched'),
+    duplicate: count('duplicate'),
+    skipped: count('skipped'),
+    grossAmount: sum('grossAmount'),
+    fees: round2(sum('fee') + sum('tax')),
+    netAmount: sum('netAmount'),
+  };
+
+  const batch = await SettlementBatch.create({
+    gateway,
+    fileName,
+    status: totals.shortSettled || totals.unmatched || totals.duplicate ? 'has_exceptions' : 'reconciled',
+    rows,
+    totals,
+    uploadedBy: actor ? actor._id : undefined,
+  });
+
+  logger.info(
+    `Settlement batch ${batch._id} (${gateway}): ${totals.matched} matched, ${totals.shortSettled} short, ` +
+    `${totals.unmatched} unmatched, ${totals.duplicate} duplicate`
+  );
+  return batch;
+};
+
+// Columns in a settlement batch export
+const EXPORT_FIELDS = [
+  'rowNumber',
+  'matchStatus',
+  'orderNumber',
+  'gatewayTransactionId',
+  'settlementId',
+  'grossAmount',
+  'fee',
+  'tax',
+  'netAmount',
+  'settledAt',
+  'note',
+];
+
+/**
+ * Rows of a batch flattened for export.
+ * @param {Object} batch
+ * @returns {Array<Object>}
+ */
+const exportRows = (batch) =>
+  batch.rows.map((row) => EXPORT_FIELDS.reduce((out, field) => {
+    const value = row[field];
+    out[field] = value instanceof Date ? value.toISOString() : value === undefined || value === null ? '' : value;
+    return out;
+  }, {}));
+
+/**
+ * Write a batch as an Excel workbook.
+ * @param {Object} batch
+ * @returns {Promise<Buffer>}
+ */
+const exportWorkbook = async (batch) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Settlement');
+  sheet.columns = EXPORT_FIELDS.map((field) => ({ header: field, key: field, width: 20 }));
+  sheet.addRows(exportRows(batch));
+  sheet.getRow(1).font = { bold: true };
+  return workbook.xlsx.writeBuffer();
+};
+
+/**
+ * Exported functions
+ */
+module.exports = {
+  EXPORT_FIELDS,
+  importSettlementFile,
+  exportRows,
+  exportWorkbook,
+};
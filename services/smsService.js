@@ -0,0 +1,67 @@
+// services/smsService.js
+
+const AWS = require('aws-sdk');
+const logger = require('../utils/logger');
+
+// Text messages go out through AWS SNS when SMS_ENABLED is 'true'; otherwise
+// they are only logged, which is what development and test environments want
+const sns = new AWS.SNS({
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  region: process.env.AWS_REGION,
+});
+
+/**
+ * Put a phone number into E.164 form, assuming India for bare 10-digit numbers.
+ * @param {string} phone
+ * @returns {string}
+ */
+const toE164 = (phone) => {
+  const digits = String(phone || '').replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) {
+    return digits;
+  }
+  if (digits.length === 10) {
+    return `+91${digits}`;
+  }
+  return `+${digits}`;
+};
+
+/**
+ * Send a transactional text message.
+ * @param {string} phone - Recipient phone number
+ * @param {string} message
+ * @returns {Promise<void>}
+ */
+const sendSms = async (phone, message) => {
+  if (!phone) {
+    throw new Error('Recipient phone number is required');
+  }
+  const to = toE164(phone);
+
+  if (process.env.SMS_ENABLED !== 'true') {
+    logger.info(`SMS to ${to} (not sent, SMS_ENABLED is off): ${message}`);
+    return;
+  }
+
+  try {
+    const response = await sns.publish({
+      PhoneNumber: to,
+      Message: message,
+      MessageAttributes: {
+        'AWS.SNS.SMS.SMSType': { DataType: 'String', StringValue: 'Transactional' },
+        ...(process.env.SMS_SENDER_ID && {
+          'AWS.SNS.SMS.SenderID': { DataType: 'String', StringValue: process.env.SMS_SENDER_ID },
+        }),
+      },
+    }).promise();
+    logger.info(`SMS sent to ${to} with message ID: ${response.MessageId}`);
+  } catch (error) {
+    logger.error(`Failed to send SMS to ${to}: ${error.message}`);
+    throw new Error('SMS could not be sent');
+  }
+};
+
+module.exports = {
+  sendSms,
+};
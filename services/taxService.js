@@ -0,0 +1,116 @@
+// services/taxService.js
+
+const LocalizationSettings = require('../models/LocalizationSettings');
+const TAX_CLASSES = require('../constants/taxClasses');
+const { round2 } = require('../utils/pricingUtils');
+
+/**
+ * Normalise a state name for comparison.
+ * @param {string} state
+ * @returns {string}
+ */
+const normaliseState = (state) => String(state || '').trim().toLowerCase();
+
+/**
+ * Work out how tax applies to a shipping destination.
+ * @param {Object|null} shippingAddress - { country, state }
+ * @returns {Promise<Object>} - { region, state, scheme, intraState, settings }
+ */
+const getTaxContext = async (shippingAddress) => {
+  if (!shippingAddress || !shippingAddress.country) {
+    return { region: null, state: null, scheme: 'flat', intraState: false, settings: null };
+  }
+
+  const settings = await LocalizationSettings.getSettingsByRegion(shippingAddress.country);
+  const scheme = (settings && settings.taxScheme) || 'flat';
+  const intraState = scheme === 'gst' &&
+    Boolean(settings.originState) &&
+    normaliseState(settings.originState) === normaliseState(shippingAddress.state);
+
+  return {
+    region: shippingAddress.country.toUpperCase(),
+    state: shippingAddress.state || null,
+    scheme,
+    intraState,
+    settings,
+  };
+};
+
+/**
+ * Tax rate (percent) for a product tax class in a context.
+ * @param {Object} context - Result of getTaxContext
+ * @param {string} [taxClass='standard']
+ * @returns {number}
+ */
+const getClassRate = (context, taxClass = TAX_CLASSES.STANDARD) => {
+  if (!context.settings || taxClass === TAX_CLASSES.EXEMPT) {
+    return 0;
+  }
+
+  const overrides = context.settings.taxClassRates;
+  const override = overrides && typeof overrides.get === 'function'
+    ? overrides.get(taxClass)
+    : overrides && overrides[taxClass];
+
+  return override !== undefined && override !== null ? override : (context.settings.taxRate || 0);
+};
+
+/**
+ * Tax for a single line.
+ * Under GST an intra-state delivery is split evenly into CGST and SGST; an
+ * inter-state one is charged as IGST. Flat regions get a single 'TAX' line.
+ * @param {Object} context - Result of getTaxContext
+ * @param {string} taxClass - Product tax class
+ * @param {number} taxableINR - Line value after all discounts, in INR
+ * @returns {Object} - { taxClass, taxRate, taxINR, taxComponents }
+ */
+const calculateLineTax = (context, taxClass, taxableINR) => {
+  const taxRate = getClassRate(context, taxClass);
+  const taxINR = round2((taxableINR * taxRate) / 100);
+
+  let taxComponents = [];
+  if (taxRate > 0) {
+    if (context.scheme === 'gst' && context.intraState) {
+      const cgst = round2(taxINR / 2);
+      taxComponents = [
+        { name: 'CGST', rate: taxRate / 2, amountINR: cgst },
+        { name: 'SGST', rate: taxRate / 2, amountINR: round2(taxINR - cgst) },
+      ];
+    } else if (context.scheme === 'gst') {
+      taxComponents = [{ name: 'IGST', rate: taxRate, amountINR: taxINR }];
+    } else {
+      taxComponents = [{ name: 'TAX', rate: taxRate, amountINR: taxINR }];
+    }
+  }
+
+  return { taxClass: taxClass || TAX_CLASSES.STANDARD, taxRate, taxINR, taxComponents };
+};
+
+/**
+ * Roll line tax components up into an order-level breakdown, one entry per
+ * component and rate.
+ * @param {Array<Object>} lines - Lines with lineNetINR and taxComponents
+ * @returns {Array<Object>} - [{ name, rate, taxableINR, amountINR }]
+ */
+const summariseTax = (lines) => {
+  const breakdown = new Map();
+
+  lines.forEach((line) => {
+    (line.taxComponents || []).forEach((component) => {
+      const key = `${component.name}:${component.rate}`;
+      const entry = breakdown.get(key) || { name: component.name, rate: component.rate, taxableINR: 0, amountINR: 0 };
+      entry.taxableINR = round2(entry.taxableINR + line.lineNetINR);
+      entry.amountINR = round2(entry.amountINR + component.amountINR);
+      breakdown.set(key, entry);
+    });
+  });
+
+  return [...breakdown.values()];
+};
+
+module.exports = {
+  getTaxContext,
+  getClassRate,
+  calculateLineTax,
+  summariseTax,
+};
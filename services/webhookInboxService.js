@@ -0,0 +1,277 @@
+// services/webhookInboxService.js
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const ErrorResponse = require('../utils/errorResponse');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getGateway } = require('./gateways');
+const { applyPaymentResult } = require('./paymentService');
+
+// Processing attempts before a failing event is left for an admin to replay
+const MAX_ATTEMPTS = 6;
+// First retry delay; each further attempt waits twice as long
+const RETRY_BASE_MS = 60 * 1000;
+// Events left 'received' this long were missed by the in-process hand-off
+const RECEIVED_GRACE_MS = 60 * 1000;
+// Events 'processing' this long belonged to a process that died mid-way
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+// How long a rejected delivery is kept, from its latest delivery
+const REJECTED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// Characters of a rejected body kept; anyone can post to the endpoint
+const REJECTED_BODY_LIMIT = 4096;
+
+// Headers worth keeping for inspection; never the whole set, which can carry
+// cookies or authorization
+const KEPT_HEADERS = [
+  'content-type',
+  'user-agent',
+  'x-razorpay-event-id',
+  'x-razorpay-signature',
+  'stripe-signature',
+  'paypal-transmission-id',
+  'paypal-transmission-time',
+  'x-mock-signature',
+];
+
+/**
+ * The raw request body as text, for storage and fingerprinting.
+ * @param {Object} req
+ * @returns {string}
+ */
+const rawBodyOf = (req) => {
+  if (req.rawBody) {
+    return req.rawBody;
+  }
+  return typeof req.body === 'string' ? req.body : JSON.stringify(req.body || {});
+};
+
+/**
+ * @param {Object} headers
+ * @returns {Object}
+ */
+const pickHeaders = (headers = {}) =>
+  KEPT_HEADERS.reduce((kept, name) => {
+    if (headers[name] !== undefined) {
+      kept[name] = headers[name];
+    }
+    return kept;
+  }, {});
+
+/**
+ * Store a delivery whose signature did not verify. Identical bodies are kept
+ * once, with a delivery count, truncated and only until REJECTED_RETENTION_MS
+ * after the latest delivery.
+ * @param {string} gatewayName
+ * @param {Object} req
+ * @param {Error} error
+ * @returns {Promise<void>}
+ */
+const recordRejected = async (gatewayName, req, error) => {
+  const rawBody = rawBodyOf(req);
+  const fingerprint = crypto.createHash('sha256').update(rawBody).digest('hex');
+  const now = new Date();
+
+  try {
+    await WebhookEvent.updateOne(
+      { gateway: gatewayName, eventId: `rejected:${fingerprint}` },
+      {
+        $setOnInsert: {
+          status: 'rejected',
+          rawBody: rawBody.slice(0, REJECTED_BODY_LIMIT),
+          headers: pickHeaders(req.headers),
+          deliveries: 0,
+        },
+        $set: {
+          lastError: error.message,
+          lastDeliveredAt: now,
+          expiresAt: new Date(now.getTime() + REJECTED_RETENTION_MS),
+        },
+        $inc: { deliveries: 1 },
+      },
+      { upsert: true }
+    );
+  } catch (storeError) {
+    logger.error(`Failed to record rejected ${gatewayName} webhook: ${storeError.message}`);
+  }
+};
+
+/**
+ * Apply a stored event to its order. The event is claimed atomically, so an
+ * event handed to two workers at once is only processed by one of them.
+ * @param {string} eventId - WebhookEvent _id
+ * @returns {Promise<Object|null>} - The event after processing, or null if
+ *   another worker holds it or it is not due
+ */
+const processEvent = async (eventId) => {
+  const event = await WebhookEvent.findOneAndUpdate(
+    { _id: eventId, status: { $in: ['received', 'failed'] } },
+    {
+      $set: { status: 'processing', processingStartedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+  if (!event) {
+    return null;
+  }
+
+  try {
+    const gateway = getGateway(event.gateway);
+    const applied = await applyPaymentResult(gateway.name, await gateway.parseWebhook(event.payload));
+
+    event.status = applied ? 'processed' : 'ignored';
+    event.result = applied
+      ? { orderNumber: applied.order.orderNumber, paymentStatus: applied.order.paymentStatus, status: applied.status }
+      : undefined;
+    event.lastError = undefined;
+    event.nextAttemptAt = null;
+    event.processedAt = new Date();
+    await event.save();
+
+    logger.info(`${event.gateway} webhook ${event.eventId} ${event.status}`);
+  } catch (error) {
+    event.status = 'failed';
+    event.lastError = error.message;
+    event.nextAttemptAt = event.attempts < MAX_ATTEMPTS
+      ? new Date(Date.now() + RETRY_BASE_MS * 2 ** (event.attempts - 1))
+      : null;
+    await event.save();
+
+    logger.error(
+      `${event.gateway} webhook ${event.eventId} failed (attempt ${event.attempts}/${MAX_ATTEMPTS}): ${error.message}`
+    );
+  }
+
+  return event;
+};
+
+/**
+ * Verify a gateway webhook and store it in the inbox. Processing happens
+ * after the response is sent, so the gateway gets a quick acknowledgement;
+ * repeat deliveries of an event are counted but not processed again.
+ * @param {string} gatewayName
+ * @param {Object} req - Express request, with rawBody for signature checks
+ * @returns {Promise<Object>} - { event, duplicate }
+ */
+const receiveWebhook = async (gatewayName, req) => {
+  const gateway = getGateway(gatewayName);
+
+  let verified;
+  try {
+    verified = await gateway.verifyWebhook(req);
+  } catch (error) {
+    if (error.statusCode === 400) {
+      await recordRejected(gateway.name, req, error);
+    }
+    throw error;
+  }
+
+  if (!verified || !verified.eventId) {
+    throw new ErrorResponse(`${gateway.name} webhook carries no event ID.`, 400);
+  }
+
+  let event;
+  try {
+    event = await WebhookEvent.create({
+      gateway: gateway.name,
+      eventId: String(verified.eventId),
+      eventType: verified.eventType,
+      payload: verified.payload,
+      rawBody: rawBodyOf(req),
+      headers: pickHeaders(req.headers),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    event = await WebhookEvent.findOneAndUpdate(
+      { gateway: gateway.name, eventId: String(verified.eventId) },
+      { $inc: { deliveries: 1 }, $set: { lastDeliveredAt: new Date() } },
+      { new: true }
+    );
+    logger.info(`Duplicate ${gateway.name} webhook ${verified.eventId} (delivery ${event.deliveries})`);
+    return { event, duplicate: true };
+  }
+
+  setImmediate(() => {
+    processEvent(event._id).catch((error) => {
+      logger.error(`Failed to process ${gateway.name} webhook ${event.eventId}: ${error.message}`);
+    });
+  });
+
+  return { event, duplicate: false };
+};
+
+/**
+ * Process events that are due: failed events whose retry time has come,
+ * received events that were never picked up, and events stuck in processing.
+ * @param {number} [limit=50]
+ * @returns {Promise<Array>} - Events processed
+ */
+const processDueEvents = async (limit = 50) => {
+  const now = Date.now();
+
+  // A worker that died mid-way leaves its event in processing; hand it back
+  await WebhookEvent.updateMany(
+    { status: 'processing', processingStartedAt: { $lt: new Date(now - STALE_PROCESSING_MS) } },
+    { $set: { status: 'failed', lastError: 'Processing did not finish', nextAttemptAt: new Date(now) } }
+  );
+
+  const due = await WebhookEvent.find({
+    $or: [
+      { status: 'failed', nextAttemptAt: { $ne: null, $lte: new Date(now) } },
+      { status: 'received', createdAt: { $lt: new Date(now - RECEIVED_GRACE_MS) } },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .select('_id');
+
+  const processed = [];
+  for (const { _id } of due) {
+    const event = await processEvent(_id);
+    if (event) {
+      processed.push(event);
+    }
+  }
+  return processed;
+};
+
+/**
+ * Process an event again on an admin's request, whatever its earlier outcome.
+ * @param {Object} event - WebhookEvent document
+ * @param {Object} actor - User replaying the event
+ * @returns {Promise<Object>} - The event after processing
+ */
+const replayEvent = async (event, actor) => {
+  if (event.status === 'rejected') {
+    throw new ErrorResponse('Rejected webhooks failed signature checks and cannot be replayed.', 400);
+  }
+
+  const reset = await WebhookEvent.findOneAndUpdate(
+    { _id: event._id, status: { $ne: 'processing' } },
+    {
+      $set: { status: 'received', nextAttemptAt: null },
+      $push: { replays: { at: new Date(), by: actor._id, name: actor.name } },
+    },
+    { new: true }
+  );
+  if (!reset) {
+    throw new ErrorResponse('This webhook is being processed; try again shortly.', 409);
+  }
+
+  logger.info(`${event.gateway} webhook ${event.eventId} replayed by ${actor.name || actor._id}`);
+  return (await processEvent(reset._id)) || reset;
+};
+
+/**
+ * Exported functions
+ */
+module.exports = {
+  MAX_ATTEMPTS,
+  receiveWebhook,
+  processEvent,
+  processDueEvents,
+  replayEvent,
+};
@@ -0,0 +1,254 @@
+/**
+ * Offline BillDesk checkout tests against scripts/billDeskSimulator.js
+ *
+ * The simulator tests need nothing else. The end-to-end order -> payment ->
+ * webhook flow also needs a MongoDB to write to, and the AWS settings the
+ * invoice emails load with: set TEST_MONGO_URI (e.g.
+ * mongodb://localhost:27017/billdesk-test) to run it. That database is
+ * cleared of orders, transactions, checkout sessions and webhook events.
+ */
+
+const SIMULATOR_PORT = 5055;
+
+// billDeskService reads its profile when first required
+process.env.BILLDESK_PROFILE = 'mock';
+process.env.BILLDESK_MOCK_URL = `http://127.0.0.1:${SIMULATOR_PORT}`;
+process.env.BILLDESK_RETURN_URL = process.env.BILLDESK_RETURN_URL || 'http://localhost:5000/api/billdesk/return';
+process.env.BILLDESK_WEBHOOK_URL = process.env.BILLDESK_WEBHOOK_URL || 'http://localhost:5000/api/billdesk/webhook';
+process.env.FRONTEND_URL = 'http://localhost:5173';
+
+const express = require('express');
+const fetch = require('node-fetch');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { createBillDeskSimulator } = require('../scripts/billDeskSimulator');
+const billDeskService = require('../services/billDeskService');
+const billdeskGateway = require('../services/gateways/billdeskGateway');
+
+const { BILLDESK_CONFIG } = billDeskService;
+
+/**
+ * Send a create-order request the way billDeskService does, without the
+ * Transaction it would save.
+ */
+const createBillDeskOrder = async (orderid, { clientSecret = BILLDESK_CONFIG.clientSecret } = {}) => {
+  const token = await billDeskService.encryptAndSign(
+    JSON.stringify({ mercid: BILLDESK_CONFIG.merchantId, orderid, amount: '399.00', currency: '356', ru: BILLDESK_CONFIG.returnUrl }),
+    BILLDESK_CONFIG.clientId,
+    BILLDESK_CONFIG.encryptionPassword,
+    BILLDESK_CONFIG.keyId,
+    BILLDESK_CONFIG.signingPassword,
+    BILLDESK_CONFIG.keyId
+  );
+  const response = await fetch(BILLDESK_CONFIG.paymentUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/jose',
+      'Authorization': `Basic ${Buffer.from(`${BILLDESK_CONFIG.clientId}:${clientSecret}`).toString('base64')}`,
+    },
+    body: token,
+  });
+  return { status: response.status, body: JSON.parse(await billDeskService.verifyAndDecrypt(await response.text())) };
+};
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value || Date.now() > deadline) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+};
+
+describe('BillDesk simulator', () => {
+  const simulator = createBillDeskSimulator();
+
+  beforeAll(() => simulator.start(SIMULATOR_PORT));
+  afterAll(() => simulator.stop());
+  afterEach(() => simulator.reset());
+
+  test('creates a signed SDK order the service can read', async () => {
+    const { status, body } = await createBillDeskOrder('SIMTEST-1');
+
+    expect(status).toBe(200);
+    expect(body.orderid).toBe('SIMTEST-1');
+    expect(body.bdorderid).toBeTruthy();
+    expect(body.links[0].href).toBe(BILLDESK_CONFIG.sdkUrl);
+    expect(body.links[0].parameters.rdata).toBeTruthy();
+  });
+
+  test('rejects a repeated orderid and bad client credentials', async () => {
+    await createBillDeskOrder('SIMTEST-2');
+
+    const repeat = await createBillDeskOrder('SIMTEST-2');
+    expect(repeat.status).toBe(409);
+    expect(repeat.body.error_type).toBe('duplicate_request_error');
+
+    const unauthorised = await createBillDeskOrder('SIMTEST-3', { clientSecret: 'wrong' });
+    expect(unauthorised.status).toBe(401);
+  });
+
+  test.each([
+    ['success', 'completed'],
+    ['failure', 'failed'],
+    ['pending', 'pending'],
+  ])('signs a %s payment the webhook check accepts and transactions/get reports', async (outcome, expected) => {
+    await createBillDeskOrder(`SIMTEST-${outcome}`);
+    const { transaction, response } = await simulator.pay(`SIMTEST-${outcome}`, outcome);
+
+    const verified = await billdeskGateway.verifyWebhook({ body: response });
+    expect(verified.eventId).toBe(`${transaction.transactionid}:${transaction.auth_status}`);
+
+    const retrieved = await billdeskGateway.retrieveStatus({ orderNumber: `SIMTEST-${outcome}` });
+    expect(retrieved.status).toBe(expected);
+    expect(retrieved.gatewayTransactionId).toBe(transaction.transactionid);
+    expect(retrieved.amount).toBe(399);
+  });
+
+  test('settles a pending payment under the same transaction ID', async () => {
+    await createBillDeskOrder('SIMTEST-4');
+    const pending = await simulator.pay('SIMTEST-4', 'pending');
+    const settled = await simulator.pay('SIMTEST-4', 'success');
+
+    expect(settled.transaction.transactionid).toBe(pending.transaction.transactionid);
+    await expect(simulator.pay('SIMTEST-4', 'failure')).rejects.toThrow('already been paid');
+  });
+
+  test('rejects a forged webhook', async () => {
+    const forged = createBillDeskSimulator({
+      profile: { ...BILLDESK_CONFIG, clientId: 'x', keys: [{ keyId: 'OTHER', signingKey: 'o'.repeat(32), encryptionKey: 'o'.repeat(32) }] },
+    });
+    forged.orders.set('SIMTEST-5', { mercid: BILLDESK_CONFIG.merchantId, amount: '399.00', currency: '356' });
+    const { response } = await forged.pay('SIMTEST-5', 'success');
+
+    await expect(billdeskGateway.verifyWebhook({ body: response })).rejects.toThrow('Invalid BillDesk notification');
+  });
+
+  test('rejects unsigned and forged return responses', async () => {
+    const unsigned = { merchantid: BILLDESK_CONFIG.merchantId, orderid: 'SIMTEST-6', status: 'SUCCESS' };
+    const forged = createBillDeskSimulator({
+      profile: { ...BILLDESK_CONFIG, clientId: 'x', keys: [{ keyId: 'OTHER', signingKey: 'o'.repeat(32), encryptionKey: 'o'.repeat(32) }] },
+    });
+    forged.orders.set('SIMTEST-6', { mercid: BILLDESK_CONFIG.merchantId, amount: '399.00', currency: '356' });
+    const { returnForm } = await forged.pay('SIMTEST-6', 'success');
+
+    await expect(billdeskGateway.verifyReturn(unsigned)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(billdeskGateway.verifyReturn(JSON.stringify(unsigned))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(billdeskGateway.verifyReturn(returnForm)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+const describeWithDatabase = process.env.TEST_MONGO_URI ? describe : describe.skip;
+
+describeWithDatabase('BillDesk checkout end to end', () => {
+  const simulator = createBillDeskSimulator();
+  const app = express();
+  let Order;
+  let Transaction;
+  let CheckoutSession;
+  let WebhookEvent;
+  let createCheckoutSession;
+  let refreshPaymentStatus;
+
+  const address = { street: '1 MG Road', city: 'Bengaluru', state: 'Karnataka', zip: '560001', country: 'India', phone: '9876543210' };
+
+  const createOrder = () => Order.create({
+    orderNumber: `SIM${Date.now()}${Math.floor(Math.random() * 1000)}`,
+    customer: new mongoose.Types.ObjectId(),
+    phone: address.phone,
+    items: [{ product: new mongoose.Types.ObjectId(), variant: 'Original', packaging: 'Can', quantity: 1, price: 4.5 }],
+    totalAmountUSD: 4.5,
+    totalAmountINR: 399,
+    finalAmount: 399,
+    paymentMethod: 'billdesk',
+    shippingAddress: address,
+    billingAddress: address,
+  });
+
+  const clearCollections = () => Promise.all(
+    [Order, Transaction, CheckoutSession, WebhookEvent].map((model) => model.deleteMany({}))
+  );
+
+  beforeAll(async () => {
+    // Loaded here so the suite can be skipped without the app's AWS settings
+    Order = require('../models/Order');
+    Transaction = require('../models/Transaction');
+    CheckoutSession = require('../models/CheckoutSession');
+    WebhookEvent = require('../models/WebhookEvent');
+    ({ createCheckoutSession } = require('../services/checkoutSessionService'));
+    ({ refreshPaymentStatus } = require('../services/paymentService'));
+
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/api/billdesk', require('../routes/billDeskRoutes'));
+
+    await mongoose.connect(process.env.TEST_MONGO_URI);
+    await simulator.start(SIMULATOR_PORT);
+  });
+  afterAll(async () => {
+    await clearCollections();
+    await simulator.stop();
+    await mongoose.disconnect();
+  });
+  beforeEach(clearCollections);
+
+  test('a successful payment webhook marks the order paid', async () => {
+    const order = await createOrder();
+    const session = await createCheckoutSession(order, { clientIp: '127.0.0.1' });
+    expect(session.launch.bdOrderId).toBe(simulator.orders.get(order.orderNumber).bdorderid);
+
+    const { response } = await simulator.pay(session.merchantOrderId, 'success');
+    const delivery = await request(app)
+      .post('/api/billdesk/webhook')
+      .set('Content-Type', 'application/jose')
+      .send(response);
+    expect(delivery.status).toBe(200);
+    expect(delivery.body.duplicate).toBe(false);
+
+    const paid = await waitFor(async () => {
+      const current = await Order.findById(order._id);
+      return current.paymentStatus === 'paid' && current;
+    });
+    expect(paid.status).toBe('processing');
+
+    const repeat = await request(app)
+      .post('/api/billdesk/webhook')
+      .set('Content-Type', 'application/jose')
+      .send(response);
+    expect(repeat.body.duplicate).toBe(true);
+  });
+
+  test('a failed payment can be retried with a new BillDesk order', async () => {
+    const order = await createOrder();
+    const first = await createCheckoutSession(order, { clientIp: '127.0.0.1' });
+    const failed = await simulator.pay(first.merchantOrderId, 'failure');
+
+    const failedReturn = await request(app).post('/api/billdesk/return').type('form').send(failed.returnForm);
+    expect(failedReturn.headers.location).toContain('/payment/failed');
+    expect((await Order.findById(order._id)).paymentStatus).toBe('failed');
+
+    const retry = await createCheckoutSession(await Order.findById(order._id), { clientIp: '127.0.0.1' });
+    expect(retry.merchantOrderId).toBe(`${order.orderNumber}-R1`);
+
+    const paid = await simulator.pay(retry.merchantOrderId, 'success');
+    const paidReturn = await request(app).post('/api/billdesk/return').type('form').send(paid.returnForm);
+    expect(paidReturn.headers.location).toContain('/thank-you');
+    expect((await Order.findById(order._id)).paymentStatus).toBe('paid');
+  });
+
+  test('a pending payment settles when its status is fetched', async () => {
+    const order = await createOrder();
+    const session = await createCheckoutSession(order, { clientIp: '127.0.0.1' });
+    const pending = await simulator.pay(session.merchantOrderId, 'pending');
+
+    const pendingReturn = await request(app).post('/api/billdesk/return').type('form').send(pending.returnForm);
+    expect(pendingReturn.headers.location).toContain('/payment/pending');
+
+    await simulator.pay(session.merchantOrderId, 'success');
+    const { status } = await refreshPaymentStatus(await Order.findById(order._id));
+    expect(status).toBe('completed');
+    expect((await Order.findById(order._id)).paymentStatus).toBe('paid');
+  });
+});
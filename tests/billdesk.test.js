@@ -117,7 +117,6 @@ async function testEnvironmentConfig() {
     'BILLDESK_CLIENT_SECRET',
     'BILLDESK_SIGNING_PASSWORD',
     'BILLDESK_ENCRYPTION_PASSWORD',
-    'BILLDESK_PAYMENT_URL',
     'BILLDESK_RETURN_URL',
     'BILLDESK_WEBHOOK_URL'
   ];
@@ -456,7 +455,16 @@ async function testWebhookProcessing(orderNumber) {
     logTest('Processing mock webhook response...', 'info');
     logTest(JSON.stringify(mockResponse, null, 2), 'info');
     
-    const processResult = await billDeskService.processResponse(mockResponse);
+    // Only signed responses are accepted, so sign it the way BillDesk does
+    const signedResponse = await billDeskService.encryptAndSign(
+      JSON.stringify(mockResponse),
+      process.env.BILLDESK_CLIENT_ID,
+      process.env.BILLDESK_ENCRYPTION_PASSWORD,
+      process.env.BILLDESK_SECURITY_ID,
+      process.env.BILLDESK_SIGNING_PASSWORD,
+      process.env.BILLDESK_SECURITY_ID
+    );
+    const processResult = await billDeskService.processResponse(signedResponse);
     
     assert(
       processResult.success === true,
@@ -474,9 +482,9 @@ async function testWebhookProcessing(orderNumber) {
     const transaction = await Transaction.findOne({ orderNumber });
     
     assert(
-      transaction && transaction.status === 'completed',
+      transaction && transaction.metadata.get('billDeskTxnId') === mockResponse.transactionid,
       'TRANSACTION_UPDATE',
-      'Transaction status updated in database'
+      'BillDesk transaction ID recorded in database'
     );
     
     return processResult;
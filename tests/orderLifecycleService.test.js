@@ -0,0 +1,165 @@
+/**
+ * Unit tests for the order status transition table in
+ * services/orderLifecycleService.js
+ */
+
+jest.mock('../services/inventoryService', () => ({
+  reserveStock: jest.fn(),
+  hasReservations: jest.fn(),
+  commitReservations: jest.fn(),
+}));
+jest.mock('../services/couponService', () => ({ confirmRedemption: jest.fn() }));
+jest.mock('../services/invoiceService', () => ({ sendInvoiceEmail: jest.fn() }));
+
+const inventoryService = require('../services/inventoryService');
+const couponService = require('../services/couponService');
+const invoiceService = require('../services/invoiceService');
+const {
+  SYSTEM_ACTOR,
+  TRANSITIONS,
+  actorFromUser,
+  canTransition,
+  getAllowedTransitions,
+  assertTransition,
+  changeOrderStatus,
+} = require('../services/orderLifecycleService');
+const ORDER_STATUS = require('../constants/orderStatus');
+const USER_ROLES = require('../constants/userRoles');
+
+const CUSTOMER_ID = '64b000000000000000000001';
+
+const order = (status, fields = {}) => ({ orderNumber: 'ORD-TEST', status, customer: CUSTOMER_ID, ...fields });
+
+const admin = actorFromUser({ _id: '64b0000000000000000000aa', role: USER_ROLES.ORDER_MANAGER, name: 'Ops' });
+const customer = actorFromUser({ _id: CUSTOMER_ID, role: USER_ROLES.USER, name: 'Customer' });
+const stranger = actorFromUser({ _id: '64b0000000000000000000ff', role: USER_ROLES.USER, name: 'Someone else' });
+
+describe('TRANSITIONS', () => {
+  test('lists every order status', () => {
+    expect(Object.keys(TRANSITIONS).sort()).toEqual(Object.values(ORDER_STATUS).sort());
+  });
+
+  test('only moves to known statuses', () => {
+    Object.values(TRANSITIONS).forEach((next) => {
+      Object.keys(next).forEach((to) => expect(Object.values(ORDER_STATUS)).toContain(to));
+    });
+  });
+
+  test.each([
+    [ORDER_STATUS.PENDING, ORDER_STATUS.PROCESSING, true],
+    [ORDER_STATUS.PENDING, ORDER_STATUS.CANCELLED, true],
+    [ORDER_STATUS.PROCESSING, ORDER_STATUS.SHIPPED, true],
+    [ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED, true],
+    [ORDER_STATUS.DELIVERED, ORDER_STATUS.REFUNDED, true],
+    [ORDER_STATUS.PENDING, ORDER_STATUS.SHIPPED, false],
+    [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED, false],
+    [ORDER_STATUS.DELIVERED, ORDER_STATUS.PENDING, false],
+    [ORDER_STATUS.CANCELLED, ORDER_STATUS.PROCESSING, false],
+    [ORDER_STATUS.REFUNDED, ORDER_STATUS.DELIVERED, false],
+  ])('%s -> %s is %s', (from, to, allowed) => {
+    expect(canTransition(from, to)).toBe(allowed);
+  });
+
+  test('treats cancelled and refunded as final', () => {
+    expect(getAllowedTransitions(order(ORDER_STATUS.CANCELLED), admin)).toEqual([]);
+    expect(getAllowedTransitions(order(ORDER_STATUS.REFUNDED), admin)).toEqual([]);
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  test('lets only the customer who placed a pending order cancel it', () => {
+    expect(getAllowedTransitions(order(ORDER_STATUS.PENDING), customer)).toEqual([ORDER_STATUS.CANCELLED]);
+    expect(getAllowedTransitions(order(ORDER_STATUS.PENDING), stranger)).toEqual([]);
+  });
+
+  test('leaves shipping to order admins', () => {
+    expect(getAllowedTransitions(order(ORDER_STATUS.PROCESSING), admin)).toEqual([
+      ORDER_STATUS.SHIPPED,
+      ORDER_STATUS.CANCELLED,
+    ]);
+    expect(getAllowedTransitions(order(ORDER_STATUS.PROCESSING), SYSTEM_ACTOR)).toEqual([]);
+  });
+});
+
+describe('assertTransition', () => {
+  test('rejects an illegal move with 400 and an unpermitted one with 403', () => {
+    expect(() => assertTransition(order(ORDER_STATUS.PENDING), ORDER_STATUS.DELIVERED, admin))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => assertTransition(order(ORDER_STATUS.PROCESSING), ORDER_STATUS.SHIPPED, customer))
+      .toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  test('holds an unconfirmed cash on delivery order at pending', () => {
+    const cod = order(ORDER_STATUS.PENDING, { paymentMethod: 'cod' });
+    expect(() => assertTransition(cod, ORDER_STATUS.PROCESSING, admin)).toThrow(expect.objectContaining({ statusCode: 400 }));
+
+    cod.codDetails = { verification: { status: 'verified' } };
+    expect(() => assertTransition(cod, ORDER_STATUS.PROCESSING, admin)).not.toThrow();
+  });
+});
+
+describe('changeOrderStatus', () => {
+  const document = (status, fields = {}) => ({
+    ...order(status, fields),
+    _id: '64b000000000000000000002',
+    statusHistory: [],
+    $locals: {},
+    save: jest.fn().mockResolvedValue(),
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('commits the stock reserved at checkout when an order is processed', async () => {
+    inventoryService.hasReservations.mockResolvedValue(true);
+    const pending = document(ORDER_STATUS.PENDING);
+
+    await changeOrderStatus(pending, ORDER_STATUS.PROCESSING, { actor: admin });
+
+    expect(inventoryService.reserveStock).not.toHaveBeenCalled();
+    expect(inventoryService.commitReservations).toHaveBeenCalledWith(pending._id);
+    expect(pending.status).toBe(ORDER_STATUS.PROCESSING);
+    expect(pending.save).toHaveBeenCalled();
+  });
+
+  test('reserves and commits stock for orders from before reservations', async () => {
+    inventoryService.hasReservations.mockResolvedValue(false);
+    const pending = document(ORDER_STATUS.PENDING, { items: [{ product: 'p', variant: '500g', quantity: 1 }] });
+
+    await changeOrderStatus(pending, ORDER_STATUS.PROCESSING, { actor: admin });
+
+    expect(inventoryService.reserveStock).toHaveBeenCalledWith(pending, pending.items);
+    expect(inventoryService.commitReservations).toHaveBeenCalledWith(pending._id);
+  });
+
+  test('leaves the order unchanged when its stock has gone', async () => {
+    inventoryService.hasReservations.mockResolvedValue(false);
+    inventoryService.reserveStock.mockRejectedValue(Object.assign(new Error('Insufficient stock'), { statusCode: 400 }));
+    const pending = document(ORDER_STATUS.PENDING, { items: [] });
+
+    await expect(changeOrderStatus(pending, ORDER_STATUS.PROCESSING, { actor: admin }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(pending.status).toBe(ORDER_STATUS.PENDING);
+    expect(pending.save).not.toHaveBeenCalled();
+  });
+
+  test('counts the coupon and invoices a cash on delivery order on delivery', async () => {
+    const shipped = document(ORDER_STATUS.SHIPPED, { paymentMethod: 'cod' });
+
+    await changeOrderStatus(shipped, ORDER_STATUS.DELIVERED, { actor: admin });
+
+    expect(shipped.deliveryDate).toBeInstanceOf(Date);
+    expect(couponService.confirmRedemption).toHaveBeenCalledWith(shipped._id);
+    expect(invoiceService.sendInvoiceEmail).toHaveBeenCalledWith(shipped._id);
+  });
+
+  test('stamps the ship date and leaves prepaid coupons alone', async () => {
+    const processing = document(ORDER_STATUS.PROCESSING, { paymentMethod: 'billdesk' });
+    await changeOrderStatus(processing, ORDER_STATUS.SHIPPED, { actor: admin });
+    await changeOrderStatus(processing, ORDER_STATUS.DELIVERED, { actor: admin });
+
+    expect(processing.shippingDate).toBeInstanceOf(Date);
+    expect(couponService.confirmRedemption).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for the pure pricing helpers in utils/pricingUtils.js
+ */
+
+const { round2, summariseLines } = require('../utils/pricingUtils');
+
+describe('round2', () => {
+  test.each([
+    [1.005, 1.01],
+    [2.675, 2.68],
+    [10, 10],
+    [-1.234, -1.23],
+    ['3.456', 3.46],
+  ])('rounds %p to %p', (value, expected) => {
+    expect(round2(value)).toBe(expected);
+  });
+});
+
+describe('summariseLines', () => {
+  const lines = [
+    { unitPriceUSD: 10, quantity: 2, productDiscountUSD: 1, couponDiscountUSD: 2, taxINR: 150.4 },
+    { unitPriceUSD: 5.5, quantity: 1, taxINR: 40 },
+  ];
+
+  test('totals USD lines and converts them at the given rate', () => {
+    const totals = summariseLines(lines, { rate: 80, shippingINR: 49 });
+
+    expect(totals).toEqual({
+      subtotalUSD: 25.5,
+      productDiscountUSD: 2, // per unit, so 1 x 2
+      couponDiscountUSD: 2, // whole line
+      discountUSD: 4,
+      subtotalINR: 2040,
+      productDiscountINR: 160,
+      couponDiscountINR: 160,
+      discountINR: 320,
+      shippingINR: 49,
+      taxINR: 190.4,
+      totalINR: 1959.4,
+    });
+  });
+
+  test('rounds each figure to paise', () => {
+    const totals = summariseLines([{ unitPriceUSD: 0.333, quantity: 3 }], { rate: 83.33, shippingINR: 0 });
+
+    expect(totals.subtotalUSD).toBe(1);
+    expect(totals.subtotalINR).toBe(83.33);
+    expect(totals.totalINR).toBe(83.33);
+  });
+
+  test('returns zero totals plus shipping for no lines', () => {
+    const totals = summariseLines([], { rate: 83, shippingINR: 99 });
+
+    expect(totals.subtotalINR).toBe(0);
+    expect(totals.discountINR).toBe(0);
+    expect(totals.taxINR).toBe(0);
+    expect(totals.totalINR).toBe(99);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for the refund balance in services/refundService.js. The
+ * Refund ledger and the order update are stubbed, so no database is needed.
+ */
+
+// billDeskService reads its profile when first required
+process.env.BILLDESK_PROFILE = 'mock';
+process.env.BILLDESK_RETURN_URL = process.env.BILLDESK_RETURN_URL || 'http://localhost:5000/api/billdesk/return';
+process.env.BILLDESK_WEBHOOK_URL = process.env.BILLDESK_WEBHOOK_URL || 'http://localhost:5000/api/billdesk/webhook';
+
+jest.mock('../services/emailService', () => ({ sendEmail: jest.fn() }));
+
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { getRefundSummary, createRefund } = require('../services/refundService');
+
+const PRODUCT_ID = '64b000000000000000000010';
+
+const paidOrder = (fields = {}) => ({
+  _id: '64b000000000000000000001',
+  orderNumber: 'ORD-TEST',
+  status: 'delivered',
+  paymentStatus: 'paid',
+  paymentMethod: 'cod',
+  finalAmount: 1000,
+  items: [{ product: PRODUCT_ID, variant: '500g', packaging: 'jar', quantity: 4, price: 3, lineTotalINR: 1000 }],
+  ...fields,
+});
+
+const refund = (status, amount, items = []) => ({ status, amount, items });
+
+/**
+ * Make Refund.find(...).sort(...) resolve to the given ledger.
+ */
+const stubLedger = (refunds) => {
+  jest.spyOn(Refund, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(refunds) });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getRefundSummary', () => {
+  test('counts processed and pending refunds against the balance, not failed ones', async () => {
+    stubLedger([refund('processed', 250), refund('pending', 100.5), refund('failed', 400)]);
+
+    const summary = await getRefundSummary(paidOrder());
+
+    expect(summary.paidINR).toBe(1000);
+    expect(summary.refundedINR).toBe(250);
+    expect(summary.pendingINR).toBe(100.5);
+    expect(summary.refundableINR).toBe(649.5);
+  });
+
+  test('never reports a negative refundable balance', async () => {
+    stubLedger([refund('processed', 1000), refund('pending', 10)]);
+
+    const summary = await getRefundSummary(paidOrder());
+
+    expect(summary.refundableINR).toBe(0);
+  });
+
+  test('has nothing to refund on an order that was never paid', async () => {
+    stubLedger([]);
+
+    const summary = await getRefundSummary(paidOrder({ paymentStatus: 'pending', status: 'pending' }));
+
+    expect(summary.paidINR).toBe(0);
+    expect(summary.refundableINR).toBe(0);
+  });
+
+  test('counts a delivered cash on delivery order as paid', async () => {
+    stubLedger([]);
+
+    const summary = await getRefundSummary(paidOrder({ paymentStatus: 'pending' }));
+
+    expect(summary.paidINR).toBe(1000);
+  });
+
+  test('tallies refunded quantities per line from open refunds only', async () => {
+    const line = { product: PRODUCT_ID, variant: '500G', packaging: 'Jar', quantity: 1 };
+    stubLedger([
+      refund('processed', 250, [line]),
+      refund('pending', 250, [{ ...line, quantity: 2 }]),
+      refund('failed', 250, [line]),
+    ]);
+
+    const summary = await getRefundSummary(paidOrder());
+
+    expect(summary.refundedQuantities).toEqual({ [`${PRODUCT_ID}:500g:jar`]: 3 });
+  });
+});
+
+describe('createRefund balance checks', () => {
+  test('rejects an amount above the refundable balance', async () => {
+    stubLedger([refund('pending', 900)]);
+    const create = jest.spyOn(Refund, 'create');
+
+    await expect(createRefund(paidOrder(), { amount: 200 })).rejects.toMatchObject({ statusCode: 400 });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('rejects items beyond what is left to refund on the line', async () => {
+    stubLedger([refund('processed', 750, [{ product: PRODUCT_ID, variant: '500g', packaging: 'jar', quantity: 3 }])]);
+
+    await expect(createRefund(paidOrder(), { items: [{ product: PRODUCT_ID, variant: '500g', quantity: 2 }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('does not create the refund when a concurrent one took the balance first', async () => {
+    stubLedger([]);
+    const hold = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const create = jest.spyOn(Refund, 'create');
+
+    await expect(createRefund(paidOrder(), { amount: 600 })).rejects.toMatchObject({ statusCode: 409 });
+    expect(hold).toHaveBeenCalledTimes(1);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for services/taxService.js calculateLineTax
+ */
+
+const { calculateLineTax } = require('../services/taxService');
+const TAX_CLASSES = require('../constants/taxClasses');
+
+const gstContext = (intraState, settings = { taxRate: 18 }) => ({ scheme: 'gst', intraState, settings });
+
+describe('calculateLineTax', () => {
+  test('splits intra-state GST evenly into CGST and SGST', () => {
+    const tax = calculateLineTax(gstContext(true), TAX_CLASSES.STANDARD, 1000);
+
+    expect(tax).toEqual({
+      taxClass: TAX_CLASSES.STANDARD,
+      taxRate: 18,
+      taxINR: 180,
+      taxComponents: [
+        { name: 'CGST', rate: 9, amountINR: 90 },
+        { name: 'SGST', rate: 9, amountINR: 90 },
+      ],
+    });
+  });
+
+  test('gives SGST the odd paisa so the halves add up to the tax', () => {
+    const tax = calculateLineTax(gstContext(true), TAX_CLASSES.STANDARD, 100.05);
+    const [cgst, sgst] = tax.taxComponents;
+
+    expect(tax.taxINR).toBe(18.01);
+    expect(cgst.amountINR).toBe(9.01);
+    expect(sgst.amountINR).toBe(9);
+  });
+
+  test('charges inter-state GST as IGST', () => {
+    const tax = calculateLineTax(gstContext(false), TAX_CLASSES.STANDARD, 1000);
+
+    expect(tax.taxComponents).toEqual([{ name: 'IGST', rate: 18, amountINR: 180 }]);
+  });
+
+  test('charges a single TAX line outside GST', () => {
+    const tax = calculateLineTax({ scheme: 'flat', intraState: false, settings: { taxRate: 7.5 } }, undefined, 200);
+
+    expect(tax.taxClass).toBe(TAX_CLASSES.STANDARD);
+    expect(tax.taxComponents).toEqual([{ name: 'TAX', rate: 7.5, amountINR: 15 }]);
+  });
+
+  test('uses the rate set for the tax class over the region rate', () => {
+    const settings = { taxRate: 18, taxClassRates: new Map([[TAX_CLASSES.BEVERAGE, 5]]) };
+    const tax = calculateLineTax(gstContext(false, settings), TAX_CLASSES.BEVERAGE, 1000);
+
+    expect(tax.taxRate).toBe(5);
+    expect(tax.taxINR).toBe(50);
+  });
+
+  test('charges nothing on exempt lines or without tax settings', () => {
+    const exempt = calculateLineTax(gstContext(true), TAX_CLASSES.EXEMPT, 1000);
+    const unconfigured = calculateLineTax({ scheme: 'none', intraState: false, settings: null }, TAX_CLASSES.STANDARD, 1000);
+
+    [exempt, unconfigured].forEach((tax) => {
+      expect(tax.taxRate).toBe(0);
+      expect(tax.taxINR).toBe(0);
+      expect(tax.taxComponents).toEqual([]);
+    });
+  });
+});
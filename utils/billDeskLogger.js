@@ -1,37 +1,55 @@
 // utils/billDeskLogger.js
 /**
  * Specialized logger for BillDesk API debugging
- * Captures all details needed for BillDesk support tickets
+ * Captures all details needed for BillDesk support tickets, one BillDeskTrace
+ * document per BD-Traceid, kept for BILLDESK_TRACE_RETENTION_DAYS
  */
 
-const fs = require('fs');
-const path = require('path');
+const BillDeskTrace = require('../models/BillDeskTrace');
 const logger = require('./logger');
 
-class BillDeskLogger {
-  constructor() {
-    this.logDir = path.join(__dirname, '../logs');
-    this.debugLogFile = path.join(this.logDir, 'billdesk-debug.log');
-    
-    // Ensure logs directory exists
-    if (!fs.existsSync(this.logDir)) {
-      fs.mkdirSync(this.logDir, { recursive: true });
-    }
+// Days a trace is kept before MongoDB removes it
+const RETENTION_DAYS = parseInt(process.env.BILLDESK_TRACE_RETENTION_DAYS, 10) || 30;
+
+// Field names whose values never reach the trace store
+const SECRET_FIELDS = /secret|password|authorization|signing_?key|encryption_?key|rdata|auth_?token|cookie|cvv|card_?number/i;
+
+/**
+ * Copy a value with every secret field replaced by '[REDACTED]'.
+ * @param {*} value
+ * @returns {*}
+ */
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
   }
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    SECRET_FIELDS.test(key) && field !== undefined && field !== null ? '[REDACTED]' : redact(field),
+  ]));
+};
 
+class BillDeskLogger {
   /**
-   * Log complete request/response cycle for BillDesk support
+   * Store an entry on its trace. Writes happen in the background; a failure
+   * is logged and never reaches the payment flow.
+   * @param {Object} entry - Log entry, already redacted
+   * @param {Object} [fields] - Trace fields to set alongside
+   * @returns {Object} - The entry as stored
    */
-  logTransaction(data) {
+  logTransaction(entry, fields = {}) {
     const logEntry = {
       timestamp: new Date().toISOString(),
       timestampIST: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
-      ...data
+      ...entry
     };
 
-    // Write to dedicated debug file
-    const logLine = JSON.stringify(logEntry, null, 2) + '\n' + '='.repeat(80) + '\n';
-    fs.appendFileSync(this.debugLogFile, logLine);
+    this.saveEntry(logEntry, fields).catch((error) => {
+      logger.error(`Failed to store BillDesk trace ${logEntry.traceId}: ${error.message}`);
+    });
 
     // Also log to console in development
     if (process.env.NODE_ENV !== 'production') {
@@ -45,6 +63,30 @@ class BillDeskLogger {
     return logEntry;
   }
 
+  /**
+   * Append an entry to its trace, creating the trace on first use. A
+   * request and its response can be saved at once; the loser of the race to
+   * create the trace retries as an update.
+   */
+  async saveEntry(logEntry, fields, retried = false) {
+    try {
+      await BillDeskTrace.updateOne(
+        { traceId: logEntry.traceId },
+        {
+          ...(Object.keys(fields).length > 0 && { $set: fields }),
+          $push: { entries: logEntry },
+          $setOnInsert: { expiresAt: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000) },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000 || retried) {
+        throw error;
+      }
+      await this.saveEntry(logEntry, fields, true);
+    }
+  }
+
   /**
    * Log complete API request details
    */
@@ -66,9 +108,9 @@ class BillDeskLogger {
         type: details.payloadType,
         length: details.payloadLength,
         preview: details.payloadPreview,
-        fullJwsToken: details.payloadFull // COMPLETE JWS TOKEN
+        fullJwsToken: details.payloadFull // COMPLETE JWS TOKEN (encrypted)
       },
-      jsonRequest: details.jsonRequest, // ORIGINAL JSON REQUEST
+      jsonRequest: redact(details.jsonRequest), // ORIGINAL JSON REQUEST
       credentials: {
         merchantId: details.merchantId,
         clientId: details.clientId,
@@ -76,9 +118,12 @@ class BillDeskLogger {
       }
     };
 
-    this.logTransaction(requestLog);
+    this.logTransaction(requestLog, {
+      url: details.url,
+      ...(details.jsonRequest && details.jsonRequest.orderid && { orderNumber: details.jsonRequest.orderid }),
+    });
     logger.info('BillDesk request logged', { traceId: details.traceId });
-    
+
     return requestLog;
   }
 
@@ -92,7 +137,7 @@ class BillDeskLogger {
       timestamp: details.timestamp,
       statusCode: details.statusCode,
       statusText: details.statusText,
-      headers: details.headers,
+      headers: redact(details.headers),
       body: {
         length: details.bodyLength,
         type: details.bodyType,
@@ -102,101 +147,111 @@ class BillDeskLogger {
       processingTime: details.processingTime
     };
 
-    this.logTransaction(responseLog);
-    logger.info('BillDesk response logged', { 
-      traceId: details.traceId, 
-      status: details.statusCode 
+    this.logTransaction(responseLog, {
+      status: details.statusCode >= 200 && details.statusCode < 300 ? 'success' : 'failed',
+      statusCode: details.statusCode,
+      processingTime: details.processingTime,
     });
-    
+    logger.info('BillDesk response logged', {
+      traceId: details.traceId,
+      status: details.statusCode
+    });
+
     return responseLog;
   }
 
   /**
-   * Log error with full context
+   * Log error with full context. errorCode is BillDesk's error_code, when
+   * the error response could be decrypted.
    */
   logError(details) {
     const errorLog = {
       type: 'ERROR',
       traceId: details.traceId,
       timestamp: details.timestamp,
+      errorCode: details.errorCode,
       errorMessage: details.errorMessage,
       errorStack: details.errorStack,
-      request: details.request,
-      response: details.response
+      request: redact(details.request),
+      response: redact(details.response)
     };
 
-    this.logTransaction(errorLog);
-    logger.error('BillDesk error logged', { 
-      traceId: details.traceId, 
-      error: details.errorMessage 
+    this.logTransaction(errorLog, {
+      status: 'error',
+      errorMessage: details.errorMessage,
+      ...(details.errorCode && { errorCode: details.errorCode }),
+      ...(details.request && details.request.orderNumber && { orderNumber: details.request.orderNumber }),
+    });
+    logger.error('BillDesk error logged', {
+      traceId: details.traceId,
+      error: details.errorMessage
     });
-    
+
     return errorLog;
   }
 
   /**
-   * Get last N log entries for support ticket
+   * Find traces, newest first, without their entries.
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - sent, success, failed or error
+   * @param {string} [filters.errorCode]
+   * @param {string} [filters.orderNumber] - Also matches repeat attempts (-R<n>)
+   * @param {Date} [filters.from]
+   * @param {Date} [filters.to]
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=20]
+   * @returns {Promise<Object>} - { traces, total }
    */
-  getRecentLogs(count = 10) {
-    try {
-      if (!fs.existsSync(this.debugLogFile)) {
-        return { error: 'No logs found' };
-      }
-
-      const content = fs.readFileSync(this.debugLogFile, 'utf8');
-      const entries = content.split('='.repeat(80)).filter(e => e.trim());
-      
-      const recent = entries.slice(-count).map(entry => {
-        try {
-          return JSON.parse(entry.trim());
-        } catch (e) {
-          return { raw: entry };
-        }
-      });
-
-      return recent;
-    } catch (error) {
-      logger.error('Error reading BillDesk logs:', error);
-      return { error: error.message };
+  async findTraces({ status, errorCode, orderNumber, from, to, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (errorCode) filter.errorCode = errorCode;
+    if (orderNumber) {
+      const escaped = orderNumber.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.orderNumber = { $regex: `^${escaped}(-R\\d+)?$` };
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
     }
+
+    const [traces, total] = await Promise.all([
+      BillDeskTrace.find(filter)
+        .select('-entries')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      BillDeskTrace.countDocuments(filter),
+    ]);
+
+    return { traces, total };
   }
 
   /**
-   * Get logs by trace ID
+   * Get the entries of the last N traces for support ticket, oldest first
    */
-  getLogsByTraceId(traceId) {
-    try {
-      if (!fs.existsSync(this.debugLogFile)) {
-        return { error: 'No logs found' };
-      }
+  async getRecentLogs(count = 10) {
+    const traces = await BillDeskTrace.find().sort({ createdAt: -1 }).limit(count).lean();
+    return traces.reverse().flatMap((trace) => trace.entries);
+  }
 
-      const content = fs.readFileSync(this.debugLogFile, 'utf8');
-      const entries = content.split('='.repeat(80)).filter(e => e.trim());
-      
-      const matching = entries
-        .map(entry => {
-          try {
-            return JSON.parse(entry.trim());
-          } catch (e) {
-            return null;
-          }
-        })
-        .filter(entry => entry && entry.traceId === traceId);
-
-      return matching;
-    } catch (error) {
-      logger.error('Error searching BillDesk logs:', error);
-      return { error: error.message };
-    }
+  /**
+   * Get logs by trace ID
+   */
+  async getLogsByTraceId(traceId) {
+    const trace = await BillDeskTrace.findOne({ traceId }).lean();
+    return trace ? trace.entries : [];
   }
 
   /**
    * Generate support ticket summary
    */
-  generateSupportTicketSummary(traceId) {
-    const logs = this.getLogsByTraceId(traceId);
-    
-    if (!logs || logs.length === 0) {
+  async generateSupportTicketSummary(traceId) {
+    const logs = await this.getLogsByTraceId(traceId);
+
+    if (logs.length === 0) {
       return { error: 'No logs found for trace ID: ' + traceId };
     }
 
@@ -208,7 +263,7 @@ class BillDeskLogger {
       traceId: traceId,
       timestamp: request?.timestamp || 'N/A',
       timestampIST: request?.timestampIST || 'N/A',
-      
+
       request: {
         bdTraceid: request?.headers?.['BD-Traceid'],
         bdTimestamp: request?.headers?.['BD-Timestamp'],
@@ -218,15 +273,16 @@ class BillDeskLogger {
         keyId: request?.credentials?.keyId,
         hasAuthorization: request?.headers?.Authorization === '[PRESENT]'
       },
-      
+
       response: {
         statusCode: response?.statusCode,
         statusText: response?.statusText,
         headers: response?.headers,
         bodyPreview: response?.body?.preview
       },
-      
+
       error: error ? {
+        code: error.errorCode,
         message: error.errorMessage,
         stack: error.errorStack
       } : null,
@@ -238,39 +294,14 @@ class BillDeskLogger {
   }
 
   /**
-   * Clear old logs (keep last 7 days)
+   * Remove traces past their retention now, rather than waiting for
+   * MongoDB's TTL sweep
+   * @returns {Promise<number>} - Traces removed
    */
-  clearOldLogs() {
-    try {
-      if (!fs.existsSync(this.debugLogFile)) {
-        return;
-      }
-
-      const content = fs.readFileSync(this.debugLogFile, 'utf8');
-      const entries = content.split('='.repeat(80)).filter(e => e.trim());
-      
-      const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-      
-      const recentEntries = entries.filter(entry => {
-        try {
-          const log = JSON.parse(entry.trim());
-          const logTime = new Date(log.timestamp).getTime();
-          return logTime > sevenDaysAgo;
-        } catch (e) {
-          return false;
-        }
-      });
-
-      const newContent = recentEntries.join('\n' + '='.repeat(80) + '\n');
-      fs.writeFileSync(this.debugLogFile, newContent);
-      
-      logger.info('BillDesk logs cleaned', { 
-        kept: recentEntries.length, 
-        removed: entries.length - recentEntries.length 
-      });
-    } catch (error) {
-      logger.error('Error clearing old BillDesk logs:', error);
-    }
+  async clearOldLogs() {
+    const { deletedCount } = await BillDeskTrace.deleteMany({ expiresAt: { $lte: new Date() } });
+    logger.info('BillDesk traces cleaned', { removed: deletedCount });
+    return deletedCount;
   }
 }
 
@@ -3,8 +3,10 @@
  */
 const logger = require('./logger');
 
-// Conversion rate from USD to INR (1 USD = ~83 INR as of current rate)
-const USD_TO_INR_RATE = 83;
+// Fallback USD to INR rate, only used when no rate has been configured in
+// Settings (see services/fxRateService.js). Orders snapshot the rate they
+// were priced with, so this never rewrites historical amounts.
+const DEFAULT_USD_TO_INR_RATE = 83;
 
 /**
  * Determines if a price value is likely already in INR
@@ -20,9 +22,10 @@ const isLikelyInr = (price) => {
 /**
  * Safely converts a price from USD to INR if needed
  * @param {number} price - Price to potentially convert
+ * @param {number} [rate] - USD to INR rate to apply
  * @returns {number} - Price in INR
  */
-const safeConvertToInr = (price) => {
+const safeConvertToInr = (price, rate = DEFAULT_USD_TO_INR_RATE) => {
   if (typeof price !== 'number' || isNaN(price)) {
     logger.warn(`Invalid price value for conversion: ${price}, type: ${typeof price}`);
     return 0;
@@ -34,7 +37,7 @@ const safeConvertToInr = (price) => {
     return price;
   }
   
-  const inrPrice = price * USD_TO_INR_RATE;
+  const inrPrice = price * rate;
   logger.debug(`Converted ${price} USD to ${inrPrice} INR`);
   return inrPrice;
 };
@@ -42,9 +45,10 @@ const safeConvertToInr = (price) => {
 /**
  * Converts a price from USD to INR
  * @param {number} usdPrice - Price in USD
+ * @param {number} [rate] - USD to INR rate to apply
  * @returns {number} - Price converted to INR
  */
-const convertUsdToInr = (usdPrice) => {
+const convertUsdToInr = (usdPrice, rate = DEFAULT_USD_TO_INR_RATE) => {
   if (typeof usdPrice !== 'number' || isNaN(usdPrice)) {
     logger.warn(`Invalid USD price value for conversion: ${usdPrice}, type: ${typeof usdPrice}`);
     return 0;
@@ -56,7 +60,7 @@ const convertUsdToInr = (usdPrice) => {
     return usdPrice;
   }
   
-  const inrPrice = usdPrice * USD_TO_INR_RATE;
+  const inrPrice = usdPrice * rate;
   logger.debug(`Converted ${usdPrice} USD to ${inrPrice} INR`);
   return inrPrice;
 };
@@ -109,7 +113,7 @@ const storeUsdAsInr = (usdPrice) => {
 };
 
 module.exports = {
-  USD_TO_INR_RATE,
+  DEFAULT_USD_TO_INR_RATE,
   convertUsdToInr,
   safeConvertToInr,
   isLikelyInr,
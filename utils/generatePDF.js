@@ -191,4 +191,166 @@ const generatePDF = (data, outputPath) => {
   });
 };
 
-module.exports = { generatePDF }; 
\ No newline at end of file
+/**
+ * Format an amount in rupees for a PDF (pdfkit's standard fonts have no ₹ glyph)
+ * @param {number} value
+ * @returns {string}
+ */
+const formatINR = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+
+/**
+ * Write an address block at the current position
+ * @param {PDFDocument} doc
+ * @param {string} heading
+ * @param {Object} party
+ * @param {number} x
+ * @param {number} y
+ */
+const writeParty = (doc, heading, party, x, y) => {
+  const lines = [
+    party.name,
+    party.street,
+    [party.city, party.state, party.zip].filter(Boolean).join(', '),
+    party.country,
+    party.phone ? `Phone: ${party.phone}` : null,
+    party.gstin ? `GSTIN: ${party.gstin}` : null,
+  ].filter(Boolean);
+
+  doc.fontSize(10).font('Helvetica-Bold').fillColor('#0D1C5A').text(heading, x, y, { width: 230 });
+  doc.font('Helvetica').fillColor('#000000').text(lines.join('\n'), x, doc.y + 2, { width: 230 });
+};
+
+/**
+ * Generate a tax invoice or credit note PDF
+ * @param {Object} invoice - Invoice document (models/Invoice.js)
+ * @returns {Promise<Buffer>} - The PDF contents
+ */
+const generateInvoicePDF = (invoice) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const isCreditNote = invoice.type === 'credit_note';
+      const title = isCreditNote ? 'Credit Note' : 'Tax Invoice';
+
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 40,
+        info: {
+          Title: `${title} ${invoice.number}`,
+          Author: invoice.seller.name,
+          Subject: `Order ${invoice.orderNumber}`
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // Header
+      doc.fontSize(20)
+        .font('Helvetica-Bold')
+        .fillColor('#0D1C5A')
+        .text(title, 40, 40);
+
+      doc.fontSize(10)
+        .font('Helvetica')
+        .fillColor('#000000')
+        .text(`${isCreditNote ? 'Credit Note' : 'Invoice'} No: ${invoice.number}`, 340, 40, { align: 'right' })
+        .text(`Date: ${new Date(invoice.issuedAt).toLocaleDateString('en-IN')}`, { align: 'right' })
+        .text(`Order No: ${invoice.orderNumber}`, { align: 'right' });
+
+      if (invoice.placeOfSupply) {
+        doc.text(`Place of Supply: ${invoice.placeOfSupply}`, { align: 'right' });
+      }
+      if (isCreditNote && invoice.reason) {
+        doc.text(`Reason: ${invoice.reason}`, { align: 'right' });
+      }
+
+      // Parties
+      const partiesTop = 130;
+      writeParty(doc, 'Sold By', invoice.seller, 40, partiesTop);
+      const sellerBottom = doc.y;
+      writeParty(doc, 'Bill To', invoice.billingAddress || {}, 300, partiesTop);
+      const billBottom = doc.y;
+      writeParty(doc, 'Ship To', invoice.shippingAddress || {}, 40, Math.max(sellerBottom, billBottom) + 12);
+
+      // Line items
+      const columns = [
+        { label: 'Item', x: 40, width: 150 },
+        { label: 'HSN', x: 195, width: 45 },
+        { label: 'Qty', x: 240, width: 30, align: 'right' },
+        { label: 'Rate', x: 275, width: 60, align: 'right' },
+        { label: 'Discount', x: 335, width: 55, align: 'right' },
+        { label: 'Taxable', x: 390, width: 60, align: 'right' },
+        { label: 'Tax', x: 450, width: 50, align: 'right' },
+        { label: 'Total', x: 500, width: 55, align: 'right' },
+      ];
+
+      let y = doc.y + 20;
+      doc.fontSize(9).font('Helvetica-Bold').fillColor('#0D1C5A');
+      columns.forEach((col) => doc.text(col.label, col.x, y, { width: col.width, align: col.align || 'left' }));
+      doc.moveTo(40, y + 14).lineTo(555, y + 14).strokeColor('#cccccc').stroke();
+      y += 20;
+
+      doc.font('Helvetica').fillColor('#000000');
+      invoice.lines.forEach((line) => {
+        if (y > 720) {
+          doc.addPage();
+          y = 40;
+        }
+        const tax = line.taxComponents.map((c) => `${c.name} ${c.rate}%`).join('\n') || '-';
+        const values = [
+          line.description,
+          line.hsnCode || '-',
+          String(line.quantity),
+          line.unitPriceINR.toFixed(2),
+          line.discountINR.toFixed(2),
+          line.taxableINR.toFixed(2),
+          tax,
+          line.totalINR.toFixed(2),
+        ];
+        const rowHeight = Math.max(
+          doc.heightOfString(values[0], { width: columns[0].width }),
+          doc.heightOfString(tax, { width: columns[6].width })
+        );
+        columns.forEach((col, i) => doc.text(values[i], col.x, y, { width: col.width, align: col.align || 'left' }));
+        y += rowHeight + 8;
+      });
+
+      doc.moveTo(40, y).lineTo(555, y).strokeColor('#cccccc').stroke();
+      y += 10;
+
+      // Totals and tax breakdown
+      const totalRow = (label, value, bold = false) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+          .text(label, 330, y, { width: 140, align: 'right' })
+          .text(value, 475, y, { width: 80, align: 'right' });
+        y += 16;
+      };
+
+      doc.fontSize(10);
+      totalRow('Taxable Value', formatINR(invoice.taxableINR));
+      invoice.taxBreakdown.forEach((tax) => totalRow(`${tax.name} @ ${tax.rate}%`, formatINR(tax.amountINR)));
+      if (invoice.shippingINR > 0) {
+        totalRow('Shipping', formatINR(invoice.shippingINR));
+      }
+      totalRow(isCreditNote ? 'Total Credited' : 'Invoice Total', formatINR(invoice.totalINR), true);
+
+      // Footer
+      doc.fontSize(9)
+        .font('Helvetica-Oblique')
+        .fillColor('#666666')
+        .text('This is a computer-generated document and does not require a signature.', 40, Math.max(y + 30, 760), {
+          align: 'center',
+          width: 515
+        });
+
+      doc.end();
+    } catch (error) {
+      logger.error(`Error generating invoice PDF: ${error.message}`);
+      reject(error);
+    }
+  });
+};
+
+module.exports = { generatePDF, generateInvoicePDF }; 
\ No newline at end of file
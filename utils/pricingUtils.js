@@ -0,0 +1,50 @@
+// utils/pricingUtils.js
+
+// Pure pricing helpers, kept free of model imports so both
+// services/pricingService.js and models/Order.js can use them.
+
+/**
+ * Round a money amount to 2 decimal places.
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Roll priced lines up into order totals.
+ * Shared by the pricing engine and Order.calculateTotal so stored orders and quotes always agree.
+ * @param {Array<Object>} lines - { unitPriceUSD, quantity, productDiscountUSD, couponDiscountUSD, taxINR }
+ * @param {Object} options
+ * @param {number} options.rate - USD to INR rate
+ * @param {number} options.shippingINR - Shipping fee in INR
+ * @returns {Object} - Totals in USD and INR
+ */
+const summariseLines = (lines, { rate, shippingINR }) => {
+  const subtotalUSD = round2(lines.reduce((sum, l) => sum + l.unitPriceUSD * l.quantity, 0));
+  const productDiscountUSD = round2(lines.reduce((sum, l) => sum + (l.productDiscountUSD || 0) * l.quantity, 0));
+  const couponDiscountUSD = round2(lines.reduce((sum, l) => sum + (l.couponDiscountUSD || 0), 0));
+  const discountUSD = round2(productDiscountUSD + couponDiscountUSD);
+
+  const subtotalINR = round2(subtotalUSD * rate);
+  const discountINR = round2(discountUSD * rate);
+  const taxINR = round2(lines.reduce((sum, l) => sum + (l.taxINR || 0), 0));
+
+  return {
+    subtotalUSD,
+    productDiscountUSD,
+    couponDiscountUSD,
+    discountUSD,
+    subtotalINR,
+    productDiscountINR: round2(productDiscountUSD * rate),
+    couponDiscountINR: round2(couponDiscountUSD * rate),
+    discountINR,
+    shippingINR: round2(shippingINR),
+    taxINR,
+    totalINR: round2(subtotalINR - discountINR + shippingINR + taxINR),
+  };
+};
+
+module.exports = {
+  round2,
+  summariseLines,
+};
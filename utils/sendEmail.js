@@ -8,11 +8,12 @@ const logger = require('./logger');
  * @param {string} options.subject - Email subject
  * @param {string} options.message - Plain text message content
  * @param {string} options.html - HTML message content
+ * @param {Array<Object>} [options.attachments] - { filename, content | path, contentType }
  * @returns {Promise<void>}
  */
-const sendEmail = async ({ email, subject, message, html }) => {
+const sendEmail = async ({ email, subject, message, html, attachments }) => {
   try {
-    await sendEmailService({ email, subject, message, html });
+    await sendEmailService({ email, subject, message, html, attachments });
     logger.info(`Email sent to ${email} with subject: "${subject}"`);
   } catch (error) {
     // Log additional error details if available
@@ -0,0 +1,100 @@
+// utils/spreadsheetUtils.js
+
+// Reading uploaded CSV and Excel files, for settlement and product imports.
+
+const path = require('path');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * @param {string} header
+ * @returns {string}
+ */
+const normaliseHeader = (header) =>
+  String(header || '').replace(/^\uFEFF/, '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Plain value of an exceljs cell (formulas, rich text and hyperlinks are
+ * reduced to what they display).
+ * @param {*} value
+ * @returns {*}
+ */
+const cellValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return value.text;
+  }
+  return value;
+};
+
+/**
+ * Read a CSV or Excel (.xlsx) file into row objects keyed by normalised header.
+ * @param {Buffer} buffer
+ * @param {string} fileName
+ * @returns {Promise<Array<Object>>}
+ */
+const readSpreadsheet = async (buffer, fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  if (extension === '.csv') {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      Readable.from(buffer)
+        .pipe(csv({ mapHeaders: ({ header }) => normaliseHeader(header) }))
+        .on('data', (row) => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', (error) => reject(new ErrorResponse(`Could not read CSV file: ${error.message}`, 400)));
+    });
+  }
+
+  if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new ErrorResponse(`Could not read Excel file: ${error.message}`, 400);
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+      return [];
+    }
+
+    const headers = [];
+    sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+      headers[column] = normaliseHeader(cellValue(cell.value));
+    });
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      if (rowNumber === 1) {
+        return;
+      }
+      const record = {};
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        if (headers[column]) {
+          record[headers[column]] = cellValue(cell.value);
+        }
+      });
+      rows.push(record);
+    });
+    return rows;
+  }
+
+  throw new ErrorResponse('Files must be CSV or Excel (.xlsx).', 400);
+};
+
+module.exports = {
+  normaliseHeader,
+  cellValue,
+  readSpreadsheet,
+};
@@ -1,6 +1,10 @@
 // utils/validateConfig.js
 const Joi = require('joi');
 const logger = require('./logger');
+const { resolveBillDeskProfile } = require('../config/billDeskProfiles');
+
+// Whether PAYMENT_GATEWAYS lists a gateway
+const usesGateway = (name) => Joi.string().pattern(new RegExp(`(^|,)\\s*${name}\\s*(,|$)`));
 
 const configSchema = Joi.object({
   PORT: Joi.number().default(5000),
@@ -18,18 +22,103 @@ const configSchema = Joi.object({
   GOOGLE_CLIENT_ID: Joi.string().optional(),
   GOOGLE_CLIENT_SECRET: Joi.string().optional(),
   GOOGLE_CALLBACK_URL: Joi.string().uri().optional(),
-  PAYMENT_METHOD: Joi.string().valid('billdesk', 'cod').required(),
-  // BillDesk Configuration
-  BILLDESK_MERCHANT_ID: Joi.string().when('PAYMENT_METHOD', { is: 'billdesk', then: Joi.required() }),
-  BILLDESK_CLIENT_ID: Joi.string().when('PAYMENT_METHOD', { is: 'billdesk', then: Joi.required() }),
-  BILLDESK_CLIENT_SECRET: Joi.string().when('PAYMENT_METHOD', { is: 'billdesk', then: Joi.required() }),
-  BILLDESK_ENCRYPTION_PASSWORD: Joi.string().when('PAYMENT_METHOD', { is: 'billdesk', then: Joi.required() }),
-  BILLDESK_SIGNING_PASSWORD: Joi.string().when('PAYMENT_METHOD', { is: 'billdesk', then: Joi.required() }),
-  BILLDESK_BASE_URL: Joi.string().uri().when('PAYMENT_METHOD', { is: 'billdesk', then: Joi.required() }),
-  BILLDESK_WEBHOOK_URL: Joi.string().uri().when('PAYMENT_METHOD', { is: 'billdesk', then: Joi.required() }),
-  BILLDESK_RETURN_URL: Joi.string().uri().when('PAYMENT_METHOD', { is: 'billdesk', then: Joi.required() }),
+  // Gateways offered where neither the region nor the 'payment_gateways' setting lists any
+  PAYMENT_GATEWAYS: Joi.string()
+    .pattern(/^\s*(billdesk|razorpay|stripe|paypal|cod|mock)\s*(,\s*(billdesk|razorpay|stripe|paypal|cod|mock)\s*)*$/)
+    .default('billdesk,cod'),
+  PAYMENT_MOCK_ENABLED: Joi.boolean().default(false),
+  STOCK_HOLD_MINUTES: Joi.number().integer().min(1).default(30),
+  FX_PROVIDER: Joi.string().optional(),
+  FX_PROVIDER_URL: Joi.string().uri().when('FX_PROVIDER', { is: 'http', then: Joi.required() }),
+  INVOICE_SELLER_NAME: Joi.string().optional(),
+  INVOICE_SELLER_GSTIN: Joi.string().pattern(/^[0-9]{2}[A-Z0-9]{13}$/).optional(),
+  INVOICE_SELLER_ADDRESS: Joi.string().optional(),
+  INVOICE_SELLER_STATE: Joi.string().optional(),
+  // BillDesk Configuration; credentials may also be set per profile
+  // (BILLDESK_<PROFILE>_*), so their presence is checked by reportBillDeskProfile
+  BILLDESK_PROFILE: Joi.string().lowercase().valid('uat', 'production', 'mock').default('uat'),
+  BILLDESK_MERCHANT_ID: Joi.string(),
+  BILLDESK_CLIENT_ID: Joi.string(),
+  BILLDESK_CLIENT_SECRET: Joi.string(),
+  BILLDESK_SECURITY_ID: Joi.string(),
+  BILLDESK_ENCRYPTION_PASSWORD: Joi.string(),
+  BILLDESK_SIGNING_PASSWORD: Joi.string(),
+  BILLDESK_PREVIOUS_SECURITY_ID: Joi.string(),
+  BILLDESK_PREVIOUS_ENCRYPTION_PASSWORD: Joi.string(),
+  BILLDESK_PREVIOUS_SIGNING_PASSWORD: Joi.string(),
+  BILLDESK_MOCK_URL: Joi.string().uri(),
+  BILLDESK_BASE_URL: Joi.string().uri(),
+  BILLDESK_WEBHOOK_URL: Joi.string().uri().when('PAYMENT_GATEWAYS', { is: usesGateway('billdesk'), then: Joi.required() }),
+  BILLDESK_RETURN_URL: Joi.string().uri().when('PAYMENT_GATEWAYS', { is: usesGateway('billdesk'), then: Joi.required() }),
+  CHECKOUT_SESSION_MINUTES: Joi.number().integer().min(1),
+  BILLDESK_TRACE_RETENTION_DAYS: Joi.number().integer().min(1),
+  // Product search: ascending USD price band boundaries, e.g. 0,5,10,25,50
+  SEARCH_PRICE_BANDS: Joi.string().pattern(/^\d+(\.\d+)?(,\d+(\.\d+)?)*$/),
+  // Razorpay Configuration
+  RAZORPAY_KEY_ID: Joi.string().when('PAYMENT_GATEWAYS', { is: usesGateway('razorpay'), then: Joi.required() }),
+  RAZORPAY_SECRET: Joi.string().when('PAYMENT_GATEWAYS', { is: usesGateway('razorpay'), then: Joi.required() }),
+  RAZORPAY_WEBHOOK_SECRET: Joi.string().when('PAYMENT_GATEWAYS', { is: usesGateway('razorpay'), then: Joi.required() }),
+  // Stripe Configuration
+  STRIPE_SECRET_KEY: Joi.string().when('PAYMENT_GATEWAYS', { is: usesGateway('stripe'), then: Joi.required() }),
+  STRIPE_PUBLISHABLE_KEY: Joi.string().when('PAYMENT_GATEWAYS', { is: usesGateway('stripe'), then: Joi.required() }),
+  STRIPE_WEBHOOK_SECRET: Joi.string().when('PAYMENT_GATEWAYS', { is: usesGateway('stripe'), then: Joi.required() }),
+  // PayPal Configuration
+  PAYPAL_MODE: Joi.string().valid('sandbox', 'live').default('sandbox'),
+  PAYPAL_CLIENT_ID: Joi.string().when('PAYMENT_GATEWAYS', { is: usesGateway('paypal'), then: Joi.required() }),
+  PAYPAL_CLIENT_SECRET: Joi.string().when('PAYMENT_GATEWAYS', { is: usesGateway('paypal'), then: Joi.required() }),
+  PAYPAL_WEBHOOK_ID: Joi.string().when('PAYMENT_GATEWAYS', { is: usesGateway('paypal'), then: Joi.required() }),
+  PAYPAL_CURRENCY: Joi.string().length(3).default('USD'),
+  // Payment reconciliation
+  FINANCE_REPORT_EMAILS: Joi.string(),
+  // "Complete your payment" links; signed with JWT_SECRET when unset
+  PAYMENT_LINK_SECRET: Joi.string().min(32),
+  PAYMENT_RETRY_REMINDER_MINUTES: Joi.string().pattern(/^\d+(,\d+)*$/),
+  PAYMENT_RETRY_WINDOW_HOURS: Joi.number().min(1),
+  // Text messages and cash on delivery rules
+  SMS_ENABLED: Joi.boolean().default(false),
+  SMS_SENDER_ID: Joi.string().max(11),
+  COD_MIN_ORDER_VALUE: Joi.number().min(0),
+  COD_MAX_ORDER_VALUE: Joi.number().min(0),
+  COD_MAX_OPEN_ORDERS: Joi.number().integer().min(0),
+  COD_BLOCKED_PINCODES: Joi.string().allow(''),
 }).unknown(true); // Allow other environment variables
 
+/**
+ * Log which BillDesk profile is live, and fail if it lacks credentials, or
+ * is not the production profile on a production deployment, while BillDesk
+ * is offered.
+ * @param {Object} env - Validated environment
+ */
+const reportBillDeskProfile = (env) => {
+  if (usesGateway('billdesk').validate(env.PAYMENT_GATEWAYS).error) {
+    return;
+  }
+
+  let profile;
+  try {
+    profile = resolveBillDeskProfile(env);
+  } catch (error) {
+    logger.error(error.message);
+    throw new Error('Config validation error');
+  }
+  if (profile.name !== 'production' && env.NODE_ENV === 'production') {
+    logger.error(
+      `BillDesk is on the ${profile.label} profile while NODE_ENV is production; set BILLDESK_PROFILE=production`
+    );
+    throw new Error('Config validation error');
+  }
+  if (profile.missing.length > 0) {
+    logger.error(`BillDesk ${profile.label} profile is missing: ${profile.missing.join(', ')}`);
+    throw new Error('Config validation error');
+  }
+
+  const [currentKey, previousKey] = profile.keys;
+  logger.info(
+    `BillDesk profile: ${profile.label} (merchant ${profile.merchantId}, key ${currentKey.keyId}` +
+    `${previousKey ? `, also accepting previous key ${previousKey.keyId}` : ''}) at ${profile.paymentUrl}`
+  );
+};
+
 const validateConfig = () => {
   const { error, value } = configSchema.validate(process.env, { abortEarly: false });
 
@@ -43,6 +132,8 @@ const validateConfig = () => {
     process.env[key] = value[key];
   });
 
+  reportBillDeskProfile(value);
+
   logger.info('Configuration validated successfully.');
 };
 